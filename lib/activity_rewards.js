@@ -0,0 +1,153 @@
+"use strict";
+
+// --- Activity Rewards ---
+// Pays players for logging in each day and for time spent online, as configured
+// in SERVER_CONFIG.ACTIVITY_REWARDS. What each reward paid is counted per UTC day
+// in User.rewardDay / rewardsEarnedToday, in the same DB write as the payout
+// and its ledger entry, so its dailyCap holds across reconnects, crashes and
+// sessions running side by side. Payouts are then mirrored on the avatar.
+
+const { SERVER_CONFIG } = require("./config");
+const User = require("../models/user");
+const { getCurrency } = require("./currencies");
+const { applyCurrencyChange } = require("./currency_ledger");
+
+/** @returns {string} The UTC day ("YYYY-MM-DD") reward caps are counted for. */
+function getRewardDay(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Configured rewards of one type, skipping entries with an unknown currency or
+ * invalid amounts.
+ * @param {string} type - 'login' or 'online'.
+ * @returns {object[]}
+ */
+function getRewards(type) {
+  return (SERVER_CONFIG.ACTIVITY_REWARDS || []).filter(
+    (r) =>
+      r.type === type &&
+      getCurrency(r.currencyId) &&
+      Number.isInteger(r.amount) &&
+      r.amount > 0 &&
+      (type !== "online" || r.intervalMs > 0)
+  );
+}
+
+/**
+ * Resets the online-time counters of a freshly loaded avatar. The daily
+ * counters stay on the User document (see payReward).
+ * @param {import('./game_objects').ServerAvatar} avatar
+ */
+function loadRewardState(avatar) {
+  avatar.onlineRewardMs = {};
+}
+
+/**
+ * Pays one reward, up to what is left of its daily cap. The payout is only
+ * written if the User's counter still holds the amount it was capped against,
+ * so a payout that raced another one (or another session) is skipped.
+ * @returns {Promise<object|null>} { rewardId, currencyId, amount, label }, or
+ *   null if capped or the payout couldn't be written.
+ */
+async function payReward(avatar, userId, reward, now) {
+  const day = getRewardDay(now);
+  const counter = `rewardsEarnedToday.${reward.id}`;
+  let balance = null;
+  let amount = 0;
+  try {
+    // Counters from an earlier day start over
+    await User.updateOne(
+      { _id: userId, rewardDay: { $ne: day } },
+      { $set: { rewardDay: day, rewardsEarnedToday: {} } }
+    );
+    const user = await User.findById(userId, { rewardsEarnedToday: 1 }).lean();
+    if (!user) return null;
+    const earned = user.rewardsEarnedToday?.[reward.id] || 0;
+    const cap = Number.isInteger(reward.dailyCap) ? reward.dailyCap : Infinity;
+    amount = Math.min(reward.amount, cap - earned);
+    if (amount <= 0) return null;
+
+    balance = await applyCurrencyChange(
+      {
+        userId,
+        username: avatar.name,
+        currencyId: reward.currencyId,
+        amount,
+        source: "reward",
+        reference: reward.id,
+        description: reward.label || reward.id,
+      },
+      {
+        filter: {
+          rewardDay: day,
+          [counter]: earned > 0 ? earned : { $in: [null, 0] },
+        },
+        inc: { [counter]: amount },
+      }
+    );
+  } catch (error) {
+    console.error(
+      `Failed to pay reward '${reward.id}' to ${avatar.name}:`,
+      error
+    );
+  }
+  if (balance === null) return null;
+  avatar.changeBalance(reward.currencyId, amount);
+  return {
+    rewardId: reward.id,
+    currencyId: reward.currencyId,
+    amount,
+    label: reward.label || reward.id,
+  };
+}
+
+/**
+ * Pays the daily login rewards the player hasn't had today. Called on connect.
+ * @param {import('./game_objects').ServerAvatar} avatar
+ * @param {string} userId
+ * @returns {Promise<object[]>} The rewards paid (see payReward).
+ */
+async function payLoginRewards(avatar, userId, now = new Date()) {
+  // One at a time: each payout writes the same User document
+  const paid = [];
+  for (const reward of getRewards("login")) {
+    const payout = await payReward(avatar, userId, reward, now);
+    if (payout) paid.push(payout);
+  }
+  return paid;
+}
+
+/**
+ * Adds online time and pays every online reward whose interval has passed.
+ * Called from the game tick.
+ * @param {import('./game_objects').ServerAvatar} avatar
+ * @param {string} userId
+ * @param {number} deltaMs - Time since the last call.
+ * @returns {Promise<object[]>} The rewards paid (see payReward).
+ */
+async function payOnlineRewards(avatar, userId, deltaMs, now = new Date()) {
+  const due = [];
+  getRewards("online").forEach((reward) => {
+    let pending = (avatar.onlineRewardMs[reward.id] || 0) + deltaMs;
+    while (pending >= reward.intervalMs) {
+      pending -= reward.intervalMs;
+      due.push(reward);
+    }
+    avatar.onlineRewardMs[reward.id] = pending;
+  });
+  // One at a time: each payout writes the same User document
+  const paid = [];
+  for (const reward of due) {
+    const payout = await payReward(avatar, userId, reward, now);
+    if (payout) paid.push(payout);
+  }
+  return paid;
+}
+
+module.exports = {
+  getRewardDay,
+  loadRewardState,
+  payLoginRewards,
+  payOnlineRewards,
+};
@@ -47,6 +47,41 @@ try {
 }
 // --- End Loading ---
 
+// --- Load Room Templates from JSON (optional) ---
+let loadedRoomTemplates = [];
+try {
+  const templatesPath = path.join(
+    __dirname,
+    "..",
+    "data",
+    "room_templates.json"
+  );
+  if (fs.existsSync(templatesPath)) {
+    const parsed = JSON.parse(fs.readFileSync(templatesPath, "utf8"));
+    if (!Array.isArray(parsed)) {
+      throw new Error(
+        "room_templates.json does not contain a valid JSON array."
+      );
+    }
+    // Keep only entries with an id and a non-empty 2D layout
+    loadedRoomTemplates = parsed.filter(
+      (t) =>
+        t &&
+        typeof t.id === "string" &&
+        Array.isArray(t.layout) &&
+        t.layout.length > 0 &&
+        Array.isArray(t.layout[0])
+    );
+    console.log(`Loaded ${loadedRoomTemplates.length} room templates.`);
+  } else {
+    console.warn("room_templates.json not found. Room templates disabled.");
+  }
+} catch (error) {
+  // Templates are a convenience; rooms can still be created without them
+  console.error("Error loading room_templates.json:", error.message);
+  loadedRoomTemplates = [];
+}
+
 // Shared configuration between Client and Server
 const SHARED_CONFIG = {
   // Tile dimensions
@@ -55,9 +90,35 @@ const SHARED_CONFIG = {
   // Stacking
   DEFAULT_STACK_HEIGHT: 0.5, // Multiplier for furniture stackHeight definition
   MAX_STACK_Z: 5.0, // Maximum allowed Z coordinate for the top of an item
+  // Floor heights (per-tile heightmap)
+  TILE_HEIGHT_Z: 0.5, // Z units per floor height level
+  MAX_TILE_HEIGHT: 8, // Highest floor level a tile can be raised to
+  // Wall items
+  WALL_ITEM_DEFAULT_Z: 1.5, // Mount height if a definition doesn't set wallHeight
+  WALL_ITEM_MAX_OFFSET: 0.4, // Max slide (in tiles) along a wall edge from its center
   // Avatar
   AVATAR_DEFAULT_Z: 0.01,
   DEFAULT_CURRENCY: 10, // Start with some currency for testing
+  // Named currencies. The primary one is User.currency (trades, admin gold, the
+  // default for shop offers); the others are kept in User.balances. `short`
+  // labels prices.
+  PRIMARY_CURRENCY_ID: "coins",
+  CURRENCIES: [
+    { id: "coins", name: "Silly Coins", short: "Coins" },
+    { id: "gems", name: "Zany Gems", short: "Gems" }, // Premium
+    { id: "tokens", name: "Party Tokens", short: "Tokens" }, // Seasonal
+  ],
+  // Avatar parts players can color with /setcolor. 'body' is stored as bodyColor;
+  // parts with a palette only accept its colors, the others any #RRGGBB.
+  AVATAR_LAYERS: {
+    body: { name: "Shirt", default: "#6CA0DC" },
+    legs: { name: "Pants", default: "#3B4A6B" },
+    skin: {
+      name: "Skin",
+      default: "#F0DDBB",
+      palette: ["#F0DDBB", "#E8C39E", "#C68E5E", "#8D5A3B", "#5C3A21"],
+    },
+  },
 
   // --- Use the loaded definitions ---
   // Furniture definitions are now loaded from data/furniture_definitions.json
@@ -146,17 +207,6 @@ const SHARED_CONFIG = {
     sad: { id: "sad", duration: 3000, sound: "sad", animation: "pose_sad" },
   },
 
-  // --- Shop Catalog ---
-  // Items listed here should have a corresponding entry in furniture_definitions.json
-  SHOP_CATALOG: [
-    { itemId: "chair_basic", price: 10 },
-    { itemId: "box_small", price: 5 },
-    { itemId: "rug_green", price: 15 },
-    { itemId: "light_simple", price: 20 },
-    { itemId: "chair_comfy", price: 25 },
-    // Add more items as desired
-  ],
-
   // --- Valid Recolor Colors ---
   // Default valid colors for recoloring (can be expanded)
   VALID_RECOLOR_HEX: [
@@ -171,6 +221,140 @@ const SHARED_CONFIG = {
     "#FFA500",
     "#800080",
   ], // Red, Green, Blue, Yellow, Magenta, Cyan, White, Grey, Orange, Purple
+
+  // --- Room Navigator ---
+  ROOM_CATEGORIES: ["general", "hangout", "games", "trading", "art", "events"],
+
+  // --- Room Decoration ---
+  // Styles per slot. Rooms start on 'default'; other styles are applied by owners
+  // using decoration items (furniture definitions with a `decoration` field).
+  // tint: multiplied over tile sprites, pattern: 'checker' | 'stripes' (optional),
+  // color: the landscape (canvas background) color.
+  ROOM_DECORATIONS: {
+    wallpaper: [
+      { id: "default", name: "Plain Wall" },
+      { id: "bricks", name: "Red Bricks", tint: "#B5523B" },
+      {
+        id: "stripes",
+        name: "Blue Stripes",
+        tint: "#5B7DB1",
+        pattern: "stripes",
+      },
+    ],
+    floor: [
+      { id: "default", name: "Plain Floor" },
+      {
+        id: "wood",
+        name: "Wooden Boards",
+        tint: "#B07A45",
+        pattern: "stripes",
+      },
+      {
+        id: "checker",
+        name: "Checkerboard",
+        tint: "#E8E8E8",
+        pattern: "checker",
+      },
+    ],
+    landscape: [
+      { id: "default", name: "Night Sky", color: "#003366" },
+      { id: "sunset", name: "Sunset", color: "#C8553D" },
+      { id: "forest", name: "Forest", color: "#2F5233" },
+    ],
+  },
+
+  // --- Room Templates ---
+  // Starting layouts offered when creating a room (data/room_templates.json)
+  ROOM_TEMPLATES: loadedRoomTemplates,
+
+  // --- Wired (Room Automation) ---
+  // Logic furniture declares `"wired": "<type>"` in its definition. Wired items stacked
+  // on the same tile work as one unit: when a trigger fires, every condition on that
+  // tile must pass before its effects run. `links` says whether the type works on
+  // linked furniture; `settings` describes the fields of the configuration panel.
+  WIRED_TYPES: {
+    walk_on: {
+      kind: "trigger",
+      name: "Avatar walks on item",
+      links: true,
+      settings: [],
+    },
+    item_used: {
+      kind: "trigger",
+      name: "Item is used",
+      links: true,
+      settings: [],
+    },
+    chat_keyword: {
+      kind: "trigger",
+      name: "Avatar says keyword",
+      links: false,
+      settings: [
+        { key: "keyword", label: "Keyword", type: "text", maxLength: 40 },
+      ],
+    },
+    timer: {
+      kind: "trigger",
+      name: "Repeating timer",
+      links: false,
+      settings: [
+        {
+          key: "seconds",
+          label: "Every (seconds)",
+          type: "number",
+          min: 1,
+          max: 600,
+          default: 10,
+        },
+      ],
+    },
+    item_state: {
+      kind: "condition",
+      name: "Items are in state",
+      links: true,
+      settings: [{ key: "state", label: "State", type: "text", maxLength: 20 }],
+    },
+    avatar_on_item: {
+      kind: "condition",
+      name: "Avatar is on item",
+      links: true,
+      settings: [],
+    },
+    toggle_item: {
+      kind: "effect",
+      name: "Toggle items",
+      links: true,
+      settings: [],
+    },
+    teleport_avatar: {
+      kind: "effect",
+      name: "Teleport avatar to item",
+      links: true,
+      settings: [],
+    },
+    show_message: {
+      kind: "effect",
+      name: "Show message",
+      links: false,
+      settings: [
+        { key: "message", label: "Message", type: "text", maxLength: 100 },
+      ],
+    },
+    move_item: {
+      kind: "effect",
+      name: "Move items",
+      links: true,
+      settings: [
+        {
+          key: "direction",
+          label: "Direction",
+          type: "select",
+          options: ["random", "north", "east", "south", "west"],
+          default: "random",
+        },
+      ],
+    },
+  },
 };
 
 // Server-specific configuration
@@ -186,6 +370,173 @@ const SERVER_CONFIG = {
   // --- Multi-Room Settings ---
   INITIAL_ROOMS: ["main_lobby", "lounge"], // Room IDs to load/create on server startup
   DEFAULT_ROOM_ID: "main_lobby", // Room ID where new players initially spawn
+
+  // --- User Room Settings ---
+  DEFAULT_ROOM_MAX_USERS: 25, // Default occupancy limit for new rooms
+  MAX_ROOM_USERS_LIMIT: 50, // Highest occupancy an owner can configure
+  MAX_ROOMS_PER_USER: 5, // How many rooms a regular player may own
+  ROOM_LOCK_MODES: ["open", "doorbell", "password"],
+  DOORBELL_TIMEOUT_MS: 30000, // How long a visitor waits for someone to answer
+  ROOM_PASSWORD_ATTEMPT_COOLDOWN_MS: 2000, // Min time between password guesses per socket
+  MAX_ROOM_TAGS: 5, // Tags an owner can attach to a room (used by navigator search)
+  MIN_ROOM_SIZE: 5, // Smallest cols/rows for created or resized rooms
+  MAX_ROOM_SIZE: 50, // Largest cols/rows for created or resized rooms
+  MAX_CLONED_FURNITURE: 200, // Furniture copied when cloning a room with its items
+
+  // --- Layout Editor ---
+  LAYOUT_TILE_TYPES: [0, 1, 2, "X", "S"], // Floor, wall, alt floor, hole, stairs
+  MAX_LAYOUT_EDIT_OPS: 100, // Paint operations accepted in one batch
+  LAYOUT_HISTORY_LIMIT: 20, // Undo steps kept per room (in memory only)
+
+  // --- Navigator ---
+  NAVIGATOR_PAGE_SIZE: 15, // Rooms per navigator page
+  MAX_FAVORITE_ROOMS: 50, // Favorites kept per user
+  MAX_RECENT_ROOMS: 10, // "Recently visited" entries kept per user
+
+  // --- Wired ---
+  MAX_WIRED_LINKS: 10, // Furniture one wired item can link to
+  MAX_WIRED_EVENTS_PER_TICK: 20, // Caps trigger chains (e.g. teleport loops) per room tick
+  MAX_QUEUED_WIRED_EVENTS: 100, // Oldest events are dropped past this, so triggers stay timely
+
+  // --- Teleporters ---
+  TELEPORT_DELAY_MS: 1000, // Pad flash before an avatar jumps to the linked teleporter
+
+  // --- Item History ---
+  ITEM_HISTORY_LIMIT: 50, // Most recent history entries shown to admins in the info panel
+
+  // --- Currency Ledger ---
+  WALLET_HISTORY_LIMIT: 50, // Most recent entries in a player's wallet history (and console audits)
+
+  // --- Activity Rewards ---
+  // Paid by lib/activity_rewards.js: 'login' rewards on the first connect of each
+  // UTC day, 'online' rewards every intervalMs a player stays connected. dailyCap
+  // limits what one reward pays per UTC day (tracked in User.rewardsEarnedToday).
+  ACTIVITY_REWARDS: [
+    {
+      id: "daily_login",
+      type: "login",
+      currencyId: "gems",
+      amount: 1,
+      dailyCap: 1,
+      label: "Daily login bonus",
+    },
+    {
+      id: "online_coins",
+      type: "online",
+      currencyId: "coins",
+      amount: 5,
+      intervalMs: 10 * 60 * 1000,
+      dailyCap: 60,
+      label: "Time online",
+    },
+    {
+      id: "online_tokens",
+      type: "online",
+      currencyId: "tokens",
+      amount: 1,
+      intervalMs: 30 * 60 * 1000,
+      dailyCap: 4,
+      label: "Party time",
+    },
+  ],
+
+  // --- Shop ---
+  // Seeds the ShopPage/ShopOffer collections on first start (see lib/shop_catalog.js);
+  // after that the catalog lives in MongoDB and admins edit it at runtime.
+  // Pages with a parentId are sub-pages of that category.
+  DEFAULT_SHOP_PAGES: [
+    { pageId: "furniture", name: "Furniture", parentId: null },
+    { pageId: "seating", name: "Seating", parentId: "furniture" },
+    { pageId: "decor", name: "Decor", parentId: "furniture" },
+    { pageId: "lighting", name: "Lighting", parentId: "furniture" },
+    { pageId: "fun", name: "Fun & Games", parentId: "furniture" },
+    { pageId: "walls", name: "Wall Items", parentId: "furniture" },
+    { pageId: "decorations", name: "Room Styles", parentId: null },
+    { pageId: "wired", name: "Wired", parentId: null },
+    { pageId: "limited", name: "Limited Editions", parentId: null },
+  ],
+  // Single items ({ itemId, price }) or bundles ({ offerId, name, items, price }),
+  // priced in the primary currency unless they name a currencyId
+  DEFAULT_SHOP_CATALOG: [
+    { itemId: "chair_basic", price: 10, page: "seating" },
+    { itemId: "box_small", price: 5, page: "decor" },
+    { itemId: "rug_green", price: 15, page: "decor" },
+    { itemId: "light_simple", price: 20, page: "lighting" },
+    { itemId: "lamp_dimmer", price: 30, page: "lighting" },
+    { itemId: "gate_simple", price: 25, page: "fun" },
+    { itemId: "dice_basic", price: 15, page: "fun" },
+    { itemId: "fireplace_basic", price: 35, page: "decor" },
+    { itemId: "fan_desk", price: 20, page: "fun" },
+    { itemId: "teleporter_pad", price: 40, page: "fun" },
+    { itemId: "chair_comfy", price: 25, page: "seating" },
+    { itemId: "armchair_classic", price: 30, page: "seating" },
+    { itemId: "throne_royal", price: 150, page: "limited", featured: true },
+    { itemId: "sofa_double", price: 45, page: "seating", featured: true },
+    { itemId: "table_long", price: 35, page: "decor" },
+    { itemId: "poster_stars", price: 8, page: "walls" },
+    { itemId: "shelf_wall", price: 12, page: "walls" },
+    { itemId: "lamp_wall", price: 18, page: "walls" },
+    { itemId: "wallpaper_bricks", price: 30, page: "decorations" },
+    { itemId: "wallpaper_stripes", price: 30, page: "decorations" },
+    { itemId: "floor_wood", price: 30, page: "decorations" },
+    { itemId: "floor_checker", price: 35, page: "decorations" },
+    { itemId: "landscape_sunset", price: 40, page: "decorations" },
+    { itemId: "landscape_forest", price: 40, page: "decorations" },
+    { itemId: "wired_trigger_walk", price: 10, page: "wired" },
+    { itemId: "wired_trigger_use", price: 10, page: "wired" },
+    { itemId: "wired_trigger_chat", price: 10, page: "wired" },
+    { itemId: "wired_trigger_timer", price: 10, page: "wired" },
+    { itemId: "wired_condition_state", price: 10, page: "wired" },
+    { itemId: "wired_condition_on_item", price: 10, page: "wired" },
+    { itemId: "wired_effect_toggle", price: 10, page: "wired" },
+    { itemId: "wired_effect_teleport", price: 10, page: "wired" },
+    { itemId: "wired_effect_message", price: 10, page: "wired" },
+    { itemId: "wired_effect_move", price: 10, page: "wired" },
+    {
+      offerId: "bundle_wired_starter",
+      name: "Wired Starter Kit",
+      items: [
+        { definitionId: "wired_trigger_walk", quantity: 1 },
+        { definitionId: "wired_trigger_use", quantity: 1 },
+        { definitionId: "wired_effect_toggle", quantity: 2 },
+        { definitionId: "wired_effect_message", quantity: 1 },
+      ],
+      price: 40,
+      page: "wired",
+      featured: true,
+    },
+    {
+      offerId: "bundle_cozy_corner",
+      name: "Cozy Corner",
+      items: [
+        { definitionId: "sofa_double", quantity: 1 },
+        { definitionId: "rug_green", quantity: 1 },
+        { definitionId: "lamp_dimmer", quantity: 1 },
+      ],
+      price: 3,
+      currencyId: "gems",
+      page: "decor",
+      featured: true,
+    },
+    {
+      offerId: "fireplace_party",
+      itemId: "fireplace_basic",
+      price: 4,
+      currencyId: "tokens",
+      page: "fun",
+    },
+  ],
+  MAX_SHOP_OFFER_ITEMS: 20, // Total items (sum of quantities) in one bundle offer
+  MAX_CHECKOUT_LINES: 20, // Different offers in one cart checkout
+  MAX_CHECKOUT_ITEMS: 100, // Items (bundles counted by content) bought in one checkout
+
+  // --- Marketplace ---
+  MARKET_FEE_PERCENT: 5, // Share of each sale kept by the market (rounded down, paid by the seller)
+  MARKET_FEE_ACCOUNT_ID: "market_fees", // SystemAccount that collects the fees
+  MARKET_LISTING_DURATION_MS: 7 * 24 * 60 * 60 * 1000, // Unsold items go back to the seller after this
+  MARKET_MAX_LISTINGS: 20, // Active listings per player
+  MARKET_MAX_PRICE: 1000000, // Highest asking price, in any currency
+  MARKET_BROWSE_LIMIT: 100, // Newest listings sent to the browse view
 };
 
 if (typeof module !== "undefined" && module.exports) {
@@ -0,0 +1,64 @@
+"use strict";
+
+// --- Currencies ---
+// Lookups for the named currencies in SHARED_CONFIG.CURRENCIES. The primary
+// currency is stored in User.currency / avatar.currency; the others in
+// User.balances.
+
+const { SHARED_CONFIG } = require("./config");
+
+/**
+ * @param {string} currencyId
+ * @returns {object|null} The currency definition ({ id, name, short }), or null.
+ */
+function getCurrency(currencyId) {
+  return SHARED_CONFIG.CURRENCIES.find((c) => c.id === currencyId) || null;
+}
+
+/** @returns {boolean} True for the currency kept in User.currency. */
+function isPrimaryCurrency(currencyId) {
+  return currencyId === SHARED_CONFIG.PRIMARY_CURRENCY_ID;
+}
+
+/**
+ * @param {string} currencyId
+ * @returns {string} The User field holding its balance, for DB updates and filters.
+ */
+function getBalanceField(currencyId) {
+  return isPrimaryCurrency(currencyId) ? "currency" : `balances.${currencyId}`;
+}
+
+/**
+ * Reads one balance from a User document (lean or not).
+ * @param {object} user - Must include `currency` and `balances`.
+ * @param {string} currencyId
+ * @returns {number}
+ */
+function getUserBalance(user, currencyId) {
+  if (isPrimaryCurrency(currencyId)) return user.currency ?? 0;
+  const balances = user.balances;
+  const amount =
+    balances instanceof Map ? balances.get(currencyId) : balances?.[currencyId];
+  return amount ?? 0;
+}
+
+/**
+ * Formats an amount for players, e.g. "25 Coins".
+ * @param {number} amount
+ * @param {string} [currencyId] - Defaults to the primary currency.
+ * @returns {string}
+ */
+function formatCurrency(
+  amount,
+  currencyId = SHARED_CONFIG.PRIMARY_CURRENCY_ID
+) {
+  return `${amount} ${getCurrency(currencyId)?.short || currencyId}`;
+}
+
+module.exports = {
+  getCurrency,
+  isPrimaryCurrency,
+  getBalanceField,
+  getUserBalance,
+  formatCurrency,
+};
@@ -0,0 +1,234 @@
+"use strict";
+
+// --- Currency Ledger ---
+// Every credit and debit of a player's currencies is appended to the
+// CurrencyLedger collection with its source and the resulting balance, in the
+// same DB transaction that changes the User balance. Players see it as their
+// wallet history; admins use it to audit a user or check that the ledger sums
+// still match the balances players actually hold.
+
+const mongoose = require("mongoose");
+const { SHARED_CONFIG, SERVER_CONFIG } = require("./config");
+const CurrencyLedger = require("../models/currencyLedger");
+const User = require("../models/user");
+const { getBalanceField, getUserBalance } = require("./currencies");
+
+// Entries from before multiple currencies have no currencyId
+const CURRENCY_ID_EXPR = {
+  $ifNull: ["$currencyId", SHARED_CONFIG.PRIMARY_CURRENCY_ID],
+};
+
+/**
+ * Drops entries that are missing a user, source or a non-zero amount, and fills
+ * in the primary currency where none is given.
+ * @param {object|object[]} entries - CurrencyLedger fields.
+ * @returns {object[]}
+ */
+function validEntries(entries) {
+  return (Array.isArray(entries) ? entries : [entries])
+    .filter(
+      (e) =>
+        e &&
+        e.userId &&
+        e.source &&
+        Number.isFinite(e.amount) &&
+        e.amount !== 0 &&
+        Number.isFinite(e.balance)
+    )
+    .map((e) => ({
+      ...e,
+      currencyId: e.currencyId || SHARED_CONFIG.PRIMARY_CURRENCY_ID,
+    }));
+}
+
+/**
+ * Appends entries as part of a DB transaction; errors are thrown so the caller
+ * aborts the change being recorded.
+ * @param {object|object[]} entries - CurrencyLedger fields (userId, amount, balance, source, ...).
+ * @param {import('mongoose').ClientSession} session - The open transaction.
+ */
+async function appendLedgerEntries(entries, session) {
+  const list = validEntries(entries);
+  if (list.length === 0) return;
+  await CurrencyLedger.insertMany(list, { session });
+}
+
+/**
+ * Appends entries in the background for balances written some other way
+ * (the starting coins of a new User); errors are logged, not thrown.
+ * @param {object|object[]} entries - CurrencyLedger fields.
+ */
+function recordCurrencyChange(entries) {
+  const list = validEntries(entries);
+  if (list.length === 0) return;
+  CurrencyLedger.insertMany(list).catch((error) => {
+    console.error("Failed to record currency change:", error);
+  });
+}
+
+/**
+ * Adds `amount` (negative to take) to a user's balance and appends its ledger
+ * entry in one DB transaction. The entry's balance is read back from the
+ * updated User, so it matches even if other changes landed in between.
+ * @param {object} change - CurrencyLedger fields except balance (userId,
+ *   currencyId, amount, source, ...).
+ * @param {object} [guard] - More of the User to check and count in the same
+ *   write, e.g. the reward counter a payout is capped by.
+ * @param {object} [guard.filter] - Extra conditions the User must match.
+ * @param {object} [guard.inc] - Extra fields to $inc.
+ * @returns {Promise<number|null>} The new balance, or null if the user doesn't
+ *   exist, doesn't match the guard or can't cover a negative amount; nothing is
+ *   changed then.
+ */
+async function applyCurrencyChange(change, guard = {}) {
+  if (!change.userId) return null;
+  const currencyId = change.currencyId || SHARED_CONFIG.PRIMARY_CURRENCY_ID;
+  const field = getBalanceField(currencyId);
+  const filter = { ...guard.filter, _id: change.userId };
+  if (change.amount < 0) filter[field] = { $gte: -change.amount };
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    const updated = await User.findOneAndUpdate(
+      filter,
+      { $inc: { ...guard.inc, [field]: change.amount } },
+      { new: true, projection: { currency: 1, balances: 1 }, session }
+    ).lean();
+    if (!updated) {
+      await session.abortTransaction();
+      return null;
+    }
+    const balance = getUserBalance(updated, currencyId);
+    await appendLedgerEntries({ ...change, currencyId, balance }, session);
+    await session.commitTransaction();
+    return balance;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * @param {object} entry - A lean CurrencyLedger document.
+ * @returns {object} What the client's wallet history panel shows.
+ */
+function toWalletEntryDTO(entry) {
+  return {
+    currencyId: entry.currencyId || SHARED_CONFIG.PRIMARY_CURRENCY_ID,
+    amount: entry.amount,
+    balance: entry.balance,
+    source: entry.source,
+    description: entry.description,
+    at: entry.createdAt,
+  };
+}
+
+/**
+ * Loads a player's most recent wallet entries.
+ * @param {string} userId
+ * @param {number} [limit]
+ * @returns {Promise<object[]>} Newest first.
+ */
+async function getWalletHistory(
+  userId,
+  limit = SERVER_CONFIG.WALLET_HISTORY_LIMIT
+) {
+  const entries = await CurrencyLedger.find({ userId })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit)
+    .lean();
+  return entries.map(toWalletEntryDTO);
+}
+
+/**
+ * Loads a user's ledger for an admin audit.
+ * @param {string} userId
+ * @param {number} [limit] - How many of the newest entries to return.
+ * @returns {Promise<{entries: object[], count: number, totals: object}>}
+ *   Newest entries first (with reference), plus the count of all entries and
+ *   their sum per currency ({ currencyId: total }).
+ */
+async function auditUserLedger(
+  userId,
+  limit = SERVER_CONFIG.WALLET_HISTORY_LIMIT
+) {
+  const [entries, sums] = await Promise.all([
+    CurrencyLedger.find({ userId })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit)
+      .lean(),
+    CurrencyLedger.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+      {
+        $group: {
+          _id: CURRENCY_ID_EXPR,
+          total: { $sum: "$amount" },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+  const totals = {};
+  sums.forEach((s) => {
+    totals[s._id] = s.total;
+  });
+  return {
+    entries: entries.map((e) => ({
+      ...toWalletEntryDTO(e),
+      reference: e.reference,
+    })),
+    count: sums.reduce((sum, s) => sum + s.count, 0),
+    totals,
+  };
+}
+
+/**
+ * Compares every user's ledger sums with their balances, per currency.
+ * @returns {Promise<{checked: number, mismatches: object[]}>} Mismatches as
+ *   { userId, username, currencyId, ledger, balance }.
+ */
+async function checkLedgerBalances() {
+  const [users, sums] = await Promise.all([
+    User.find({}, { username: 1, currency: 1, balances: 1 }).lean(),
+    CurrencyLedger.aggregate([
+      {
+        $group: {
+          _id: { userId: "$userId", currencyId: CURRENCY_ID_EXPR },
+          total: { $sum: "$amount" },
+        },
+      },
+    ]),
+  ]);
+  const ledgerTotals = new Map(
+    sums.map((s) => [`${s._id.userId}:${s._id.currencyId}`, s.total])
+  );
+  const mismatches = [];
+  users.forEach((user) => {
+    const userId = String(user._id);
+    SHARED_CONFIG.CURRENCIES.forEach(({ id: currencyId }) => {
+      const balance = getUserBalance(user, currencyId);
+      const ledger = ledgerTotals.get(`${userId}:${currencyId}`) || 0;
+      if (ledger !== balance) {
+        mismatches.push({
+          userId,
+          username: user.username,
+          currencyId,
+          ledger,
+          balance,
+        });
+      }
+    });
+  });
+  return { checked: users.length, mismatches };
+}
+
+module.exports = {
+  appendLedgerEntries,
+  recordCurrencyChange,
+  applyCurrencyChange,
+  getWalletHistory,
+  auditUserLedger,
+  checkLedgerBalances,
+};
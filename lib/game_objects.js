@@ -1,7 +1,14 @@
 "use strict";
 
+const mongoose = require("mongoose"); // ObjectIds for new inventory items
 const { SHARED_CONFIG, SERVER_CONFIG } = require("./config");
-const { rotateDirection: rotateDirectionFunc } = require("./utils"); // Import directly
+const {
+  rotateDirection: rotateDirectionFunc,
+  getFootprintTiles,
+  getFurnitureStates,
+  getFurnitureLayers,
+  getRecolorPalette,
+} = require("./utils"); // Import directly
 
 // --- Base class for server-side game objects ---
 class ServerGameObject {
@@ -60,6 +67,12 @@ class ServerFurniture extends ServerGameObject {
    * @param {string | null} [ownerId=null] - The persistent User _id string of the owner, or null.
    * @param {string | null} [initialState=null] - Initial state ('on', 'off').
    * @param {string | null} [initialColorOverride=null] - Initial custom color hex.
+   * @param {object} [options={}] - Stored data only some furniture has.
+   * @param {'left' | 'right' | null} [options.wallSide=null] - Wall edge of tile (x, y) for wall items.
+   * @param {number} [options.wallOffset=0] - Slide along the wall edge, in tiles, for wall items.
+   * @param {{links?: Array, settings?: object} | null} [options.wired=null] - Stored links/settings for wired items.
+   * @param {string | null} [options.teleportLinkId=null] - DB ID of the partner teleporter, if linked.
+   * @param {number | null} [options.serial=null] - Copy number of a limited-edition item.
    */
   constructor(
     definitionId,
@@ -70,7 +83,14 @@ class ServerFurniture extends ServerGameObject {
     dbId, // Renamed from id, now mandatory DB _id string
     ownerId = null,
     initialState = null,
-    initialColorOverride = null
+    initialColorOverride = null,
+    {
+      wallSide = null,
+      wallOffset = 0,
+      wired = null,
+      teleportLinkId = null,
+      serial = null,
+    } = {}
   ) {
     // --- Keep rigorous constructor checks ---
     if (!SHARED_CONFIG?.FURNITURE_DEFINITIONS) {
@@ -104,13 +124,14 @@ class ServerFurniture extends ServerGameObject {
     this.name = definition.name;
     this.width = definition.width || 1;
     this.height = definition.height || 1;
-    this.isWalkable = definition.isWalkable || false;
+    this.isWalkable = definition.isWalkable || false; // Current value; states may override
     this.isFlat = definition.isFlat || false;
     this.stackable =
       definition.stackable !== undefined ? definition.stackable : !this.isFlat;
     this.stackHeight = definition.stackHeight ?? (this.isFlat ? 0 : 1.0);
     this.zOffset = definition.zOffset || 0;
     this.canRecolor = definition.canRecolor || false;
+    this.isWallItem = definition.wallMountable || false;
 
     // --- Interaction Properties ---
     this.canSit = definition.canSit || false;
@@ -119,18 +140,45 @@ class ServerFurniture extends ServerGameObject {
     this.sitHeightOffset = definition.sitHeightOffset || 0.1;
     this.canUse = definition.canUse || false;
     this.isToggle = definition.isToggle || false;
+    // States 'use' moves between, and how: 'cycle' (next in list) or 'random' (dice)
+    this.states = getFurnitureStates(definition);
+    this.stateMode = definition.stateMode === "random" ? "random" : "cycle";
+    this.baseIsWalkable = this.isWalkable;
+    this.baseSitHeightOffset = this.sitHeightOffset;
+
+    // --- Wired Properties ---
+    this.wiredType = SHARED_CONFIG.WIRED_TYPES?.[definition.wired]
+      ? definition.wired
+      : null;
 
     // --- Door Properties ---
     this.isDoor = definition.isDoor || false;
     this.targetRoomId = definition.targetRoomId || null;
     this.targetX = definition.targetX;
     this.targetY = definition.targetY;
+    this.isTeleporter = definition.isTeleporter || false;
 
     // --- Instance Properties ---
     this.rotation = rotateDirectionFunc(0, rotation);
     this.ownerId = ownerId; // User ObjectId string or null
     this.state = initialState ?? definition.defaultState ?? null;
+    if (this.states.length > 0 && !this.getStateDefinition()) {
+      // Stored state no longer exists in the definition; fall back to the first one
+      this.state = definition.defaultState ?? this.states[0].id;
+    }
+    this.applyStateProperties();
     this.colorOverride = initialColorOverride || null;
+    // Wall items hang on an edge of their tile instead of standing on it
+    this.wallSide = this.isWallItem ? wallSide || "left" : null;
+    this.wallOffset = this.isWallItem ? Number(wallOffset) || 0 : 0;
+    // Furniture DB ID strings this wired item watches/acts on, and its panel settings
+    this.wiredLinks = this.wiredType ? (wired?.links || []).map(String) : [];
+    this.wiredSettings = this.wiredType ? wired?.settings || {} : null;
+    // Partner teleporter (any room); cleared when either side is picked up
+    this.teleportLinkId =
+      this.isTeleporter && teleportLinkId ? String(teleportLinkId) : null;
+    // Limited editions: copy number out of definition.limited.supply
+    this.serial = Number.isInteger(serial) ? serial : null;
   }
 
   /**
@@ -149,6 +197,11 @@ class ServerFurniture extends ServerGameObject {
       dto.isDoor = true;
       dto.targetRoomId = this.targetRoomId;
     }
+    if (this.isTeleporter) dto.teleportLinked = !!this.teleportLinkId;
+    if (this.isWallItem) {
+      dto.wallSide = this.wallSide;
+      dto.wallOffset = this.wallOffset;
+    }
     dto.ownerId = this.ownerId ? String(this.ownerId) : null; // Explicitly convert to string or null
     return dto;
   }
@@ -174,34 +227,45 @@ class ServerFurniture extends ServerGameObject {
       ownerId: this.ownerId, // Store the User ObjectId string (or null)
       state: this.state,
       colorOverride: this.colorOverride,
+      wallSide: this.wallSide,
+      wallOffset: this.wallOffset,
+      wiredLinks: this.wiredLinks,
+      wiredSettings: this.wiredSettings,
+      teleportLinkId: this.teleportLinkId,
+      serial: this.serial,
     };
   }
 
   /**
-   * Calculates the grid tiles occupied by this furniture.
+   * Calculates the grid tiles occupied by this furniture. The footprint follows the
+   * rotation (width and height swap on quarter turns).
    * No config check needed here.
    */
   getOccupiedTiles() {
-    const tiles = [];
-    const startX = Math.round(this.x);
-    const startY = Math.round(this.y);
-    // Use instance properties (width, height) set in constructor
-    const halfW = Math.floor((this.width - 1) / 2);
-    const halfH = Math.floor((this.height - 1) / 2);
+    return getFootprintTiles(
+      this.x,
+      this.y,
+      this.width,
+      this.height,
+      this.rotation || 0
+    );
+  }
 
-    for (let dx = -halfW; dx < this.width - halfW; dx++) {
-      for (let dy = -halfH; dy < this.height - halfH; dy++) {
-        tiles.push({ x: startX + dx, y: startY + dy });
-      }
-    }
-    return tiles.length > 0 ? tiles : [{ x: startX, y: startY }];
+  /**
+   * Tiles avatars can sit on: every footprint tile of a seat is its own spot,
+   * so a 2-wide sofa seats two.
+   * @returns {Array<{x: number, y: number}>}
+   */
+  getSeatTiles() {
+    return this.canSit ? this.getOccupiedTiles() : [];
   }
 
   /**
    * Calculates the grid tile an avatar should stand on to interact.
    * No config check needed here - uses properties set in constructor.
+   * @param {{x: number, y: number}} [seat] - Seat tile to approach (defaults to the anchor tile).
    */
-  getInteractionTile() {
+  getInteractionTile(seat = null) {
     // Read directly from SHARED_CONFIG is fine, constructor guaranteed it exists
     const baseFacingDir = this.sitDir ?? SHARED_CONFIG.DIRECTION_SOUTH;
     const facingDir = rotateDirectionFunc(baseFacingDir, this.rotation);
@@ -218,17 +282,59 @@ class ServerFurniture extends ServerGameObject {
     if (interactionDir === 5 || interactionDir === 6 || interactionDir === 7)
       dx = -1;
 
-    return { x: Math.round(this.x) + dx, y: Math.round(this.y) + dy };
+    const fromX = seat ? seat.x : Math.round(this.x);
+    const fromY = seat ? seat.y : Math.round(this.y);
+    return { x: fromX + dx, y: fromY + dy };
+  }
+
+  /**
+   * Looks up a state entry from the definition.
+   * @param {string} [stateId] - Defaults to the current state.
+   * @returns {object | null}
+   */
+  getStateDefinition(stateId = this.state) {
+    return this.states.find((s) => s.id === stateId) || null;
+  }
+
+  /** Applies the current state's walkability and sit height over the definition's. */
+  applyStateProperties() {
+    const stateDef = this.getStateDefinition();
+    this.isWalkable = stateDef?.isWalkable ?? this.baseIsWalkable;
+    this.sitHeightOffset = stateDef?.sitHeightOffset ?? this.baseSitHeightOffset;
+  }
+
+  /**
+   * Checks whether switching from oldState made this item solid while an avatar stands
+   * in its footprint (avatars sitting on it don't count).
+   * @param {string|null} oldState - State before the switch.
+   * @param {ServerRoom} room - The room context.
+   * @returns {boolean}
+   */
+  isBlockedByAvatar(oldState, room) {
+    const wasWalkable =
+      this.getStateDefinition(oldState)?.isWalkable ?? this.baseIsWalkable;
+    if (!wasWalkable || this.isWalkable || this.isFlat) return false;
+    const footprint = this.getOccupiedTiles();
+    return Object.values(room.avatars).some(
+      (obj) =>
+        String(obj.sittingOnFurniId) !== String(this.id) &&
+        footprint.some(
+          (t) => t.x === Math.round(obj.x) && t.y === Math.round(obj.y)
+        )
+    );
   }
 
   /**
    * Handles the 'use' action. Updates in-memory state and returns changes for DB/broadcast.
+   * Items with states cycle to the next one, roll a random one ('random' stateMode),
+   * or jump to targetState when given.
    * Minimal config check reasonable for fetching the definition again.
    * @param {ServerAvatar} avatar - The initiating avatar.
    * @param {ServerRoom} room - The room context for Z calculation.
-   * @returns {{ changed: boolean, updatePayload: object | null }}
+   * @param {string} [targetState] - State to switch to (validated by the caller).
+   * @returns {{ changed: boolean, updatePayload: object | null, reason?: string }} reason is set when the switch was refused.
    */
-  use(avatar, room) {
+  use(avatar, room, targetState = null) {
     const result = { changed: false, updatePayload: null };
     // Check only necessary capabilities
     if (!this.canUse || this.isDoor) {
@@ -251,24 +357,42 @@ class ServerFurniture extends ServerGameObject {
     const oldState = this.state;
     const oldZ = this.z;
 
-    // Toggle state if applicable
-    if (this.isToggle) {
-      this.state = this.state === "on" ? "off" : "on";
-      if (this.state !== oldState) {
+    // Pick the next state
+    if (this.states.length > 1) {
+      if (targetState != null && this.getStateDefinition(targetState)) {
+        this.state = targetState;
+      } else if (this.stateMode === "random") {
+        const index = Math.floor(Math.random() * this.states.length);
+        this.state = this.states[index].id;
+      } else {
+        const index = this.states.findIndex((s) => s.id === this.state);
+        this.state = this.states[(index + 1) % this.states.length].id;
+      }
+      this.applyStateProperties();
+      // A state that blocks its tiles (e.g. a closing gate) can't shut on someone
+      if (this.isBlockedByAvatar(oldState, room)) {
+        this.state = oldState;
+        this.applyStateProperties();
+        result.reason = "Someone is in the way.";
+        return result;
+      }
+      // A re-roll landing on the same face still counts, so everyone sees the roll
+      if (this.state !== oldState || this.stateMode === "random") {
         result.changed = true;
         result.updatePayload = { state: this.state };
       }
     }
 
+    // Wall items keep their mount height; only floor items restack
+    if (this.isWallItem) return result;
+
     // Recalculate Z Position
-    const baseZ = room.getStackHeightAt(
-      Math.round(this.x),
-      Math.round(this.y),
+    const baseZ = room.getFootprintStackHeight(
+      this.getOccupiedTiles(),
       this.id
     );
     // Use the fetched definition here
-    const stateZOffset =
-      this.state === "on" && definition.id === "light_simple" ? 0.01 : 0;
+    const stateZOffset = this.getStateDefinition()?.zOffset || 0;
     const newZ = baseZ + (definition.zOffset || 0) + stateZOffset;
 
     if (Math.abs(this.z - newZ) > 0.001) {
@@ -283,44 +407,90 @@ class ServerFurniture extends ServerGameObject {
 
   /**
    * Changes the furniture's color override. Updates in-memory state and returns changes.
-   * Minimal config check reasonable here for VALID_RECOLOR_HEX.
-   * @param {string | null} hexColor - New hex color or null/"" to reset.
-   * @returns {{ changed: boolean, updatePayload: object | null }}
+   * A hex string tints the whole item (every tintable layer); a `{ layerId: hex }` map
+   * tints single layers and is merged over the current map (null/"" resets a layer).
+   * Colors must come from the definition's palette (see getRecolorPalette), falling
+   * back to SHARED_CONFIG.VALID_RECOLOR_HEX.
+   * @param {string | object | null} colors - Hex color, layer color map, or null/"" to reset.
+   * @returns {{ changed: boolean, updatePayload: object | null, reason?: string }}
    */
-  setColorOverride(hexColor) {
+  setColorOverride(colors) {
     const result = { changed: false, updatePayload: null };
-    if (!this.canRecolor) return result;
-
-    // Check config needed for validation exists (constructor guaranteed base SHARED_CONFIG)
-    if (!SHARED_CONFIG?.VALID_RECOLOR_HEX) {
-      console.error(
-        "SHARED_CONFIG.VALID_RECOLOR_HEX not available during ServerFurniture.setColorOverride()"
-      );
-      return result; // Return unchanged
+    if (!this.canRecolor) {
+      result.reason = "This item cannot be recolored.";
+      return result;
     }
-
-    const effectiveColor =
-      hexColor === null || hexColor === "" ? null : hexColor.toUpperCase();
-
-    if (
-      effectiveColor !== null &&
-      !SHARED_CONFIG.VALID_RECOLOR_HEX.includes(effectiveColor)
-    ) {
-      console.warn(
-        `Attempted to set invalid color ${effectiveColor} on ${this.name}`
+    const definition = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
+      (def) => def.id === this.definitionId
+    );
+    const fallback = SHARED_CONFIG.VALID_RECOLOR_HEX || [];
+
+    let next;
+    if (colors === null || colors === "") {
+      next = null;
+    } else if (typeof colors === "string") {
+      next = colors.toUpperCase();
+      if (!getRecolorPalette(definition, null, fallback).includes(next)) {
+        result.reason = `Invalid color: ${colors}`;
+        return result;
+      }
+    } else if (typeof colors === "object" && !Array.isArray(colors)) {
+      const tintable = getFurnitureLayers(definition).filter(
+        (l) => l.tint !== false
       );
-      return result; // Return unchanged
+      if (tintable.length === 0) {
+        result.reason = "This item has no parts to color separately.";
+        return result;
+      }
+      next =
+        this.colorOverride && typeof this.colorOverride === "object"
+          ? { ...this.colorOverride }
+          : {};
+      for (const [layerId, value] of Object.entries(colors)) {
+        if (!tintable.some((l) => l.id === layerId)) {
+          result.reason = `Unknown part: ${layerId}`;
+          return result;
+        }
+        if (value === null || value === "") {
+          delete next[layerId];
+          continue;
+        }
+        const hex = String(value).toUpperCase();
+        if (!getRecolorPalette(definition, layerId, fallback).includes(hex)) {
+          result.reason = `Invalid color for ${layerId}: ${value}`;
+          return result;
+        }
+        next[layerId] = hex;
+      }
+      if (Object.keys(next).length === 0) next = null;
+    } else {
+      result.reason = "Invalid color.";
+      return result;
     }
 
-    if (this.colorOverride === effectiveColor) return result; // No change
+    if (JSON.stringify(this.colorOverride) === JSON.stringify(next))
+      return result; // No change
 
-    this.colorOverride = effectiveColor;
+    this.colorOverride = next;
     result.changed = true;
     result.updatePayload = { colorOverride: this.colorOverride }; // Payload includes new value (could be null)
     return result;
   }
 } // End ServerFurniture Class
 
+/**
+ * Seat tile stored on a deferred 'sit' action; older actions without one use the anchor tile.
+ * @param {object} action - { type: 'sit', targetId, seatX?, seatY? }
+ * @param {ServerFurniture} [furni] - The seat furniture.
+ * @returns {{x: number, y: number}}
+ */
+function getActionSeat(action, furni) {
+  if (Number.isInteger(action?.seatX) && Number.isInteger(action?.seatY)) {
+    return { x: action.seatX, y: action.seatY };
+  }
+  return { x: Math.round(furni?.x ?? 0), y: Math.round(furni?.y ?? 0) };
+}
+
 // --- Represents player avatars on the server (uses runtime ID) ---
 class ServerAvatar extends ServerGameObject {
   /**
@@ -362,12 +532,24 @@ class ServerAvatar extends ServerGameObject {
 
     // --- Customization & Effects ---
     this.bodyColor = "#6CA0DC";
+    this.layerColors = {}; // Other SHARED_CONFIG.AVATAR_LAYERS parts -> hex (unset uses the layer default)
     this.emoteTimeout = null;
     this.currentEmoteId = null;
 
     // --- Inventory & Currency ---
-    this.inventory = new Map(); // definitionId -> quantity
+    // Item instances, keyed by ID: { id, definitionId, colorOverride, serial }. The ID is
+    // also the item's Furniture _id while placed, so it survives pickups and trades.
+    this.inventory = new Map();
     this.currency = SHARED_CONFIG.DEFAULT_CURRENCY; // Use config
+    this.balances = {}; // Non-primary currencies: currencyId -> amount
+    this.isCheckingOut = false; // Set while a shop purchase, trade or market change is written to the DB
+
+    // --- Activity Rewards (see lib/activity_rewards.js) ---
+    this.onlineRewardMs = {}; // rewardId -> time online not yet paid for
+
+    // --- Room Navigator ---
+    this.favoriteRooms = []; // Room IDs
+    this.recentRooms = []; // Room IDs, most recent first
   }
 
   /**
@@ -390,6 +572,7 @@ class ServerAvatar extends ServerGameObject {
         ? String(this.sittingOnFurniId)
         : null, // Send furniture DB ID string
       bodyColor: this.bodyColor,
+      layerColors: this.layerColors,
       isAdmin: this.isAdmin,
       ...emoteData,
     };
@@ -406,56 +589,134 @@ class ServerAvatar extends ServerGameObject {
       state: this.state,
       roomId: this.roomId,
       bodyColor: this.bodyColor,
+      layerColors: this.layerColors,
       currency: this.currency,
     };
   }
 
-  /** Adds an item (by definition ID) to the inventory. No config check needed. */
+  /** Replaces the inventory with saved User.inventory entries ({ _id, definitionId, colorOverride, serial }). */
+  loadInventory(entries) {
+    this.inventory = new Map();
+    (Array.isArray(entries) ? entries : []).forEach((entry) => {
+      if (entry?._id && entry.definitionId)
+        this.addItemInstance({ ...entry, id: String(entry._id) });
+    });
+  }
+
+  /**
+   * Adds new items (fresh instances) by definition ID. No config check needed.
+   * @returns {object[] | null} The created instances, or null if quantity is invalid.
+   */
   addItem(definitionId, quantity = 1) {
-    if (quantity <= 0) return false;
-    const currentQuantity = this.inventory.get(definitionId) || 0;
-    this.inventory.set(definitionId, currentQuantity + quantity);
+    if (quantity <= 0) return null;
+    const created = [];
+    for (let i = 0; i < quantity; i++) {
+      const item = {
+        id: new mongoose.Types.ObjectId().toString(),
+        definitionId,
+        colorOverride: null,
+        serial: null,
+      };
+      this.inventory.set(item.id, item);
+      created.push(item);
+    }
     console.log(
       `Inventory: Added ${quantity}x ${definitionId} to ${
         this.name
-      }. New total: ${this.inventory.get(definitionId)}`
+      }. New total: ${this.getItemInstancesOf(definitionId).length}`
     );
+    return created;
+  }
+
+  /** Puts an existing item instance (picked up, traded, refunded) into the inventory. */
+  addItemInstance(instance) {
+    if (!instance?.id || !instance.definitionId) return false;
+    const id = String(instance.id);
+    if (this.inventory.has(id)) return false;
+    this.inventory.set(id, {
+      id,
+      definitionId: instance.definitionId,
+      colorOverride: instance.colorOverride ?? null,
+      serial: instance.serial ?? null,
+    });
     return true;
   }
 
-  /** Removes an item (by definition ID) from the inventory. No config check needed. */
-  removeItem(definitionId, quantity = 1) {
-    if (quantity <= 0) return false;
-    const currentQuantity = this.inventory.get(definitionId) || 0;
-    if (currentQuantity < quantity) {
+  /** Looks up an item instance by ID. */
+  getItemInstance(instanceId) {
+    return this.inventory.get(String(instanceId)) || null;
+  }
+
+  /** Lists the instances of one definition, oldest first. */
+  getItemInstancesOf(definitionId) {
+    return [...this.inventory.values()].filter(
+      (item) => item.definitionId === definitionId
+    );
+  }
+
+  /** Removes one item instance by ID. Returns the removed instance, or null. */
+  removeItemInstance(instanceId) {
+    const item = this.getItemInstance(instanceId);
+    if (!item) {
       console.log(
-        `Inventory: Failed to remove ${quantity}x ${definitionId} from ${this.name}. Only have ${currentQuantity}`
+        `Inventory: Failed to remove item ${instanceId} from ${this.name}. Not owned.`
       );
-      return false; // Not enough items
+      return null;
     }
-    const newQuantity = currentQuantity - quantity;
-    if (newQuantity === 0) {
-      this.inventory.delete(definitionId);
-      console.log(
-        `Inventory: Removed last ${quantity}x ${definitionId} from ${this.name}.`
-      );
-    } else {
-      this.inventory.set(definitionId, newQuantity);
+    this.inventory.delete(item.id);
+    return item;
+  }
+
+  /**
+   * Removes any `quantity` items of a definition (oldest first). No config check needed.
+   * @returns {object[] | null} The removed instances, or null if there aren't enough.
+   */
+  removeItem(definitionId, quantity = 1) {
+    if (quantity <= 0) return null;
+    const owned = this.getItemInstancesOf(definitionId);
+    if (owned.length < quantity) {
       console.log(
-        `Inventory: Removed ${quantity}x ${definitionId} from ${this.name}. New total: ${newQuantity}`
+        `Inventory: Failed to remove ${quantity}x ${definitionId} from ${this.name}. Only have ${owned.length}`
       );
+      return null; // Not enough items
     }
-    return true;
+    const removed = owned.slice(0, quantity);
+    removed.forEach((item) => this.inventory.delete(item.id));
+    console.log(
+      `Inventory: Removed ${quantity}x ${definitionId} from ${this.name}. New total: ${
+        owned.length - quantity
+      }`
+    );
+    return removed;
   }
 
-  /** Checks if the avatar has a specific item in inventory. No config check needed. */
+  /** Checks if the avatar has at least `quantity` items of a definition. No config check needed. */
   hasItem(definitionId, quantity = 1) {
-    return (this.inventory.get(definitionId) || 0) >= quantity;
+    return this.getItemInstancesOf(definitionId).length >= quantity;
   }
 
-  /** Gets a DTO representation of the inventory for sending to the client. No config check needed. */
+  /** Gets a DTO representation of the inventory (array of instances) for the client. */
   getInventoryDTO() {
-    return Object.fromEntries(this.inventory.entries());
+    return [...this.inventory.values()].map((item) => ({ ...item }));
+  }
+
+  /** Gets the inventory in the User.inventory schema shape for saving. */
+  getInventorySaveData() {
+    return [...this.inventory.values()].map((item) => ({
+      _id: item.id,
+      definitionId: item.definitionId,
+      colorOverride: item.colorOverride,
+      serial: item.serial,
+    }));
+  }
+
+  /** Moves a room to the front of the recently visited list, trimming old entries. */
+  recordRoomVisit(roomId) {
+    if (!roomId) return;
+    this.recentRooms = [
+      roomId,
+      ...this.recentRooms.filter((id) => id !== roomId),
+    ].slice(0, SERVER_CONFIG.MAX_RECENT_ROOMS);
   }
 
   /**
@@ -490,6 +751,9 @@ class ServerAvatar extends ServerGameObject {
       // Reached Waypoint
       this.x = targetStep.x;
       this.y = targetStep.y;
+      this.z =
+        room.getFloorZ(targetStep.x, targetStep.y) +
+        SHARED_CONFIG.AVATAR_DEFAULT_Z;
       this.path.shift();
       positionChanged = true;
 
@@ -506,8 +770,13 @@ class ServerAvatar extends ServerGameObject {
           if (action.type === "sit") {
             // Use the DB ID (string) stored in action.targetId for lookup
             const furni = room.getFurnitureById(action.targetId);
-            if (furni && furni.canSit && !room.isFurnitureOccupied(furni.id)) {
-              if (this.executeSit(furni, room)) {
+            const seat = getActionSeat(action, furni);
+            if (
+              furni &&
+              furni.canSit &&
+              !room.isSeatOccupied(furni.id, seat.x, seat.y)
+            ) {
+              if (this.executeSit(furni, room, seat)) {
                 // executeSit handles setting state
                 stateOrDirectionChanged = true;
               } else {
@@ -531,6 +800,8 @@ class ServerAvatar extends ServerGameObject {
               );
               this.state = SHARED_CONFIG.AVATAR_STATE_IDLE;
             }
+          } else if (action.type === "teleport") {
+            this.executeTeleport(action, room); // Avatar waits on the pad
           } else {
             this.state = SHARED_CONFIG.AVATAR_STATE_IDLE;
           }
@@ -554,6 +825,14 @@ class ServerAvatar extends ServerGameObject {
       // Moving Towards Waypoint
       this.x += (dx / distance) * moveAmount;
       this.y += (dy / distance) * moveAmount;
+      // Blend Z between the floor heights of the tile being left and the waypoint
+      const fromZ = room.getFloorZ(
+        targetStep.x - Math.sign(dx),
+        targetStep.y - Math.sign(dy)
+      );
+      const toZ = room.getFloorZ(targetStep.x, targetStep.y);
+      const remaining = Math.min(1, distance - moveAmount);
+      this.z = toZ + (fromZ - toZ) * remaining + SHARED_CONFIG.AVATAR_DEFAULT_Z;
       positionChanged = true;
       if (this.updateDirection(dx, dy)) {
         stateOrDirectionChanged = true;
@@ -644,8 +923,13 @@ class ServerAvatar extends ServerGameObject {
         this.actionAfterPath = deferredAction; // Temporarily set to execute now
         if (this.actionAfterPath.type === "sit") {
           const furni = room.getFurnitureById(this.actionAfterPath.targetId); // Use DB ID
-          if (furni && furni.canSit && !room.isFurnitureOccupied(furni.id)) {
-            if (this.executeSit(furni, room)) stateChangedByAction = true;
+          const seat = getActionSeat(this.actionAfterPath, furni);
+          if (
+            furni &&
+            furni.canSit &&
+            !room.isSeatOccupied(furni.id, seat.x, seat.y)
+          ) {
+            if (this.executeSit(furni, room, seat)) stateChangedByAction = true;
           }
         } else if (this.actionAfterPath.type === "door") {
           const action = this.actionAfterPath;
@@ -664,6 +948,9 @@ class ServerAvatar extends ServerGameObject {
               this.actionAfterPath
             );
           }
+        } else if (this.actionAfterPath.type === "teleport") {
+          if (this.executeTeleport(this.actionAfterPath, room))
+            stateChangedByAction = true;
         }
         // Clear action if executed or if not handled immediately
         if (this.actionAfterPath?.type !== "door") {
@@ -712,8 +999,14 @@ class ServerAvatar extends ServerGameObject {
           if (this.actionAfterPath.type === "sit") {
             /* ... try sit ... */
             const furni = room.getFurnitureById(this.actionAfterPath.targetId);
-            if (furni && furni.canSit && !room.isFurnitureOccupied(furni.id)) {
-              if (this.executeSit(furni, room)) stateChangedByAction = true;
+            const seat = getActionSeat(this.actionAfterPath, furni);
+            if (
+              furni &&
+              furni.canSit &&
+              !room.isSeatOccupied(furni.id, seat.x, seat.y)
+            ) {
+              if (this.executeSit(furni, room, seat))
+                stateChangedByAction = true;
             }
           } else if (this.actionAfterPath.type === "door") {
             /* ... trigger door if possible ... */
@@ -726,6 +1019,9 @@ class ServerAvatar extends ServerGameObject {
               });
               return true;
             }
+          } else if (this.actionAfterPath.type === "teleport") {
+            if (this.executeTeleport(this.actionAfterPath, room))
+              stateChangedByAction = true;
           }
           if (this.actionAfterPath?.type !== "door")
             this.actionAfterPath = null;
@@ -753,12 +1049,34 @@ class ServerAvatar extends ServerGameObject {
     }
   }
 
+  /**
+   * Hands a teleporter deferred action back to its caller once the avatar stands on the pad.
+   * @param {{targetId: string, onArrive: Function}} action - Teleport action; onArrive(avatar, furni) starts the jump.
+   * @param {ServerRoom} room - Room containing the teleporter.
+   * @returns {boolean} True if the teleporter was found and the jump started.
+   */
+  executeTeleport(action, room) {
+    const furni = room.getFurnitureById(action.targetId);
+    if (
+      !furni ||
+      !furni.isTeleporter ||
+      Math.round(this.x) !== furni.x ||
+      Math.round(this.y) !== furni.y ||
+      typeof action.onArrive !== "function"
+    ) {
+      return false;
+    }
+    action.onArrive(this, furni);
+    return true;
+  }
+
   /**
    * Executes the sit action on a given piece of furniture.
    * Uses furniture's persistent DB ID (_id string).
    * No config check needed - uses constants and args.
+   * @param {{x: number, y: number}} [seat] - Footprint tile to sit on (defaults to the anchor tile).
    */
-  executeSit(furniture, room) {
+  executeSit(furniture, room, seat = null) {
     // Accessing SHARED_CONFIG constants is safe
     if (
       this.state === SHARED_CONFIG.AVATAR_STATE_SITTING ||
@@ -774,8 +1092,8 @@ class ServerAvatar extends ServerGameObject {
     this.path = [];
     this.actionAfterPath = null;
     this.z = furniture.z + furniture.sitHeightOffset;
-    this.x = furniture.x;
-    this.y = furniture.y;
+    this.x = seat ? seat.x : furniture.x;
+    this.y = seat ? seat.y : furniture.y;
     this.direction = rotateDirectionFunc(furniture.sitDir, furniture.rotation);
     this.sittingOnFurniId = String(furniture.id); // Store the DB _id STRING
 
@@ -795,6 +1113,9 @@ class ServerAvatar extends ServerGameObject {
     const oldState = this.state;
     const oldFurniId = this.sittingOnFurniId; // This is the DB ID string
     const furni = room?.getFurnitureById(oldFurniId); // Lookup by DB ID
+    // Stand up next to the seat we were on (multi-tile furniture has several)
+    const seatX = Math.round(this.x);
+    const seatY = Math.round(this.y);
 
     // Reset avatar state regardless
     this.state = SHARED_CONFIG.AVATAR_STATE_IDLE;
@@ -814,12 +1135,9 @@ class ServerAvatar extends ServerGameObject {
         { dx: -1, dy: -1 },
         { dx: 1, dy: -1 },
       ];
-      const currentFurniX = Math.round(furni.x);
-      const currentFurniY = Math.round(furni.y);
-
       for (const offset of standOffsets) {
-        const standX = currentFurniX + offset.dx;
-        const standY = currentFurniY + offset.dy;
+        const standX = seatX + offset.dx;
+        const standY = seatY + offset.dy;
         if (room.isWalkable(standX, standY)) {
           this.x = standX;
           this.y = standY;
@@ -839,6 +1157,10 @@ class ServerAvatar extends ServerGameObject {
         `${this.name} stood up but original furniture (ID: ${oldFurniId}) not found. Avatar remains at (${this.x}, ${this.y}).`
       );
     }
+    if (room) {
+      // Stand on the floor height of wherever we ended up
+      this.z = room.getFloorZ(this.x, this.y) + SHARED_CONFIG.AVATAR_DEFAULT_Z;
+    }
     return true; // State always changes from sitting to idle
   }
 
@@ -922,6 +1244,82 @@ class ServerAvatar extends ServerGameObject {
     return true;
   }
 
+  /**
+   * Sets colors for several avatar layers at once (see SHARED_CONFIG.AVATAR_LAYERS).
+   * 'body' maps to bodyColor. Layers with a palette only accept its colors; the rest
+   * take any #RRGGBB. Nothing changes if any entry is invalid.
+   * @param {object} colors - Map of layer ID -> hex color.
+   * @returns {{ changed: boolean, reason?: string }}
+   */
+  setLayerColors(colors) {
+    const layers = SHARED_CONFIG.AVATAR_LAYERS || {};
+    const updates = {};
+    for (const [layerId, value] of Object.entries(colors || {})) {
+      if (!Object.prototype.hasOwnProperty.call(layers, layerId))
+        return { changed: false, reason: `Unknown part: ${layerId}` };
+      const layer = layers[layerId];
+      const hex = String(value).toUpperCase();
+      if (
+        !/^#[0-9A-F]{6}$/.test(hex) ||
+        (layer.palette && !layer.palette.includes(hex))
+      ) {
+        return {
+          changed: false,
+          reason: `Invalid color for ${layerId}: ${value}`,
+        };
+      }
+      updates[layerId] = hex;
+    }
+
+    let changed = false;
+    for (const [layerId, hex] of Object.entries(updates)) {
+      if (layerId === "body") {
+        if (this.setBodyColor(hex)) changed = true;
+      } else if (this.layerColors[layerId] !== hex) {
+        this.layerColors = { ...this.layerColors, [layerId]: hex };
+        changed = true;
+      }
+    }
+    return { changed };
+  }
+
+  /** Balance in any configured currency (the primary one is `this.currency`). */
+  getBalance(currencyId) {
+    if (currencyId === SHARED_CONFIG.PRIMARY_CURRENCY_ID) return this.currency;
+    return this.balances[currencyId] || 0;
+  }
+
+  /** Adds (or with a negative amount, removes) currency without checks; callers validate. */
+  changeBalance(currencyId, amount) {
+    if (currencyId === SHARED_CONFIG.PRIMARY_CURRENCY_ID) {
+      this.currency += amount;
+    } else {
+      this.balances = {
+        ...this.balances,
+        [currencyId]: this.getBalance(currencyId) + amount,
+      };
+    }
+  }
+
+  /** Replaces the non-primary balances with saved User.balances (unknown currencies are dropped). */
+  loadBalances(saved) {
+    this.balances = {};
+    SHARED_CONFIG.CURRENCIES.forEach(({ id }) => {
+      const amount = saved?.[id];
+      if (id !== SHARED_CONFIG.PRIMARY_CURRENCY_ID && Number.isFinite(amount))
+        this.balances[id] = amount;
+    });
+  }
+
+  /** Payload of the 'currency_update' event: the primary amount plus every balance. */
+  getCurrencyDTO() {
+    const balances = {};
+    SHARED_CONFIG.CURRENCIES.forEach(({ id }) => {
+      balances[id] = this.getBalance(id);
+    });
+    return { currency: this.currency, balances };
+  }
+
   /** Adds currency to the avatar. No config check needed. */
   addCurrency(amount) {
     const amountInt = Math.floor(amount);
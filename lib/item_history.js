@@ -0,0 +1,50 @@
+"use strict";
+
+// --- Item History ---
+// Audit trail of furniture ownership: buys, trades, placements and pickups are
+// appended to the ItemHistory collection and shown to admins in the furni info
+// panel. Writes never block or fail the action being recorded.
+
+const { SERVER_CONFIG } = require("./config");
+const ItemHistory = require("../models/itemHistory");
+
+/**
+ * Appends history entries in the background; errors are logged, not thrown.
+ * @param {object|object[]} entries - ItemHistory fields (definitionId, action, userId, ...).
+ */
+function recordItemHistory(entries) {
+  const list = (Array.isArray(entries) ? entries : [entries]).filter(
+    (e) => e && e.definitionId && e.action
+  );
+  if (list.length === 0) return;
+  ItemHistory.insertMany(list, { ordered: false }).catch((error) => {
+    console.error("Failed to record item history:", error);
+  });
+}
+
+/**
+ * Loads the history of one item instance (every buy, trade, placement and pickup).
+ * @param {string} itemId - Item instance ID (the Furniture _id while placed).
+ * @returns {Promise<object[]>} Newest first, at most ITEM_HISTORY_LIMIT entries.
+ */
+async function getItemHistory(itemId) {
+  const entries = await ItemHistory.find({ itemId })
+    .sort({ createdAt: -1 })
+    .limit(SERVER_CONFIG.ITEM_HISTORY_LIMIT)
+    .lean();
+  return entries.map((e) => ({
+    action: e.action,
+    quantity: e.quantity,
+    username: e.username,
+    otherUsername: e.otherUsername,
+    roomId: e.roomId,
+    x: e.x,
+    y: e.y,
+    at: e.createdAt,
+  }));
+}
+
+module.exports = {
+  recordItemHistory,
+  getItemHistory,
+};
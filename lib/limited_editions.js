@@ -0,0 +1,169 @@
+"use strict";
+
+// --- Limited Editions ---
+// Furniture definitions with a `limited` block ({ supply, saleStart, saleEnd })
+// are sold in a fixed number of copies. Each copy gets a serial number (1..supply)
+// claimed from an atomic counter in the LimitedEdition collection, so two servers
+// or two buyers can never get the same serial or oversell the supply.
+
+const { SHARED_CONFIG } = require("./config");
+const LimitedEdition = require("../models/limitedEdition");
+const Furniture = require("../models/furniture");
+const MarketListing = require("../models/marketListing");
+const User = require("../models/user");
+
+/**
+ * Finds the definitions that are limited editions.
+ * @returns {object[]} Furniture definitions with a valid `limited.supply`.
+ */
+function getLimitedDefinitions() {
+  return SHARED_CONFIG.FURNITURE_DEFINITIONS.filter((d) => isLimited(d));
+}
+
+/**
+ * @param {object} definition - Furniture definition.
+ * @returns {boolean} True if the definition has a supply cap.
+ */
+function isLimited(definition) {
+  return (
+    Number.isInteger(definition?.limited?.supply) &&
+    definition.limited.supply > 0
+  );
+}
+
+/**
+ * Checks a limited definition's sale window.
+ * @param {object} definition - Furniture definition with a `limited` block.
+ * @param {Date} [now]
+ * @returns {string|null} Reason the item can't be bought right now, or null.
+ */
+function getSaleWindowError(definition, now = new Date()) {
+  const { saleStart, saleEnd } = definition.limited;
+  if (saleStart && now < new Date(saleStart)) {
+    return `${definition.name} goes on sale ${new Date(saleStart).toUTCString()}.`;
+  }
+  if (saleEnd && now > new Date(saleEnd)) {
+    return `The sale of ${definition.name} has ended.`;
+  }
+  return null;
+}
+
+/**
+ * Claims the next serial number for a limited definition.
+ * @param {object} definition - Furniture definition with a `limited` block.
+ * @returns {Promise<number|null>} The serial (1-based), or null if sold out.
+ */
+async function claimSerial(definition) {
+  // Make sure the counter exists; a duplicate key here just means another
+  // buyer created it first.
+  await LimitedEdition.updateOne(
+    { definitionId: definition.id },
+    { $setOnInsert: { sold: 0 } },
+    { upsert: true }
+  ).catch((error) => {
+    if (error.code !== 11000) throw error;
+  });
+  const counter = await LimitedEdition.findOneAndUpdate(
+    { definitionId: definition.id, sold: { $lt: definition.limited.supply } },
+    { $inc: { sold: 1 } },
+    { new: true }
+  ).lean();
+  return counter ? counter.sold : null;
+}
+
+/**
+ * Gives back a serial claimed by a purchase that then failed. Only the most
+ * recent serial can be returned; otherwise the copy stays counted as sold.
+ * @param {string} definitionId
+ * @param {number} serial
+ * @returns {Promise<boolean>} True if the serial was released.
+ */
+async function releaseSerial(definitionId, serial) {
+  const result = await LimitedEdition.updateOne(
+    { definitionId, sold: serial },
+    { $inc: { sold: -1 } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Builds the stock info sent to clients for limited shop items.
+ * @param {string[]} [definitionIds] - Only these definitions (default: all limited).
+ * @returns {Promise<object>} Map of definitionId -> { supply, sold, remaining, saleStart, saleEnd }.
+ */
+async function getLimitedStock(definitionIds = null) {
+  const definitions = getLimitedDefinitions().filter(
+    (d) => !definitionIds || definitionIds.includes(d.id)
+  );
+  if (definitions.length === 0) return {};
+  const counters = await LimitedEdition.find({
+    definitionId: { $in: definitions.map((d) => d.id) },
+  }).lean();
+  const soldById = new Map(counters.map((c) => [c.definitionId, c.sold]));
+  const stock = {};
+  for (const definition of definitions) {
+    const { supply, saleStart = null, saleEnd = null } = definition.limited;
+    const sold = Math.min(soldById.get(definition.id) || 0, supply);
+    stock[definition.id] = {
+      supply,
+      sold,
+      remaining: supply - sold,
+      saleStart,
+      saleEnd,
+    };
+  }
+  return stock;
+}
+
+/**
+ * Checks limited-edition copies brought in from another server (room imports).
+ * A copy is only accepted if this server already issued its serial, so the
+ * shop never sells it again, and nothing here holds the same serial: placed
+ * furniture, saved or live inventories, or a market listing in escrow.
+ * @param {Array<{definitionId: string, serial: number|null}>} copies
+ * @param {object[]} [liveItems] - Item instances in online players' inventories.
+ * @returns {Promise<string[]>} Labels ("Name #serial") of copies that can't be accepted.
+ */
+async function findUnavailableSerials(copies, liveItems = []) {
+  const unavailable = [];
+  const seen = new Set();
+  for (const { definitionId, serial } of copies) {
+    const definition = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
+      (d) => d.id === definitionId
+    );
+    if (!isLimited(definition)) continue;
+    if (!Number.isInteger(serial) || serial < 1) {
+      unavailable.push(`${definition.name} (no serial)`);
+      continue;
+    }
+    const key = `${definitionId}#${serial}`;
+    const counter = await LimitedEdition.findOne({ definitionId }).lean();
+    const isHeld =
+      seen.has(key) ||
+      serial > (counter?.sold || 0) ||
+      liveItems.some(
+        (item) => item.definitionId === definitionId && item.serial === serial
+      ) ||
+      (await Furniture.exists({ definitionId, serial })) ||
+      (await User.exists({
+        inventory: { $elemMatch: { definitionId, serial } },
+      })) ||
+      (await MarketListing.exists({
+        "item.definitionId": definitionId,
+        "item.serial": serial,
+        status: "active",
+      }));
+    seen.add(key);
+    if (isHeld) unavailable.push(`${definition.name} #${serial}`);
+  }
+  return unavailable;
+}
+
+module.exports = {
+  isLimited,
+  getSaleWindowError,
+  claimSerial,
+  releaseSerial,
+  getLimitedStock,
+  findUnavailableSerials,
+};
@@ -0,0 +1,464 @@
+"use strict";
+
+// --- Marketplace ---
+// Players list inventory items for a price in any currency. A listed item is
+// held in escrow on its MarketListing until someone buys it, the seller cancels
+// or the listing expires, so buyers never need the seller to be online. Sellers
+// are settled on their next login (or right away if they are online): sale
+// proceeds minus the market fee are credited and expired items come back. Fees
+// are collected on a SystemAccount that nobody can spend from.
+//
+// Functions take the player as { userId, name } and write their side of the
+// change to the DB as deltas ($pull/$push on the inventory, $inc on balances)
+// together with the listing change, then return what the caller must mirror in
+// memory once the transaction has committed.
+
+const mongoose = require("mongoose");
+const { SHARED_CONFIG, SERVER_CONFIG } = require("./config");
+const MarketListing = require("../models/marketListing");
+const SystemAccount = require("../models/systemAccount");
+const User = require("../models/user");
+const { appendLedgerEntries } = require("./currency_ledger");
+const {
+  getCurrency,
+  getBalanceField,
+  getUserBalance,
+  formatCurrency,
+} = require("./currencies");
+
+// Thrown for problems the player caused; anything else is a server error
+class MarketError extends Error {}
+
+/**
+ * Runs `work(session)` in a DB transaction. Server errors are logged and
+ * replaced by a generic message so the caller can show every error to players.
+ * @param {Function} work - async (session) => result.
+ * @returns {Promise<any>} What `work` returned.
+ */
+async function withTransaction(work) {
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    const result = await work(session);
+    await session.commitTransaction();
+    return result;
+  } catch (error) {
+    await session.abortTransaction();
+    if (error instanceof MarketError) throw error;
+    console.error("Marketplace transaction failed:", error);
+    throw new Error("Marketplace error; nothing was changed.");
+  } finally {
+    await session.endSession();
+  }
+}
+
+/** @returns {number} The fee kept from a sale at this price. */
+function getMarketFee(price) {
+  return Math.floor((price * SERVER_CONFIG.MARKET_FEE_PERCENT) / 100);
+}
+
+/** @returns {object} A User.inventory entry as an in-memory item instance. */
+function toItemInstance(entry) {
+  return {
+    id: String(entry._id),
+    definitionId: entry.definitionId,
+    colorOverride: entry.colorOverride ?? null,
+    serial: entry.serial ?? null,
+  };
+}
+
+/**
+ * @param {object} listing - A lean MarketListing document.
+ * @param {string} [viewerId] - User ID of the player the DTO is for.
+ * @returns {object} What the client's market panel shows.
+ */
+function toListingDTO(listing, viewerId = null) {
+  return {
+    id: String(listing._id),
+    item: toItemInstance(listing.item),
+    price: listing.price,
+    currencyId: listing.currencyId,
+    fee: listing.fee,
+    sellerName: listing.sellerName,
+    isMine: viewerId != null && String(listing.sellerId) === String(viewerId),
+    status: listing.status,
+    buyerName: listing.buyerName,
+    expiresAt: listing.expiresAt,
+    soldAt: listing.soldAt,
+  };
+}
+
+/**
+ * Puts an inventory item up for sale; the item leaves the seller's inventory.
+ * @param {object} seller - { userId, name }.
+ * @param {object} item - The in-memory item instance to sell.
+ * @param {number} price - Whole asking price.
+ * @param {string} currencyId - SHARED_CONFIG.CURRENCIES id.
+ * @returns {Promise<object>} The listing DTO.
+ * @throws {Error} With a user-facing message if the item can't be listed.
+ */
+async function createListing(seller, item, price, currencyId) {
+  if (
+    !Number.isInteger(price) ||
+    price < 1 ||
+    price > SERVER_CONFIG.MARKET_MAX_PRICE
+  ) {
+    throw new MarketError(
+      `Price must be a whole number from 1 to ${SERVER_CONFIG.MARKET_MAX_PRICE}.`
+    );
+  }
+  if (!getCurrency(currencyId)) throw new MarketError("Unknown currency.");
+  if (!item) throw new MarketError("You don't have that item.");
+  const definition = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
+    (def) => def.id === item.definitionId
+  );
+  if (!definition) throw new MarketError("That item can't be sold.");
+  const entry = {
+    _id: item.id,
+    definitionId: item.definitionId,
+    colorOverride: item.colorOverride ?? null,
+    serial: item.serial ?? null,
+  };
+
+  const now = new Date();
+  const activeCount = await MarketListing.countDocuments({
+    sellerId: seller.userId,
+    status: "active",
+    expiresAt: { $gt: now },
+  });
+  if (activeCount >= SERVER_CONFIG.MARKET_MAX_LISTINGS) {
+    throw new MarketError(
+      `You can have at most ${SERVER_CONFIG.MARKET_MAX_LISTINGS} items on the market.`
+    );
+  }
+
+  const listing = await withTransaction(async (session) => {
+    // Items picked up this session are only saved on logout, so may be missing
+    const result = await User.updateOne(
+      { _id: seller.userId },
+      { $pull: { inventory: { _id: entry._id } } },
+      { session }
+    );
+    if (result.matchedCount !== 1) {
+      throw new Error(`User ${seller.userId} not found.`);
+    }
+    const [created] = await MarketListing.create(
+      [
+        {
+          sellerId: seller.userId,
+          sellerName: seller.name,
+          item: entry,
+          price,
+          currencyId,
+          fee: getMarketFee(price),
+          expiresAt: new Date(
+            now.getTime() + SERVER_CONFIG.MARKET_LISTING_DURATION_MS
+          ),
+        },
+      ],
+      { session }
+    );
+    return created.toObject();
+  });
+  return toListingDTO(listing, seller.userId);
+}
+
+/**
+ * Takes an unsold listing off the market; the item goes back to the seller.
+ * Works on expired listings too, before they are settled.
+ * @param {object} seller - { userId }.
+ * @param {string} listingId
+ * @returns {Promise<{listing: object, item: object}>} The listing DTO and the returned item instance.
+ * @throws {Error} With a user-facing message if the listing can't be cancelled.
+ */
+async function cancelListing(seller, listingId) {
+  if (!mongoose.isValidObjectId(listingId)) {
+    throw new MarketError("Listing not found.");
+  }
+  const listing = await withTransaction(async (session) => {
+    const cancelled = await MarketListing.findOneAndUpdate(
+      { _id: listingId, sellerId: seller.userId, status: "active" },
+      { $set: { status: "cancelled", settled: true } },
+      { new: true, session }
+    ).lean();
+    if (!cancelled) {
+      throw new MarketError("That listing is no longer for sale.");
+    }
+    await User.updateOne(
+      { _id: seller.userId },
+      { $push: { inventory: cancelled.item } },
+      { session }
+    );
+    return cancelled;
+  });
+  return {
+    listing: toListingDTO(listing, seller.userId),
+    item: toItemInstance(listing.item),
+  };
+}
+
+/**
+ * Buys a listing: the buyer pays the full price and gets the item; the seller's
+ * share waits on the listing until they are settled.
+ * @param {object} buyer - { userId, name }.
+ * @param {string} listingId
+ * @returns {Promise<{listing: object, item: object, sellerId: string, balanceAfter: number}>}
+ *   The listing DTO, the bought item instance, the seller's user ID and the
+ *   buyer's new balance in the listing's currency.
+ * @throws {Error} With a user-facing message if the listing can't be bought.
+ */
+async function buyListing(buyer, listingId) {
+  if (!mongoose.isValidObjectId(listingId)) {
+    throw new MarketError("Listing not found.");
+  }
+  const now = new Date();
+  const listing = await MarketListing.findById(listingId).lean();
+  if (!listing || listing.status !== "active" || listing.expiresAt <= now) {
+    throw new MarketError("That listing is no longer for sale.");
+  }
+  if (String(listing.sellerId) === String(buyer.userId)) {
+    throw new MarketError("You can't buy your own listing.");
+  }
+  const { price, currencyId, fee } = listing;
+
+  const balanceAfter = await withTransaction(async (session) => {
+    // The status check makes two buyers (or a buy and a cancel) exclusive
+    const claimed = await MarketListing.updateOne(
+      { _id: listing._id, status: "active", expiresAt: { $gt: now } },
+      {
+        $set: {
+          status: "sold",
+          buyerId: buyer.userId,
+          buyerName: buyer.name,
+          soldAt: now,
+        },
+      },
+      { session }
+    );
+    if (claimed.modifiedCount !== 1) {
+      throw new MarketError("That listing is no longer for sale.");
+    }
+    const field = getBalanceField(currencyId);
+    const updated = await User.findOneAndUpdate(
+      { _id: buyer.userId, [field]: { $gte: price } },
+      { $inc: { [field]: -price }, $push: { inventory: listing.item } },
+      { new: true, projection: { currency: 1, balances: 1 }, session }
+    ).lean();
+    if (!updated) {
+      const { name } = getCurrency(currencyId) || { name: currencyId };
+      throw new MarketError(
+        `Insufficient ${name} (Need ${formatCurrency(price, currencyId)}).`
+      );
+    }
+    const balance = getUserBalance(updated, currencyId);
+    if (fee > 0) {
+      await SystemAccount.updateOne(
+        { accountId: SERVER_CONFIG.MARKET_FEE_ACCOUNT_ID },
+        { $inc: { [`balances.${currencyId}`]: fee } },
+        { upsert: true, session }
+      );
+    }
+    await appendLedgerEntries(
+      {
+        userId: buyer.userId,
+        username: buyer.name,
+        currencyId,
+        amount: -price,
+        balance,
+        source: "market",
+        reference: String(listing._id),
+        description: `Bought from ${
+          listing.sellerName || "a player"
+        } on the market`,
+      },
+      session
+    );
+    return balance;
+  });
+  return {
+    listing: toListingDTO(
+      { ...listing, status: "sold", buyerName: buyer.name, soldAt: now },
+      buyer.userId
+    ),
+    item: toItemInstance(listing.item),
+    sellerId: String(listing.sellerId),
+    balanceAfter,
+  };
+}
+
+/**
+ * Pays a seller for their sold listings and returns their expired items.
+ * @param {object} seller - { userId, name }.
+ * @returns {Promise<object|null>} null if there was nothing to settle, else
+ *   { sold: DTO[], expired: DTO[], proceeds: { currencyId: amount },
+ *   returnedItems: item instances }.
+ */
+async function settleMarketAccount(seller) {
+  const now = new Date();
+  const due = await MarketListing.find({
+    sellerId: seller.userId,
+    settled: false,
+    $or: [{ status: "sold" }, { status: "active", expiresAt: { $lte: now } }],
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+  if (due.length === 0) return null;
+
+  const sold = due.filter((listing) => listing.status === "sold");
+  const expired = due.filter((listing) => listing.status === "active");
+  const proceeds = {};
+  sold.forEach((listing) => {
+    proceeds[listing.currencyId] =
+      (proceeds[listing.currencyId] || 0) + listing.price - listing.fee;
+  });
+
+  await withTransaction(async (session) => {
+    for (const listing of due) {
+      const isSold = listing.status === "sold";
+      const result = await MarketListing.updateOne(
+        { _id: listing._id, status: listing.status, settled: false },
+        { $set: { status: isSold ? "sold" : "expired", settled: true } },
+        { session }
+      );
+      if (result.modifiedCount !== 1) {
+        throw new Error(`Listing ${listing._id} changed during settlement.`);
+      }
+    }
+    const $inc = {};
+    Object.entries(proceeds).forEach(([currencyId, amount]) => {
+      $inc[getBalanceField(currencyId)] = amount;
+    });
+    const updated = await User.findOneAndUpdate(
+      { _id: seller.userId },
+      {
+        $inc,
+        $push: { inventory: { $each: expired.map((listing) => listing.item) } },
+      },
+      { new: true, projection: { currency: 1, balances: 1 }, session }
+    ).lean();
+    if (!updated) throw new Error(`User ${seller.userId} not found.`);
+
+    // Running balances for each sale, counted up to the balance just written
+    const balances = {};
+    Object.entries(proceeds).forEach(([currencyId, amount]) => {
+      balances[currencyId] = getUserBalance(updated, currencyId) - amount;
+    });
+    const ledgerEntries = sold.map((listing) => {
+      const amount = listing.price - listing.fee;
+      balances[listing.currencyId] += amount;
+      return {
+        userId: seller.userId,
+        username: seller.name,
+        currencyId: listing.currencyId,
+        amount,
+        balance: balances[listing.currencyId],
+        source: "market",
+        reference: String(listing._id),
+        description: `Sold to ${
+          listing.buyerName || "a player"
+        } on the market (fee ${formatCurrency(
+          listing.fee,
+          listing.currencyId
+        )})`,
+      };
+    });
+    await appendLedgerEntries(ledgerEntries, session);
+  });
+  return {
+    sold: sold.map((listing) => toListingDTO(listing, seller.userId)),
+    expired: expired.map((listing) =>
+      toListingDTO({ ...listing, status: "expired" }, seller.userId)
+    ),
+    proceeds,
+    returnedItems: expired.map((listing) => toItemInstance(listing.item)),
+  };
+}
+
+/**
+ * Loads what the market panel shows: the newest listings for sale (optionally
+ * only items whose name matches `search`) and the viewer's own listings that
+ * are still for sale or waiting to be settled.
+ * @param {string|null} viewerId - User ID of the player browsing.
+ * @param {string} [search] - Case-insensitive part of an item name.
+ * @returns {Promise<{listings: object[], mine: object[], feePercent: number}>}
+ */
+async function getMarketListings(viewerId, search = "") {
+  const query = { status: "active", expiresAt: { $gt: new Date() } };
+  const term = String(search || "").trim().toLowerCase();
+  if (term) {
+    query["item.definitionId"] = {
+      $in: SHARED_CONFIG.FURNITURE_DEFINITIONS.filter((def) =>
+        def.name.toLowerCase().includes(term)
+      ).map((def) => def.id),
+    };
+  }
+  const [listings, mine] = await Promise.all([
+    MarketListing.find(query)
+      .sort({ createdAt: -1 })
+      .limit(SERVER_CONFIG.MARKET_BROWSE_LIMIT)
+      .lean(),
+    viewerId
+      ? MarketListing.find({
+          sellerId: viewerId,
+          $or: [{ status: "active" }, { status: "sold", settled: false }],
+        })
+          .sort({ createdAt: -1 })
+          .lean()
+      : [],
+  ]);
+  return {
+    listings: listings.map((listing) => toListingDTO(listing, viewerId)),
+    mine: mine.map((listing) => toListingDTO(listing, viewerId)),
+    feePercent: SERVER_CONFIG.MARKET_FEE_PERCENT,
+  };
+}
+
+/**
+ * Marketplace totals for the server console.
+ * @returns {Promise<{active: number, expiredUnsettled: number, soldUnsettled: number, pendingProceeds: object, fees: object}>}
+ *   pendingProceeds and fees are { currencyId: amount }.
+ */
+async function getMarketStats() {
+  const now = new Date();
+  const [active, expiredUnsettled, pending, account] = await Promise.all([
+    MarketListing.countDocuments({ status: "active", expiresAt: { $gt: now } }),
+    MarketListing.countDocuments({
+      status: "active",
+      expiresAt: { $lte: now },
+    }),
+    MarketListing.aggregate([
+      { $match: { status: "sold", settled: false } },
+      {
+        $group: {
+          _id: "$currencyId",
+          count: { $sum: 1 },
+          amount: { $sum: { $subtract: ["$price", "$fee"] } },
+        },
+      },
+    ]),
+    SystemAccount.findOne({
+      accountId: SERVER_CONFIG.MARKET_FEE_ACCOUNT_ID,
+    }).lean(),
+  ]);
+  const pendingProceeds = {};
+  pending.forEach((row) => {
+    pendingProceeds[row._id] = row.amount;
+  });
+  return {
+    active,
+    expiredUnsettled,
+    soldUnsettled: pending.reduce((sum, row) => sum + row.count, 0),
+    pendingProceeds,
+    fees: account?.balances || {},
+  };
+}
+
+module.exports = {
+  getMarketFee,
+  createListing,
+  cancelListing,
+  buyListing,
+  settleMarketAccount,
+  getMarketListings,
+  getMarketStats,
+};
@@ -0,0 +1,97 @@
+"use strict";
+
+// --- Data Migrations ---
+// Converts documents written by older server versions. Every step is idempotent and
+// runs on startup, after the DB connection and before rooms or players load.
+
+const mongoose = require("mongoose");
+const { SHARED_CONFIG } = require("./config");
+const User = require("../models/user");
+const CurrencyLedger = require("../models/currencyLedger");
+
+/**
+ * Converts inventories stored as a { definitionId: count } map into item instance
+ * arrays, one entry (with its own _id) per item.
+ * @returns {Promise<number>} Number of users converted.
+ */
+async function migrateInventoryCounts() {
+  // Raw collection: the current schema can't read the old map shape
+  const legacyUsers = await User.collection
+    .find(
+      { $expr: { $eq: [{ $type: "$inventory" }, "object"] } },
+      { projection: { inventory: 1 } }
+    )
+    .toArray();
+  if (legacyUsers.length === 0) return 0;
+
+  const ops = legacyUsers.map((user) => {
+    const items = [];
+    for (const [definitionId, count] of Object.entries(user.inventory || {})) {
+      const quantity = Math.max(0, Math.floor(Number(count) || 0));
+      for (let i = 0; i < quantity; i++) {
+        items.push({
+          _id: new mongoose.Types.ObjectId(),
+          definitionId,
+          colorOverride: null,
+        });
+      }
+    }
+    return {
+      updateOne: {
+        filter: { _id: user._id },
+        update: { $set: { inventory: items } },
+      },
+    };
+  });
+  await User.collection.bulkWrite(ops);
+  return ops.length;
+}
+
+/**
+ * Gives users from before the currency ledger an "opening" entry for the coins
+ * they already had, so their ledger sums to their balance.
+ * @returns {Promise<number>} Number of opening entries written.
+ */
+async function migrateOpeningBalances() {
+  const ledgerUserIds = await CurrencyLedger.distinct("userId");
+  const users = await User.find(
+    { _id: { $nin: ledgerUserIds }, currency: { $ne: 0 } },
+    { username: 1, currency: 1 }
+  ).lean();
+  if (users.length === 0) return 0;
+
+  await CurrencyLedger.insertMany(
+    users.map((user) => ({
+      userId: user._id,
+      username: user.username,
+      currencyId: SHARED_CONFIG.PRIMARY_CURRENCY_ID,
+      amount: user.currency,
+      balance: user.currency,
+      source: "opening",
+      description: "Opening balance",
+    }))
+  );
+  return users.length;
+}
+
+/** Runs all migrations in order. Errors propagate (the server shouldn't start half-migrated). */
+async function runMigrations() {
+  const inventories = await migrateInventoryCounts();
+  if (inventories > 0) {
+    console.log(
+      `Migration: converted ${inventories} inventories to item instances.`
+    );
+  }
+  const openingBalances = await migrateOpeningBalances();
+  if (openingBalances > 0) {
+    console.log(
+      `Migration: added opening ledger balances for ${openingBalances} users.`
+    );
+  }
+}
+
+module.exports = {
+  runMigrations,
+  migrateInventoryCounts,
+  migrateOpeningBalances,
+};
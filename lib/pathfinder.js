@@ -86,6 +86,8 @@ class Pathfinder {
                 // Skip if already evaluated or unwalkable
                 if (closedList.has(neighborKey)) continue;
                 if (!this.room.isWalkable(neighborX, neighborY)) continue;
+                // Height changes need stairs (see ServerRoom.canStepBetween)
+                if (!this.room.canStepBetween(currentNode.x, currentNode.y, neighborX, neighborY)) continue;
 
                 // Calculate costs for neighbor
                 const moveCost = 1; // Uniform cost for adjacent tiles
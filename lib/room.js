@@ -3,6 +3,7 @@
 // --- Core Node Modules ---
 const fs = require("fs");
 const path = require("path");
+const bcrypt = require("bcrypt"); // Room password checks
 
 // --- Application Modules ---
 // FIX 1: Declare ServerNPC variable here
@@ -12,6 +13,7 @@ let SHARED_CONFIG_REF, SERVER_CONFIG_REF;
 let rotateDirectionFunc;
 let RoomState; // Database model for room layout/metadata
 let Furniture; // Database model for individual furniture items
+let processWired; // Wired (room automation) evaluation, see wired.js
 
 // --- Dependency Loading ---
 try {
@@ -29,6 +31,7 @@ try {
   SERVER_CONFIG_REF = configModule.SERVER_CONFIG;
 
   rotateDirectionFunc = require("./utils").rotateDirection;
+  processWired = require("./wired").processWired;
 
   RoomState = require("../models/roomState");
   Furniture = require("../models/furniture");
@@ -89,11 +92,40 @@ class ServerRoom {
     // Set dimensions based on the layout obtained (default or minimal)
     this.cols = this.layout[0]?.length || SERVER_CONFIG_REF.DEFAULT_ROOM_COLS;
     this.rows = this.layout.length || SERVER_CONFIG_REF.DEFAULT_ROOM_ROWS;
+    this.heightmap = this._normalizeHeightmap(null); // Flat until loaded from DB
 
     // --- State Holders ---
     this.furniture = []; // Holds ServerFurniture instances loaded from DB
     this.avatars = {}; // Map: socketId (players) or npcId (NPCs) -> ServerAvatar/ServerNPC instance
 
+    // --- Ownership & Metadata (overridden by loadStateFromDB) ---
+    this.ownerId = null; // User ObjectId string, null for public rooms
+    this.ownerName = null;
+    this.name = this.id;
+    this.description = "";
+    this.maxUsers = SERVER_CONFIG_REF.DEFAULT_ROOM_MAX_USERS;
+    this.lockMode = "open"; // 'open', 'doorbell', 'password'
+    this.passwordHash = null; // bcrypt hash for 'password' lock mode (never sent to clients)
+    this.rights = []; // User ObjectId strings with build rights
+    this.category = "general"; // Navigator category (SHARED_CONFIG.ROOM_CATEGORIES)
+    this.tags = []; // Lowercase search tags
+    this.isArchiving = false; // True while an admin delete is emptying the room
+    // Style IDs from SHARED_CONFIG.ROOM_DECORATIONS, per slot
+    this.decoration = {
+      wallpaper: "default",
+      floor: "default",
+      landscape: "default",
+    };
+
+    // --- Wired (in memory only) ---
+    this.wiredEvents = []; // Queued trigger events, evaluated in update()
+    this.wiredTimers = new Map(); // Timer trigger furni ID -> ms elapsed
+    this.wiredAvatarTiles = new Map(); // Player avatar ID -> "x,y" tile last seen on
+
+    // --- Layout Editor History (in memory only, lost on restart) ---
+    this.layoutHistory = { undo: [], redo: [] }; // Stacks of { layout, heightmap } snapshots
+    this.isSavingLayout = false; // True while a layout change is written to the DB
+
     // --- Pathfinder ---
     this.pathfinder = new Pathfinder(this); // Uses initial layout
 
@@ -170,6 +202,26 @@ class ServerRoom {
     return layout;
   }
 
+  /**
+   * Builds a heightmap matching the current layout dimensions. Values from the source
+   * are kept (clamped to 0..MAX_TILE_HEIGHT), anything missing becomes 0.
+   * @param {Array<Array<number>> | null} source - Stored heightmap, or null for a flat one.
+   * @returns {Array<Array<number>>}
+   */
+  _normalizeHeightmap(source) {
+    const maxHeight = SHARED_CONFIG_REF.MAX_TILE_HEIGHT ?? 8;
+    const heightmap = [];
+    for (let y = 0; y < this.layout.length; y++) {
+      const row = [];
+      for (let x = 0; x < (this.layout[y]?.length || 0); x++) {
+        const level = Math.round(Number(source?.[y]?.[x]) || 0);
+        row.push(Math.max(0, Math.min(maxHeight, level)));
+      }
+      heightmap.push(row);
+    }
+    return heightmap;
+  }
+
   // --- Helper for adding initial furniture to the DB AND memory ---
   // This is typically run only once when a room is first created/loaded empty.
   async _addInitialFurnitureForRoom(roomId) {
@@ -293,6 +345,11 @@ class ServerRoom {
 
       this.furniture = []; // Clear existing in-memory furniture
 
+      // --- Apply Loaded Metadata ---
+      if (roomStateDoc) {
+        this.applyMetadata(roomStateDoc);
+      }
+
       // --- Apply Loaded Layout (DB has priority) ---
       let layoutSource = "Unknown";
       // Check if DB layout is valid (non-empty 2D array)
@@ -344,6 +401,10 @@ class ServerRoom {
       // Update dimensions and pathfinder based on the final layout used
       this.cols = this.layout[0]?.length || SERVER_CONFIG_REF.DEFAULT_ROOM_COLS;
       this.rows = this.layout.length || SERVER_CONFIG_REF.DEFAULT_ROOM_ROWS;
+      // Heights only make sense for the layout they were saved with
+      this.heightmap = this._normalizeHeightmap(
+        layoutSource === "Database" ? roomStateDoc.heightmap : null
+      );
       this.pathfinder = new Pathfinder(this);
       console.log(
         `[Room ${this.id}] Final layout source: ${layoutSource}. Dimensions: ${this.cols}x${this.rows}.`
@@ -372,7 +433,17 @@ class ServerRoom {
               furniData._id.toString(),
               furniData.ownerId,
               furniData.state,
-              furniData.colorOverride
+              furniData.colorOverride,
+              {
+                wallSide: furniData.wallSide,
+                wallOffset: furniData.wallOffset,
+                wired: {
+                  links: furniData.wiredLinks,
+                  settings: furniData.wiredSettings,
+                },
+                teleportLinkId: furniData.teleportLinkId,
+                serial: furniData.serial,
+              }
             );
             this.addFurniture(newFurni);
             loadedCount++;
@@ -434,6 +505,7 @@ class ServerRoom {
         this.layout = [[1]]; // Minimal fallback
       this.cols = this.layout[0]?.length || SERVER_CONFIG_REF.DEFAULT_ROOM_COLS;
       this.rows = this.layout.length || SERVER_CONFIG_REF.DEFAULT_ROOM_ROWS;
+      this.heightmap = this._normalizeHeightmap(null);
       this.pathfinder = new Pathfinder(this);
       return false; // Load failed
     }
@@ -449,7 +521,12 @@ class ServerRoom {
     );
     try {
       if (!RoomState) throw new Error("RoomState model is not loaded.");
-      const roomStateData = { roomId: this.id, layout: this.layout };
+      const roomStateData = {
+        roomId: this.id,
+        layout: this.layout,
+        heightmap: this.heightmap,
+        ...this.getMetadataForDB(),
+      };
       // Use findOneAndUpdate with upsert to create or update the room layout document
       await RoomState.findOneAndUpdate(
         { roomId: this.id },
@@ -469,6 +546,155 @@ class ServerRoom {
     }
   }
 
+  // --- Ownership & Access ---
+
+  /**
+   * Copies ownership/metadata fields from a RoomState document (or plain object) onto this room.
+   * Missing fields keep their current values.
+   * @param {object} doc - RoomState document or lean object.
+   */
+  applyMetadata(doc) {
+    if (!doc) return;
+    if (doc.ownerId !== undefined)
+      this.ownerId = doc.ownerId ? String(doc.ownerId) : null;
+    if (doc.ownerName !== undefined) this.ownerName = doc.ownerName || null;
+    if (doc.name) this.name = doc.name;
+    if (typeof doc.description === "string")
+      this.description = doc.description;
+    if (Number.isFinite(doc.maxUsers) && doc.maxUsers > 0)
+      this.maxUsers = doc.maxUsers;
+    if (SERVER_CONFIG_REF.ROOM_LOCK_MODES.includes(doc.lockMode))
+      this.lockMode = doc.lockMode;
+    if (doc.passwordHash !== undefined)
+      this.passwordHash = doc.passwordHash || null;
+    if (Array.isArray(doc.rights))
+      this.rights = doc.rights.map((id) => String(id));
+    if (SHARED_CONFIG_REF.ROOM_CATEGORIES.includes(doc.category))
+      this.category = doc.category;
+    if (Array.isArray(doc.tags)) this.tags = [...doc.tags];
+    if (doc.decoration) {
+      // Keep only styles that still exist in the catalog
+      const catalog = SHARED_CONFIG_REF.ROOM_DECORATIONS || {};
+      Object.keys(this.decoration).forEach((slot) => {
+        const styleId = doc.decoration[slot];
+        if (catalog[slot]?.some((style) => style.id === styleId))
+          this.decoration[slot] = styleId;
+      });
+    }
+  }
+
+  /** Returns the metadata fields in the shape stored on the RoomState document. */
+  getMetadataForDB() {
+    return {
+      ownerId: this.ownerId,
+      ownerName: this.ownerName,
+      name: this.name,
+      description: this.description,
+      maxUsers: this.maxUsers,
+      lockMode: this.lockMode,
+      passwordHash: this.passwordHash,
+      rights: this.rights,
+      category: this.category,
+      tags: this.tags,
+      decoration: { ...this.decoration },
+    };
+  }
+
+  /** Checks if the given user ID owns this room. Public rooms have no owner. */
+  isOwner(userId) {
+    return !!userId && !!this.ownerId && String(userId) === this.ownerId;
+  }
+
+  /** Checks if the given user ID may build in this room (owner or granted rights). */
+  hasRights(userId) {
+    if (!userId) return false;
+    return this.isOwner(userId) || this.rights.includes(String(userId));
+  }
+
+  /** Counts player avatars (not NPCs) currently in the room. */
+  getPlayerCount() {
+    return Object.values(this.avatars).filter(
+      (a) => a instanceof ServerAvatar && !a.isNPC && a.socketId
+    ).length;
+  }
+
+  isFull() {
+    return this.getPlayerCount() >= this.maxUsers;
+  }
+
+  /**
+   * Compares a candidate password against the room's stored hash.
+   * @param {string} candidate - Plain text password from the visitor.
+   * @returns {Promise<boolean>} True if the password matches.
+   */
+  async verifyPassword(candidate) {
+    if (!this.passwordHash || typeof candidate !== "string") return false;
+    try {
+      return await bcrypt.compare(candidate, this.passwordHash);
+    } catch (error) {
+      console.error(`[Room ${this.id}] Error comparing room password:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Hashes a new room password for storage.
+   * @param {string} plain - Plain text password chosen by the owner.
+   * @returns {Promise<string>} The bcrypt hash.
+   */
+  static async hashPassword(plain) {
+    const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS || "10", 10);
+    return await bcrypt.hash(plain, saltRounds);
+  }
+
+  /** Public-facing room info sent to clients (room_state, room lists, settings updates). */
+  getInfoDTO() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      ownerId: this.ownerId,
+      ownerName: this.ownerName,
+      maxUsers: this.maxUsers,
+      lockMode: this.lockMode,
+      hasPassword: !!this.passwordHash,
+      rights: [...this.rights],
+      category: this.category,
+      tags: [...this.tags],
+      decoration: { ...this.decoration },
+    };
+  }
+
+  /** Compact entry for navigator listings. */
+  getListingDTO() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      ownerName: this.ownerName,
+      lockMode: this.lockMode,
+      maxUsers: this.maxUsers,
+      category: this.category,
+      tags: [...this.tags],
+      playerCount: this.getPlayerCount(),
+    };
+  }
+
+  /**
+   * Checks a navigator search term against the room's name, ID, owner and tags.
+   * @param {string} term - Lowercased search term.
+   * @returns {boolean}
+   */
+  matchesSearch(term) {
+    if (!term) return true;
+    return (
+      this.id.toLowerCase().includes(term) ||
+      (this.name || "").toLowerCase().includes(term) ||
+      (this.ownerName || "").toLowerCase().includes(term) ||
+      this.tags.some((tag) => tag.includes(term))
+    );
+  }
+
   // --- Avatar/NPC Management ---
 
   /**
@@ -520,6 +746,15 @@ class ServerRoom {
 
     this.avatars[lookupKey] = instance; // Store instance in map
     instance.roomId = this.id; // Ensure room ID is set on the instance
+    // Standing avatars rest on the floor height of their tile
+    if (
+      instance instanceof ServerAvatar &&
+      instance.state !== SHARED_CONFIG_REF.AVATAR_STATE_SITTING
+    ) {
+      instance.z =
+        this.getFloorZ(instance.x, instance.y) +
+        SHARED_CONFIG_REF.AVATAR_DEFAULT_Z;
+    }
 
     console.log(
       `[Room ${this.id}] ${instanceType} ${instance.name} (ID: ${instanceId}, MapKey: ${lookupKey}) entered/added.`
@@ -615,10 +850,24 @@ class ServerRoom {
     if (!furniDbId) return null;
     const idString = String(furniDbId);
     const index = this.furniture.findIndex((f) => String(f.id) === idString);
+    this.wiredTimers.delete(idString);
     if (index > -1) return this.furniture.splice(index, 1)[0];
     return null;
   }
 
+  /**
+   * Queues an event for wired triggers; evaluated on the next update(). Once
+   * MAX_QUEUED_WIRED_EVENTS are waiting, the oldest is dropped.
+   * @param {object} event - { type: 'walk_on'|'item_used'|'chat_keyword'|'timer', avatar?, furniId?, x?, y?, text? }
+   */
+  queueWiredEvent(event) {
+    this.wiredEvents.push(event);
+    const limit = SERVER_CONFIG_REF.MAX_QUEUED_WIRED_EVENTS ?? 100;
+    if (this.wiredEvents.length > limit) {
+      this.wiredEvents.splice(0, this.wiredEvents.length - limit);
+    }
+  }
+
   getFurnitureById(dbId) {
     if (!dbId) return undefined;
     const idString = String(dbId);
@@ -637,18 +886,109 @@ class ServerRoom {
     );
   }
 
+  /**
+   * Checks whether a player is sitting on one seat tile of a furniture item.
+   * @param {string} furniDbId - Furniture DB ID.
+   * @param {number} seatX - Seat tile X.
+   * @param {number} seatY - Seat tile Y.
+   * @returns {boolean}
+   */
+  isSeatOccupied(furniDbId, seatX, seatY) {
+    if (!furniDbId) return false;
+    const idString = String(furniDbId);
+    return Object.values(this.avatars).some(
+      (a) =>
+        a instanceof ServerAvatar &&
+        !a.isNPC &&
+        String(a.sittingOnFurniId) === idString &&
+        Math.round(a.x) === seatX &&
+        Math.round(a.y) === seatY
+    );
+  }
+
+  /**
+   * Picks a free seat on a furniture item: the requested tile if it's free, otherwise
+   * the free seat closest to (nearX, nearY).
+   * @param {ServerFurniture} furni - Seat furniture.
+   * @param {number} nearX - Usually the avatar's position.
+   * @param {number} nearY
+   * @param {{x: number, y: number}} [preferred] - Seat tile the player clicked.
+   * @returns {{x: number, y: number} | null} Null if every seat is taken.
+   */
+  findFreeSeat(furni, nearX, nearY, preferred = null) {
+    const freeSeats = furni
+      .getSeatTiles()
+      .filter((seat) => !this.isSeatOccupied(furni.id, seat.x, seat.y));
+    if (preferred) {
+      const match = freeSeats.find(
+        (seat) => seat.x === preferred.x && seat.y === preferred.y
+      );
+      if (match) return match;
+    }
+    const distance = (seat) =>
+      Math.abs(seat.x - nearX) + Math.abs(seat.y - nearY);
+    return freeSeats.sort((a, b) => distance(a) - distance(b))[0] || null;
+  }
+
   getFurnitureStackAt(gridX, gridY) {
     const gx = Math.round(gridX);
     const gy = Math.round(gridY);
+    // Wall items hang above the tile and never take part in floor stacking.
+    // Multi-tile furniture is part of the stack on every tile of its footprint.
     return this.furniture.filter(
-      (furni) => Math.round(furni.x) === gx && Math.round(furni.y) === gy
+      (furni) =>
+        !furni.isWallItem &&
+        furni.getOccupiedTiles().some((t) => t.x === gx && t.y === gy)
     );
   }
 
+  /**
+   * Checks whether the given edge of a tile borders a wall (or the room edge).
+   * 'left' is the edge towards (x-1, y), 'right' the edge towards (x, y-1).
+   * @param {number} gridX - Tile X coordinate.
+   * @param {number} gridY - Tile Y coordinate.
+   * @param {'left' | 'right'} side - Which edge to check.
+   * @returns {boolean}
+   */
+  isWallEdge(gridX, gridY, side) {
+    const gx = Math.round(gridX);
+    const gy = Math.round(gridY);
+    if (!this.isValidTile(gx, gy)) return false;
+    let nx = gx;
+    let ny = gy;
+    if (side === "left") nx -= 1;
+    else if (side === "right") ny -= 1;
+    else return false;
+    if (nx < 0 || ny < 0) return true; // Edge of the map counts as a wall
+    return this.layout[ny]?.[nx] === 1;
+  }
+
+  /**
+   * Finds wall items attached to a tile, either hosted on it or hanging on it
+   * as their wall.
+   * @param {number} gridX - Tile X coordinate.
+   * @param {number} gridY - Tile Y coordinate.
+   * @returns {ServerFurniture[]}
+   */
+  getWallItemsTouching(gridX, gridY) {
+    const gx = Math.round(gridX);
+    const gy = Math.round(gridY);
+    return this.furniture.filter((furni) => {
+      if (!furni.isWallItem) return false;
+      const fx = Math.round(furni.x);
+      const fy = Math.round(furni.y);
+      if (fx === gx && fy === gy) return true;
+      if (furni.wallSide === "left") return fx - 1 === gx && fy === gy;
+      return fx === gx && fy - 1 === gy;
+    });
+  }
+
   getStackHeightAt(gridX, gridY, excludeId = null) {
     if (!SHARED_CONFIG_REF || !SERVER_CONFIG_REF) return 0;
     const stack = this.getFurnitureStackAt(gridX, gridY);
-    let highestStackableTopZ = SERVER_CONFIG_REF.FURNI_DEFAULT_Z; // Usually 0.0
+    // Stacks start on the tile's floor height
+    let highestStackableTopZ =
+      SERVER_CONFIG_REF.FURNI_DEFAULT_Z + this.getFloorZ(gridX, gridY);
     const excludeIdString = excludeId ? String(excludeId) : null;
 
     stack.forEach((furni) => {
@@ -662,6 +1002,18 @@ class ServerRoom {
     return highestStackableTopZ;
   }
 
+  /**
+   * Stack height under a whole footprint: multi-tile furniture rests on its tallest tile.
+   * @param {Array<{x: number, y: number}>} tiles - Footprint tiles.
+   * @param {string|null} [excludeId=null] - Furniture to leave out (e.g. the one being moved).
+   * @returns {number}
+   */
+  getFootprintStackHeight(tiles, excludeId = null) {
+    return Math.max(
+      ...tiles.map((tile) => this.getStackHeightAt(tile.x, tile.y, excludeId))
+    );
+  }
+
   isTileOccupiedBySolid(gridX, gridY, excludeId = null) {
     const gx = Math.round(gridX);
     const gy = Math.round(gridY);
@@ -698,8 +1050,161 @@ class ServerRoom {
     if (gridX < 0 || gridX >= this.cols || gridY < 0 || gridY >= this.rows)
       return false;
     const tileType = this.layout[gridY]?.[gridX];
-    // Allow 0 (floor) and 2 (alt floor), disallow 1 (wall) and 'X' (hole) or undefined
-    return tileType === 0 || tileType === 2;
+    // Allow 0 (floor), 2 (alt floor) and 'S' (stairs), disallow 1 (wall) and 'X' (hole) or undefined
+    return tileType === 0 || tileType === 2 || tileType === "S";
+  }
+
+  // --- Layout Editing ---
+
+  /** Deep copy of the editable layout state, used for batch edits and undo history. */
+  getLayoutSnapshot() {
+    return {
+      layout: this.layout.map((row) => [...row]),
+      heightmap: this.heightmap.map((row) => [...row]),
+    };
+  }
+
+  /**
+   * @param {{layout: Array, heightmap: Array}} snapshot - State from getLayoutSnapshot().
+   * @returns {boolean} True if the room's tiles and heights are exactly these.
+   */
+  matchesLayout(snapshot) {
+    return (
+      JSON.stringify(snapshot.layout) === JSON.stringify(this.layout) &&
+      JSON.stringify(snapshot.heightmap) === JSON.stringify(this.heightmap)
+    );
+  }
+
+  /**
+   * Checks whether switching to a new layout/heightmap would strand anything in the room.
+   * Mirrors the single-tile rules: no walls/holes under avatars or solid furniture, no
+   * height changes under avatars or furniture, wall items keep their floor and wall.
+   * Furniture outside new bounds blocks a resize; avatars outside are moved afterwards.
+   * @param {Array<Array<number|string>>} layout - Proposed layout.
+   * @param {Array<Array<number>>} heightmap - Proposed heightmap (same shape).
+   * @returns {{valid: boolean, reason?: string}}
+   */
+  validateLayoutChange(layout, heightmap) {
+    const rows = layout.length;
+    const cols = layout[0]?.length || 0;
+    const inBounds = (x, y) => x >= 0 && y >= 0 && x < cols && y < rows;
+    const isFloor = (x, y) =>
+      inBounds(x, y) &&
+      (layout[y][x] === 0 || layout[y][x] === 2 || layout[y][x] === "S");
+    const typeChanged = (x, y) =>
+      !inBounds(x, y) || layout[y][x] !== this.layout[y]?.[x];
+    const heightChanged = (x, y) =>
+      !inBounds(x, y) || (heightmap[y]?.[x] || 0) !== this.getTileHeight(x, y);
+
+    for (const furni of this.furniture) {
+      const tiles = furni.getOccupiedTiles();
+      if (tiles.some((t) => !inBounds(t.x, t.y))) {
+        return {
+          valid: false,
+          reason: `'${furni.name}' would be outside the room.`,
+        };
+      }
+      if (furni.isWallItem) {
+        const fx = Math.round(furni.x);
+        const fy = Math.round(furni.y);
+        const wx = furni.wallSide === "left" ? fx - 1 : fx;
+        const wy = furni.wallSide === "left" ? fy : fy - 1;
+        const wallIntact = wx < 0 || wy < 0 || layout[wy]?.[wx] === 1;
+        if (!isFloor(fx, fy) || !wallIntact || heightChanged(fx, fy)) {
+          return {
+            valid: false,
+            reason: `Cannot modify, '${furni.name}' hangs here.`,
+          };
+        }
+        continue;
+      }
+      for (const tile of tiles) {
+        if (
+          heightChanged(tile.x, tile.y) ||
+          (!furni.isFlat &&
+            typeChanged(tile.x, tile.y) &&
+            !isFloor(tile.x, tile.y))
+        ) {
+          return {
+            valid: false,
+            reason: `Cannot modify under '${furni.name}'.`,
+          };
+        }
+      }
+    }
+
+    for (const avatar of Object.values(this.avatars)) {
+      const ax = Math.round(avatar.x);
+      const ay = Math.round(avatar.y);
+      if (!inBounds(ax, ay)) continue; // Moved to a spawn point after a resize
+      if ((typeChanged(ax, ay) && !isFloor(ax, ay)) || heightChanged(ax, ay)) {
+        return {
+          valid: false,
+          reason: `Cannot modify under ${avatar.name}.`,
+        };
+      }
+    }
+    return { valid: true };
+  }
+
+  /**
+   * Replaces the layout and heightmap (validate first) and rebuilds pathfinding.
+   * @param {Array<Array<number|string>>} layout - New layout (dimensions may change).
+   * @param {Array<Array<number>> | null} heightmap - New heights, or null for flat.
+   */
+  applyLayout(layout, heightmap) {
+    this.layout = layout;
+    this.cols = layout[0]?.length || SERVER_CONFIG_REF.DEFAULT_ROOM_COLS;
+    this.rows = layout.length || SERVER_CONFIG_REF.DEFAULT_ROOM_ROWS;
+    this.heightmap = this._normalizeHeightmap(heightmap);
+    this.pathfinder = new Pathfinder(this);
+  }
+
+  /**
+   * Records the state before an edit so it can be undone. A new edit clears redo.
+   * @param {{layout: Array, heightmap: Array}} snapshot - State from getLayoutSnapshot().
+   */
+  pushLayoutHistory(snapshot) {
+    this.layoutHistory.undo.push(snapshot);
+    const limit = SERVER_CONFIG_REF.LAYOUT_HISTORY_LIMIT ?? 20;
+    if (this.layoutHistory.undo.length > limit) this.layoutHistory.undo.shift();
+    this.layoutHistory.redo = [];
+  }
+
+  getLayoutHistoryDTO() {
+    return {
+      canUndo: this.layoutHistory.undo.length > 0,
+      canRedo: this.layoutHistory.redo.length > 0,
+    };
+  }
+
+  // --- Floor Heights ---
+
+  /** Gets the floor height level (0..MAX_TILE_HEIGHT) of a tile. */
+  getTileHeight(x, y) {
+    return this.heightmap[Math.round(y)]?.[Math.round(x)] || 0;
+  }
+
+  /** Gets the Z coordinate of a tile's floor surface. */
+  getFloorZ(x, y) {
+    return this.getTileHeight(x, y) * (SHARED_CONFIG_REF.TILE_HEIGHT_Z ?? 0.5);
+  }
+
+  isStairTile(x, y) {
+    return this.layout[Math.round(y)]?.[Math.round(x)] === "S";
+  }
+
+  /**
+   * Checks whether an avatar can step between two adjacent tiles given their heights.
+   * Same-level moves are always fine; a one-level climb needs a stair tile on either end.
+   */
+  canStepBetween(fromX, fromY, toX, toY) {
+    const diff = Math.abs(
+      this.getTileHeight(fromX, fromY) - this.getTileHeight(toX, toY)
+    );
+    if (diff === 0) return true;
+    if (diff > 1) return false;
+    return this.isStairTile(fromX, fromY) || this.isStairTile(toX, toY);
   }
 
   isWalkable(x, y) {
@@ -732,11 +1237,14 @@ class ServerRoom {
     return {
       id: this.id,
       layout: this.layout,
+      heightmap: this.heightmap,
+      layoutHistory: this.getLayoutHistoryDTO(),
       cols: this.cols,
       rows: this.rows,
       furniture: this.furniture.map((f) => f.toDTO()),
       avatars: playerAvatarsDTO, // Only player avatars here
       npcs: npcsDTO, // Add NPCs separately
+      info: this.getInfoDTO(), // Name, owner, lock mode, rights
     };
   }
 
@@ -773,6 +1281,8 @@ class ServerRoom {
       return { changedAvatars };
     }
 
+    const seenAvatarTiles = new Map(); // Rebuilt each tick for wired 'walk on'
+
     // Iterate through the VALUES of the avatars map
     for (const instance of Object.values(this.avatars)) {
       if (!instance) continue;
@@ -799,10 +1309,29 @@ class ServerRoom {
             } // Else avatar changed rooms or disconnected during update
           }
         }
-        // Add other per-player-avatar updates here if needed later
+
+        // Wired 'walk on' triggers fire when a player reaches a new tile
+        if (this.avatars[avatar.socketId] === avatar) {
+          const tileKey = `${Math.round(avatar.x)},${Math.round(avatar.y)}`;
+          const lastTile = this.wiredAvatarTiles.get(String(avatar.id));
+          if (lastTile !== undefined && lastTile !== tileKey) {
+            this.queueWiredEvent({
+              type: "walk_on",
+              avatar,
+              x: Math.round(avatar.x),
+              y: Math.round(avatar.y),
+            });
+          }
+          seenAvatarTiles.set(String(avatar.id), tileKey);
+        }
       }
       // --- NPCs are handled in the main server loop via updateAI ---
     }
+    this.wiredAvatarTiles = seenAvatarTiles; // Drops avatars that left
+
+    // --- Wired ---
+    processWired(this, deltaTimeMs, ioInstance);
+
     // Return only the list of *changed player avatars* for broadcasting
     return { changedAvatars };
   }
@@ -0,0 +1,241 @@
+"use strict";
+
+// --- Room Deletion & Archival ---
+// Archiving a room empties it (players go to the default room), hands every furniture
+// item back to its owner's inventory, unlinks teleporters paired with its own
+// and deletes the room, all in one DB transaction.
+// The RoomState is kept in the RoomArchive collection so the room can be restored
+// later, empty of furniture.
+
+const mongoose = require("mongoose");
+const { SERVER_CONFIG } = require("./config");
+const RoomState = require("../models/roomState");
+const RoomArchive = require("../models/roomArchive");
+const Furniture = require("../models/furniture");
+const User = require("../models/user");
+const ServerRoom = require("./room");
+
+/**
+ * Archives and deletes a room.
+ * @param {string} roomId - Room to delete.
+ * @param {object} ctx
+ * @param {Map<string, ServerRoom>} ctx.rooms - Live rooms map.
+ * @param {object} ctx.clients - socket.id -> { socket, avatarId, userId }.
+ * @param {Function} ctx.changeRoom - handleChangeRoom(socket, data, options).
+ * @param {import('socket.io').Server} ctx.io - For unlinked teleporters' rooms.
+ * @param {string} [ctx.archivedBy] - Who requested it (for the archive record).
+ * @returns {Promise<{movedPlayers: number, returnedItems: number, discardedItems: number}>}
+ * @throws {Error} With a user-facing message if the room can't be archived.
+ */
+async function archiveRoom(roomId, ctx) {
+  const { rooms, clients, changeRoom, io } = ctx;
+  if (roomId === SERVER_CONFIG.DEFAULT_ROOM_ID) {
+    throw new Error("The default room cannot be deleted.");
+  }
+  const room = rooms.get(roomId);
+  if (!room) throw new Error(`Room '${roomId}' not found.`);
+  if (room.isArchiving) throw new Error(`Room '${roomId}' is being deleted.`);
+  if (!rooms.has(SERVER_CONFIG.DEFAULT_ROOM_ID)) {
+    throw new Error("Default room is unavailable; nowhere to move players.");
+  }
+  room.isArchiving = true; // Blocks entry while it's emptied (checkRoomAccess)
+
+  try {
+    // 1. Move everyone out (forced, ignores locks/capacity of the default room)
+    let movedPlayers = 0;
+    for (const client of Object.values(clients)) {
+      if (!client?.socket || !room.getAvatarBySocketId(client.socket.id)) {
+        continue;
+      }
+      client.socket.emit("chat_message", {
+        avatarName: "Server",
+        text: "This room is being closed. Moving you to the lobby.",
+        className: "server-msg",
+      });
+      changeRoom(
+        client.socket,
+        { targetRoomId: SERVER_CONFIG.DEFAULT_ROOM_ID },
+        { force: true }
+      );
+      movedPlayers++;
+    }
+
+    // 2. Persist any pending in-memory changes so the DB is the full picture
+    await room.saveStateToDB();
+
+    // 3. Return furniture, delete the room, write the archive - all or nothing
+    const roomStateDoc = await RoomState.findOne({ roomId }).lean();
+    if (!roomStateDoc) throw new Error(`Room '${roomId}' not found in DB.`);
+    const furnitureDocs = await Furniture.find({ roomId }).lean();
+
+    // Group by owner; items without an owner go to the room owner (if any).
+    // Items go back as the same instances (furniture _id, color, serial)
+    const itemsByOwner = new Map(); // ownerId -> User.inventory entries
+    let discardedItems = 0;
+    furnitureDocs.forEach((f) => {
+      const ownerId = String(f.ownerId || roomStateDoc.ownerId || "");
+      if (!ownerId) {
+        discardedItems++;
+        return;
+      }
+      const items = itemsByOwner.get(ownerId) || [];
+      items.push({
+        _id: f._id,
+        definitionId: f.definitionId,
+        colorOverride: f.colorOverride ?? null,
+        serial: f.serial ?? null,
+      });
+      itemsByOwner.set(ownerId, items);
+    });
+    // The archive record lists what went back as quantities per owner and item
+    const returnedFurniture = [];
+    itemsByOwner.forEach((items, ownerId) => {
+      const quantities = new Map(); // definitionId -> quantity
+      items.forEach(({ definitionId }) =>
+        quantities.set(definitionId, (quantities.get(definitionId) || 0) + 1)
+      );
+      quantities.forEach((quantity, definitionId) =>
+        returnedFurniture.push({ ownerId, definitionId, quantity })
+      );
+    });
+
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+      for (const [ownerId, items] of itemsByOwner) {
+        await User.updateOne(
+          { _id: ownerId },
+          { $push: { inventory: { $each: items } } },
+          { session }
+        );
+      }
+      // Teleporters in other rooms lose their partner along with the room
+      await Furniture.updateMany(
+        { teleportLinkId: { $in: furnitureDocs.map((f) => f._id) } },
+        { $set: { teleportLinkId: null } },
+        { session }
+      );
+      await Furniture.deleteMany({ roomId }, { session });
+      await RoomState.deleteOne({ roomId }, { session });
+      const roomStateCopy = { ...roomStateDoc };
+      ["_id", "__v", "createdAt", "updatedAt"].forEach(
+        (key) => delete roomStateCopy[key]
+      );
+      await RoomArchive.create(
+        [
+          {
+            roomId,
+            roomState: roomStateCopy,
+            returnedFurniture,
+            discardedFurniture: discardedItems,
+            archivedBy: ctx.archivedBy || null,
+          },
+        ],
+        { session }
+      );
+      await session.commitTransaction();
+    } catch (txError) {
+      await session.abortTransaction();
+      throw txError;
+    } finally {
+      await session.endSession();
+    }
+
+    // 4. Mirror returned items on owners who are online
+    for (const client of Object.values(clients)) {
+      const items = client?.userId
+        ? itemsByOwner.get(String(client.userId))
+        : null;
+      if (!items) continue;
+      const avatar = [...rooms.values()]
+        .map((r) => r.getAvatarBySocketId(client.socket.id))
+        .find(Boolean);
+      if (!avatar) continue;
+      items.forEach((item) =>
+        avatar.addItemInstance({ ...item, id: String(item._id) })
+      );
+      client.socket.emit("inventory_update", avatar.getInventoryDTO());
+      client.socket.emit("chat_message", {
+        avatarName: "Server",
+        text: `Room '${room.name}' was closed; your furniture from it is back in your inventory.`,
+        className: "info-msg",
+      });
+    }
+
+    // 5. Unlink the partners in live rooms, then drop this one
+    const archivedIds = new Set(furnitureDocs.map((f) => String(f._id)));
+    rooms.forEach((liveRoom) => {
+      if (liveRoom === room) return;
+      liveRoom.furniture.forEach((furni) => {
+        if (!furni.teleportLinkId || !archivedIds.has(furni.teleportLinkId)) {
+          return;
+        }
+        furni.teleportLinkId = null;
+        io.to(liveRoom.id).emit("furni_updated", {
+          id: furni.id,
+          teleportLinked: false,
+        });
+      });
+    });
+    rooms.delete(roomId);
+
+    return {
+      movedPlayers,
+      returnedItems: furnitureDocs.length - discardedItems,
+      discardedItems,
+    };
+  } finally {
+    room.isArchiving = false;
+  }
+}
+
+/**
+ * Recreates an archived room (layout and settings, no furniture).
+ * @param {string} roomId - Room to restore (latest unrestored archive is used).
+ * @param {Map<string, ServerRoom>} rooms - Live rooms map; the room is added to it.
+ * @returns {Promise<ServerRoom>}
+ * @throws {Error} With a user-facing message if there is no archive or the ID is taken.
+ */
+async function restoreArchivedRoom(roomId, rooms) {
+  const archive = await RoomArchive.findOne({
+    roomId,
+    restoredAt: null,
+  }).sort({ createdAt: -1 });
+  if (!archive) throw new Error(`No archived room '${roomId}'.`);
+  if (rooms.has(roomId) || (await RoomState.exists({ roomId }))) {
+    throw new Error(`Room '${roomId}' already exists.`);
+  }
+  await RoomState.create({ ...archive.roomState, roomId });
+  archive.restoredAt = new Date();
+  await archive.save();
+
+  const room = new ServerRoom(roomId);
+  await room.loadStateFromDB();
+  rooms.set(roomId, room);
+  return room;
+}
+
+/**
+ * Lists archived rooms that haven't been restored yet, newest first.
+ * @returns {Promise<Array<{roomId: string, name: string, archivedBy: string|null, archivedAt: Date}>>}
+ */
+async function listArchivedRooms() {
+  const archives = await RoomArchive.find(
+    { restoredAt: null },
+    "roomId roomState.name archivedBy createdAt"
+  )
+    .sort({ createdAt: -1 })
+    .lean();
+  return archives.map((a) => ({
+    roomId: a.roomId,
+    name: a.roomState?.name || a.roomId,
+    archivedBy: a.archivedBy,
+    archivedAt: a.createdAt,
+  }));
+}
+
+module.exports = {
+  archiveRoom,
+  restoreArchivedRoom,
+  listArchivedRooms,
+};
@@ -0,0 +1,423 @@
+"use strict";
+
+// --- Room Import / Export ---
+// A room bundle is a portable JSON snapshot of one room (layout, metadata and every
+// Furniture document) used to move rooms between servers. User ObjectIds don't carry
+// over, so owners and rights are stored by username and remapped on import.
+
+const { SHARED_CONFIG, SERVER_CONFIG } = require("./config");
+const RoomState = require("../models/roomState");
+const Furniture = require("../models/furniture");
+const User = require("../models/user");
+const ServerRoom = require("./room");
+const { relinkCopiedWired } = require("./wired");
+const { findUnavailableSerials } = require("./limited_editions");
+
+const ROOM_BUNDLE_FORMAT = "zanytown-room";
+const ROOM_BUNDLE_VERSION = 1;
+
+/**
+ * Looks up usernames for a list of user ObjectIds.
+ * @param {Array} ids - User ObjectIds (or strings); nulls are ignored.
+ * @returns {Promise<Map<string, string>>} Map of id string -> username.
+ */
+async function getUsernamesById(ids) {
+  const uniqueIds = [...new Set(ids.filter(Boolean).map(String))];
+  if (uniqueIds.length === 0) return new Map();
+  const users = await User.find(
+    { _id: { $in: uniqueIds } },
+    "username"
+  ).lean();
+  return new Map(users.map((u) => [String(u._id), u.username]));
+}
+
+/**
+ * Builds an export bundle from the room's DB state. Save the live room first
+ * (room.saveStateToDB) if in-memory changes should be included.
+ * @param {string} roomId - Room to export.
+ * @returns {Promise<{bundle: object, warnings: string[]}>} The bundle (plain
+ *   JSON-safe object) and what it had to leave out.
+ * @throws {Error} If the room has no RoomState document.
+ */
+async function exportRoomBundle(roomId) {
+  const roomState = await RoomState.findOne({ roomId }).lean();
+  if (!roomState) {
+    throw new Error(`Room '${roomId}' not found in DB.`);
+  }
+  const furnitureDocs = await Furniture.find({ roomId }).lean();
+  const usernames = await getUsernamesById([
+    roomState.ownerId,
+    ...(roomState.rights || []),
+    ...furnitureDocs.map((f) => f.ownerId),
+  ]);
+  const usernameOf = (id) => (id ? usernames.get(String(id)) || null : null);
+  // Wired and teleporter links are stored as positions in the furniture list
+  const furnitureIndex = new Map(
+    furnitureDocs.map((f, i) => [String(f._id), i])
+  );
+  const warnings = [];
+  const teleportLinks = furnitureDocs.map((f) => {
+    if (!f.teleportLinkId) return null;
+    const index = furnitureIndex.get(String(f.teleportLinkId));
+    if (index === undefined) {
+      warnings.push(
+        `Teleporter ${f._id} is linked to one in another room; exported unlinked.`
+      );
+      return null;
+    }
+    return index;
+  });
+
+  const bundle = {
+    format: ROOM_BUNDLE_FORMAT,
+    version: ROOM_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    room: {
+      roomId: roomState.roomId,
+      name: roomState.name || "",
+      description: roomState.description || "",
+      maxUsers: roomState.maxUsers,
+      // Password hashes stay on the source server (see importRoomBundle)
+      lockMode: roomState.lockMode || "open",
+      category: roomState.category || "general",
+      tags: roomState.tags || [],
+      decoration: roomState.decoration || null,
+      owner: usernameOf(roomState.ownerId),
+      rights: (roomState.rights || []).map(usernameOf).filter(Boolean),
+      layout: roomState.layout,
+      heightmap: roomState.heightmap || null,
+    },
+    furniture: furnitureDocs.map((f, i) => ({
+      definitionId: f.definitionId,
+      x: f.x,
+      y: f.y,
+      z: f.z,
+      rotation: f.rotation ?? 0,
+      state: f.state ?? null,
+      colorOverride: f.colorOverride ?? null,
+      serial: f.serial ?? null,
+      wallSide: f.wallSide ?? null,
+      wallOffset: f.wallOffset ?? 0,
+      owner: usernameOf(f.ownerId),
+      wiredLinks: (f.wiredLinks || [])
+        .map((id) => furnitureIndex.get(String(id)))
+        .filter((i) => i !== undefined),
+      wiredSettings: f.wiredSettings ?? null,
+      teleportLink: teleportLinks[i],
+    })),
+  };
+  return { bundle, warnings };
+}
+
+/**
+ * Checks a bundle's structure, layout and furniture definitions.
+ * @param {object} bundle - Parsed bundle.
+ * @returns {{valid: boolean, reason?: string}}
+ */
+function validateRoomBundle(bundle) {
+  if (!bundle || bundle.format !== ROOM_BUNDLE_FORMAT) {
+    return { valid: false, reason: "Not a room bundle." };
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+    return { valid: false, reason: "Bundle has no valid version." };
+  }
+  if (bundle.version > ROOM_BUNDLE_VERSION) {
+    return {
+      valid: false,
+      reason: `Bundle version ${bundle.version} is newer than supported (${ROOM_BUNDLE_VERSION}).`,
+    };
+  }
+  const room = bundle.room;
+  if (!room || typeof room.roomId !== "string" || !room.roomId) {
+    return { valid: false, reason: "Bundle has no room ID." };
+  }
+  const layout = room.layout;
+  if (
+    !Array.isArray(layout) ||
+    layout.length === 0 ||
+    !Array.isArray(layout[0]) ||
+    layout[0].length === 0
+  ) {
+    return { valid: false, reason: "Bundle has no layout." };
+  }
+  const cols = layout[0].length;
+  if (
+    layout.some(
+      (row) =>
+        !Array.isArray(row) ||
+        row.length !== cols ||
+        row.some((tile) => !SERVER_CONFIG.LAYOUT_TILE_TYPES.includes(tile))
+    )
+  ) {
+    return {
+      valid: false,
+      reason: "Bundle layout has invalid rows or tiles.",
+    };
+  }
+  if (!Array.isArray(bundle.furniture)) {
+    return { valid: false, reason: "Bundle has no furniture list." };
+  }
+  const unknownIds = new Set();
+  for (const item of bundle.furniture) {
+    if (
+      !item ||
+      !Number.isFinite(item.x) ||
+      !Number.isFinite(item.y) ||
+      !Number.isFinite(item.z)
+    ) {
+      return { valid: false, reason: "Bundle has malformed furniture." };
+    }
+    if (
+      item.x < 0 ||
+      item.y < 0 ||
+      item.x >= cols ||
+      item.y >= layout.length
+    ) {
+      return {
+        valid: false,
+        reason: `Furniture '${item.definitionId}' is outside the layout.`,
+      };
+    }
+    if (
+      !SHARED_CONFIG.FURNITURE_DEFINITIONS.some(
+        (d) => d.id === item.definitionId
+      )
+    ) {
+      unknownIds.add(String(item.definitionId));
+    }
+  }
+  if (unknownIds.size > 0) {
+    return {
+      valid: false,
+      reason: `Unknown furniture definitions: ${[...unknownIds].join(", ")}.`,
+    };
+  }
+  return { valid: true };
+}
+
+/**
+ * Links imported teleporters whose bundle entries point at each other.
+ * One-sided links, or links to something that isn't a teleporter, are dropped.
+ * @param {object[]} insertedDocs - Furniture documents, in bundle order.
+ * @param {Array<number|null>} linkIndexes - Per document: bundle index of its partner.
+ * @param {string[]} warnings - Dropped links are reported here.
+ * @returns {Promise<void>}
+ */
+async function relinkImportedTeleports(insertedDocs, linkIndexes, warnings) {
+  const isTeleporter = (doc) =>
+    SHARED_CONFIG.FURNITURE_DEFINITIONS.find((d) => d.id === doc.definitionId)
+      ?.isTeleporter || false;
+  const ops = [];
+  insertedDocs.forEach((doc, i) => {
+    const partnerIndex = linkIndexes[i];
+    if (!Number.isInteger(partnerIndex)) return;
+    const partner = insertedDocs[partnerIndex];
+    if (
+      !partner ||
+      partnerIndex === i ||
+      linkIndexes[partnerIndex] !== i ||
+      !isTeleporter(doc) ||
+      !isTeleporter(partner)
+    ) {
+      warnings.push(
+        `Teleporter link of furniture #${i} has no matching partner; left unlinked.`
+      );
+      return;
+    }
+    doc.teleportLinkId = partner._id;
+    ops.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { teleportLinkId: partner._id } },
+      },
+    });
+  });
+  if (ops.length > 0) await Furniture.bulkWrite(ops);
+}
+
+/**
+ * Imports a bundle as a new room. Refuses bundles whose room ID is already used in
+ * memory or the DB (including leftover Furniture documents), and bundles with
+ * limited-edition copies this server can't accept (see findUnavailableSerials).
+ * Owners and rights are matched by username; anyone missing on this server is
+ * dropped (furniture falls back to the room owner).
+ * @param {object} bundle - Parsed bundle.
+ * @param {Map<string, import('./room')>} rooms - Live rooms map; the new room is added to it.
+ * @param {object} [options]
+ * @param {string} [options.roomId] - Import under a different room ID.
+ * @param {string} [options.owner] - Username that owns the room and all its furniture.
+ * @returns {Promise<{room: import('./room'), furnitureCount: number, warnings: string[]}>}
+ * @throws {Error} With a user-facing message if the bundle is invalid or conflicts.
+ */
+async function importRoomBundle(bundle, rooms, options = {}) {
+  const check = validateRoomBundle(bundle);
+  if (!check.valid) throw new Error(check.reason);
+
+  const roomId = String(options.roomId || bundle.room.roomId)
+    .trim()
+    .toLowerCase();
+  if (!/^[a-z0-9_-]{3,32}$/.test(roomId)) {
+    throw new Error("Room ID must be 3-32 letters, numbers, '_' or '-'.");
+  }
+  if (rooms.has(roomId) || (await RoomState.exists({ roomId }))) {
+    throw new Error(`Room '${roomId}' already exists.`);
+  }
+  if (await Furniture.exists({ roomId })) {
+    throw new Error(`Furniture for room '${roomId}' already exists in DB.`);
+  }
+  // Copies of limited editions must stay unique (and within the supply) here
+  const liveItems = [...rooms.values()].flatMap((liveRoom) =>
+    Object.values(liveRoom.avatars).flatMap((avatar) =>
+      avatar.inventory instanceof Map ? [...avatar.inventory.values()] : []
+    )
+  );
+  const unavailable = await findUnavailableSerials(
+    bundle.furniture.map((f) => ({
+      definitionId: f.definitionId,
+      serial: f.serial ?? null,
+    })),
+    liveItems
+  );
+  if (unavailable.length > 0) {
+    throw new Error(
+      `Limited editions already held or never issued on this server: ${unavailable.join(", ")}.`
+    );
+  }
+
+  // --- Remap ownership by username ---
+  const warnings = [];
+  const wantedNames = options.owner
+    ? [options.owner]
+    : [
+        bundle.room.owner,
+        ...(bundle.room.rights || []),
+        ...bundle.furniture.map((f) => f.owner),
+      ];
+  const lowerNames = [
+    ...new Set(
+      wantedNames
+        .filter((n) => typeof n === "string")
+        .map((n) => n.toLowerCase())
+    ),
+  ];
+  const users = lowerNames.length
+    ? await User.find({ username: { $in: lowerNames } }, "username").lean()
+    : [];
+  const userByName = new Map(users.map((u) => [u.username.toLowerCase(), u]));
+  const resolveUser = (name) =>
+    typeof name === "string"
+      ? userByName.get(name.toLowerCase()) || null
+      : null;
+
+  let owner = null;
+  if (options.owner) {
+    owner = resolveUser(options.owner);
+    if (!owner) throw new Error(`User '${options.owner}' not found.`);
+  } else if (bundle.room.owner) {
+    owner = resolveUser(bundle.room.owner);
+    if (!owner) {
+      warnings.push(
+        `Owner '${bundle.room.owner}' not found; room imported as public.`
+      );
+    }
+  }
+  const rights = options.owner
+    ? []
+    : (bundle.room.rights || []).map(resolveUser).filter(Boolean);
+
+  let lockMode = SERVER_CONFIG.ROOM_LOCK_MODES.includes(bundle.room.lockMode)
+    ? bundle.room.lockMode
+    : "open";
+  if (lockMode === "password") {
+    // Password hashes aren't exported; keep the room closed until a new one is set
+    lockMode = "doorbell";
+    warnings.push("Password lock replaced by doorbell; set a new password.");
+  }
+
+  // --- Write RoomState, then furniture (rolled back together on failure) ---
+  const roomState = new RoomState({
+    roomId,
+    layout: bundle.room.layout,
+    heightmap: Array.isArray(bundle.room.heightmap)
+      ? bundle.room.heightmap
+      : undefined,
+    ownerId: owner ? owner._id : null,
+    ownerName: owner ? owner.username : null,
+    name: String(bundle.room.name || roomId).substring(0, 40),
+    description: String(bundle.room.description || "").substring(0, 200),
+    maxUsers: Math.min(
+      Math.max(1, parseInt(bundle.room.maxUsers, 10) || 1),
+      SERVER_CONFIG.MAX_ROOM_USERS_LIMIT
+    ),
+    lockMode,
+    category: SHARED_CONFIG.ROOM_CATEGORIES.includes(bundle.room.category)
+      ? bundle.room.category
+      : "general",
+    tags: (Array.isArray(bundle.room.tags) ? bundle.room.tags : [])
+      .filter((t) => typeof t === "string")
+      .slice(0, SERVER_CONFIG.MAX_ROOM_TAGS),
+    rights: rights.map((u) => u._id),
+    decoration: bundle.room.decoration || undefined, // Unknown styles fall back on load
+  });
+  await roomState.save();
+
+  let insertedCount = 0;
+  try {
+    const furnitureData = bundle.furniture.map((f) => {
+      const furniOwner = options.owner ? owner : resolveUser(f.owner) || owner;
+      return {
+        roomId,
+        definitionId: f.definitionId,
+        x: f.x,
+        y: f.y,
+        z: f.z,
+        rotation: Number.isInteger(f.rotation) ? f.rotation : 0,
+        ownerId: furniOwner ? furniOwner._id : null,
+        state: f.state ?? null,
+        colorOverride: f.colorOverride ?? null,
+        serial: Number.isInteger(f.serial) ? f.serial : null,
+        wallSide: f.wallSide ?? null,
+        wallOffset: Number.isFinite(f.wallOffset) ? f.wallOffset : 0,
+        wiredSettings:
+          f.wiredSettings && typeof f.wiredSettings === "object"
+            ? f.wiredSettings
+            : null,
+      };
+    });
+    if (furnitureData.length > 0) {
+      const inserted = await Furniture.insertMany(furnitureData);
+      insertedCount = inserted.length;
+      await relinkCopiedWired(
+        inserted,
+        bundle.furniture.map((f) =>
+          Array.isArray(f.wiredLinks)
+            ? f.wiredLinks.filter((i) => Number.isInteger(i))
+            : null
+        )
+      );
+      await relinkImportedTeleports(
+        inserted,
+        bundle.furniture.map((f) => f.teleportLink ?? null),
+        warnings
+      );
+    }
+  } catch (error) {
+    await Furniture.deleteMany({ roomId });
+    await RoomState.deleteOne({ roomId });
+    throw error;
+  }
+
+  // --- Bring the room online ---
+  const room = new ServerRoom(roomId);
+  await room.loadStateFromDB();
+  rooms.set(roomId, room);
+
+  return { room, furnitureCount: insertedCount, warnings };
+}
+
+module.exports = {
+  ROOM_BUNDLE_VERSION,
+  exportRoomBundle,
+  validateRoomBundle,
+  importRoomBundle,
+};
@@ -0,0 +1,447 @@
+"use strict";
+
+// --- Shop Catalog ---
+// The shop lives in MongoDB: ShopPage documents form a two-level tree (categories and
+// their pages) and ShopOffer documents are what's for sale on each page - single items
+// or bundles, with an optional timed sale price. The catalog is cached in memory and
+// reloaded after every admin edit, so buying never waits on the DB for prices.
+// An empty DB is seeded from SERVER_CONFIG.DEFAULT_SHOP_PAGES / DEFAULT_SHOP_CATALOG.
+
+const mongoose = require("mongoose");
+const { SHARED_CONFIG, SERVER_CONFIG } = require("./config");
+const ShopPage = require("../models/shopPage");
+const ShopOffer = require("../models/shopOffer");
+const { isLimited } = require("./limited_editions");
+const { getCurrency } = require("./currencies");
+
+const SHOP_ID_PATTERN = /^[a-z0-9_-]{2,32}$/;
+
+let catalogPages = []; // Normalized pages, sorted by order then name
+let catalogOffers = []; // Normalized offers, sorted by order then offerId
+
+// --- Validation ---
+
+/** Parses an optional date field; empty values mean "no limit". */
+function parseOptionalDate(value, label) {
+  if (value === null || value === undefined || value === "") return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new Error(`${label} is not a valid date.`);
+  return date;
+}
+
+/**
+ * Checks and cleans a shop page.
+ * @param {object} data - { pageId, name, parentId?, order? }.
+ * @param {object[]} pages - The other pages of the catalog.
+ * @returns {object} The page as stored.
+ * @throws {Error} With a user-facing message if the page is invalid.
+ */
+function normalizeShopPage(data, pages) {
+  const pageId = String(data?.pageId ?? "").trim().toLowerCase();
+  if (!SHOP_ID_PATTERN.test(pageId)) {
+    throw new Error("Page ID must be 2-32 letters, numbers, '_' or '-'.");
+  }
+  const name = String(data.name ?? "").trim();
+  if (!name || name.length > 40) {
+    throw new Error("Page name must be 1-40 characters.");
+  }
+  const parentId = data.parentId ? String(data.parentId) : null;
+  if (parentId) {
+    const parent = pages.find((p) => p.pageId === parentId);
+    if (!parent || parentId === pageId) {
+      throw new Error(`Parent page '${parentId}' does not exist.`);
+    }
+    // Keep the tree two levels deep: categories and their pages
+    if (parent.parentId) {
+      throw new Error(`'${parentId}' is a sub-page and can't have pages.`);
+    }
+    if (pages.some((p) => p.parentId === pageId)) {
+      throw new Error(`'${pageId}' has sub-pages and must stay a category.`);
+    }
+  }
+  return {
+    pageId,
+    name,
+    parentId,
+    order: Number.isInteger(data.order) ? data.order : 0,
+  };
+}
+
+/**
+ * Checks and cleans a shop offer.
+ * @param {object} data - { offerId, pageId, items, price, currencyId?, name?, featured?, enabled?, order?, salePrice?, saleStart?, saleEnd? }.
+ * @param {object[]} pages - Pages of the catalog.
+ * @returns {object} The offer as stored.
+ * @throws {Error} With a user-facing message if the offer is invalid.
+ */
+function normalizeShopOffer(data, pages) {
+  const offerId = String(data?.offerId ?? "").trim().toLowerCase();
+  if (!SHOP_ID_PATTERN.test(offerId)) {
+    throw new Error("Offer ID must be 2-32 letters, numbers, '_' or '-'.");
+  }
+  if (!pages.some((p) => p.pageId === data.pageId)) {
+    throw new Error(`Shop page '${data.pageId}' does not exist.`);
+  }
+  if (!Array.isArray(data.items) || data.items.length === 0) {
+    throw new Error("An offer needs at least one item.");
+  }
+  const items = data.items.map((item) => {
+    const definition = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
+      (d) => d.id === item?.definitionId
+    );
+    if (!definition) {
+      throw new Error(`Unknown furniture definition '${item?.definitionId}'.`);
+    }
+    const quantity = item.quantity ?? 1;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new Error(`Invalid quantity for '${definition.id}'.`);
+    }
+    return { definitionId: definition.id, quantity, definition };
+  });
+  const totalItems = items.reduce((sum, item) => sum + item.quantity, 0);
+  if (totalItems > SERVER_CONFIG.MAX_SHOP_OFFER_ITEMS) {
+    throw new Error(
+      `An offer can contain at most ${SERVER_CONFIG.MAX_SHOP_OFFER_ITEMS} items.`
+    );
+  }
+  // Each limited copy claims its own serial, so they are sold one at a time
+  if (totalItems > 1 && items.some((item) => isLimited(item.definition))) {
+    throw new Error("Limited editions can't be sold in bundles.");
+  }
+
+  const currencyId = data.currencyId || SHARED_CONFIG.PRIMARY_CURRENCY_ID;
+  if (!getCurrency(currencyId)) {
+    throw new Error(`Unknown currency '${currencyId}'.`);
+  }
+  const isPrice = (value) => Number.isInteger(value) && value >= 0;
+  if (!isPrice(data.price)) {
+    throw new Error("Price must be a whole number.");
+  }
+  const salePrice = data.salePrice ?? null;
+  if (salePrice !== null && !isPrice(salePrice)) {
+    throw new Error("Sale price must be a whole number.");
+  }
+  const saleStart = parseOptionalDate(data.saleStart, "Sale start");
+  const saleEnd = parseOptionalDate(data.saleEnd, "Sale end");
+  if (saleStart && saleEnd && saleEnd <= saleStart) {
+    throw new Error("Sale end must be after its start.");
+  }
+
+  const name = data.name ? String(data.name).trim().substring(0, 40) : null;
+  return {
+    offerId,
+    pageId: data.pageId,
+    name: name || null,
+    items: items.map(({ definitionId, quantity }) => ({
+      definitionId,
+      quantity,
+    })),
+    price: data.price,
+    currencyId,
+    featured: data.featured === true,
+    enabled: data.enabled !== false,
+    order: Number.isInteger(data.order) ? data.order : 0,
+    salePrice,
+    saleStart: salePrice === null ? null : saleStart,
+    saleEnd: salePrice === null ? null : saleEnd,
+  };
+}
+
+// --- Cache ---
+
+/** Reloads the in-memory catalog from the DB. */
+async function refreshShopCatalog() {
+  const [pages, offers] = await Promise.all([
+    ShopPage.find({}).lean(),
+    ShopOffer.find({}).lean(),
+  ]);
+  catalogPages = pages
+    .map((p) => ({
+      pageId: p.pageId,
+      name: p.name,
+      parentId: p.parentId ?? null,
+      order: p.order ?? 0,
+    }))
+    .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+  catalogOffers = offers
+    .map((o) => ({
+      offerId: o.offerId,
+      pageId: o.pageId,
+      name: o.name ?? null,
+      items: (o.items || []).map((i) => ({
+        definitionId: i.definitionId,
+        quantity: i.quantity ?? 1,
+      })),
+      price: o.price,
+      currencyId: o.currencyId || SHARED_CONFIG.PRIMARY_CURRENCY_ID,
+      featured: !!o.featured,
+      enabled: o.enabled !== false,
+      order: o.order ?? 0,
+      salePrice: o.salePrice ?? null,
+      saleStart: o.saleStart ?? null,
+      saleEnd: o.saleEnd ?? null,
+    }))
+    .sort((a, b) => a.order - b.order || a.offerId.localeCompare(b.offerId));
+}
+
+/** Fills an empty catalog from the config defaults. Invalid entries are skipped. */
+async function seedShopCatalog() {
+  const pages = [];
+  SERVER_CONFIG.DEFAULT_SHOP_PAGES.forEach((page, index) => {
+    try {
+      pages.push(normalizeShopPage({ order: index, ...page }, pages));
+    } catch (error) {
+      console.warn(
+        `Shop seed: skipping page '${page.pageId}': ${error.message}`
+      );
+    }
+  });
+  const offers = [];
+  SERVER_CONFIG.DEFAULT_SHOP_CATALOG.forEach((entry, index) => {
+    try {
+      offers.push(
+        normalizeShopOffer(
+          {
+            offerId: entry.offerId || entry.itemId,
+            pageId: entry.page,
+            items: entry.items || [
+              { definitionId: entry.itemId, quantity: 1 },
+            ],
+            order: index,
+            ...entry,
+          },
+          pages
+        )
+      );
+    } catch (error) {
+      console.warn(
+        `Shop seed: skipping '${entry.offerId || entry.itemId}': ${error.message}`
+      );
+    }
+  });
+  await ShopPage.insertMany(pages);
+  await ShopOffer.insertMany(offers);
+  console.log(
+    `Shop: seeded ${pages.length} pages and ${offers.length} offers from config.`
+  );
+}
+
+/** Loads the catalog at startup, seeding it first if the DB has none. */
+async function loadShopCatalog() {
+  const [pageCount, offerCount] = await Promise.all([
+    ShopPage.estimatedDocumentCount(),
+    ShopOffer.estimatedDocumentCount(),
+  ]);
+  if (pageCount === 0 && offerCount === 0) await seedShopCatalog();
+  await refreshShopCatalog();
+  console.log(
+    `Shop: loaded ${catalogPages.length} pages and ${catalogOffers.length} offers.`
+  );
+}
+
+// --- Prices ---
+
+/** True while the offer's sale price applies. */
+function isSaleActive(offer, now = new Date()) {
+  return (
+    offer.salePrice !== null &&
+    (!offer.saleStart || now >= offer.saleStart) &&
+    (!offer.saleEnd || now <= offer.saleEnd)
+  );
+}
+
+/**
+ * Current price of an offer.
+ * @returns {{price: number, onSale: boolean}}
+ */
+function getOfferPrice(offer, now = new Date()) {
+  const onSale = isSaleActive(offer, now);
+  return { price: onSale ? offer.salePrice : offer.price, onSale };
+}
+
+/** Finds an offer that can be bought right now, or null. */
+function getShopOffer(offerId) {
+  return (
+    catalogOffers.find((o) => o.offerId === offerId && o.enabled) || null
+  );
+}
+
+/** Definition IDs of everything currently for sale. */
+function getShopDefinitionIds() {
+  return [
+    ...new Set(
+      catalogOffers
+        .filter((o) => o.enabled)
+        .flatMap((o) => o.items.map((i) => i.definitionId))
+    ),
+  ];
+}
+
+/**
+ * The catalog as sent to clients: all pages and the enabled offers with their
+ * current price. Sale prices are worked out at call time.
+ */
+function getShopCatalogDTO(now = new Date()) {
+  return {
+    pages: catalogPages.map((p) => ({ ...p })),
+    offers: catalogOffers
+      .filter((o) => o.enabled)
+      .map((o) => {
+        const { price, onSale } = getOfferPrice(o, now);
+        return {
+          offerId: o.offerId,
+          pageId: o.pageId,
+          name: o.name,
+          items: o.items.map((i) => ({ ...i })),
+          price,
+          currencyId: o.currencyId,
+          basePrice: o.price,
+          onSale,
+          saleEnd: onSale ? o.saleEnd : null,
+          featured: o.featured,
+          order: o.order,
+        };
+      }),
+  };
+}
+
+// --- Admin Edits ---
+// Each edit validates against the cached catalog, writes to the DB and reloads the
+// cache. Callers broadcast getShopCatalogDTO() afterwards.
+
+/**
+ * Creates or updates a page. Fields not given keep their current values.
+ * @returns {Promise<object>} The saved page.
+ * @throws {Error} With a user-facing message if the page is invalid.
+ */
+async function saveShopPage(data) {
+  const existing = catalogPages.find((p) => p.pageId === data?.pageId);
+  const page = normalizeShopPage(
+    { ...existing, ...data },
+    catalogPages.filter((p) => p.pageId !== data?.pageId)
+  );
+  await ShopPage.updateOne({ pageId: page.pageId }, page, { upsert: true });
+  await refreshShopCatalog();
+  return page;
+}
+
+/**
+ * Deletes an empty page.
+ * @throws {Error} If the page doesn't exist or still has sub-pages or offers.
+ */
+async function deleteShopPage(pageId) {
+  if (!catalogPages.some((p) => p.pageId === pageId)) {
+    throw new Error(`Shop page '${pageId}' does not exist.`);
+  }
+  if (catalogPages.some((p) => p.parentId === pageId)) {
+    throw new Error(`Shop page '${pageId}' still has sub-pages.`);
+  }
+  if (catalogOffers.some((o) => o.pageId === pageId)) {
+    throw new Error(`Shop page '${pageId}' still has offers.`);
+  }
+  await ShopPage.deleteOne({ pageId });
+  await refreshShopCatalog();
+}
+
+/**
+ * Creates or updates an offer. Fields not given keep their current values, so a
+ * price or sale can be changed on its own.
+ * @returns {Promise<object>} The saved offer.
+ * @throws {Error} With a user-facing message if the offer is invalid.
+ */
+async function saveShopOffer(data) {
+  const existing = catalogOffers.find((o) => o.offerId === data?.offerId);
+  if (!existing && !data?.pageId) {
+    throw new Error(
+      `Shop offer '${data?.offerId}' does not exist; new offers need a pageId.`
+    );
+  }
+  const offer = normalizeShopOffer({ ...existing, ...data }, catalogPages);
+  await ShopOffer.updateOne({ offerId: offer.offerId }, offer, {
+    upsert: true,
+  });
+  await refreshShopCatalog();
+  return offer;
+}
+
+/**
+ * Deletes an offer.
+ * @throws {Error} If the offer doesn't exist.
+ */
+async function deleteShopOffer(offerId) {
+  if (!catalogOffers.some((o) => o.offerId === offerId)) {
+    throw new Error(`Shop offer '${offerId}' does not exist.`);
+  }
+  await ShopOffer.deleteOne({ offerId });
+  await refreshShopCatalog();
+}
+
+/** The whole catalog (including disabled offers) for export to a JSON file. */
+function exportShopCatalog() {
+  return {
+    pages: catalogPages.map((p) => ({ ...p })),
+    offers: catalogOffers.map((o) => ({ ...o })),
+  };
+}
+
+/**
+ * Replaces the whole catalog, e.g. with an edited export. Nothing is written
+ * unless every page and offer is valid.
+ * @param {{pages: object[], offers: object[]}} catalog
+ * @returns {Promise<{pages: number, offers: number}>}
+ * @throws {Error} With a user-facing message naming the first invalid entry.
+ */
+async function importShopCatalog(catalog) {
+  if (!Array.isArray(catalog?.pages) || !Array.isArray(catalog?.offers)) {
+    throw new Error("Catalog needs 'pages' and 'offers' lists.");
+  }
+  // Categories first, so sub-pages can find their parent
+  const sortedPages = [...catalog.pages].sort(
+    (a, b) => !!a?.parentId - !!b?.parentId
+  );
+  const pages = [];
+  for (const page of sortedPages) {
+    if (pages.some((p) => p.pageId === page?.pageId)) {
+      throw new Error(`Duplicate page '${page.pageId}'.`);
+    }
+    pages.push(normalizeShopPage(page, pages));
+  }
+  const offers = [];
+  for (const offer of catalog.offers) {
+    if (offers.some((o) => o.offerId === offer?.offerId)) {
+      throw new Error(`Duplicate offer '${offer.offerId}'.`);
+    }
+    offers.push(normalizeShopOffer(offer, pages));
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    await ShopPage.deleteMany({}, { session });
+    await ShopOffer.deleteMany({}, { session });
+    await ShopPage.insertMany(pages, { session });
+    await ShopOffer.insertMany(offers, { session });
+    await session.commitTransaction();
+  } catch (txError) {
+    await session.abortTransaction();
+    throw txError;
+  } finally {
+    await session.endSession();
+  }
+  await refreshShopCatalog();
+  return { pages: pages.length, offers: offers.length };
+}
+
+module.exports = {
+  loadShopCatalog,
+  getShopOffer,
+  getOfferPrice,
+  getShopDefinitionIds,
+  getShopCatalogDTO,
+  saveShopPage,
+  deleteShopPage,
+  saveShopOffer,
+  deleteShopOffer,
+  exportShopCatalog,
+  importShopCatalog,
+};
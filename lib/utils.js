@@ -10,6 +10,76 @@ function rotateDirection(currentDir, amount) {
   return (currentDir + amount + 8) % 8;
 }
 
+/**
+ * Lists the grid tiles covered by a furniture footprint. Width runs along X and height
+ * along Y at rotation 0; a quarter turn (rotations 2-3 and 6-7) swaps the two. The
+ * anchor tile (x, y) sits at the footprint's center, rounded towards the back corner.
+ * @param {number} x - Anchor tile X.
+ * @param {number} y - Anchor tile Y.
+ * @param {number} [width=1] - Footprint width from the definition.
+ * @param {number} [height=1] - Footprint height from the definition.
+ * @param {number} [rotation=0] - Direction (0-7).
+ * @returns {Array<{x: number, y: number}>}
+ */
+function getFootprintTiles(x, y, width = 1, height = 1, rotation = 0) {
+  const swap = rotation % 4 >= 2;
+  const w = Math.max(1, (swap ? height : width) || 1);
+  const h = Math.max(1, (swap ? width : height) || 1);
+  const startX = Math.round(x) - Math.floor((w - 1) / 2);
+  const startY = Math.round(y) - Math.floor((h - 1) / 2);
+  const tiles = [];
+  for (let dx = 0; dx < w; dx++) {
+    for (let dy = 0; dy < h; dy++) {
+      tiles.push({ x: startX + dx, y: startY + dy });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Lists the states a furniture definition can be in. Definitions declare them as
+ * `states: [{ id, isWalkable?, sitHeightOffset?, zOffset?, label? }]`; the sprite frame
+ * for each comes from `sprite.states[id]`. Older `isToggle` definitions get "off"/"on".
+ * @param {object} definition - Furniture definition.
+ * @returns {Array<{id: string, isWalkable?: boolean, sitHeightOffset?: number, zOffset?: number, label?: string}>}
+ */
+function getFurnitureStates(definition) {
+  if (Array.isArray(definition?.states) && definition.states.length > 0) {
+    return definition.states.filter((s) => typeof s?.id === "string");
+  }
+  return definition?.isToggle ? [{ id: "off" }, { id: "on" }] : [];
+}
+
+/**
+ * Lists the named layers a furniture sprite is drawn from, bottom to top. Each layer's
+ * atlas rect is the current frame shifted by (offsetX, offsetY), so layers follow
+ * states, rotations and animations. Layers with `tint: false` (shadows) keep their colors.
+ * @param {object} definition - Furniture definition.
+ * @returns {Array<{id: string, offsetX?: number, offsetY?: number, tint?: boolean, palette?: string[]}>}
+ */
+function getFurnitureLayers(definition) {
+  const layers = definition?.sprite?.layers;
+  return Array.isArray(layers)
+    ? layers.filter((l) => typeof l?.id === "string")
+    : [];
+}
+
+/**
+ * Colors a furniture item (or one of its layers) may be tinted with: the layer's
+ * `palette`, else the definition's `palette`, else the fallback list.
+ * @param {object} definition - Furniture definition.
+ * @param {string | null} [layerId=null] - Layer ID, or null for the whole item.
+ * @param {string[]} [fallback=[]] - Colors for definitions without a palette.
+ * @returns {string[]} Upper-case hex colors.
+ */
+function getRecolorPalette(definition, layerId = null, fallback = []) {
+  const layer = layerId
+    ? getFurnitureLayers(definition).find((l) => l.id === layerId)
+    : null;
+  const palette = layer?.palette || definition?.palette || fallback;
+  return palette.map((hex) => String(hex).toUpperCase());
+}
+
 function escapeHtml(unsafe) {
   if (typeof unsafe !== "string") return unsafe;
   return unsafe
@@ -23,6 +93,10 @@ function escapeHtml(unsafe) {
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     rotateDirection,
+    getFootprintTiles,
+    getFurnitureStates,
+    getFurnitureLayers,
+    getRecolorPalette,
     escapeHtml,
   };
 }
@@ -0,0 +1,343 @@
+"use strict";
+
+// --- Wired (Room Automation) ---
+// Triggers, conditions and effects are furniture whose definition has a `wired` type
+// (see SHARED_CONFIG.WIRED_TYPES). Wired items on the same tile form a stack: when a
+// trigger fires, the stack's effects run if all of its conditions pass. The room queues
+// events (walking, chat, using items) and evaluates them in ServerRoom.update.
+
+const { SHARED_CONFIG, SERVER_CONFIG } = require("./config");
+const Furniture = require("../models/furniture");
+const { getFootprintTiles, escapeHtml } = require("./utils");
+
+const DIRECTION_DELTAS = {
+  north: { dx: 0, dy: -1 },
+  east: { dx: 1, dy: 0 },
+  south: { dx: 0, dy: 1 },
+  west: { dx: -1, dy: 0 },
+};
+
+/**
+ * Validates a configuration sent from the wired panel.
+ * @param {import('./game_objects').ServerFurniture} furni - The wired item.
+ * @param {import('./room')} room - Its room.
+ * @param {object} data - Client payload with links (furniture IDs) and settings.
+ * @returns {{valid: boolean, reason?: string, links?: string[], settings?: object}}
+ */
+function normalizeWiredConfig(furni, room, data) {
+  const type = SHARED_CONFIG.WIRED_TYPES[furni.wiredType];
+  if (!type) return { valid: false, reason: "This item has no wired logic." };
+
+  let links = [];
+  if (type.links) {
+    const rawLinks = Array.isArray(data.links) ? data.links : [];
+    links = [...new Set(rawLinks.map(String))];
+    if (links.length > SERVER_CONFIG.MAX_WIRED_LINKS) {
+      return {
+        valid: false,
+        reason: `Too many linked items (max ${SERVER_CONFIG.MAX_WIRED_LINKS}).`,
+      };
+    }
+    if (links.includes(String(furni.id))) {
+      return { valid: false, reason: "An item can't be linked to itself." };
+    }
+    if (links.some((id) => !room.getFurnitureById(id))) {
+      return { valid: false, reason: "Linked items must be in this room." };
+    }
+  }
+
+  const rawSettings =
+    data.settings && typeof data.settings === "object" ? data.settings : {};
+  const settings = {};
+  type.settings.forEach((field) => {
+    const raw = rawSettings[field.key];
+    if (field.type === "number") {
+      const value = parseInt(raw, 10);
+      settings[field.key] = Number.isNaN(value)
+        ? field.default ?? field.min ?? 0
+        : Math.min(field.max ?? value, Math.max(field.min ?? value, value));
+    } else if (field.type === "select") {
+      settings[field.key] = field.options.includes(raw)
+        ? raw
+        : field.default ?? field.options[0];
+    } else {
+      settings[field.key] = String(raw ?? "")
+        .trim()
+        .substring(0, field.maxLength || 100);
+    }
+  });
+  return { valid: true, links, settings };
+}
+
+/**
+ * Points copied wired items at the copies of the furniture they were linked to
+ * (room cloning and bundle imports create new IDs). Links to items that weren't
+ * copied are dropped. Updates the documents in place and in the DB.
+ * @param {Array<object>} insertedDocs - New Furniture documents, in source order.
+ * @param {Array<Array<number>|null>} linkIndexes - Per document: indexes into insertedDocs of its links.
+ * @returns {Promise<void>}
+ */
+async function relinkCopiedWired(insertedDocs, linkIndexes) {
+  const ops = [];
+  insertedDocs.forEach((doc, i) => {
+    if (!Array.isArray(linkIndexes[i])) return;
+    const links = linkIndexes[i]
+      .filter((index) => insertedDocs[index])
+      .map((index) => insertedDocs[index]._id);
+    doc.wiredLinks = links;
+    ops.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { wiredLinks: links } },
+      },
+    });
+  });
+  if (ops.length > 0) await Furniture.bulkWrite(ops);
+}
+
+// --- Evaluation ---
+
+/** Persists an effect's furniture change and broadcasts it (effects can't await). */
+function applyFurniUpdate(room, furni, update, io) {
+  io.to(room.id).emit("furni_updated", { id: furni.id, ...update });
+  Furniture.findByIdAndUpdate(furni.id, { $set: update }).catch((err) =>
+    console.error(`[Wired ${room.id}] DB Error updating ${furni.id}:`, err)
+  );
+}
+
+/** Linked furniture that still exists in the room. */
+function getLinkedFurniture(room, wiredFurni) {
+  return wiredFurni.wiredLinks
+    .map((id) => room.getFurnitureById(id))
+    .filter(Boolean);
+}
+
+/** Checks whether the avatar stands on (or sits in) the footprint of any of the items. */
+function isAvatarOnAny(avatar, items) {
+  const ax = Math.round(avatar.x);
+  const ay = Math.round(avatar.y);
+  return items.some((f) =>
+    f.getOccupiedTiles().some((t) => t.x === ax && t.y === ay)
+  );
+}
+
+/**
+ * Checks whether a queued event fires a trigger.
+ * @param {import('./room')} room
+ * @param {import('./game_objects').ServerFurniture} trigger
+ * @param {object} event - { type, avatar?, furniId?, x?, y?, text? }
+ * @returns {boolean}
+ */
+function triggerMatches(room, trigger, event) {
+  if (event.type !== trigger.wiredType) return false;
+  switch (trigger.wiredType) {
+    case "walk_on":
+      return getLinkedFurniture(room, trigger).some((f) =>
+        f.getOccupiedTiles().some((t) => t.x === event.x && t.y === event.y)
+      );
+    case "item_used":
+      return trigger.wiredLinks.includes(String(event.furniId));
+    case "chat_keyword": {
+      const keyword = String(
+        trigger.wiredSettings.keyword || ""
+      ).toLowerCase();
+      return !!keyword && event.text.toLowerCase().includes(keyword);
+    }
+    case "timer":
+      return String(event.furniId) === String(trigger.id);
+    default:
+      return false;
+  }
+}
+
+/** Evaluates one condition for the event that fired the stack. */
+function conditionPasses(room, condition, event) {
+  const linked = getLinkedFurniture(room, condition);
+  switch (condition.wiredType) {
+    case "item_state":
+      return linked.every((f) => f.state === condition.wiredSettings.state);
+    case "avatar_on_item":
+      return !!event.avatar && isAvatarOnAny(event.avatar, linked);
+    default:
+      return true;
+  }
+}
+
+/** Moves an item one tile, if the destination is free. Returns true if it moved. */
+function moveItemOneTile(room, furni, direction, io) {
+  if (furni.isWallItem || room.isFurnitureOccupied(furni.id)) return false;
+  const tiles = furni.getOccupiedTiles();
+  const hasItemOnTop = room.furniture.some(
+    (f) =>
+      f !== furni &&
+      !f.isWallItem &&
+      f.z > furni.z &&
+      f
+        .getOccupiedTiles()
+        .some((t) => tiles.some((ft) => ft.x === t.x && ft.y === t.y))
+  );
+  if (hasItemOnTop) return false;
+
+  const dirName =
+    direction === "random"
+      ? Object.keys(DIRECTION_DELTAS)[Math.floor(Math.random() * 4)]
+      : direction;
+  const delta = DIRECTION_DELTAS[dirName];
+  if (!delta) return false;
+  const newX = Math.round(furni.x) + delta.dx;
+  const newY = Math.round(furni.y) + delta.dy;
+  const newTiles = getFootprintTiles(
+    newX,
+    newY,
+    furni.width,
+    furni.height,
+    furni.rotation
+  );
+  const isSolid = !furni.isWalkable && !furni.isFlat;
+  const blocked = newTiles.some(
+    (t) =>
+      !room.isValidTile(t.x, t.y) ||
+      room
+        .getFurnitureStackAt(t.x, t.y)
+        .some((f) => f !== furni && !f.isFlat) ||
+      (isSolid &&
+        Object.values(room.avatars).some(
+          (a) => Math.round(a.x) === t.x && Math.round(a.y) === t.y
+        ))
+  );
+  if (blocked) return false;
+
+  furni.x = newX;
+  furni.y = newY;
+  furni.z =
+    room.getFootprintStackHeight(newTiles, furni.id) +
+    furni.zOffset +
+    (furni.getStateDefinition()?.zOffset || 0);
+  applyFurniUpdate(room, furni, { x: furni.x, y: furni.y, z: furni.z }, io);
+  return true;
+}
+
+/** Runs one effect for the event that fired the stack. */
+function runEffect(room, effect, event, io) {
+  const linked = getLinkedFurniture(room, effect);
+  const avatar = event.avatar;
+  // Effects on an avatar only apply while it's still here (it may have left mid-tick)
+  const avatarHere =
+    avatar && avatar.socketId && room.avatars[avatar.socketId] === avatar;
+
+  switch (effect.wiredType) {
+    case "toggle_item":
+      linked.forEach((f) => {
+        if (!f.canUse || f.isDoor || room.isFurnitureOccupied(f.id)) return;
+        const result = f.use(null, room);
+        if (result.changed && result.updatePayload) {
+          applyFurniUpdate(room, f, result.updatePayload, io);
+        }
+      });
+      break;
+    case "teleport_avatar": {
+      if (!avatarHere) break;
+      const targets = linked.filter(
+        (f) => !f.isWallItem && room.isWalkable(f.x, f.y)
+      );
+      const target = targets[Math.floor(Math.random() * targets.length)];
+      if (!target) break;
+      if (avatar.state === SHARED_CONFIG.AVATAR_STATE_SITTING) {
+        avatar.executeStand(room);
+      }
+      avatar.x = Math.round(target.x);
+      avatar.y = Math.round(target.y);
+      avatar.z =
+        room.getFloorZ(avatar.x, avatar.y) + SHARED_CONFIG.AVATAR_DEFAULT_Z;
+      avatar.path = [];
+      avatar.actionAfterPath = null;
+      avatar.state = SHARED_CONFIG.AVATAR_STATE_IDLE;
+      io.to(room.id).emit("avatar_update", avatar.toDTO());
+      break;
+    }
+    case "show_message": {
+      const text = escapeHtml(String(effect.wiredSettings.message || ""));
+      if (!text) break;
+      // Messages go to whoever set off the trigger, or the whole room for timers
+      const target = avatarHere ? io.to(avatar.socketId) : io.to(room.id);
+      target.emit("chat_message", {
+        avatarName: "Room",
+        text,
+        className: "info-msg",
+      });
+      break;
+    }
+    case "move_item":
+      linked.forEach((f) =>
+        moveItemOneTile(room, f, effect.wiredSettings.direction || "random", io)
+      );
+      break;
+  }
+}
+
+/** Runs the stack a trigger sits in: checks its conditions, then runs its effects. */
+function runStack(room, trigger, event, io) {
+  const tx = Math.round(trigger.x);
+  const ty = Math.round(trigger.y);
+  const stack = room.furniture.filter(
+    (f) => f.wiredType && Math.round(f.x) === tx && Math.round(f.y) === ty
+  );
+  const kindOf = (f) => SHARED_CONFIG.WIRED_TYPES[f.wiredType].kind;
+  const conditionsPass = stack
+    .filter((f) => kindOf(f) === "condition")
+    .every((condition) => conditionPasses(room, condition, event));
+  if (!conditionsPass) return;
+  stack
+    .filter((f) => kindOf(f) === "effect")
+    .forEach((effect) => runEffect(room, effect, event, io));
+}
+
+/**
+ * Advances wired timers and evaluates queued events for one room tick. Events beyond
+ * MAX_WIRED_EVENTS_PER_TICK wait for the next tick, so trigger loops can't stall the server.
+ * @param {import('./room')} room - The room being updated.
+ * @param {number} deltaTimeMs - Time since the last tick.
+ * @param {import('socket.io').Server} io - For broadcasting effect results.
+ */
+function processWired(room, deltaTimeMs, io) {
+  const wiredItems = room.furniture.filter((f) => f.wiredType);
+  if (wiredItems.length === 0) {
+    room.wiredEvents.length = 0; // Nothing can react
+    return;
+  }
+
+  // Timers
+  wiredItems.forEach((f) => {
+    if (f.wiredType !== "timer") return;
+    const seconds = Math.max(1, Number(f.wiredSettings.seconds) || 10);
+    const intervalMs = seconds * 1000;
+    const elapsed = (room.wiredTimers.get(f.id) || 0) + deltaTimeMs;
+    if (elapsed >= intervalMs) {
+      room.wiredTimers.set(f.id, 0);
+      room.queueWiredEvent({ type: "timer", furniId: f.id });
+    } else {
+      room.wiredTimers.set(f.id, elapsed);
+    }
+  });
+
+  const triggers = wiredItems.filter(
+    (f) => SHARED_CONFIG.WIRED_TYPES[f.wiredType].kind === "trigger"
+  );
+  let processed = 0;
+  while (
+    room.wiredEvents.length > 0 &&
+    processed < SERVER_CONFIG.MAX_WIRED_EVENTS_PER_TICK
+  ) {
+    const event = room.wiredEvents.shift();
+    processed++;
+    triggers
+      .filter((trigger) => triggerMatches(room, trigger, event))
+      .forEach((trigger) => runStack(room, trigger, event, io));
+  }
+}
+
+module.exports = {
+  normalizeWiredConfig,
+  relinkCopiedWired,
+  processWired,
+};
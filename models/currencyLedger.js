@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// One entry per change to a player's coins. The collection is append-only:
+// entries are never edited or removed, so the sum of a user's amounts is their
+// balance.
+const currencyLedgerSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    username: { type: String, default: null },
+    currencyId: { type: String, required: true }, // SHARED_CONFIG.CURRENCIES id
+    amount: { type: Number, required: true }, // Positive = credit, negative = debit
+    balance: { type: Number, required: true }, // The user's coins after this entry
+    source: {
+      type: String,
+      enum: [
+        "opening",
+        "signup",
+        "shop",
+        "trade",
+        "admin",
+        "reward",
+        "market",
+      ],
+      required: true,
+    },
+    // Shop: offer IDs, trade: trade ID, admin: admin name, reward: reward ID,
+    // market: listing ID
+    reference: { type: String, default: null },
+    description: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+currencyLedgerSchema.index({ userId: 1, createdAt: -1 });
+
+// Append-only: refuse every update and delete that goes through the model
+const refuseChange = function () {
+  throw new Error("Currency ledger entries cannot be changed or removed.");
+};
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((op) => currencyLedgerSchema.pre(op, refuseChange));
+currencyLedgerSchema.pre("save", function () {
+  if (!this.isNew) refuseChange();
+});
+
+module.exports = mongoose.model("CurrencyLedger", currencyLedgerSchema);
@@ -14,7 +14,23 @@ const furnitureSchema = new mongoose.Schema(
       default: null,
     }, // User ObjectId
     state: { type: String, default: null }, // 'on'/'off' etc.
-    colorOverride: { type: String, default: null }, // Hex color string
+    // Hex color string (whole item) or { layerId: hex } map for layered sprites
+    colorOverride: { type: mongoose.Schema.Types.Mixed, default: null },
+    // Wall items: which wall edge of tile (x, y) the item hangs on, and how far
+    // it is slid along that edge. Null/0 for regular floor furniture.
+    wallSide: { type: String, enum: ["left", "right", null], default: null },
+    wallOffset: { type: Number, default: 0 },
+    // Wired logic items: the furniture they watch or act on, and their panel settings
+    wiredLinks: [{ type: mongoose.Schema.Types.ObjectId, ref: "Furniture" }],
+    wiredSettings: { type: mongoose.Schema.Types.Mixed, default: null },
+    // Teleporters: the partner item (possibly in another room); cleared on pickup
+    teleportLinkId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Furniture",
+      default: null,
+    },
+    // Limited editions: copy number (1..supply), kept for the item's lifetime
+    serial: { type: Number, default: null },
     // Note: _id is automatically added by Mongoose
   },
   { timestamps: true }
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// One entry per ownership or placement event for a furniture item.
+const itemHistorySchema = new mongoose.Schema(
+  {
+    // Item instance ID (also its Furniture _id while placed); null for old entries
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Furniture",
+      default: null,
+      index: true,
+    },
+    definitionId: { type: String, required: true },
+    action: {
+      type: String,
+      enum: ["buy", "place", "pickup", "trade", "market"],
+      required: true,
+    },
+    quantity: { type: Number, default: 1 },
+    // Who performed the action (for trades and market sales: the receiving player)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    username: { type: String, default: null },
+    // Trades and market sales: the player the item came from
+    otherUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    otherUsername: { type: String, default: null },
+    // Place/pickup: where it happened
+    roomId: { type: String, default: null },
+    x: { type: Number, default: null },
+    y: { type: Number, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ItemHistory", itemHistorySchema);
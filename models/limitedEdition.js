@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// Sales counter for one limited-edition furniture definition. `sold` is only
+// changed with atomic $inc updates and doubles as the last serial handed out.
+const limitedEditionSchema = new mongoose.Schema(
+  {
+    definitionId: { type: String, required: true, unique: true },
+    sold: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("LimitedEdition", limitedEditionSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// One item a player put up for sale on the marketplace. While a listing is
+// active the item is held here in escrow (it is no longer in the seller's
+// inventory). Sold listings keep the seller's proceeds until they are paid out
+// on the seller's next login; expired listings hand the item back the same way
+// (see lib/marketplace.js).
+const marketListingSchema = new mongoose.Schema(
+  {
+    sellerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    sellerName: { type: String, default: null },
+    // The escrowed item instance, in the User.inventory entry shape
+    item: {
+      _id: { type: mongoose.Schema.Types.ObjectId, required: true },
+      definitionId: { type: String, required: true },
+      colorOverride: { type: mongoose.Schema.Types.Mixed, default: null },
+      serial: { type: Number, default: null },
+    },
+    price: { type: Number, required: true, min: 1 },
+    currencyId: { type: String, required: true }, // SHARED_CONFIG.CURRENCIES id
+    fee: { type: Number, default: 0 }, // Kept by the market when the item sells
+    status: {
+      type: String,
+      enum: ["active", "sold", "cancelled", "expired"],
+      default: "active",
+      index: true,
+    },
+    expiresAt: { type: Date, required: true, index: true },
+    buyerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    buyerName: { type: String, default: null },
+    soldAt: { type: Date, default: null },
+    // Sold: proceeds credited to the seller. Expired: item back in their inventory.
+    settled: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+marketListingSchema.index({ status: 1, createdAt: -1 });
+marketListingSchema.index({ sellerId: 1, status: 1, settled: 1 });
+
+module.exports = mongoose.model("MarketListing", marketListingSchema);
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+const roomArchiveSchema = new mongoose.Schema(
+  {
+    roomId: { type: String, required: true, index: true },
+    // Copy of the RoomState document (layout, heightmap, owner, settings) at deletion
+    roomState: { type: mongoose.Schema.Types.Mixed, required: true },
+    // Furniture handed back when the room was archived: one entry per owner + definition
+    returnedFurniture: [
+      {
+        _id: false,
+        ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        definitionId: String,
+        quantity: Number,
+      },
+    ],
+    discardedFurniture: { type: Number, default: 0 }, // Items with no owner to return to
+    archivedBy: { type: String, default: null }, // Admin name, or 'console'
+    restoredAt: { type: Date, default: null }, // Set once the room is brought back
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("RoomArchive", roomArchiveSchema);
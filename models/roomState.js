@@ -13,6 +13,39 @@ const roomStateSchema = new mongoose.Schema(
       type: [[mongoose.Schema.Types.Mixed]], // Array of arrays, mixed types (0, 1, 2, 'X')
       required: true,
     },
+    // Floor height level per tile (same dimensions as layout, 0 = ground)
+    heightmap: {
+      type: [[Number]],
+      default: undefined,
+    },
+    // --- Ownership & Metadata ---
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // null = public/server-owned room
+      index: true,
+    },
+    ownerName: { type: String, default: null }, // Denormalized for room lists
+    name: { type: String, trim: true, maxlength: 40, default: "" }, // Display name
+    description: { type: String, trim: true, maxlength: 200, default: "" },
+    maxUsers: { type: Number, default: 25, min: 1 },
+    lockMode: {
+      type: String,
+      enum: ["open", "doorbell", "password"],
+      default: "open",
+    },
+    passwordHash: { type: String, default: null }, // bcrypt hash, used when lockMode is 'password'
+    // Navigator listing
+    category: { type: String, default: "general", index: true },
+    tags: [{ type: String, trim: true, lowercase: true, maxlength: 20 }],
+    // Decoration style IDs (SHARED_CONFIG.ROOM_DECORATIONS) per slot
+    decoration: {
+      wallpaper: { type: String, default: "default" },
+      floor: { type: String, default: "default" },
+      landscape: { type: String, default: "default" },
+    },
+    // Users allowed to build/edit in this room (besides the owner)
+    rights: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
   },
   { timestamps: true }
 );
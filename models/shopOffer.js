@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Something for sale on a shop page: a single item, or a bundle of several items
+// sold together for one price.
+const shopOfferSchema = new mongoose.Schema(
+  {
+    offerId: { type: String, required: true, unique: true },
+    pageId: { type: String, required: true, index: true },
+    name: { type: String, default: null }, // Bundles; single items use the definition name
+    items: [
+      {
+        _id: false,
+        definitionId: { type: String, required: true },
+        quantity: { type: Number, default: 1 },
+      },
+    ],
+    price: { type: Number, required: true },
+    currencyId: { type: String, default: null }, // SHARED_CONFIG.CURRENCIES id; null = primary
+    featured: { type: Boolean, default: false }, // Also listed on the Featured page
+    enabled: { type: Boolean, default: true }, // Hidden from the shop when false
+    order: { type: Number, default: 0 }, // Sort position on its page
+    // Timed sale: salePrice applies between saleStart and saleEnd (either may be open)
+    salePrice: { type: Number, default: null },
+    saleStart: { type: Date, default: null },
+    saleEnd: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ShopOffer", shopOfferSchema);
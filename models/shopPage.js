@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// A page of the shop catalog. Top-level pages (parentId null) are the categories
+// shown first; pages with a parentId are listed under that category.
+const shopPageSchema = new mongoose.Schema(
+  {
+    pageId: { type: String, required: true, unique: true },
+    name: { type: String, required: true, maxlength: 40 },
+    parentId: { type: String, default: null },
+    order: { type: Number, default: 0 }, // Sort position among its siblings
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ShopPage", shopPageSchema);
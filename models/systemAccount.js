@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// A balance that belongs to the game rather than a player, e.g. the marketplace
+// fee sink. Only changed with atomic $inc updates.
+const systemAccountSchema = new mongoose.Schema(
+  {
+    accountId: { type: String, required: true, unique: true },
+    // Per currency (SHARED_CONFIG.CURRENCIES id), e.g. { coins: 120 }
+    balances: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("SystemAccount", systemAccountSchema);
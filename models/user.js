@@ -25,15 +25,39 @@ const userSchema = new mongoose.Schema(
       type: Number,
       default: 10,
     },
-    inventory: {
+    // The other currencies (SHARED_CONFIG.CURRENCIES), e.g. { gems: 5 }
+    balances: {
       type: Map,
       of: Number,
       default: {},
     },
+    // Activity rewards: amount paid per reward ID on rewardDay (UTC "YYYY-MM-DD")
+    rewardDay: { type: String, default: null },
+    rewardsEarnedToday: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    // Owned items not placed in a room. Each entry is one item with its own _id,
+    // shared with its Furniture document while placed (see lib/migrations.js for
+    // the old { definitionId: count } format).
+    inventory: [
+      {
+        definitionId: { type: String, required: true },
+        colorOverride: { type: mongoose.Schema.Types.Mixed, default: null },
+        serial: { type: Number, default: null }, // Limited editions only
+      },
+    ],
     bodyColor: {
       type: String,
       default: "#6CA0DC",
     },
+    // Colors for the other avatar layers (SHARED_CONFIG.AVATAR_LAYERS), e.g. { legs: "#3B4A6B" }
+    layerColors: {
+      type: Map,
+      of: String,
+      default: {},
+    },
     lastRoomId: {
       type: String,
       default: "main_lobby",
@@ -41,6 +65,9 @@ const userSchema = new mongoose.Schema(
     lastX: { type: Number, default: null }, // Default spawn coords handled on load
     lastY: { type: Number, default: null },
     lastZ: { type: Number, default: 0.0 },
+    // Room Navigator
+    favoriteRooms: { type: [String], default: [] }, // Room IDs
+    recentRooms: { type: [String], default: [] }, // Room IDs, most recent first
   },
   { timestamps: true }
 );
@@ -103,3 +103,42 @@ export async function preloadAssets(
 export function getAsset(url) {
   return imageCache.get(url);
 }
+
+// --- Tinted Sprite Cache ---
+// Recolored furniture layers are tinted once into offscreen canvases and reused every frame.
+const tintCache = new Map();
+const TINT_CACHE_LIMIT = 256; // Oldest entries are dropped beyond this
+
+/**
+ * Returns a tinted copy of one atlas rect, cached per image, rect and color.
+ * Tinting multiplies the color over the sprite, keeping its shading and transparency.
+ * @param {HTMLImageElement} image - Loaded sprite sheet.
+ * @param {number} sx - Source X in the sheet.
+ * @param {number} sy - Source Y in the sheet.
+ * @param {number} sw - Source width.
+ * @param {number} sh - Source height.
+ * @param {string} color - Tint color (#RRGGBB).
+ * @returns {HTMLCanvasElement} Canvas of size sw x sh holding the tinted rect.
+ */
+export function getTintedSprite(image, sx, sy, sw, sh, color) {
+  const key = `${image.src}|${sx},${sy},${sw},${sh}|${color}`;
+  const cached = tintCache.get(key);
+  if (cached) return cached;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = sw;
+  canvas.height = sh;
+  const tintCtx = canvas.getContext("2d");
+  tintCtx.drawImage(image, sx, sy, sw, sh, 0, 0, sw, sh);
+  tintCtx.globalCompositeOperation = "multiply";
+  tintCtx.fillStyle = color;
+  tintCtx.fillRect(0, 0, sw, sh);
+  tintCtx.globalCompositeOperation = "destination-in"; // Restore the sprite's alpha
+  tintCtx.drawImage(image, sx, sy, sw, sh, 0, 0, sw, sh);
+
+  if (tintCache.size >= TINT_CACHE_LIMIT) {
+    tintCache.delete(tintCache.keys().next().value);
+  }
+  tintCache.set(key, canvas);
+  return canvas;
+}
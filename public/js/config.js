@@ -49,6 +49,7 @@ export async function loadConfig() {
       TOGGLE_ROOMS_BTN_ID: "toggle-rooms-btn",
       TOGGLE_USERS_BTN_ID: "toggle-users-btn",
       TOGGLE_SHOP_BTN_ID: "toggle-shop-btn",
+      TOGGLE_MARKET_BTN_ID: "toggle-market-btn",
       TOGGLE_EDIT_BOTTOM_BTN_ID: "toggle-edit-bottom-btn",
       TOGGLE_ADMIN_BTN_ID: "toggle-admin-btn",
       TOGGLE_DEBUG_BTN_ID: "toggle-debug-btn",
@@ -60,16 +61,47 @@ export async function loadConfig() {
       ADMIN_PANEL_ID: "admin-panel",
       DEBUG_PANEL_ID: "debug-panel",
       SHOP_PANEL_ID: "shop-panel", // Shop is now toggled
+      MARKET_PANEL_ID: "market-panel",
 
       // --- Content Element IDs *within* Panels ---
       INVENTORY_ITEMS_ID: "inventory-items",
       USER_LIST_CONTENT_ID: "user-list-content",
       ROOMS_LIST_CONTENT_ID: "rooms-list-content",
+      NAVIGATOR_TABS_ID: "navigator-tabs",
+      NAVIGATOR_SEARCH_ID: "navigator-search",
+      NAVIGATOR_CATEGORY_ID: "navigator-category",
+      NAVIGATOR_PREV_BTN_ID: "navigator-prev-btn",
+      NAVIGATOR_NEXT_BTN_ID: "navigator-next-btn",
+      NAVIGATOR_PAGE_INFO_ID: "navigator-page-info",
       ADMIN_ROOM_LIST_ID: "admin-room-list",
-      ADMIN_LAYOUT_TILE_TYPE_ID: "admin-layout-tile-type",
+      LAYOUT_TILE_TYPE_ID: "layout-tile-type",
+      LAYOUT_PAINT_HEIGHT_ID: "layout-paint-height",
+      LAYOUT_TOOL_ID: "layout-tool",
+      LAYOUT_UNDO_BTN_ID: "layout-undo-btn",
+      LAYOUT_REDO_BTN_ID: "layout-redo-btn",
+      LAYOUT_RESIZE_BTN_ID: "layout-resize-btn",
       CREATE_ROOM_BTN_ID: "create-room-btn",
+      EXPORT_ROOM_BTN_ID: "export-room-btn",
+      IMPORT_ROOM_BTN_ID: "import-room-btn",
+      IMPORT_ROOM_FILE_ID: "import-room-file",
+      DELETE_ROOM_BTN_ID: "delete-room-btn",
+      RESTORE_ROOM_BTN_ID: "restore-room-btn",
+      CREATE_MY_ROOM_BTN_ID: "create-my-room-btn",
+      ROOM_TEMPLATE_LIST_ID: "room-template-list",
+      CLONE_ROOM_BTN_ID: "clone-room-btn",
+      ROOM_SETTINGS_BTN_ID: "room-settings-btn",
+      ROOM_OWNER_SECTION_ID: "room-owner-section",
       DEBUG_DIV_ID: "debug-content",
       SHOP_ITEMS_ID: "shop-items",
+      SHOP_PAGES_ID: "shop-pages",
+      SHOP_CART_ID: "shop-cart",
+      MARKET_SEARCH_ID: "market-search",
+      MARKET_LISTINGS_ID: "market-listings",
+      MARKET_SELL_ITEM_ID: "market-sell-item",
+      MARKET_SELL_PRICE_ID: "market-sell-price",
+      MARKET_SELL_CURRENCY_ID: "market-sell-currency",
+      MARKET_SELL_BTN_ID: "market-sell-btn",
+      MARKET_FEE_NOTE_ID: "market-fee-note",
 
       // --- Floating Panel IDs ---
       PROFILE_PANEL_ID: "profile-panel",
@@ -80,6 +112,18 @@ export async function loadConfig() {
       RECOLOR_ITEM_NAME_ID: "recolor-item-name",
       RECOLOR_CLOSE_BTN_ID: "recolor-close-btn",
       RECOLOR_RESET_BTN_ID: "recolor-reset-btn",
+      WIRED_PANEL_ID: "wired-panel",
+      WIRED_TITLE_ID: "wired-title",
+      WIRED_SETTINGS_ID: "wired-settings",
+      WIRED_LINKS_ID: "wired-links",
+      WIRED_SAVE_BTN_ID: "wired-save-btn",
+      WIRED_CLOSE_BTN_ID: "wired-close-btn",
+      FURNI_INFO_PANEL_ID: "furni-info-panel",
+      FURNI_INFO_CONTENT_ID: "furni-info-content",
+      FURNI_INFO_CLOSE_BTN_ID: "furni-info-close-btn",
+      WALLET_PANEL_ID: "wallet-panel",
+      WALLET_CONTENT_ID: "wallet-content",
+      WALLET_CLOSE_BTN_ID: "wallet-close-btn",
 
       // --- Context Menu ID ---
       CONTEXT_MENU_ID: "context-menu",
@@ -118,14 +162,18 @@ export async function loadConfig() {
       AVATAR_SKIN_COLOR: "#F0DDBB",
       AVATAR_EYE_COLOR: "#000000",
       INTERPOLATION_FACTOR: 0.25,
+      DEFAULT_ANIMATION_FRAME_MS: 150, // Furniture animations without a frameDuration
+      MIN_ANIMATION_FRAME_MS: 16, // Faster frames are clamped (about one per display refresh)
       VISUAL_Z_FACTOR: SHARED_CONFIG.TILE_HEIGHT_HALF * 1.5,
       FURNI_PLACE_HIGHLIGHT_COLOR: "rgba(255, 255, 0, 0.5)",
       FURNI_SELECT_HIGHLIGHT_COLOR: "rgba(0, 255, 255, 0.7)",
+      WIRED_LINK_HIGHLIGHT_COLOR: "rgba(255, 140, 0, 0.8)", // Items linked in the wired panel
       FURNI_HOVER_HIGHLIGHT_COLOR: "rgba(0, 200, 255, 0.3)",
       TILE_EDIT_HIGHLIGHT_COLOR: "rgba(255, 0, 0, 0.4)",
       EDIT_STATE_NAVIGATE: "navigate",
       EDIT_STATE_PLACING: "placing",
       EDIT_STATE_SELECTED_FURNI: "selected_furni",
+      EDIT_STATE_MOVING_FURNI: "moving_furni",
 
       // ===== START: TRADE CONFIG =====
       TRADE_REQUEST_TIMEOUT: 20000, // ms for trade request popup
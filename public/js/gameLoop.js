@@ -1,6 +1,6 @@
 import { CLIENT_CONFIG } from "./config.js";
 import { gameState, uiState } from "./gameState.js";
-import { renderGame } from "./renderer.js";
+import { renderGame, getVisibleWorldBounds } from "./renderer.js";
 import { handleHeldKeys, updateMouseWorldPosition } from "./inputHandler.js";
 import {
   updateHighlights,
@@ -89,9 +89,21 @@ function gameLoop(timestamp) {
       n.interpolate(clampedInterpolationFactor);
     }
   });
+  // Sprite animations only advance for furniture in view (off-screen items pause)
+  const animationBounds = getVisibleWorldBounds(2);
   Object.values(gameState.furniture || {}).forEach((f) => {
     if (f instanceof ClientFurniture && typeof f.interpolate === "function") {
       f.interpolate(clampedInterpolationFactor);
+      if (
+        animationBounds &&
+        f.spriteInfo?.animations &&
+        f.visualX >= animationBounds.minX &&
+        f.visualX <= animationBounds.maxX &&
+        f.visualY >= animationBounds.minY &&
+        f.visualY <= animationBounds.maxY
+      ) {
+        f.updateAnimation(cappedDeltaTimeMs);
+      }
     }
   });
 
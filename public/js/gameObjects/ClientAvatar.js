@@ -17,6 +17,7 @@ export class ClientAvatar extends ClientGameObject {
     this.sittingOnFurniId = dto.sittingOnFurniId || null; // String furniture DB ID
     this.bodyColor =
       dto.bodyColor || CLIENT_CONFIG?.AVATAR_SKIN_COLOR || "#6CA0DC";
+    this.layerColors = dto.layerColors || {}; // Other avatar layers (legs, skin) -> hex
     this.isAdmin = dto.isAdmin || false;
 
     // Client-side emote tracking
@@ -51,6 +52,7 @@ export class ClientAvatar extends ClientGameObject {
 
     if (dto.name != null) this.name = dto.name;
     if (dto.bodyColor != null) this.bodyColor = dto.bodyColor;
+    if (dto.layerColors != null) this.layerColors = dto.layerColors;
     if (dto.isAdmin !== undefined) this.isAdmin = dto.isAdmin;
     if (dto.direction != null) this.direction = dto.direction;
     if (dto.sittingOnFurniId !== undefined)
@@ -215,16 +217,24 @@ export class ClientAvatar extends ClientGameObject {
 
     ctx.save();
 
-    // Draw Body
+    // Draw Body (shirt over the upper part, legs below)
+    const legsHeight = bodyHeight * 0.4;
+    const legsColor = this.getLayerColor("legs");
     ctx.fillStyle = bodyFill;
     ctx.strokeStyle = bodyOutline;
     ctx.lineWidth = Math.max(1, 1.5 * zoom);
     ctx.fillRect(bodyX, bodyY, bodyWidth, bodyHeight);
+    ctx.fillStyle =
+      this.state === SHARED_CONFIG.AVATAR_STATE_SITTING
+        ? shadeColor(legsColor, -20)
+        : legsColor;
+    ctx.fillRect(bodyX, bodyY + bodyHeight - legsHeight, bodyWidth, legsHeight);
     ctx.strokeRect(bodyX, bodyY, bodyWidth, bodyHeight);
 
     // Draw Head
-    ctx.fillStyle = CLIENT_CONFIG.AVATAR_SKIN_COLOR;
-    ctx.strokeStyle = shadeColor(CLIENT_CONFIG.AVATAR_SKIN_COLOR, -30);
+    const skinColor = this.getLayerColor("skin");
+    ctx.fillStyle = skinColor;
+    ctx.strokeStyle = shadeColor(skinColor, -30);
     ctx.fillRect(headX, headY, headWidth, headHeight);
     ctx.strokeRect(headX, headY, headWidth, headHeight);
 
@@ -319,6 +329,19 @@ export class ClientAvatar extends ClientGameObject {
     ctx.restore();
   }
 
+  /**
+   * Color of one avatar layer (see SHARED_CONFIG.AVATAR_LAYERS); 'body' is bodyColor.
+   * Unset layers use their default.
+   */
+  getLayerColor(layerId) {
+    if (layerId === "body") return this.bodyColor;
+    return (
+      this.layerColors?.[layerId] ||
+      SHARED_CONFIG.AVATAR_LAYERS?.[layerId]?.default ||
+      (layerId === "skin" ? CLIENT_CONFIG.AVATAR_SKIN_COLOR : this.bodyColor)
+    );
+  }
+
   /** Checks if a screen point is within the avatar's approximate bounds. */
   containsPoint(screenX, screenY) {
     if (!SHARED_CONFIG || !CLIENT_CONFIG) return false;
@@ -1,7 +1,16 @@
 import { ClientGameObject } from "./ClientGameObject.js";
 import { SHARED_CONFIG, CLIENT_CONFIG } from "../config.js";
-import { getScreenPos, shadeColor, escapeHtml } from "../utils.js";
-import { getAsset } from "../assetLoader.js";
+import {
+  getScreenPos,
+  shadeColor,
+  escapeHtml,
+  getWallItemWorldPos,
+  getFootprintTiles,
+  getFootprintCenter,
+  getFurnitureStates,
+  getFurnitureLayers,
+} from "../utils.js";
+import { getAsset, getTintedSprite } from "../assetLoader.js";
 
 export class ClientFurniture extends ClientGameObject {
   constructor(dto) {
@@ -9,20 +18,30 @@ export class ClientFurniture extends ClientGameObject {
 
     this.definitionId = dto.definitionId;
     this.rotation = dto.rotation ?? 0;
-    this.state = dto.state; // e.g., 'on'/'off' for lamps
-    this.colorOverride = dto.colorOverride || null; // Custom hex color
+    this.state = dto.state; // One of the definition's states (e.g. 'on'/'off' for lamps)
+    this.colorOverride = dto.colorOverride || null; // Hex color, or { layerId: hex } for layered sprites
     this.isDoor = dto.isDoor || false;
     this.targetRoomId = dto.targetRoomId || null;
+    this.teleportLinked = dto.teleportLinked || false; // Teleporters: has a partner
+    this.wallSide = dto.wallSide || null; // 'left'/'right' for wall items
+    this.wallOffset = dto.wallOffset || 0; // Slide along the wall edge
 
     this.ownerId = dto.ownerId || null;
 
     this.definition = null; // Cached definition from SHARED_CONFIG
     this.canRecolor = false; // From definition
+    this.isWallItem = false; // From definition (wallMountable)
     this.isSelected = false; // For edit mode selection highlight
 
     this.spriteImage = null;
     this.spriteInfo = null;
 
+    // Sprite animation playback (advanced by the game loop while on screen)
+    this.currentAnimation = null; // Animation entry being played, restarts when it changes
+    this.animFrame = 0;
+    this.animElapsedMs = 0;
+    this.animStep = 1; // +1 / -1 while ping-ponging
+
     this._updateDefinition(); // Find and cache definition
     this.update(dto); // Apply remaining properties (like state, color) and recalculate draw order
   }
@@ -43,6 +62,7 @@ export class ClientFurniture extends ClientGameObject {
 
     if (this.definition) {
       this.canRecolor = this.definition.canRecolor || false;
+      this.isWallItem = this.definition.wallMountable || false;
       this.isDoor = this.definition.isDoor || false; // Ensure correct door status
       this.targetRoomId = this.definition.targetRoomId || null;
       // --- Get Sprite Info ---
@@ -87,6 +107,10 @@ export class ClientFurniture extends ClientGameObject {
     if (dto.colorOverride !== undefined) this.colorOverride = dto.colorOverride;
     if (dto.isDoor !== undefined) this.isDoor = dto.isDoor;
     if (dto.targetRoomId !== undefined) this.targetRoomId = dto.targetRoomId;
+    if (dto.teleportLinked !== undefined)
+      this.teleportLinked = dto.teleportLinked;
+    if (dto.wallSide !== undefined) this.wallSide = dto.wallSide;
+    if (dto.wallOffset !== undefined) this.wallOffset = dto.wallOffset;
 
     if (dto.ownerId !== undefined) this.ownerId = dto.ownerId;
 
@@ -126,11 +150,28 @@ export class ClientFurniture extends ClientGameObject {
       frameData = { ...frameData, ...this.spriteInfo.states[this.state] }; // Merge state info over base/previous
     }
 
+    // Apply wall side variation (wall items face away from the wall they hang on)
+    if (
+      this.isWallItem &&
+      this.spriteInfo.sides &&
+      this.spriteInfo.sides[this.wallSide]
+    ) {
+      frameData = { ...frameData, ...this.spriteInfo.sides[this.wallSide] };
+    }
+
     // Apply rotation variation
     // Option 1: Using spriteInfo.rotations array (more explicit)
     if (this.spriteInfo.rotations && this.spriteInfo.rotations[this.rotation]) {
       frameData = { ...frameData, ...this.spriteInfo.rotations[this.rotation] }; // Merge rotation info
     }
+
+    // Apply the current animation frame (replaces the static state/rotation frame)
+    const animation = this.getAnimation();
+    if (animation) {
+      const frameIndex =
+        animation === this.currentAnimation ? this.animFrame : 0;
+      frameData = { ...frameData, ...animation.frames[frameIndex] };
+    }
     // Option 2: Using sequential frames (example assuming horizontal strip for N/S/E/W)
     // else if (this.spriteInfo.frameWidth && this.rotation % 2 === 0 && this.rotation < 8) { // Only handle cardinal for simple example
     //     const baseFrameX = this.spriteInfo.base?.x ?? 0;
@@ -160,7 +201,23 @@ export class ClientFurniture extends ClientGameObject {
 
     // --- Calculate Destination Position (dx, dy) ---
     // 1. Get base screen position for the logical world coordinates
-    const screenPos = getScreenPos(this.visualX, this.visualY);
+    // Wall items are drawn on the wall edge of their tile instead of its center,
+    // multi-tile items on the center of their (rotated) footprint
+    const worldPos = this.isWallItem
+      ? getWallItemWorldPos(
+          this.visualX,
+          this.visualY,
+          this.wallSide,
+          this.wallOffset
+        )
+      : getFootprintCenter(
+          this.visualX,
+          this.visualY,
+          this.definition?.width,
+          this.definition?.height,
+          this.rotation
+        );
+    const screenPos = getScreenPos(worldPos.x, worldPos.y);
 
     // 2. Calculate Z offset in pixels
     const zOffsetFactor =
@@ -182,19 +239,27 @@ export class ClientFurniture extends ClientGameObject {
     // --- Draw the Sprite ---
     ctx.save();
     try {
-      // Tinting - Method 1: globalCompositeOperation (simpler, less accurate colors)
-      // if (this.canRecolor && this.colorOverride) {
-      //     ctx.drawImage(this.spriteImage, sx, sy, sw, sh, dx, dy, dw, dh); // Draw base image
-      //     ctx.globalCompositeOperation = 'source-atop'; // Draw only where base image has pixels
-      //     ctx.fillStyle = this.colorOverride;
-      //     ctx.fillRect(dx, dy, dw, dh); // Fill with tint color
-      //     ctx.globalCompositeOperation = 'source-over'; // Reset composite mode
-      // } else {
-      //     // Draw normally if no tint needed
-      ctx.drawImage(this.spriteImage, sx, sy, sw, sh, dx, dy, dw, dh);
-      // }
-      // Note: More advanced tinting might involve creating an offscreen canvas,
-      // manipulating pixel data, or using WebGL shaders. Keep it simple for now.
+      // Layered sprites draw each layer (bottom to top) from the same frame shifted
+      // by its offset; tinted layers come from the tint cache
+      const layers = getFurnitureLayers(this.definition);
+      (layers.length > 0 ? layers : [null]).forEach((layer) => {
+        const lx = sx + (layer?.offsetX || 0);
+        const ly = sy + (layer?.offsetY || 0);
+        const tint = this.getLayerColor(layer);
+        if (tint) {
+          const tinted = getTintedSprite(
+            this.spriteImage,
+            lx,
+            ly,
+            sw,
+            sh,
+            tint
+          );
+          ctx.drawImage(tinted, 0, 0, sw, sh, dx, dy, dw, dh);
+        } else {
+          ctx.drawImage(this.spriteImage, lx, ly, sw, sh, dx, dy, dw, dh);
+        }
+      });
     } catch (e) {
       console.error(
         `Error drawing furniture sprite ${this.id} (${this.definitionId}):`,
@@ -236,30 +301,117 @@ export class ClientFurniture extends ClientGameObject {
 
     ctx.restore(); // Restore context state (like globalAlpha)
   }
-  /** Helper to get grid coordinates occupied by this furniture based on its definition and position. */
+
+  /** Wall items sort by their host tile only, behind anything standing on that tile. */
+  calculateDrawOrder() {
+    if (!this.isWallItem) {
+      super.calculateDrawOrder();
+      return;
+    }
+    this.drawOrder =
+      Math.round(this.visualY * 100000 + this.visualX * 10000) - 4000;
+  }
+
+  /**
+   * The sprite animation for the current state: `sprite.animations[state]`, falling
+   * back to `sprite.animations.default`. Null if the item doesn't animate right now.
+   * @returns {{frames: Array<object>, frameDuration?: number, loop?: 'loop' | 'pingpong' | 'once'} | null}
+   */
+  getAnimation() {
+    const animations = this.spriteInfo?.animations;
+    if (!animations) return null;
+    const animation =
+      (this.state != null && animations[this.state]) ||
+      animations.default ||
+      null;
+    return Array.isArray(animation?.frames) && animation.frames.length > 0
+      ? animation
+      : null;
+  }
+
+  /**
+   * Advances the sprite animation. Restarts from the first frame when the state
+   * switches to a different animation.
+   * @param {number} deltaTimeMs - Time since the last update.
+   */
+  updateAnimation(deltaTimeMs) {
+    const animation = this.getAnimation();
+    if (animation !== this.currentAnimation) {
+      this.currentAnimation = animation;
+      this.animFrame = 0;
+      this.animElapsedMs = 0;
+      this.animStep = 1;
+    }
+    if (!animation || animation.frames.length < 2) return;
+
+    const frameDuration = Math.max(
+      CLIENT_CONFIG.MIN_ANIMATION_FRAME_MS,
+      animation.frameDuration || CLIENT_CONFIG.DEFAULT_ANIMATION_FRAME_MS
+    );
+    const lastFrame = animation.frames.length - 1;
+    this.animElapsedMs += deltaTimeMs;
+    while (this.animElapsedMs >= frameDuration) {
+      this.animElapsedMs -= frameDuration;
+      if (animation.loop === "once") {
+        this.animFrame = Math.min(this.animFrame + 1, lastFrame);
+      } else if (animation.loop === "pingpong") {
+        const next = this.animFrame + this.animStep;
+        if (next < 0 || next > lastFrame) this.animStep = -this.animStep;
+        this.animFrame += this.animStep;
+      } else {
+        this.animFrame = (this.animFrame + 1) % animation.frames.length;
+      }
+    }
+  }
+
+  /**
+   * Tint for one sprite layer (null for the whole sprite of an unlayered item).
+   * A string override tints every tintable layer, a map only the layers it names.
+   * @returns {string | null} Hex color, or null to draw untinted.
+   */
+  getLayerColor(layer) {
+    const override = this.colorOverride;
+    if (!override || layer?.tint === false) return null;
+    const color =
+      typeof override === "string"
+        ? override
+        : layer
+        ? override[layer.id]
+        : null;
+    return typeof color === "string" && /^#[0-9A-F]{6}$/i.test(color)
+      ? color
+      : null;
+  }
+
+  /** The definition's entry for the current state, or null for stateless items. */
+  getStateDefinition() {
+    return (
+      getFurnitureStates(this.definition).find((s) => s.id === this.state) ||
+      null
+    );
+  }
+
+  /** Whether avatars can walk through this item right now (states may override the definition). */
+  get isWalkable() {
+    return (
+      this.getStateDefinition()?.isWalkable ?? !!this.definition?.isWalkable
+    );
+  }
+
+  /** Helper to get grid coordinates occupied by this furniture based on its definition, position and rotation. */
   getOccupiedTiles() {
     // Use the cached definition if available
     const definition = this.definition;
-    if (!definition || !SHARED_CONFIG) {
-      // Fallback if definition not loaded yet
+    if (!definition || !SHARED_CONFIG || this.isWallItem) {
+      // Fallback if definition not loaded yet; wall items only use their host tile
       return [{ x: Math.round(this.x), y: Math.round(this.y) }];
     }
-
-    const tiles = [];
-    const startX = Math.round(this.x);
-    const startY = Math.round(this.y);
-    const width = definition.width || 1;
-    const height = definition.height || 1;
-    // Centered placement logic
-    const halfW = Math.floor((width - 1) / 2);
-    const halfH = Math.floor((height - 1) / 2);
-
-    for (let dx = -halfW; dx < width - halfW; dx++) {
-      for (let dy = -halfH; dy < height - halfH; dy++) {
-        tiles.push({ x: startX + dx, y: startY + dy });
-      }
-    }
-    // Ensure at least the base tile is returned for 1x1 items
-    return tiles.length > 0 ? tiles : [{ x: startX, y: startY }];
+    return getFootprintTiles(
+      this.x,
+      this.y,
+      definition.width,
+      definition.height,
+      this.rotation ?? 0
+    );
   }
 }
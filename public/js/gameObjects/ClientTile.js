@@ -1,5 +1,5 @@
-import { SHARED_CONFIG } from "../config.js";
-import { getScreenPos } from "../utils.js"; // Needs screen position calculation
+import { SHARED_CONFIG, CLIENT_CONFIG } from "../config.js";
+import { getScreenPos, shadeColor } from "../utils.js"; // Needs screen position calculation
 import { getAsset } from "../assetLoader.js";
 
 export class ClientTile {
@@ -8,12 +8,17 @@ export class ClientTile {
    * @param {number} x - The world X coordinate of the tile.
    * @param {number} y - The world Y coordinate of the tile.
    * @param {number|string} layoutType - The type identifier from the room layout.
+   * @param {number} [height=0] - Floor height level from the room heightmap.
+   * @param {object} [decoration=null] - Room decoration style IDs ({ wallpaper, floor, landscape }).
    */
-  constructor(x, y, layoutType) {
+  constructor(x, y, layoutType, height = 0, decoration = null) {
     this.x = x;
     this.y = y;
     this.layoutType = String(layoutType); // Ensure type is string for lookup
+    this.height = height; // Raised tiles are drawn lifted with side faces
     this.highlight = null; // Overlay color string (e.g., 'rgba(255,0,0,0.3)') or null
+    // Wallpaper style for walls, floor style for walkable tiles (null = plain)
+    this.decorationStyle = this._resolveDecorationStyle(decoration);
 
     // --- Sprite Information ---
     this.spriteSheetUrl = SHARED_CONFIG?.TILE_SPRITE_SHEET_URL || null;
@@ -64,6 +69,16 @@ export class ClientTile {
     }
   }
 
+  /** Looks up the catalog style (SHARED_CONFIG.ROOM_DECORATIONS) that applies to this tile. */
+  _resolveDecorationStyle(decoration) {
+    if (!decoration || this.layoutType === "X") return null;
+    const slot = this.layoutType === "1" ? "wallpaper" : "floor";
+    const style = SHARED_CONFIG?.ROOM_DECORATIONS?.[slot]?.find(
+      (s) => s.id === decoration[slot]
+    );
+    return style?.tint ? style : null;
+  }
+
   /**
    * Draws the tile sprite onto the provided canvas context.
    * @param {CanvasRenderingContext2D} ctx - The canvas rendering context.
@@ -117,14 +132,19 @@ export class ClientTile {
     const anchorOffsetY = anchorY * zoom;
 
     // Calculate top-left corner for drawing
+    const liftPx = this._getLiftPx(zoom);
     const dx = screenPos.x - anchorOffsetX;
-    const dy = screenPos.y - anchorOffsetY; // Tiles typically don't have Z offset
+    const dy = screenPos.y - anchorOffsetY - liftPx; // Raised tiles are lifted by their floor height
 
     // --- Drawing ---
     ctx.save();
     try {
+      // Side faces first so the top sprite covers their upper edge
+      this._drawSideFaces(ctx, screenPos, zoom, liftPx);
       // Draw the tile sprite
       ctx.drawImage(this.spriteImage, sx, sy, sw, sh, dx, dy, dw, dh);
+      this._drawDecoration(ctx, screenPos, zoom, liftPx);
+      this._drawStairMarks(ctx, screenPos, zoom, liftPx);
 
       // --- Draw Highlight Overlay ---
       if (this.highlight) {
@@ -145,6 +165,134 @@ export class ClientTile {
     }
   }
 
+  /** Pixel offset a tile's top surface is lifted by, from its floor height level. */
+  _getLiftPx(zoom) {
+    if (!this.height) return 0;
+    const zFactor =
+      CLIENT_CONFIG?.VISUAL_Z_FACTOR ??
+      (SHARED_CONFIG?.TILE_HEIGHT_HALF ?? 16) * 1.5;
+    return this.height * (SHARED_CONFIG?.TILE_HEIGHT_Z ?? 0.5) * zFactor * zoom;
+  }
+
+  /** Base color per layout type, used for fallback diamonds and raised tile faces. */
+  _getBaseColor() {
+    switch (this.layoutType) {
+      case "1":
+        return "#A9A9A9";
+      case "2":
+        return "#ADD8E6";
+      case "X":
+        return "#333333";
+      case "0":
+        return "#b0e0b0";
+      case "S":
+        return "#D2B48C";
+      default:
+        return "#FF00FF"; // Magenta default error
+    }
+  }
+
+  /**
+   * Draws the two visible side faces (front-left and front-right) of a raised tile,
+   * spanning from the lifted top surface down to ground level.
+   */
+  _drawSideFaces(ctx, screenPos, zoom, liftPx) {
+    if (liftPx <= 0 || this.layoutType === "X") return;
+    const halfW = (SHARED_CONFIG?.TILE_WIDTH_HALF ?? 32) * zoom;
+    const halfH = (SHARED_CONFIG?.TILE_HEIGHT_HALF ?? 16) * zoom;
+    const topY = screenPos.y - liftPx; // Center of the lifted top diamond
+    const baseColor = this._getBaseColor();
+
+    ctx.save();
+    ctx.lineWidth = Math.max(0.5, 1 * zoom);
+    ctx.strokeStyle = "#444";
+    // Left face
+    ctx.beginPath();
+    ctx.moveTo(screenPos.x - halfW, topY);
+    ctx.lineTo(screenPos.x, topY + halfH);
+    ctx.lineTo(screenPos.x, screenPos.y + halfH);
+    ctx.lineTo(screenPos.x - halfW, screenPos.y);
+    ctx.closePath();
+    ctx.fillStyle = shadeColor(baseColor, -25);
+    ctx.fill();
+    ctx.stroke();
+    // Right face
+    ctx.beginPath();
+    ctx.moveTo(screenPos.x, topY + halfH);
+    ctx.lineTo(screenPos.x + halfW, topY);
+    ctx.lineTo(screenPos.x + halfW, screenPos.y);
+    ctx.lineTo(screenPos.x, screenPos.y + halfH);
+    ctx.closePath();
+    ctx.fillStyle = shadeColor(baseColor, -40);
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /** Traces the tile's top diamond (centered on cx, cy) as the current path. */
+  _traceDiamond(ctx, cx, cy, halfW, halfH) {
+    ctx.beginPath();
+    ctx.moveTo(cx, cy - halfH);
+    ctx.lineTo(cx + halfW, cy);
+    ctx.lineTo(cx, cy + halfH);
+    ctx.lineTo(cx - halfW, cy);
+    ctx.closePath();
+  }
+
+  /** Tints the top surface with the room's wallpaper/floor style and adds its pattern. */
+  _drawDecoration(ctx, screenPos, zoom, liftPx) {
+    const style = this.decorationStyle;
+    if (!style) return;
+    const halfW = (SHARED_CONFIG?.TILE_WIDTH_HALF ?? 32) * zoom;
+    const halfH = (SHARED_CONFIG?.TILE_HEIGHT_HALF ?? 16) * zoom;
+    const cy = screenPos.y - liftPx;
+
+    ctx.save();
+    this._traceDiamond(ctx, screenPos.x, cy, halfW, halfH);
+    ctx.globalCompositeOperation = "multiply";
+    ctx.fillStyle = style.tint;
+    ctx.fill();
+    ctx.globalCompositeOperation = "source-over";
+    if (style.pattern === "checker" && (this.x + this.y) % 2 === 1) {
+      ctx.fillStyle = "rgba(0, 0, 0, 0.25)";
+      ctx.fill();
+    } else if (style.pattern === "stripes") {
+      // Two lines parallel to the top-right edge, clipped to the diamond
+      ctx.clip();
+      ctx.strokeStyle = "rgba(0, 0, 0, 0.2)";
+      ctx.lineWidth = Math.max(1, 1.5 * zoom);
+      ctx.beginPath();
+      for (const t of [1 / 3, 2 / 3]) {
+        ctx.moveTo(screenPos.x - halfW * t, cy - halfH + halfH * t);
+        ctx.lineTo(screenPos.x + halfW - halfW * t, cy + halfH * t);
+      }
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  /** Draws step lines across stair tiles so they read as stairs on any sprite. */
+  _drawStairMarks(ctx, screenPos, zoom, liftPx) {
+    if (this.layoutType !== "S") return;
+    const halfW = (SHARED_CONFIG?.TILE_WIDTH_HALF ?? 32) * zoom;
+    const halfH = (SHARED_CONFIG?.TILE_HEIGHT_HALF ?? 16) * zoom;
+    const cy = screenPos.y - liftPx;
+    const steps = 3;
+
+    ctx.save();
+    ctx.strokeStyle = "rgba(60, 40, 20, 0.7)";
+    ctx.lineWidth = Math.max(1, 1.5 * zoom);
+    ctx.beginPath();
+    for (let i = 1; i <= steps; i++) {
+      // Lines parallel to the top-left edge, evenly spaced across the diamond
+      const t = i / (steps + 1);
+      ctx.moveTo(screenPos.x - halfW + halfW * t, cy + halfH * t);
+      ctx.lineTo(screenPos.x + halfW * t, cy - halfH + halfH * t);
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
   /**
    * Draws a fallback colored diamond if sprite rendering fails.
    * (Essentially the old procedural drawing logic)
@@ -158,9 +306,12 @@ export class ClientTile {
     const zoom = camera.zoom;
     const halfW = tileWidthHalf * zoom;
     const halfH = tileHeightHalf * zoom;
+    const liftPx = this._getLiftPx(zoom);
+
+    this._drawSideFaces(ctx, screenPos, zoom, liftPx);
 
     ctx.save();
-    ctx.translate(screenPos.x, screenPos.y);
+    ctx.translate(screenPos.x, screenPos.y - liftPx);
     ctx.beginPath();
     ctx.moveTo(0, -halfH);
     ctx.lineTo(halfW, 0);
@@ -169,22 +320,7 @@ export class ClientTile {
     ctx.closePath();
 
     // Use a fallback color based on type or just a default error color
-    let fallbackColor = "#FF00FF"; // Magenta default error
-    switch (this.layoutType) {
-      case "1":
-        fallbackColor = "#A9A9A9";
-        break;
-      case "2":
-        fallbackColor = "#ADD8E6";
-        break;
-      case "X":
-        fallbackColor = "#333333";
-        break;
-      case "0":
-        fallbackColor = "#b0e0b0";
-        break;
-    }
-    ctx.fillStyle = fallbackColor;
+    ctx.fillStyle = this._getBaseColor();
     ctx.fill();
 
     if (this.highlight) {
@@ -197,5 +333,8 @@ export class ClientTile {
       ctx.stroke();
     }
     ctx.restore();
+
+    this._drawDecoration(ctx, screenPos, zoom, liftPx);
+    this._drawStairMarks(ctx, screenPos, zoom, liftPx);
   }
 }
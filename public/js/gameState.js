@@ -10,6 +10,7 @@ export const gameState = {
   // --- Room Specific State ---
   currentRoomId: null, // String ID of the currently loaded room
   roomLayout: [], // 2D array representing the room's tile layout (e.g., [[0, 1], [0, 0]])
+  roomHeightmap: [], // 2D array of floor height levels, same shape as roomLayout
   roomCols: 0, // Number of columns in the current room layout
   roomRows: 0, // Number of rows in the current room layout
   clientTiles: [], // Array of ClientTile instances representing the room floor/walls
@@ -17,12 +18,17 @@ export const gameState = {
   avatars: {}, // Map: avatarRuntimeId (string) -> ClientAvatar instance
   npcs: {}, // <-- Map: npcRuntimeId (string) -> ClientNPC instance
   highlightedTile: null, // {x, y} world coordinates of the tile currently under the mouse, if valid
+  roomInfo: null, // { id, name, description, ownerId, ownerName, maxUsers, lockMode, rights[], category, tags[] } from server
 
   // --- Player Specific State (Synced with Server) ---
   myAvatarId: null, // String runtime ID of the player's own avatar
   myUserId: null, // String persistent database ID (_id) of the logged-in user
-  myCurrency: 0, // Player's current amount of Silly Coins
-  inventory: {}, // Map: definitionId (string) -> quantity (number)
+  myCurrency: 0, // Player's current amount of Silly Coins (the primary currency)
+  myBalances: {}, // Every currency (SHARED_CONFIG.CURRENCIES): currencyId -> amount
+  inventory: [], // Owned item instances: { id, definitionId, colorOverride, serial }
+  shopCatalog: null, // { pages, offers } from the server's 'shop_catalog' event
+  shopStock: {}, // Limited shop items: definitionId -> { supply, sold, remaining, saleStart, saleEnd }
+  market: null, // { listings, mine, feePercent } from the server's 'market_listings' event
 };
 
 // Holds references to UI DOM elements and flags related to UI state.
@@ -54,6 +60,7 @@ export const uiState = {
   toggleRoomsBtn: null,
   toggleUsersBtn: null,
   toggleShopBtn: null,
+  toggleMarketBtn: null,
   toggleEditBottomBtn: null, // Renamed edit toggle button
   toggleAdminBtn: null,
   toggleDebugBtn: null,
@@ -67,16 +74,47 @@ export const uiState = {
   adminPanel: null,
   debugPanel: null,
   shopPanel: null, // Added shopPanel here
+  marketPanel: null,
 
   // Content Elements *within* Toggled Panels
   inventoryItemsDiv: null, // Div inside inventoryPanel for item elements
   userListContent: null, // UL element inside userListPanel
   roomsListContent: null, // Div/UL inside roomsPanel (assuming)
+  navigatorTabs: null, // View tab buttons inside roomsPanel
+  navigatorSearch: null, // Search input inside roomsPanel
+  navigatorCategory: null, // Category select inside roomsPanel
+  navigatorPrevBtn: null,
+  navigatorNextBtn: null,
+  navigatorPageInfo: null, // "page / total" label
   adminRoomListDiv: null, // Div inside adminPanel for room list
-  layoutTileTypeSelector: null, // Radio group inside adminPanel
+  layoutTileTypeSelector: null, // Radio group inside roomsPanel owner section
+  layoutPaintHeight: null, // Number input for the 'Height' paint type
+  layoutTool: null, // Radio group for tile / rectangle / fill painting
+  layoutUndoBtn: null, // Layout editor buttons (owner section)
+  layoutRedoBtn: null,
+  layoutResizeBtn: null,
   debugDiv: null, // Div inside debugPanel for text content
   createRoomBtn: null, // Button inside adminPanel
+  exportRoomBtn: null, // Admin: download a room bundle
+  importRoomBtn: null, // Admin: upload a room bundle
+  importRoomFile: null, // Hidden file input used by importRoomBtn
+  deleteRoomBtn: null, // Admin: archive a room
+  restoreRoomBtn: null, // Admin: restore an archived room
+  createMyRoomBtn: null, // Button inside roomsPanel (player-owned rooms)
+  roomTemplateList: null, // Template picker above the create button
+  cloneRoomBtn: null, // Button inside roomsPanel owner section
+  roomSettingsBtn: null, // Button inside roomsPanel (owner only)
+  roomOwnerSection: null, // Owner/admin tools inside roomsPanel
   shopItemsDiv: null, // Added shopItemsDiv
+  shopPagesDiv: null, // Category/page buttons above the shop items
+  shopCartDiv: null, // Cart below the shop items
+  marketSearch: null, // Item name filter inside marketPanel
+  marketListingsDiv: null, // The player's own listings, then everything for sale
+  marketSellItem: null, // Sell form: inventory item select
+  marketSellPrice: null, // Sell form: price input
+  marketSellCurrency: null, // Sell form: currency select
+  marketSellBtn: null,
+  marketFeeNote: null, // "You get X after the 5% fee" under the sell form
 
   // Floating Panels (Popups)
   profilePanel: null,
@@ -87,6 +125,18 @@ export const uiState = {
   recolorItemNameP: null,
   recolorCloseBtn: null,
   recolorResetBtn: null,
+  wiredPanel: null,
+  wiredTitleP: null,
+  wiredSettingsDiv: null,
+  wiredLinksDiv: null,
+  wiredSaveBtn: null,
+  wiredCloseBtn: null,
+  furniInfoPanel: null,
+  furniInfoContent: null,
+  furniInfoCloseBtn: null,
+  walletPanel: null,
+  walletContent: null,
+  walletCloseBtn: null,
   // Note: shopCloseBtn removed as shop is now a toggled panel
 
   // Context Menu
@@ -114,6 +164,8 @@ export const uiState = {
   // ===== END: TRADE PANEL References =====
 
   activePanelId: null, // Tracks the ID suffix of the currently open panel (e.g., 'inventory', 'shop')
+  activeShopPageId: null, // Shop page being browsed (a pageId, or the Featured page)
+  shopCart: [], // Offers waiting for checkout: { offerId, quantity }
 
   // --- UI Data / Flags ---
   activeChatBubbles: [], // Array stores { id, text, endTime, avatarId, element } for positioning/removal
@@ -122,13 +174,33 @@ export const uiState = {
   isEditMode: false, // Boolean flag indicating if edit mode is active
   editMode: {
     // State specific to edit mode interactions
-    state: "navigate", // Current sub-state ('navigate', 'placing', 'selected_furni')
+    state: "navigate", // Current sub-state ('navigate', 'placing', 'selected_furni', 'moving_furni')
     selectedInventoryItemId: null, // definitionId string of item selected from inventory for placing
+    selectedInventoryStackKey: null, // Inventory stack (definition + color) the placed instance comes from
     selectedFurnitureId: null, // furniture DB ID string of item selected on the floor
     placementValid: false, // Boolean indicating if current placement location is valid
     placementRotation: 0, // Direction (0-7) for placement ghost/request
+    wallPlacement: null, // { wallSide, wallOffset } while placing a wall item
+    movingFurniId: null, // furniture DB ID string being dragged to a new spot
+  },
+  selectedRoomTemplateId: null, // Template for "Create My Room" (null = blank room)
+  layoutEditor: {
+    // Layout painting tool state (room owner / rights holders)
+    tool: "tile", // 'tile', 'rect', 'fill'
+    rectStart: null, // { x, y } first corner while drawing a rectangle
+    canUndo: false, // Mirrors the room's server-side layout history
+    canRedo: false,
   },
   activeRecolorFurniId: null, // furniture DB ID string of the item currently being recolored
+  wiredEditor: null, // { furniId, wiredType, links, settings } while the wired panel is open
+  navigator: {
+    // Current room navigator query (mirrors the last server response)
+    view: "all", // 'all', 'popular', 'mine', 'favorites', 'recent'
+    category: "",
+    search: "",
+    page: 0,
+    totalPages: 1,
+  },
 
   // ===== START: TRADE State Flags =====
   isTrading: false, // Is the trade panel currently open?
@@ -137,8 +209,8 @@ export const uiState = {
     tradeId: null, // Unique ID from server
     partnerId: null, // Avatar ID of the trade partner
     partnerName: null,
-    myOffer: { items: {}, currency: 0 }, // { definitionId: quantity }
-    partnerOffer: { items: {}, currency: 0 },
+    myOffer: { items: [], currency: 0 }, // items: instances { id, definitionId, colorOverride }
+    partnerOffer: { items: [], currency: 0 },
     myConfirmed: false,
     partnerConfirmed: false,
   },
@@ -171,8 +243,8 @@ export function initializeGameState(clientConfig) {
     tradeId: null,
     partnerId: null,
     partnerName: null,
-    myOffer: { items: {}, currency: 0 },
-    partnerOffer: { items: {}, currency: 0 },
+    myOffer: { items: [], currency: 0 },
+    partnerOffer: { items: [], currency: 0 },
     myConfirmed: false,
     partnerConfirmed: false,
   };
@@ -15,6 +15,8 @@ import {
   requestChangeRoom,
   requestRecolorFurni,
   disconnectSocket,
+  requestLayoutUndo,
+  requestLayoutRedo,
   // Admin requests are usually triggered via UI, not direct keybinds here
 } from "./network.js";
 import {
@@ -25,6 +27,11 @@ import {
   setSelectedFurniture, // Used for selection logic
   hideProfilePanel,
   hideRecolorPanel,
+  hideWiredPanel,
+  saveWiredPanel,
+  hideFurniInfoPanel,
+  toggleWalletPanel,
+  hideWalletPanel,
   // Shop panel toggled via togglePanel
   getAvatarAtScreen,
   getTopmostFurnitureAtScreen,
@@ -36,6 +43,9 @@ import {
   hideContextMenu, // NEW: To hide menu on other actions
   handleEditModeClick, // NEW: Moved logic to uiManager
   handleNavigateModeClick, // NEW: Moved logic to uiManager
+  canManageRoom, // Layout undo/redo hotkeys
+  startFurniMove, // Dragging placed furniture
+  finishFurniMove,
 } from "./uiManager.js";
 import { playSound } from "./sounds.js";
 
@@ -47,6 +57,8 @@ export const inputState = {
   currentMouseScreenPos: { x: 0, y: 0 }, // Current mouse position relative to canvas
   currentMouseWorldPos: { x: 0, y: 0 }, // Current mouse position converted to world coordinates
   currentMouseGridPos: { x: 0, y: 0 }, // Current mouse position snapped to the grid
+  pendingFurniDrag: null, // { furniId, x, y } - left press on selected furniture, drag starts once the mouse leaves that tile
+  suppressNextClick: false, // Set when a furniture drag ends so its click isn't handled as a selection
 };
 
 // Store listener references for cleanup
@@ -125,6 +137,9 @@ export function setupInputListeners() {
     togglePanel("userList")
   );
   uiState.toggleShopBtn?.addEventListener("click", () => togglePanel("shop")); // Use togglePanel for shop too
+  uiState.toggleMarketBtn?.addEventListener("click", () =>
+    togglePanel("market")
+  );
   uiState.toggleEditBottomBtn?.addEventListener("click", toggleEditMode); // Target new button
   uiState.toggleAdminBtn?.addEventListener("click", () => togglePanel("admin"));
   uiState.toggleDebugBtn?.addEventListener("click", () => togglePanel("debug"));
@@ -136,6 +151,11 @@ export function setupInputListeners() {
   uiState.profileCloseBtn?.addEventListener("click", hideProfilePanel);
   uiState.recolorCloseBtn?.addEventListener("click", hideRecolorPanel);
   uiState.recolorResetBtn?.addEventListener("click", handleRecolorResetClick);
+  uiState.wiredCloseBtn?.addEventListener("click", hideWiredPanel);
+  uiState.wiredSaveBtn?.addEventListener("click", saveWiredPanel);
+  uiState.furniInfoCloseBtn?.addEventListener("click", hideFurniInfoPanel);
+  uiState.walletCloseBtn?.addEventListener("click", hideWalletPanel);
+  uiState.currencyDisplay?.addEventListener("click", toggleWalletPanel);
   uiState.shopCloseBtn?.addEventListener("click", () =>
     togglePanel("shop", false)
   ); // Use togglePanel to close
@@ -225,8 +245,11 @@ function handleKeyDown(event) {
 
     // Rotate placement ghost or selected furniture (R key) - Keep if desired
     if (uiState.isEditMode && keyLower === "r") {
-      if (uiState.editMode.state === CLIENT_CONFIG.EDIT_STATE_PLACING) {
-        // Rotate placement ghost client-side
+      if (
+        uiState.editMode.state === CLIENT_CONFIG.EDIT_STATE_PLACING ||
+        uiState.editMode.state === CLIENT_CONFIG.EDIT_STATE_MOVING_FURNI
+      ) {
+        // Rotate placement ghost client-side (a dragged item is rotated on drop)
         uiState.editMode.placementRotation = rotateDirection(
           uiState.editMode.placementRotation,
           2
@@ -240,6 +263,17 @@ function handleKeyDown(event) {
         requestRotateFurni(uiState.editMode.selectedFurnitureId);
       }
     }
+    // Layout undo / redo (Ctrl+Z / Ctrl+Y) for room managers in Edit Mode
+    if (
+      uiState.isEditMode &&
+      (event.ctrlKey || event.metaKey) &&
+      (keyLower === "z" || keyLower === "y") &&
+      canManageRoom()
+    ) {
+      event.preventDefault();
+      if (keyLower === "y" || event.shiftKey) requestLayoutRedo();
+      else requestLayoutUndo();
+    }
     // Add other hotkeys here (e.g., open map, quests) if needed
   }
   // Chat input submission ('Enter') is handled in its specific listener setup
@@ -287,6 +321,12 @@ function handleCanvasClick(event) {
   // Hide context menu on any left click
   hideContextMenu();
 
+  // A furniture drag was just dropped; this click is its release
+  if (inputState.suppressNextClick) {
+    inputState.suppressNextClick = false;
+    return;
+  }
+
   // --- Click vs Drag Detection ---
   // Check if this click was likely the end of a drag motion
   const dragThreshold = 5; // Pixels threshold to differentiate click from drag
@@ -341,8 +381,13 @@ function handleContextMenu(event) {
     // Clicked on an avatar
     target = { type: "avatar", id: clickedAvatar.id };
   } else if (clickedFurniture) {
-    // Clicked on a piece of furniture
-    target = { type: "furniture", id: clickedFurniture.id };
+    // Clicked on a piece of furniture (tile kept to pick a seat on sofas)
+    target = {
+      type: "furniture",
+      id: clickedFurniture.id,
+      x: gridPos.x,
+      y: gridPos.y,
+    };
   } else if (isValidClientTile(gridPos.x, gridPos.y)) {
     // Clicked on an empty (or non-interactive furniture) tile
     target = { type: "tile", x: gridPos.x, y: gridPos.y };
@@ -367,6 +412,24 @@ function handleMouseDown(event) {
     // Left mouse down
     // Record position for click vs drag detection later
     inputState.lastMousePos = { x: event.clientX, y: event.clientY };
+    inputState.suppressNextClick = false;
+    // Pressing on the selected furniture in Edit Mode may start dragging it
+    if (
+      uiState.isEditMode &&
+      uiState.editMode.state === CLIENT_CONFIG?.EDIT_STATE_SELECTED_FURNI
+    ) {
+      const pressed = getTopmostFurnitureAtScreen(
+        inputState.currentMouseScreenPos.x,
+        inputState.currentMouseScreenPos.y
+      );
+      if (pressed && pressed.id === uiState.editMode.selectedFurnitureId) {
+        inputState.pendingFurniDrag = {
+          furniId: pressed.id,
+          x: inputState.currentMouseGridPos.x,
+          y: inputState.currentMouseGridPos.y,
+        };
+      }
+    }
     // Assume it's a click initially; mousemove will set isDragging if threshold exceeded
     // We only set isDragging definitively on button 1 or 2 mousedown.
     // inputState.isDragging = false; // Don't reset isDragging here if another button is held
@@ -374,6 +437,21 @@ function handleMouseDown(event) {
 }
 
 function handleMouseUp(event) {
+  if (event.button === 0) {
+    inputState.pendingFurniDrag = null;
+    if (uiState.editMode.state === CLIENT_CONFIG?.EDIT_STATE_MOVING_FURNI) {
+      finishFurniMove(
+        isValidClientTile(
+          inputState.currentMouseGridPos.x,
+          inputState.currentMouseGridPos.y
+        )
+          ? inputState.currentMouseGridPos
+          : null
+      );
+      // Only a release over the canvas is followed by a click event
+      inputState.suppressNextClick = event.target === uiState.canvas;
+    }
+  }
   // Stop dragging on ANY mouse button release ANYWHERE on the window
   // We check which button was released, but generally stop drag if ANY button comes up
   // while isDragging was true. This handles cases where multiple buttons might be involved.
@@ -412,6 +490,17 @@ function handleMouseMove(event) {
   // Update world/grid position based on new screen coords and camera state
   updateMouseWorldPosition(); // Update internal state used by highlights etc.
 
+  // Start dragging the pressed furniture once the mouse reaches another tile
+  const pendingDrag = inputState.pendingFurniDrag;
+  if (
+    pendingDrag &&
+    (pendingDrag.x !== inputState.currentMouseGridPos.x ||
+      pendingDrag.y !== inputState.currentMouseGridPos.y)
+  ) {
+    inputState.pendingFurniDrag = null;
+    startFurniMove(pendingDrag.furniId);
+  }
+
   // Handle camera panning if dragging flag is set (by middle/right mouse)
   if (inputState.isDragging) {
     // Calculate delta from the last recorded screen position
@@ -202,6 +202,7 @@ export function resetLocalState() {
   gameState.roomCols = 0;
   gameState.roomRows = 0;
   gameState.currentRoomId = null; // Ensure current room ID is cleared
+  gameState.roomInfo = null;
 
   // Note: Most UI clearing is now handled within resetUIState in uiManager.js
   // The loading overlay remains visible until the next room_state is processed
@@ -9,6 +9,8 @@ import {
   populateInventory,
   updateCurrencyDisplay,
   updateShopButtonStates,
+  populateShopPanel,
+  clearShopCart,
   setSelectedFurniture,
   hideRecolorPanel,
   setSelectedInventoryItem,
@@ -19,6 +21,7 @@ import {
   hideLoadingOverlay, // For hiding overlay after load
   updateAdminUI, // To update admin controls visibility/state
   updateAdminRoomList, // To populate the admin room list
+  updateRoomInfoUI, // Room name header & owner tools
   populateRoomsPanel, // Added for room list population
   togglePanel, // For closing panels on disconnect/state change
   showNotification, // Keep simple notification for backward compatibility/simple messages
@@ -29,13 +32,30 @@ import {
   handleTradeRequest, // Need function to display incoming request
   updateTradeConfirmationStatus, // Need function to update confirmed visuals
   populateTradeInventory, // Import function to refresh trade inventory
+  handleDoorbellRing, // Accept/deny prompt for room owners
+  promptRoomPassword, // Password prompt for locked rooms
+  dismissNotification, // Close doorbell prompts answered elsewhere
+  refreshNavigator, // Re-query the room navigator
+  updateLayoutEditorUI, // Undo/redo button state
+  downloadRoomBundle, // Admin room export
+  promptRestoreArchivedRoom, // Admin room restore
+  showWiredPanel, // Wired configuration (room owner)
+  hideWiredPanel,
+  showRecolorPanel, // Refreshed when the item being recolored changes
+  showFurniInfoPanel, // Furniture inspect panel
+  hideFurniInfoPanel,
+  isWalletPanelOpen, // Wallet history refreshes while open
+  showWalletHistory,
+  isMarketPanelOpen, // Market listings refresh while open
+  populateMarketPanel,
+  refreshMarket,
 } from "./uiManager.js";
 import { playSound } from "./sounds.js";
 import { ClientAvatar } from "./gameObjects/ClientAvatar.js";
 import { ClientTile } from "./gameObjects/ClientTile.js";
 import { ClientFurniture } from "./gameObjects/ClientFurniture.js";
 import { ClientNPC } from "./gameObjects/ClientNPC.js"; // <-- Import ClientNPC
-import { escapeHtml } from "./utils.js";
+import { escapeHtml, formatCurrency } from "./utils.js";
 
 let socket = null;
 
@@ -120,20 +140,53 @@ export function requestMove(x, y) {
   emitIfConnected("request_move", { x, y });
 }
 
-export function requestPlaceFurni(definitionId, x, y, rotation) {
-  emitIfConnected("request_place_furni", { definitionId, x, y, rotation });
+/** Places an inventory item instance (by its ID) in the current room. */
+export function requestPlaceFurni(
+  itemId,
+  x,
+  y,
+  rotation,
+  wallPlacement = null
+) {
+  const payload = { itemId: String(itemId), x, y, rotation };
+  if (wallPlacement) {
+    payload.wallSide = wallPlacement.wallSide;
+    payload.wallOffset = wallPlacement.wallOffset;
+  }
+  emitIfConnected("request_place_furni", payload);
 }
 
 export function requestRotateFurni(furniId) {
   emitIfConnected("request_rotate_furni", { furniId: String(furniId) });
 }
 
+export function requestMoveFurni(
+  furniId,
+  x,
+  y,
+  rotation,
+  wallPlacement = null
+) {
+  const payload = { furniId: String(furniId), x, y, rotation };
+  if (wallPlacement) {
+    payload.wallSide = wallPlacement.wallSide;
+    payload.wallOffset = wallPlacement.wallOffset;
+  }
+  emitIfConnected("request_move_furni", payload);
+}
+
 export function requestPickupFurni(furniId) {
   emitIfConnected("request_pickup_furni", { furniId: String(furniId) });
 }
 
-export function requestSit(furniId) {
-  emitIfConnected("request_sit", { furniId: String(furniId) });
+/** Sits on a furniture item; seat ({x, y}) picks which tile of a multi-seat item, if free. */
+export function requestSit(furniId, seat = null) {
+  const payload = { furniId: String(furniId) };
+  if (seat) {
+    payload.seatX = seat.x;
+    payload.seatY = seat.y;
+  }
+  emitIfConnected("request_sit", payload);
 }
 
 export function requestStand() {
@@ -148,19 +201,67 @@ export function requestProfile(avatarId) {
   emitIfConnected("request_profile", { avatarId: String(avatarId) });
 }
 
-export function requestUseFurni(furniId) {
-  emitIfConnected("request_use_furni", { furniId: String(furniId) });
+export function requestFurniInfo(furniId) {
+  emitIfConnected("request_furni_info", { furniId: String(furniId) });
 }
 
-export function requestRecolorFurni(furniId, colorHex) {
-  emitIfConnected("request_recolor_furni", {
-    furniId: String(furniId),
-    colorHex: colorHex ?? "",
+/** Uses an item: cycles its state, or switches straight to `state` when given. */
+export function requestUseFurni(furniId, state = null) {
+  const payload = { furniId: String(furniId) };
+  if (state != null) payload.state = String(state);
+  emitIfConnected("request_use_furni", payload);
+}
+
+/** Recolors an item: a hex string (or "" to reset) for the whole item, or a { layerId: hex } map. */
+export function requestRecolorFurni(furniId, colors) {
+  const payload = { furniId: String(furniId) };
+  if (colors && typeof colors === "object") payload.colors = colors;
+  else payload.colorHex = colors ?? "";
+  emitIfConnected("request_recolor_furni", payload);
+}
+
+export function requestBuyItem(offerId) {
+  emitIfConnected("request_buy_item", { offerId });
+}
+
+/** Buys several offers in one transaction. lines: [{ offerId, quantity }]. */
+export function requestCheckout(lines) {
+  emitIfConnected("request_checkout", {
+    lines: lines.map(({ offerId, quantity }) => ({ offerId, quantity })),
   });
 }
 
-export function requestBuyItem(itemId) {
-  emitIfConnected("request_buy_item", { itemId });
+/** Asks for the player's recent currency ledger entries. */
+export function requestWalletHistory() {
+  emitIfConnected("request_wallet_history");
+}
+
+/** Asks for the shop catalog (pages and offers with their current prices). */
+export function requestShopCatalog() {
+  emitIfConnected("request_shop_catalog");
+}
+
+/** Asks for the remaining supply of limited-edition shop items. */
+export function requestShopStock() {
+  emitIfConnected("request_shop_stock");
+}
+
+/** Asks for the marketplace listings (optionally only items matching `search`) and the player's own. */
+export function requestMarketListings(search = "") {
+  emitIfConnected("request_market_listings", { search });
+}
+
+/** Puts an inventory item instance up for sale on the marketplace. */
+export function requestMarketListItem(itemId, price, currencyId) {
+  emitIfConnected("request_market_list_item", { itemId, price, currencyId });
+}
+
+export function requestMarketBuy(listingId) {
+  emitIfConnected("request_market_buy", { listingId });
+}
+
+export function requestMarketCancel(listingId) {
+  emitIfConnected("request_market_cancel", { listingId });
 }
 
 // Shows loading overlay immediately before sending request
@@ -174,9 +275,18 @@ export function requestChangeRoom(targetRoomId, targetX, targetY) {
   emitIfConnected("request_change_room", data);
 }
 
-/** Requests the list of public rooms from the server. */
-export function requestPublicRooms() {
-  emitIfConnected("request_public_rooms");
+/**
+ * Requests a page of the room navigator from the server.
+ * @param {object} [query={}] - { view, category, search, page }
+ */
+export function requestPublicRooms(query = {}) {
+  emitIfConnected("request_public_rooms", query);
+}
+export function requestToggleFavoriteRoom(roomId, favorite) {
+  emitIfConnected("request_toggle_favorite_room", {
+    roomId,
+    favorite: !!favorite,
+  });
 }
 
 // --- NEW Trade Emit Functions ---
@@ -189,7 +299,7 @@ export function respondToTradeRequest(tradeId, accepted) {
   emitIfConnected("trade_request_response", { tradeId, accepted });
 }
 export function updateTradeOffer(tradeId, items, currency) {
-  // items should be { definitionId: quantity }
+  // items should be an array of inventory item instance IDs
   emitIfConnected("trade_update_offer", { tradeId, items, currency });
 }
 export function confirmTradeOffer(tradeId) {
@@ -206,23 +316,143 @@ export function requestInteract(targetId) {
 }
 // --- End Interact Emitter ---
 
+// --- Room Owner Emitters ---
+/** Sends new room settings ({ name, description, maxUsers, lockMode, password? }) for the current room. */
+export function requestUpdateRoomSettings(settings) {
+  emitIfConnected("request_update_room_settings", settings);
+}
+
+/** Uses a decoration item (wallpaper/floor/landscape) from the inventory on the current room. */
+export function requestApplyDecoration(itemId) {
+  emitIfConnected("request_apply_decoration", { itemId });
+}
+
+export function requestWiredConfig(furniId) {
+  emitIfConnected("request_wired_config", { furniId: String(furniId) });
+}
+
+export function requestUpdateWired(furniId, links, settings) {
+  emitIfConnected("request_update_wired", {
+    furniId: String(furniId),
+    links,
+    settings,
+  });
+}
+
+export function requestLinkTeleporter(furniId) {
+  emitIfConnected("request_link_teleporter", { furniId: String(furniId) });
+}
+
+/** Walks onto a linked teleporter; the server jumps the avatar to its partner. */
+export function requestEnterTeleporter(furniId) {
+  emitIfConnected("request_enter_teleporter", { furniId: String(furniId) });
+}
+
+export function requestModifyRoomRights(username, grant) {
+  emitIfConnected("request_modify_room_rights", { username, grant: !!grant });
+}
+
+// --- Room Entry Emitters ---
+export function requestRoomPasswordEntry(roomId, password) {
+  emitIfConnected("request_room_password", { roomId, password });
+}
+export function respondToDoorbell(requestId, accepted) {
+  emitIfConnected("doorbell_response", { requestId, accepted: !!accepted });
+}
+
 // --- Admin Emitters ---
-export function requestCreateRoom(roomId, cols, rows) {
+// options: { name, owned, templateId, cloneFromRoomId, cloneFurniture } - 'owned' rooms belong
+// to the creator (always true for non-admins). Templates and copies ignore cols/rows.
+export function requestCreateRoom(roomId, cols, rows, options = {}) {
   const data = { roomId };
   if (cols) data.cols = cols;
   if (rows) data.rows = rows;
+  if (options.name) data.name = options.name;
+  if (options.owned) data.owned = true;
+  if (options.templateId) data.templateId = options.templateId;
+  if (options.cloneFromRoomId) {
+    data.cloneFromRoomId = options.cloneFromRoomId;
+    data.cloneFurniture = !!options.cloneFurniture;
+  }
   emitIfConnected("request_create_room", data);
 }
 
-export function requestModifyLayout(roomId, x, y, type) {
+/**
+ * Sends a batch of layout paint operations, applied by the server as one change.
+ * @param {Array<object>} edits - e.g. { op: 'rect', x1, y1, x2, y2, type } or { op: 'fill', x, y, height }.
+ */
+export function requestApplyLayoutEdits(edits) {
   // Server uses socket's current room
-  emitIfConnected("request_modify_layout", { x, y, type });
+  emitIfConnected("request_apply_layout_edits", { edits });
+}
+
+export function requestResizeRoom(cols, rows) {
+  emitIfConnected("request_resize_room", { cols, rows });
+}
+
+export function requestLayoutUndo() {
+  emitIfConnected("request_layout_undo");
+}
+
+export function requestLayoutRedo() {
+  emitIfConnected("request_layout_redo");
 }
 
 export function requestAllRoomIds() {
   emitIfConnected("request_all_room_ids");
 }
 
+export function requestDeleteRoom(roomId) {
+  emitIfConnected("request_delete_room", { roomId });
+}
+
+export function requestArchivedRooms() {
+  emitIfConnected("request_archived_rooms");
+}
+
+export function requestRestoreRoom(roomId) {
+  emitIfConnected("request_restore_room", { roomId });
+}
+
+export function requestExportRoom(roomId) {
+  emitIfConnected("request_export_room", { roomId });
+}
+
+/**
+ * Sends a parsed room bundle to be imported as a new room.
+ * @param {object} bundle - Bundle produced by an export.
+ * @param {string} [roomId] - Optional new room ID (defaults to the bundle's).
+ */
+export function requestImportRoom(bundle, roomId) {
+  const data = { bundle };
+  if (roomId) data.roomId = roomId;
+  emitIfConnected("request_import_room", data);
+}
+
+/** Recreates the ClientTile objects from gameState.roomLayout / roomHeightmap. */
+function buildClientTiles() {
+  gameState.clientTiles = [];
+  for (let y = 0; y < gameState.roomRows; y++) {
+    for (let x = 0; x < gameState.roomCols; x++) {
+      const layoutType = gameState.roomLayout[y]?.[x] ?? 0;
+      const height = gameState.roomHeightmap[y]?.[x] ?? 0;
+      try {
+        gameState.clientTiles.push(
+          new ClientTile(
+            x,
+            y,
+            layoutType,
+            height,
+            gameState.roomInfo?.decoration
+          )
+        );
+      } catch (e) {
+        console.error(`Error creating ClientTile at (${x},${y}):`, e);
+      }
+    }
+  }
+}
+
 // --- Socket Event Listeners (Server -> Client) ---
 
 /** Sets up all listeners for events received from the server. */
@@ -280,6 +510,7 @@ async function setupSocketListeners() {
       return;
     }
     showLoadingOverlay("Initializing Room..."); // Update overlay message
+    dismissNotification("room_entry_pending"); // Doorbell answered, if we were waiting
 
     // --- Partial Reset (Keep global state like inventory/currency) ---
     gameState.furniture = {};
@@ -288,6 +519,7 @@ async function setupSocketListeners() {
     gameState.clientTiles = [];
     gameState.highlightedTile = null;
     gameState.roomLayout = [];
+    gameState.roomHeightmap = [];
     gameState.roomCols = 0;
     gameState.roomRows = 0;
     if (uiState.bubbleContainer) uiState.bubbleContainer.innerHTML = "";
@@ -304,6 +536,7 @@ async function setupSocketListeners() {
     if (CLIENT_CONFIG)
       uiState.editMode.state = CLIENT_CONFIG.EDIT_STATE_NAVIGATE;
     uiState.editMode.selectedInventoryItemId = null;
+    uiState.editMode.selectedInventoryStackKey = null;
     uiState.editMode.selectedFurnitureId = null;
     uiState.editMode.placementValid = false;
     uiState.editMode.placementRotation = 0;
@@ -319,24 +552,20 @@ async function setupSocketListeners() {
 
     gameState.currentRoomId = state.id;
     gameState.roomLayout = state.layout;
+    gameState.roomHeightmap = state.heightmap || [];
     gameState.roomCols = state.cols || state.layout[0]?.length || 0;
     gameState.roomRows = state.rows || state.layout.length;
+    gameState.roomInfo = state.info || null;
 
-    if (uiState.roomNameDisplay)
-      uiState.roomNameDisplay.textContent = `Room: ${escapeHtml(state.id)}`;
-    document.title = `ZanyTown - ${escapeHtml(state.id)}`;
+    updateRoomInfoUI(); // Header name & owner tools
+    document.title = `ZanyTown - ${escapeHtml(state.info?.name || state.id)}`;
 
-    // Create client-side tile objects
-    for (let y = 0; y < gameState.roomRows; y++) {
-      for (let x = 0; x < gameState.roomCols; x++) {
-        const layoutType = gameState.roomLayout[y]?.[x] ?? 0;
-        try {
-          gameState.clientTiles.push(new ClientTile(x, y, layoutType));
-        } catch (e) {
-          console.error(`Error creating ClientTile at (${x},${y}):`, e);
-        }
-      }
-    }
+    uiState.layoutEditor.canUndo = !!state.layoutHistory?.canUndo;
+    uiState.layoutEditor.canRedo = !!state.layoutHistory?.canRedo;
+    uiState.layoutEditor.rectStart = null;
+    updateLayoutEditorUI();
+
+    buildClientTiles(); // Create client-side tile objects
 
     // Process furniture
     state.furniture?.forEach((dto) => {
@@ -566,6 +795,9 @@ async function setupSocketListeners() {
       if (uiState.editMode.selectedFurnitureId === furniIdStr)
         setSelectedFurniture(null);
       if (uiState.activeRecolorFurniId === furniIdStr) hideRecolorPanel();
+      if (uiState.wiredEditor?.furniId === furniIdStr) hideWiredPanel();
+      if (uiState.furniInfoPanel?.dataset.targetId === furniIdStr)
+        hideFurniInfoPanel();
       delete gameState.furniture[furniIdStr];
       // playSound('pickup'); // Optional pickup sound
     }
@@ -585,6 +817,12 @@ async function setupSocketListeners() {
       ) {
         playSound("use");
       }
+      if (
+        updateData.colorOverride !== undefined &&
+        uiState.activeRecolorFurniId === furniIdStr
+      ) {
+        showRecolorPanel(furniIdStr); // Move the selected swatches
+      }
     }
   });
 
@@ -649,41 +887,93 @@ async function setupSocketListeners() {
   // --- End NPC Handlers ---
 
   // --- Layout Update Listener ---
-  socket.on("layout_tile_update", (data) => {
-    if (!data || data.x == null || data.y == null || data.type == null) {
-      console.warn("Received invalid layout_tile_update data:", data);
+  // One combined update per editor action (paint batch, resize, undo/redo)
+  socket.on("layout_update", (data) => {
+    if (!data || !Array.isArray(data.layout) || !Array.isArray(data.heightmap)) {
+      console.warn("Received invalid layout_update data:", data);
       return;
     }
-    const tile = gameState.clientTiles?.find(
-      (t) => t.x === data.x && t.y === data.y
+    gameState.roomLayout = data.layout;
+    gameState.roomHeightmap = data.heightmap;
+    gameState.roomCols = data.cols || data.layout[0]?.length || 0;
+    gameState.roomRows = data.rows || data.layout.length;
+    gameState.highlightedTile = null;
+    buildClientTiles();
+    uiState.layoutEditor.canUndo = !!data.canUndo;
+    uiState.layoutEditor.canRedo = !!data.canRedo;
+    updateLayoutEditorUI();
+  });
+
+  // --- Room Info (name, owner, lock, rights) ---
+  socket.on("wired_config", (config) => {
+    if (!config || config.furniId == null) return;
+    showWiredPanel(config);
+    if (config.saved) showNotification("Wired settings saved.", "success");
+  });
+
+  socket.on("room_info_update", (info) => {
+    if (!info || info.id !== gameState.currentRoomId) return;
+    const decorationChanged =
+      JSON.stringify(info.decoration) !==
+      JSON.stringify(gameState.roomInfo?.decoration);
+    gameState.roomInfo = info;
+    if (decorationChanged) buildClientTiles(); // Tiles cache their style
+    updateRoomInfoUI();
+    document.title = `ZanyTown - ${escapeHtml(info.name || info.id)}`;
+  });
+
+  // --- Locked Room Entry Listeners ---
+  socket.on("room_entry_prompt", (data) => {
+    hideLoadingOverlay(); // Still in the current room
+    if (data && data.roomId && data.mode === "password") {
+      promptRoomPassword(data.roomId, data.roomName);
+    }
+  });
+
+  socket.on("room_entry_pending", (data) => {
+    hideLoadingOverlay();
+    if (!data || !data.roomId) return;
+    showNotificationWithActions(
+      `Ringing the doorbell of '${escapeHtml(
+        data.roomName || data.roomId
+      )}'... waiting for an answer.`,
+      [],
+      data.timeout,
+      "info",
+      null,
+      "room_entry_pending" // Closed once we get an answer
     );
-    if (tile instanceof ClientTile) {
-      tile.layoutType = data.type;
-      tile._setBaseColor(); // Update visual base color
-      if (gameState.roomLayout[data.y]) {
-        gameState.roomLayout[data.y][data.x] = data.type;
-      }
-      if (
-        uiState.isEditMode &&
-        uiState.editMode.state === CLIENT_CONFIG?.EDIT_STATE_PLACING
-      ) {
-        // updateHighlights will re-evaluate placement validity
-      }
+  });
+
+  socket.on("room_entry_denied", (data) => {
+    hideLoadingOverlay();
+    dismissNotification("room_entry_pending");
+    showNotification(
+      escapeHtml(data?.reason || "You were not let in."),
+      "warning"
+    );
+    playSound("error");
+  });
+
+  socket.on("doorbell_ring", (data) => {
+    if (data && data.requestId && data.visitorName) {
+      handleDoorbellRing(data.requestId, data.visitorName);
     } else {
-      console.warn(
-        `Could not find client tile at (${data.x}, ${data.y}) to update.`
-      );
+      console.warn("Invalid doorbell_ring data:", data);
     }
   });
 
+  socket.on("doorbell_closed", (data) => {
+    if (data && data.requestId)
+      dismissNotification(`doorbell_${data.requestId}`);
+  });
+
   // --- User/Global State Updates ---
   socket.on("inventory_update", (inventoryData) => {
-    gameState.inventory =
-      typeof inventoryData === "object" && inventoryData !== null
-        ? inventoryData
-        : {};
+    gameState.inventory = Array.isArray(inventoryData) ? inventoryData : [];
     populateInventory();
     updateShopButtonStates();
+    if (isMarketPanelOpen()) populateMarketPanel(); // Sell form item list
     // Refresh trade inventory if trade panel is open
     if (uiState.isTrading && typeof populateTradeInventory === "function") {
       populateTradeInventory();
@@ -694,12 +984,18 @@ async function setupSocketListeners() {
     if (data && typeof data.currency === "number") {
       const oldValue = gameState.myCurrency;
       gameState.myCurrency = data.currency;
+      gameState.myBalances = {
+        ...(data.balances || {}),
+        [SHARED_CONFIG.PRIMARY_CURRENCY_ID]: data.currency,
+      };
       updateCurrencyDisplay();
       updateShopButtonStates();
+      if (isWalletPanelOpen()) requestWalletHistory();
+      if (isMarketPanelOpen()) populateMarketPanel(); // Affordable listings
 
       const increase = gameState.myCurrency - oldValue;
       if (increase > 10) {
-        showNotification(`Received ${increase} Coins!`, "success");
+        showNotification(`Received ${formatCurrency(increase)}!`, "success");
         playSound("success");
       } else if (increase > 0) {
         // Minor sound?
@@ -716,17 +1012,64 @@ async function setupSocketListeners() {
     showProfilePanel(profileData);
   });
 
+  socket.on("shop_catalog", (catalog) => {
+    if (!catalog || !Array.isArray(catalog.pages)) return;
+    gameState.shopCatalog = catalog;
+    if (uiState.activePanelId === "shop") populateShopPanel();
+  });
+
+  socket.on("checkout_complete", () => {
+    clearShopCart();
+    playSound("success");
+  });
+
+  socket.on("shop_stock", (stock) => {
+    if (!stock || typeof stock !== "object") return;
+    // Broadcasts only carry the items that changed
+    gameState.shopStock = { ...gameState.shopStock, ...stock };
+    updateShopButtonStates();
+  });
+
+  socket.on("furni_info", (info) => {
+    if (!info || !info.id) return;
+    showFurniInfoPanel(info);
+  });
+
+  socket.on("wallet_history", (data) => {
+    showWalletHistory(data?.entries);
+  });
+
+  socket.on("market_listings", (data) => {
+    gameState.market = {
+      listings: Array.isArray(data?.listings) ? data.listings : [],
+      mine: Array.isArray(data?.mine) ? data.mine : [],
+      feePercent: data?.feePercent ?? 0,
+    };
+    populateMarketPanel();
+  });
+
+  // Someone listed, bought or cancelled something
+  socket.on("market_changed", () => {
+    if (isMarketPanelOpen()) refreshMarket();
+  });
+
   // --- Public Room List Update Handler ---
   socket.on("public_rooms_update", (roomData) => {
     console.log("DEBUG: Received public_rooms_update:", roomData);
-    if (Array.isArray(roomData)) {
+    if (roomData && Array.isArray(roomData.rooms)) {
       populateRoomsPanel(roomData);
     } else {
       console.warn("Received invalid data for public_rooms_update:", roomData);
-      populateRoomsPanel([]);
+      populateRoomsPanel({ rooms: [] });
     }
   });
 
+  socket.on("favorite_rooms_update", (data) => {
+    if (!data || !Array.isArray(data.favoriteRooms)) return;
+    // Refresh the open navigator so stars (and the favorites view) stay in sync
+    if (uiState.activePanelId === "rooms") refreshNavigator();
+  });
+
   // --- Admin Room List Update ---
   socket.on("all_room_ids_update", (roomIds) => {
     if (Array.isArray(roomIds)) {
@@ -735,6 +1078,13 @@ async function setupSocketListeners() {
       console.warn("Received invalid data for all_room_ids_update:", roomIds);
     }
   });
+  socket.on("archived_rooms_update", (archived) => {
+    if (Array.isArray(archived)) promptRestoreArchivedRoom(archived);
+  });
+  socket.on("room_export_result", (data) => {
+    if (!data?.bundle || !data.roomId) return;
+    downloadRoomBundle(data.roomId, data.bundle);
+  });
 
   // --- Chat & Feedback ---
   socket.on("chat_message", (data) => {
@@ -821,6 +1171,13 @@ async function setupSocketListeners() {
   socket.on("action_failed", (data) => {
     console.warn("DEBUG: Received action_failed:", JSON.stringify(data));
     const reason = data.reason || "Unknown error";
+    if (data.action === "change_room") hideLoadingOverlay(); // Stay in current room
+    if (data.action === "buy" || data.action === "checkout") {
+      updateShopButtonStates(); // Reset "Buying..." buttons
+    }
+    if (data.action?.startsWith("market_") && isMarketPanelOpen()) {
+      refreshMarket(); // Reset buttons; the listing may be gone
+    }
     showNotification(`Action failed: ${escapeHtml(reason)}`, "error");
     playSound("error");
   });
@@ -1,10 +1,22 @@
 import { gameState, uiState, camera } from "./gameState.js";
-import { getScreenPos, shadeColor, isoToWorld, worldToIso } from "./utils.js"; // Import necessary utils
+import {
+  getScreenPos,
+  shadeColor,
+  isoToWorld,
+  worldToIso,
+  getWallItemWorldPos,
+  getFootprintCenter,
+} from "./utils.js"; // Import necessary utils
 import { SHARED_CONFIG, CLIENT_CONFIG } from "./config.js";
 import { ClientFurniture } from "./gameObjects/ClientFurniture.js";
 import { ClientAvatar } from "./gameObjects/ClientAvatar.js";
 import { ClientTile } from "./gameObjects/ClientTile.js";
-import { getClientStackHeightAt } from "./uiManager.js"; // Placement ghost needs stack height calc
+import {
+  getClientFootprintStackHeight,
+  getClientFloorZ,
+  getPlacementDefinition,
+  getPlacementTiles,
+} from "./uiManager.js"; // Placement ghost needs stack height calc
 import { getAsset } from "../js/assetLoader.js";
 
 let ctx = null;
@@ -32,7 +44,7 @@ export function initRenderer(canvasElement, context) {
  * @param {number} margin - The margin (in world tile units) to add around the viewport.
  * @returns {{ minX: number, minY: number, maxX: number, maxY: number } | null} Visible bounds or null if canvas/camera not ready.
  */
-function getVisibleWorldBounds(margin = 2) {
+export function getVisibleWorldBounds(margin = 2) {
   const canvas = uiState.canvas; // Get canvas from uiState
   if (!canvas || !camera) {
     // console.warn("getVisibleWorldBounds skipped: canvas or camera not ready.");
@@ -95,7 +107,11 @@ export function renderGame() {
   ctx.clearRect(0, 0, canvas.width, canvas.height);
   // Use a background color defined in CSS or a default if needed
   // Setting it here overrides CSS background for the canvas drawing area.
-  ctx.fillStyle = "#003366"; // Dark blue default background
+  // The room's landscape decoration replaces the default dark blue
+  const landscapeId = gameState.roomInfo?.decoration?.landscape;
+  ctx.fillStyle =
+    SHARED_CONFIG.ROOM_DECORATIONS?.landscape?.find((l) => l.id === landscapeId)
+      ?.color || "#003366";
   ctx.fillRect(0, 0, canvas.width, canvas.height);
 
   // --- Calculate Visible Bounds ---
@@ -148,23 +164,25 @@ export function renderGame() {
         furni.visualY >= bounds.minY &&
         furni.visualY <= bounds.maxY
       ) {
-        // For multi-tile items, ensure *any* part is within bounds for potential drawing
-        // This basic check using visualX/Y is often good enough, but can be refined.
         visibleDrawables.push(furni);
+      } else if (
+        furni &&
+        typeof furni.draw === "function" &&
+        furni.definition &&
+        (furni.definition.width > 1 || furni.definition.height > 1)
+      ) {
+        // Multi-tile items are drawn if *any* tile of their footprint is in view
+        const intersects = furni
+          .getOccupiedTiles()
+          .some(
+            (tilePos) =>
+              tilePos.x >= bounds.minX &&
+              tilePos.x <= bounds.maxX &&
+              tilePos.y >= bounds.minY &&
+              tilePos.y <= bounds.maxY
+          );
+        if (intersects) visibleDrawables.push(furni);
       }
-      // --- Alternative check for multi-tile items (more accurate culling but slightly more complex) ---
-      /*
-             else if (furni && typeof furni.draw === 'function' && furni.definition && (furni.definition.width > 1 || furni.definition.height > 1) && typeof furni.getOccupiedTiles === 'function') {
-                 // Check if any occupied tile intersects the bounds
-                 const intersects = furni.getOccupiedTiles().some(tilePos =>
-                      tilePos.x >= bounds.minX && tilePos.x <= bounds.maxX &&
-                      tilePos.y >= bounds.minY && tilePos.y <= bounds.maxY
-                 );
-                 if (intersects) {
-                     visibleDrawables.push(furni);
-                 }
-             }
-             */
     });
   }
 
@@ -233,6 +251,25 @@ export function renderGame() {
   });
 
   // --- Draw Overlays ---
+  // Outline the full footprint of the selected furniture in edit mode
+  const selectedFurni = uiState.isEditMode
+    ? gameState.furniture[uiState.editMode.selectedFurnitureId]
+    : null;
+  if (selectedFurni && !selectedFurni.isWallItem) {
+    drawFootprintOutline(
+      selectedFurni.getOccupiedTiles(),
+      CLIENT_CONFIG.FURNI_SELECT_HIGHLIGHT_COLOR
+    );
+  }
+  // Outline what the open wired panel is linked to (wall items: their host tile)
+  uiState.wiredEditor?.links.forEach((id) => {
+    const linked = gameState.furniture[id];
+    if (!linked) return;
+    drawFootprintOutline(
+      linked.getOccupiedTiles(),
+      CLIENT_CONFIG.WIRED_LINK_HIGHLIGHT_COLOR
+    );
+  });
   // Draw the placement ghost image if applicable (doesn't need culling)
   try {
     drawPlacementGhost();
@@ -241,13 +278,40 @@ export function renderGame() {
   }
 }
 
-/** Draws the semi-transparent ghost image of the item being placed in edit mode. */
+/** Outlines floor tiles (a furniture footprint) on top of the scene, following the heightmap. */
+function drawFootprintOutline(tiles, strokeStyle, fillStyle = null) {
+  if (!ctx || !camera || !tiles?.length) return;
+  const zoom = camera.zoom;
+  const halfW = SHARED_CONFIG.TILE_WIDTH_HALF * zoom;
+  const halfH = SHARED_CONFIG.TILE_HEIGHT_HALF * zoom;
+  const zFactor = CLIENT_CONFIG.VISUAL_Z_FACTOR * zoom;
+
+  ctx.save();
+  ctx.lineWidth = Math.max(1, 2 * zoom);
+  ctx.strokeStyle = strokeStyle;
+  tiles.forEach((tile) => {
+    const center = getScreenPos(tile.x, tile.y);
+    const cy = center.y - getClientFloorZ(tile.x, tile.y) * zFactor;
+    ctx.beginPath();
+    ctx.moveTo(center.x, cy - halfH);
+    ctx.lineTo(center.x + halfW, cy);
+    ctx.lineTo(center.x, cy + halfH);
+    ctx.lineTo(center.x - halfW, cy);
+    ctx.closePath();
+    if (fillStyle) {
+      ctx.fillStyle = fillStyle;
+      ctx.fill();
+    }
+    ctx.stroke();
+  });
+  ctx.restore();
+}
+
+/** Draws the semi-transparent ghost image of the item being placed or moved in edit mode. */
 function drawPlacementGhost() {
   // Check conditions for drawing the ghost
   if (
     !uiState.isEditMode ||
-    uiState.editMode.state !== CLIENT_CONFIG?.EDIT_STATE_PLACING ||
-    !uiState.editMode.selectedInventoryItemId ||
     !gameState.highlightedTile ||
     !SHARED_CONFIG?.FURNITURE_DEFINITIONS ||
     !ctx ||
@@ -257,14 +321,11 @@ function drawPlacementGhost() {
     return; // Don't draw if conditions not met
   }
 
-  const definition = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
-    (d) => d.id === uiState.editMode.selectedInventoryItemId
-  );
-  if (!definition || !definition.sprite || !definition.spriteSheetUrl) {
+  const definition = getPlacementDefinition();
+  if (!definition) return; // Not placing or moving anything
+  if (!definition.sprite || !definition.spriteSheetUrl) {
     // Fallback to simple geometric if no sprite info? Or just don't draw?
-    console.warn(
-      `No sprite info for placement ghost: ${uiState.editMode.selectedInventoryItemId}`
-    );
+    console.warn(`No sprite info for placement ghost: ${definition.id}`);
     return;
   }
   const spriteInfo = definition.sprite;
@@ -278,9 +339,28 @@ function drawPlacementGhost() {
 
   const gridX = gameState.highlightedTile.x;
   const gridY = gameState.highlightedTile.y;
-  const ghostZ =
-    getClientStackHeightAt(gridX, gridY) + (definition.zOffset || 0);
   const rotation = uiState.editMode.placementRotation;
+  const footprint = getPlacementTiles(definition, gridX, gridY);
+  // Show every tile the item would cover, so large pieces can be lined up
+  if (!definition.wallMountable) {
+    drawFootprintOutline(
+      footprint,
+      uiState.editMode.placementValid
+        ? CLIENT_CONFIG.FURNI_PLACE_HIGHLIGHT_COLOR
+        : CLIENT_CONFIG.TILE_EDIT_HIGHLIGHT_COLOR
+    );
+  }
+  // Wall items hang on the wall edge picked in uiManager instead of the tile center
+  const wallPlacement = definition.wallMountable
+    ? uiState.editMode.wallPlacement
+    : null;
+  const ghostZ = definition.wallMountable
+    ? getClientFloorZ(gridX, gridY) +
+      (definition.wallHeight ?? SHARED_CONFIG.WALL_ITEM_DEFAULT_Z ?? 1.5)
+    : getClientFootprintStackHeight(
+        footprint,
+        uiState.editMode.movingFurniId
+      ) + (definition.zOffset || 0);
 
   // --- Determine Frame and Anchor (Similar to ClientFurniture.draw) ---
   let frameData = { ...(spriteInfo.base || {}) };
@@ -291,6 +371,11 @@ function drawPlacementGhost() {
     frameData = { ...frameData, ...rotationFrame };
     anchorData = { ...anchorData, ...(rotationFrame.anchor || {}) };
   }
+  if (wallPlacement && spriteInfo.sides?.[wallPlacement.wallSide]) {
+    const sideFrame = spriteInfo.sides[wallPlacement.wallSide];
+    frameData = { ...frameData, ...sideFrame };
+    anchorData = { ...anchorData, ...(sideFrame.anchor || {}) };
+  }
   // Add convention logic here if using Option B
 
   const sx = frameData.x ?? 0;
@@ -306,7 +391,21 @@ function drawPlacementGhost() {
 
   const currentCtx = ctx;
   const currentCamera = camera;
-  const screenPos = getScreenPos(gridX, gridY);
+  const worldPos = wallPlacement
+    ? getWallItemWorldPos(
+        gridX,
+        gridY,
+        wallPlacement.wallSide,
+        wallPlacement.wallOffset
+      )
+    : getFootprintCenter(
+        gridX,
+        gridY,
+        definition.width,
+        definition.height,
+        rotation
+      );
+  const screenPos = getScreenPos(worldPos.x, worldPos.y);
   const zoom = currentCamera.zoom;
   const zOffsetPx = ghostZ * CLIENT_CONFIG.VISUAL_Z_FACTOR * zoom;
 
@@ -12,18 +12,49 @@ import {
   escapeHtml, // <-- Ensure escapeHtml is imported
   debounce,
   rotateDirection, // Needed for rotating placement ghost
+  getWallItemWorldPos,
+  getFootprintTiles,
+  getFootprintCenter,
+  getFurnitureStates,
+  getFurnitureLayers,
+  getRecolorPalette,
+  formatCurrency,
 } from "./utils.js";
 // network.js provides functions to communicate with the server
 import {
   isConnected,
   requestProfile,
+  requestFurniInfo,
   requestUseFurni,
   requestPickupFurni,
   requestRecolorFurni,
   requestBuyItem,
+  requestShopStock,
+  requestShopCatalog,
+  requestCheckout,
+  requestWalletHistory,
+  requestMarketListings,
+  requestMarketListItem,
+  requestMarketBuy,
+  requestMarketCancel,
   requestCreateRoom,
-  requestModifyLayout,
+  requestApplyLayoutEdits,
+  requestResizeRoom,
+  requestLayoutUndo,
+  requestLayoutRedo,
   requestAllRoomIds,
+  requestExportRoom,
+  requestDeleteRoom,
+  requestArchivedRooms,
+  requestRestoreRoom,
+  requestImportRoom,
+  requestUpdateRoomSettings,
+  requestModifyRoomRights,
+  requestApplyDecoration,
+  requestWiredConfig,
+  requestUpdateWired,
+  requestLinkTeleporter,
+  requestEnterTeleporter,
   sendChat,
   requestSit,
   requestStand,
@@ -31,7 +62,9 @@ import {
   requestChangeRoom,
   requestMove,
   requestPlaceFurni,
+  requestMoveFurni,
   requestPublicRooms,
+  requestToggleFavoriteRoom,
   requestInteract, // <-- Import NPC interaction
   // Trade Network Functions
   requestTradeInitiate,
@@ -39,6 +72,9 @@ import {
   updateTradeOffer,
   confirmTradeOffer,
   cancelTrade,
+  // Room Entry Network Functions
+  respondToDoorbell,
+  requestRoomPasswordEntry,
 } from "./network.js";
 // sounds.js provides audio feedback
 import { playSound } from "./sounds.js";
@@ -80,13 +116,19 @@ export function initUIManager() {
         chatLog: "chatLogDiv",
         inventoryItems: "inventoryItemsDiv",
         shopItems: "shopItemsDiv",
+        shopPages: "shopPagesDiv",
+        shopCart: "shopCartDiv",
+        marketListings: "marketListingsDiv",
         recolorSwatches: "recolorSwatchesDiv",
         recolorItemName: "recolorItemNameP",
+        wiredTitle: "wiredTitleP",
+        wiredSettings: "wiredSettingsDiv",
+        wiredLinks: "wiredLinksDiv",
         playerCurrency: "currencyDisplay",
         userListContent: "userListContent",
         roomsListContent: "roomsListContent",
         adminRoomList: "adminRoomListDiv",
-        adminLayoutTileType: "layoutTileTypeSelector",
+        layoutTileType: "layoutTileTypeSelector",
         debugDiv: "debugDiv",
         notificationContainer: "notificationContainer",
         // Trade Panel Mappings
@@ -191,14 +233,41 @@ export function initUIManager() {
   if (uiState.createRoomBtn) {
     uiState.createRoomBtn.addEventListener("click", handleCreateRoomClick);
   }
+  if (uiState.deleteRoomBtn) {
+    uiState.deleteRoomBtn.addEventListener("click", handleDeleteRoomClick);
+  }
+  if (uiState.restoreRoomBtn) {
+    uiState.restoreRoomBtn.addEventListener("click", () =>
+      requestArchivedRooms()
+    );
+  }
+  if (uiState.exportRoomBtn) {
+    uiState.exportRoomBtn.addEventListener("click", handleExportRoomClick);
+  }
+  if (uiState.importRoomBtn && uiState.importRoomFile) {
+    uiState.importRoomBtn.addEventListener("click", () =>
+      uiState.importRoomFile.click()
+    );
+    uiState.importRoomFile.addEventListener("change", handleImportRoomFile);
+  }
+  // Rooms panel: player room creation & owner tools
+  if (uiState.createMyRoomBtn) {
+    uiState.createMyRoomBtn.addEventListener("click", handleCreateMyRoomClick);
+  }
+  if (uiState.roomSettingsBtn) {
+    uiState.roomSettingsBtn.addEventListener("click", handleRoomSettingsClick);
+  }
+  if (uiState.cloneRoomBtn) {
+    uiState.cloneRoomBtn.addEventListener("click", handleCloneRoomClick);
+  }
+  initRoomTemplateList();
   if (uiState.layoutTileTypeSelector) {
     uiState.layoutTileTypeSelector.addEventListener("change", (event) => {
       if (
         event.target.type === "radio" &&
         event.target.name === "layout-paint-type"
       ) {
-        const value = event.target.value;
-        selectedLayoutPaintType = value === "X" ? "X" : parseInt(value, 10);
+        selectedLayoutPaintType = parseLayoutPaintType(event.target.value);
         console.log("Selected layout paint type:", selectedLayoutPaintType);
       }
     });
@@ -207,8 +276,7 @@ export function initUIManager() {
       'input[name="layout-paint-type"]:checked'
     );
     if (initialChecked) {
-      selectedLayoutPaintType =
-        initialChecked.value === "X" ? "X" : parseInt(initialChecked.value, 10);
+      selectedLayoutPaintType = parseLayoutPaintType(initialChecked.value);
     } else {
       // Default to floor if none checked initially
       selectedLayoutPaintType = 0;
@@ -218,8 +286,28 @@ export function initUIManager() {
       if (defaultRadio) defaultRadio.checked = true;
     }
   } else {
-    console.warn("Admin layout tile type selector not found.");
+    console.warn("Layout tile type selector not found.");
   }
+  if (uiState.layoutTool) {
+    uiState.layoutTool.addEventListener("change", (event) => {
+      if (event.target.type === "radio" && event.target.name === "layout-tool") {
+        uiState.layoutEditor.tool = event.target.value;
+        uiState.layoutEditor.rectStart = null; // Drop a half-drawn rectangle
+        updateHighlights();
+      }
+    });
+    const checkedTool = uiState.layoutTool.querySelector(
+      'input[name="layout-tool"]:checked'
+    );
+    if (checkedTool) uiState.layoutEditor.tool = checkedTool.value;
+  }
+  uiState.layoutUndoBtn?.addEventListener("click", () => requestLayoutUndo());
+  uiState.layoutRedoBtn?.addEventListener("click", () => requestLayoutRedo());
+  uiState.layoutResizeBtn?.addEventListener("click", handleLayoutResizeClick);
+
+  // Room navigator listeners
+  initNavigatorControls();
+  initMarketControls();
 
   // Trade panel button/input listeners
   if (uiState.tradeCloseBtn) {
@@ -316,6 +404,7 @@ export function togglePanel(panelIdSuffix, forceState = undefined) {
     rooms: "roomsPanel",
     userList: "userListPanel",
     shop: "shopPanel",
+    market: "marketPanel",
     edit: null, // Edit isn't a panel, handled by toggleEditMode
     admin: "adminPanel",
     debug: "debugPanel",
@@ -325,6 +414,7 @@ export function togglePanel(panelIdSuffix, forceState = undefined) {
     rooms: "toggleRoomsBtn",
     userList: "toggleUsersBtn",
     shop: "toggleShopBtn",
+    market: "toggleMarketBtn",
     edit: "toggleEditBottomBtn", // Edit button targets edit mode, not a panel
     admin: "toggleAdminBtn",
     debug: "toggleDebugBtn",
@@ -378,10 +468,18 @@ export function togglePanel(panelIdSuffix, forceState = undefined) {
   // Populate content if opening
   if (shouldBeOpen) {
     if (panelIdSuffix === "inventory") populateInventory();
-    else if (panelIdSuffix === "shop") populateShopPanel();
+    else if (panelIdSuffix === "shop") {
+      populateShopPanel();
+      requestShopCatalog(); // Live prices and sales; re-renders on arrival
+      requestShopStock(); // Limited items show their remaining supply
+    }
+    else if (panelIdSuffix === "market") {
+      populateMarketPanel();
+      refreshMarket(); // Re-renders when 'market_listings' arrives
+    }
     else if (panelIdSuffix === "admin") requestAllRoomIds();
     else if (panelIdSuffix === "rooms") {
-      if (isConnected()) requestPublicRooms();
+      if (isConnected()) refreshNavigator();
       else if (uiState.roomsListContent)
         uiState.roomsListContent.innerHTML = "<p><i>Not connected.</i></p>";
     } else if (panelIdSuffix === "debug") updateDebugInfo();
@@ -414,6 +512,8 @@ export function resetUIState() {
   uiState.activeChatBubbles = [];
   if (uiState.shopItemsDiv)
     uiState.shopItemsDiv.innerHTML = "<p><i>Stocking shelves...</i></p>";
+  if (uiState.marketListingsDiv)
+    uiState.marketListingsDiv.innerHTML = "<p><i>Loading listings...</i></p>";
   if (uiState.adminRoomListDiv)
     uiState.adminRoomListDiv.innerHTML = "<i>...</i>";
   if (uiState.roomsListContent)
@@ -422,6 +522,9 @@ export function resetUIState() {
   // Hide floating panels
   hideProfilePanel();
   hideRecolorPanel();
+  hideWiredPanel();
+  hideFurniInfoPanel();
+  hideWalletPanel();
   hideTradePanel(); // Hide trade panel on reset
 
   // Reset header/title
@@ -429,6 +532,7 @@ export function resetUIState() {
     uiState.roomNameDisplay.textContent = "Room: Loading...";
   if (uiState.currencyDisplay)
     uiState.currencyDisplay.textContent = "Silly Coins: ...";
+  shownBalances = null;
   document.title = "ZanyTown - Loading...";
 
   // Reset edit mode state
@@ -436,9 +540,12 @@ export function resetUIState() {
   if (CLIENT_CONFIG) uiState.editMode.state = CLIENT_CONFIG.EDIT_STATE_NAVIGATE;
   else uiState.editMode.state = "navigate"; // Fallback
   uiState.editMode.selectedInventoryItemId = null;
+  uiState.editMode.selectedInventoryStackKey = null;
   uiState.editMode.selectedFurnitureId = null;
   uiState.editMode.placementValid = false;
   uiState.editMode.placementRotation = 0;
+  uiState.editMode.wallPlacement = null;
+  uiState.editMode.movingFurniId = null;
   uiState.activeRecolorFurniId = null;
 
   // Update UI related to edit mode
@@ -604,10 +711,7 @@ export function updateDebugInfo() {
   const furniCount = Object.keys(gameState.furniture || {}).length;
   const avatarCount = Object.keys(gameState.avatars || {}).length;
   const npcCount = Object.keys(gameState.npcs || {}).length; // <-- Added NPC Count
-  const inventoryCount = Object.values(gameState.inventory || {}).reduce(
-    (s, q) => s + q,
-    0
-  );
+  const inventoryCount = (gameState.inventory || []).length;
   const currentRoom = gameState.currentRoomId || "N/A";
   const isAdmin = player?.isAdmin || false;
 
@@ -635,7 +739,10 @@ export function updateDebugInfo() {
         f?.rotation ?? "?"
       }`;
     }
-    if (isAdmin && uiState.editMode.state === CLIENT_CONFIG.EDIT_STATE_NAVIGATE)
+    if (
+      canManageRoom() &&
+      uiState.editMode.state === CLIENT_CONFIG.EDIT_STATE_NAVIGATE
+    )
       editDetails += ` Paint: ${selectedLayoutPaintType}`;
   }
 
@@ -681,6 +788,71 @@ export function updateDebugInfo() {
 
 // --- Inventory & Shop UI ---
 
+/** Key shared by identical inventory items (same definition and color). Limited editions never stack. */
+function getInventoryStackKey(item) {
+  if (item.serial != null) return `${item.definitionId}#${item.serial}`;
+  return `${item.definitionId}|${JSON.stringify(item.colorOverride ?? null)}`;
+}
+
+/** Edition label for a limited-edition copy, e.g. "#12 / 500". */
+function formatSerial(serial, supply) {
+  return supply ? `#${serial} / ${supply}` : `#${serial}`;
+}
+
+/**
+ * Groups item instances into stacks of identical items, sorted by name.
+ * @param {Array<{id: string, definitionId: string, colorOverride: any, serial?: number}>} items
+ * @returns {Array<{key: string, definition: object, colorOverride: any, serial: number|null, items: object[]}>}
+ */
+function groupInventoryStacks(items) {
+  const stacks = new Map();
+  items.forEach((item) => {
+    const definition = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
+      (d) => d.id === item.definitionId
+    );
+    if (!definition) return; // Skip if definition not found
+    const key = getInventoryStackKey(item);
+    if (!stacks.has(key)) {
+      stacks.set(key, {
+        key,
+        definition,
+        colorOverride: item.colorOverride ?? null,
+        serial: item.serial ?? null,
+        items: [],
+      });
+    }
+    stacks.get(key).items.push(item);
+  });
+  return [...stacks.values()].sort(
+    (a, b) =>
+      a.definition.name.localeCompare(b.definition.name) ||
+      (a.serial ?? 0) - (b.serial ?? 0)
+  );
+}
+
+/** Swatch color for an item: its own color (first layer for layered items), else the default. */
+function getItemPreviewColor(definition, colorOverride) {
+  if (typeof colorOverride === "string") return colorOverride;
+  if (colorOverride && typeof colorOverride === "object") {
+    const layerColor = Object.values(colorOverride)[0];
+    if (layerColor) return layerColor;
+  }
+  return definition.color || "#8B4513";
+}
+
+/** Picks an owned instance for the inventory selection (from its stack, else any of the definition). */
+function getSelectedInventoryInstance() {
+  const { selectedInventoryItemId, selectedInventoryStackKey } =
+    uiState.editMode;
+  return (
+    (gameState.inventory || []).find((item) =>
+      selectedInventoryStackKey
+        ? getInventoryStackKey(item) === selectedInventoryStackKey
+        : item.definitionId === selectedInventoryItemId
+    ) || null
+  );
+}
+
 /** Populates the inventory UI panel, escaping item names. */
 export function populateInventory() {
   if (!uiState.inventoryItemsDiv || !SHARED_CONFIG?.FURNITURE_DEFINITIONS) {
@@ -691,48 +863,49 @@ export function populateInventory() {
   }
 
   uiState.inventoryItemsDiv.innerHTML = ""; // Clear existing items
-  const inventory = gameState.inventory || {};
-  const ownedItemIds = Object.keys(inventory).filter((id) => inventory[id] > 0);
+  // Identical items stack; recolored ones get their own entry
+  const stacks = groupInventoryStacks(gameState.inventory || []);
+
+  // Clear placement selection if the selected item is gone
+  if (
+    uiState.editMode.state === CLIENT_CONFIG?.EDIT_STATE_PLACING &&
+    uiState.editMode.selectedInventoryItemId &&
+    !getSelectedInventoryInstance()
+  ) {
+    setSelectedInventoryItem(null);
+  }
 
-  if (ownedItemIds.length === 0) {
+  if (stacks.length === 0) {
     uiState.inventoryItemsDiv.innerHTML = "<p><i>Inventory empty.</i></p>";
-    // Clear placement selection if item is gone
-    if (
-      uiState.editMode.state === CLIENT_CONFIG?.EDIT_STATE_PLACING &&
-      !inventory[uiState.editMode.selectedInventoryItemId]
-    ) {
-      setSelectedInventoryItem(null);
-    }
     return;
   }
 
-  // Sort items alphabetically by name
-  ownedItemIds.sort((a, b) => {
-    const defA = SHARED_CONFIG.FURNITURE_DEFINITIONS.find((d) => d.id === a);
-    const defB = SHARED_CONFIG.FURNITURE_DEFINITIONS.find((d) => d.id === b);
-    return (defA?.name || a).localeCompare(defB?.name || b);
-  });
-
-  // Create elements for each item
-  ownedItemIds.forEach((itemId) => {
-    const quantity = inventory[itemId];
-    const def = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
-      (d) => d.id === itemId
-    );
-    if (!def) return; // Skip if definition not found
+  // Create elements for each stack
+  stacks.forEach((stack) => {
+    const def = stack.definition;
+    const quantity = stack.items.length;
 
     const itemDiv = document.createElement("div");
     itemDiv.className = "inventory-item";
     itemDiv.dataset.itemId = def.id;
+    itemDiv.dataset.stackKey = stack.key;
 
     const previewSpan = document.createElement("span");
     previewSpan.className = "item-preview";
-    previewSpan.style.backgroundColor = def.color || "#8B4513"; // Use default color if needed
+    previewSpan.style.backgroundColor = getItemPreviewColor(
+      def,
+      stack.colorOverride
+    );
     itemDiv.appendChild(previewSpan);
 
     // Use textContent for name and quantity to prevent HTML injection
     const textNode = document.createTextNode(
-      ` ${escapeHtml(def.name)} (x${quantity})`
+      stack.serial != null
+        ? ` ${escapeHtml(def.name)} ${formatSerial(
+            stack.serial,
+            def.limited?.supply
+          )}`
+        : ` ${escapeHtml(def.name)} (x${quantity})`
     );
     itemDiv.appendChild(textNode);
 
@@ -741,12 +914,18 @@ export function populateInventory() {
       def.canSit ? " (Sit)" : ""
     }${def.stackable ? " (Stack)" : ""}${def.canUse ? " (Use)" : ""}${
       def.canRecolor ? " (Recolor)" : ""
+    }${stack.colorOverride ? " (Recolored)" : ""}${
+      stack.serial != null ? " (Limited Edition)" : ""
+    }${
+      def.decoration ? " (Decoration - click to apply)" : ""
     }`;
 
     // Add click listener
     itemDiv.addEventListener("click", () => {
-      if (uiState.isEditMode) {
-        setSelectedInventoryItem(def.id); // Set selection
+      if (def.decoration) {
+        applyDecorationItem(def); // Not placed, used on the room
+      } else if (uiState.isEditMode) {
+        setSelectedInventoryItem(def.id, stack.key); // Set selection
         playSound("select"); // Play feedback sound
       } else {
         // Feedback if not in edit mode
@@ -762,6 +941,24 @@ export function populateInventory() {
   updateInventorySelection(); // Update visual selection state
 }
 
+/** Asks the owner to confirm using a decoration item on the current room. */
+function applyDecorationItem(def) {
+  if (!canManageRoom()) {
+    showNotification("You can only decorate rooms you own.", "warning");
+    return;
+  }
+  const { slot, styleId } = def.decoration;
+  if (gameState.roomInfo?.decoration?.[slot] === styleId) {
+    showNotification("This room already uses that style.", "info");
+    return;
+  }
+  if (
+    confirm(`Apply ${def.name} to this room? The item will be used up.`)
+  ) {
+    requestApplyDecoration(def.id);
+  }
+}
+
 /** Updates visual selection in the inventory UI. */
 export function updateInventorySelection() {
   if (!uiState.inventoryItemsDiv || !CLIENT_CONFIG) return;
@@ -771,33 +968,50 @@ export function updateInventorySelection() {
       const isSelected =
         uiState.isEditMode &&
         uiState.editMode.state === CLIENT_CONFIG.EDIT_STATE_PLACING &&
-        item.dataset.itemId === uiState.editMode.selectedInventoryItemId;
+        item.dataset.stackKey === uiState.editMode.selectedInventoryStackKey;
       item.classList.toggle("selected", isSelected);
     });
 }
 
-/** Updates the player currency display, with visual feedback on change. */
+/** The player's balance in a currency (primary if none given), from the last 'currency_update'. */
+function getMyBalance(currencyId = null) {
+  if (!currencyId || currencyId === SHARED_CONFIG.PRIMARY_CURRENCY_ID)
+    return gameState.myCurrency || 0;
+  return gameState.myBalances[currencyId] || 0;
+}
+
+let shownBalances = null; // currencyId -> amount last shown in the header (for the flash)
+
+/** Updates the player currency display (every currency held), with visual feedback on change. */
 export function updateCurrencyDisplay() {
   if (!uiState.currencyDisplay) {
     console.warn("Currency display element not found.");
     return;
   }
 
-  const currentText = uiState.currencyDisplay.textContent || "Silly Coins: 0";
-  const oldValueStr = currentText.match(/\d+/)?.[0] || "0"; // Safer matching
-  const oldValue = parseInt(oldValueStr, 10);
-  const newValue = gameState.myCurrency || 0; // Default to 0 if undefined
-
-  uiState.currencyDisplay.textContent = `Silly Coins: ${newValue}`; // Use textContent
+  const balances = SHARED_CONFIG.CURRENCIES.map((currency) => ({
+    ...currency,
+    amount: getMyBalance(currency.id),
+  }));
+  // The primary currency is always shown, the others once the player has some
+  uiState.currencyDisplay.textContent = balances
+    .filter((c) => c.id === SHARED_CONFIG.PRIMARY_CURRENCY_ID || c.amount > 0)
+    .map((c) => `${c.name}: ${c.amount}`)
+    .join(" | "); // Use textContent
+
+  const previous = shownBalances;
+  shownBalances = Object.fromEntries(balances.map((c) => [c.id, c.amount]));
+  if (!previous) return;
+  const gained = balances.some((c) => c.amount > (previous[c.id] ?? 0));
+  const lost = balances.some((c) => c.amount < (previous[c.id] ?? 0));
 
   // Flash animation on change, prevent re-flashing immediately
   if (
-    !isNaN(oldValue) &&
-    newValue !== oldValue &&
+    (gained || lost) &&
     !uiState.currencyDisplay.classList.contains("flash-green") &&
     !uiState.currencyDisplay.classList.contains("flash-red")
   ) {
-    const changeClass = newValue > oldValue ? "flash-green" : "flash-red";
+    const changeClass = lost ? "flash-red" : "flash-green";
     uiState.currencyDisplay.classList.add(changeClass);
     setTimeout(() => {
       uiState.currencyDisplay?.classList.remove(changeClass);
@@ -805,13 +1019,50 @@ export function updateCurrencyDisplay() {
   }
 }
 
-/** Populates the shop panel UI, escaping item names. */
-function populateShopPanel() {
-  if (
-    !uiState.shopItemsDiv ||
-    !SHARED_CONFIG?.SHOP_CATALOG ||
-    !SHARED_CONFIG?.FURNITURE_DEFINITIONS
-  ) {
+// Virtual page listing every featured offer (not a real catalog page)
+const FEATURED_SHOP_PAGE_ID = "__featured";
+
+/** Offers shown on a page: a category also lists its sub-pages' offers. */
+function getShopPageOffers(catalog, pageId) {
+  if (pageId === FEATURED_SHOP_PAGE_ID) {
+    return catalog.offers.filter((offer) => offer.featured);
+  }
+  const pageIds = new Set([
+    pageId,
+    ...catalog.pages.filter((p) => p.parentId === pageId).map((p) => p.pageId),
+  ]);
+  return catalog.offers.filter((offer) => pageIds.has(offer.pageId));
+}
+
+/** Renders the category/page buttons above the shop items. */
+function populateShopPageNav(catalog, hasFeatured) {
+  if (!uiState.shopPagesDiv) return;
+  uiState.shopPagesDiv.innerHTML = "";
+  const addPageButton = (pageId, label, className) => {
+    const button = document.createElement("button");
+    button.className = `shop-page-btn ${className}`;
+    button.textContent = escapeHtml(label);
+    button.classList.toggle("active", pageId === uiState.activeShopPageId);
+    button.addEventListener("click", () => {
+      uiState.activeShopPageId = pageId;
+      populateShopPanel();
+    });
+    uiState.shopPagesDiv.appendChild(button);
+  };
+  if (hasFeatured) addPageButton(FEATURED_SHOP_PAGE_ID, "Featured", "category");
+  catalog.pages
+    .filter((page) => !page.parentId)
+    .forEach((category) => {
+      addPageButton(category.pageId, category.name, "category");
+      catalog.pages
+        .filter((page) => page.parentId === category.pageId)
+        .forEach((page) => addPageButton(page.pageId, page.name, "sub-page"));
+    });
+}
+
+/** Populates the shop panel UI (page tree + current page's offers), escaping item names. */
+export function populateShopPanel() {
+  if (!uiState.shopItemsDiv || !SHARED_CONFIG?.FURNITURE_DEFINITIONS) {
     if (uiState.shopItemsDiv)
       uiState.shopItemsDiv.innerHTML = "<p><i>Error loading shop.</i></p>";
     return;
@@ -819,67 +1070,114 @@ function populateShopPanel() {
 
   uiState.shopItemsDiv.innerHTML = ""; // Clear existing items
 
-  if (
-    !Array.isArray(SHARED_CONFIG.SHOP_CATALOG) ||
-    SHARED_CONFIG.SHOP_CATALOG.length === 0
-  ) {
+  // The catalog comes from the server ('shop_catalog') each time the shop opens
+  const catalog = gameState.shopCatalog;
+  if (!catalog) {
+    if (uiState.shopPagesDiv) uiState.shopPagesDiv.innerHTML = "";
+    uiState.shopItemsDiv.innerHTML = "<p><i>Stocking shelves...</i></p>";
+    return;
+  }
+  if (catalog.offers.length === 0) {
+    if (uiState.shopPagesDiv) uiState.shopPagesDiv.innerHTML = "";
     uiState.shopItemsDiv.innerHTML =
       "<p><i>Shop is empty! Come back later!</i></p>";
     return;
   }
 
-  // Sort catalog by item name, then price
-  const sortedCatalog = [...SHARED_CONFIG.SHOP_CATALOG].sort((a, b) => {
-    const defA = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
-      (d) => d.id === a.itemId
-    );
-    const defB = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
-      (d) => d.id === b.itemId
-    );
-    const nameCompare = (defA?.name || a.itemId).localeCompare(
-      defB?.name || b.itemId
-    );
-    if (nameCompare !== 0) return nameCompare;
-    return (a.price || 0) - (b.price || 0);
-  });
+  // Stay on the current page if it still exists; else start on Featured (or the first page)
+  const hasFeatured = catalog.offers.some((offer) => offer.featured);
+  const pageExists =
+    uiState.activeShopPageId === FEATURED_SHOP_PAGE_ID
+      ? hasFeatured
+      : catalog.pages.some((p) => p.pageId === uiState.activeShopPageId);
+  if (!pageExists) {
+    uiState.activeShopPageId = hasFeatured
+      ? FEATURED_SHOP_PAGE_ID
+      : catalog.pages.find((p) => !p.parentId)?.pageId || null;
+  }
+  populateShopPageNav(catalog, hasFeatured);
 
-  sortedCatalog.forEach((shopEntry) => {
-    const definition = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
-      (def) => def.id === shopEntry.itemId
-    );
-    if (!definition) return; // Skip if definition is missing
+  const offers = getShopPageOffers(catalog, uiState.activeShopPageId);
+  if (offers.length === 0) {
+    uiState.shopItemsDiv.innerHTML = "<p><i>Nothing on this page yet.</i></p>";
+    return;
+  }
+
+  offers.forEach((offer) => {
+    const contents = offer.items
+      .map((item) => ({
+        ...item,
+        definition: SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
+          (def) => def.id === item.definitionId
+        ),
+      }))
+      .filter((item) => item.definition);
+    if (contents.length === 0) return; // Skip if definitions are missing
+    const first = contents[0];
+    const isBundle = contents.length > 1 || first.quantity > 1;
 
     const itemDiv = document.createElement("div");
     itemDiv.className = "shop-item";
 
-    // Item Info (Preview + Name)
+    // Item Info (Preview + Name, and what's inside for bundles)
     const infoDiv = document.createElement("div");
     infoDiv.className = "shop-item-info";
     const previewSpan = document.createElement("span");
     previewSpan.className = "item-preview";
-    previewSpan.style.backgroundColor = definition.color || "#8B4513";
+    previewSpan.style.backgroundColor = first.definition.color || "#8B4513";
     infoDiv.appendChild(previewSpan);
     const nameSpan = document.createElement("span");
     nameSpan.className = "shop-item-name";
-    nameSpan.textContent = escapeHtml(definition.name || shopEntry.itemId); // Escape name
-    nameSpan.title = `${escapeHtml(definition.name)} (${definition.width}x${
-      definition.height
-    })`; // Escape title
+    const contentsText = describeShopOfferContents(contents);
+    nameSpan.textContent = escapeHtml(getShopOfferName(offer)); // Escape name
+    nameSpan.title = isBundle
+      ? escapeHtml(contentsText)
+      : `${escapeHtml(first.definition.name)} (${first.definition.width}x${
+          first.definition.height
+        })`; // Escape title
+    if (isBundle && offer.name) {
+      const contentsSpan = document.createElement("span");
+      contentsSpan.className = "shop-item-contents";
+      contentsSpan.textContent = escapeHtml(contentsText);
+      nameSpan.appendChild(contentsSpan);
+    }
     infoDiv.appendChild(nameSpan);
     itemDiv.appendChild(infoDiv);
 
-    // Price
+    // Limited editions: remaining supply (filled in by updateShopButtonStates)
+    if (!isBundle && first.definition.limited) {
+      const stockSpan = document.createElement("span");
+      stockSpan.className = "shop-item-stock";
+      stockSpan.dataset.itemId = first.definitionId;
+      itemDiv.appendChild(stockSpan);
+    }
+
+    // Price (sales show the regular price struck through)
     const priceSpan = document.createElement("span");
     priceSpan.className = "shop-item-price";
-    priceSpan.textContent = `${shopEntry.price} Coins`; // Price is not user input
+    if (offer.onSale) {
+      priceSpan.classList.add("on-sale");
+      const oldPriceSpan = document.createElement("span");
+      oldPriceSpan.className = "shop-item-old-price";
+      oldPriceSpan.textContent = String(offer.basePrice);
+      priceSpan.appendChild(oldPriceSpan);
+      priceSpan.title = offer.saleEnd
+        ? `Sale ends ${new Date(offer.saleEnd).toLocaleString()}`
+        : "On sale!";
+    }
+    priceSpan.appendChild(
+      document.createTextNode(formatCurrency(offer.price, offer.currencyId))
+    ); // Price is not user input
     itemDiv.appendChild(priceSpan);
 
     // Buy Button
     const buyButton = document.createElement("button");
     buyButton.className = "buy-btn";
     buyButton.textContent = "Buy";
-    buyButton.dataset.itemId = shopEntry.itemId;
-    buyButton.dataset.price = shopEntry.price;
+    buyButton.dataset.offerId = offer.offerId;
+    if (!isBundle) buyButton.dataset.itemId = first.definitionId; // Limited stock lookup
+    buyButton.dataset.price = offer.price;
+    buyButton.dataset.currencyId = offer.currencyId || "";
     buyButton.addEventListener("click", () => {
       if (!isConnected()) {
         showNotification("Not connected.", "error");
@@ -887,30 +1185,213 @@ function populateShopPanel() {
       }
       buyButton.disabled = true; // Disable immediately
       buyButton.textContent = "Buying...";
-      requestBuyItem(shopEntry.itemId); // Send buy request
+      requestBuyItem(offer.offerId); // Send buy request
       // Re-enable button state handled by updateShopButtonStates after currency/inv update
     });
     itemDiv.appendChild(buyButton);
 
+    // Add to Cart Button (the cart checks out several offers at once)
+    const cartButton = document.createElement("button");
+    cartButton.className = "cart-btn";
+    cartButton.textContent = "+";
+    cartButton.title = "Add to cart";
+    cartButton.addEventListener("click", () => addToShopCart(offer.offerId));
+    itemDiv.appendChild(cartButton);
+
     uiState.shopItemsDiv.appendChild(itemDiv);
   });
 
-  updateShopButtonStates(); // Set initial button states
+  updateShopButtonStates(); // Set initial button states (and the cart)
+}
+
+/** "2x Basic Chair, 1x Rug" for an offer's items (with resolved definitions). */
+function describeShopOfferContents(contents) {
+  return contents
+    .map((item) => `${item.quantity}x ${item.definition.name}`)
+    .join(", ");
+}
+
+/** Display name of an offer: its own name, the item name, or a list of its items. */
+function getShopOfferName(offer) {
+  if (offer.name) return offer.name;
+  const contents = offer.items
+    .map((item) => ({
+      ...item,
+      definition: SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
+        (def) => def.id === item.definitionId
+      ),
+    }))
+    .filter((item) => item.definition);
+  if (contents.length === 1 && contents[0].quantity === 1) {
+    return contents[0].definition.name;
+  }
+  return describeShopOfferContents(contents) || offer.offerId;
+}
+
+// --- Shop Cart ---
+
+/** Adds one of an offer to the cart. */
+function addToShopCart(offerId) {
+  const line = uiState.shopCart.find((l) => l.offerId === offerId);
+  if (line) line.quantity++;
+  else uiState.shopCart.push({ offerId, quantity: 1 });
+  playSound("select");
+  updateShopCart();
+}
+
+/** Changes a cart line's quantity; 0 removes the line. */
+function setShopCartQuantity(offerId, quantity) {
+  uiState.shopCart = uiState.shopCart
+    .map((l) => (l.offerId === offerId ? { ...l, quantity } : l))
+    .filter((l) => l.quantity > 0);
+  updateShopCart();
 }
 
-/** Updates the enabled state of shop buy buttons based on current currency. */
+/** Empties the cart (after a successful checkout, or on request). */
+export function clearShopCart() {
+  uiState.shopCart = [];
+  updateShopCart();
+}
+
+/** Renders the cart below the shop items: its lines, the total and the checkout button. */
+function updateShopCart() {
+  const cartDiv = uiState.shopCartDiv;
+  if (!cartDiv) return;
+  // Offers removed from the catalog drop out of the cart
+  const offers = gameState.shopCatalog?.offers || [];
+  uiState.shopCart = uiState.shopCart.filter((line) =>
+    offers.some((o) => o.offerId === line.offerId)
+  );
+  cartDiv.innerHTML = "";
+  if (uiState.shopCart.length === 0) {
+    cartDiv.style.display = "none";
+    return;
+  }
+  cartDiv.style.display = "block";
+
+  const title = document.createElement("h5");
+  title.textContent = "Cart";
+  cartDiv.appendChild(title);
+
+  const totals = {}; // currencyId -> total
+  uiState.shopCart.forEach((line) => {
+    const offer = offers.find((o) => o.offerId === line.offerId);
+    const currencyId = offer.currencyId || SHARED_CONFIG.PRIMARY_CURRENCY_ID;
+    totals[currencyId] =
+      (totals[currencyId] || 0) + offer.price * line.quantity;
+
+    const lineDiv = document.createElement("div");
+    lineDiv.className = "shop-cart-line";
+    const nameSpan = document.createElement("span");
+    nameSpan.className = "shop-cart-name";
+    nameSpan.textContent = escapeHtml(getShopOfferName(offer));
+    lineDiv.appendChild(nameSpan);
+
+    const minusBtn = document.createElement("button");
+    minusBtn.textContent = "-";
+    minusBtn.title = "Remove one";
+    minusBtn.addEventListener("click", () =>
+      setShopCartQuantity(line.offerId, line.quantity - 1)
+    );
+    lineDiv.appendChild(minusBtn);
+    const quantitySpan = document.createElement("span");
+    quantitySpan.className = "shop-cart-quantity";
+    quantitySpan.textContent = `x${line.quantity}`;
+    lineDiv.appendChild(quantitySpan);
+    const plusBtn = document.createElement("button");
+    plusBtn.textContent = "+";
+    plusBtn.title = "Add one";
+    plusBtn.addEventListener("click", () =>
+      setShopCartQuantity(line.offerId, line.quantity + 1)
+    );
+    lineDiv.appendChild(plusBtn);
+
+    const priceSpan = document.createElement("span");
+    priceSpan.className = "shop-cart-price";
+    priceSpan.textContent = formatCurrency(
+      offer.price * line.quantity,
+      offer.currencyId
+    );
+    lineDiv.appendChild(priceSpan);
+    cartDiv.appendChild(lineDiv);
+  });
+
+  const footer = document.createElement("div");
+  footer.className = "shop-cart-footer";
+  const totalSpan = document.createElement("span");
+  totalSpan.className = "shop-cart-total";
+  totalSpan.textContent = `Total: ${
+    Object.entries(totals)
+      .map(([currencyId, total]) => formatCurrency(total, currencyId))
+      .join(" + ") || formatCurrency(0)
+  }`;
+  footer.appendChild(totalSpan);
+
+  const clearBtn = document.createElement("button");
+  clearBtn.textContent = "Clear";
+  clearBtn.addEventListener("click", () => clearShopCart());
+  footer.appendChild(clearBtn);
+
+  const checkoutBtn = document.createElement("button");
+  checkoutBtn.className = "buy-btn checkout-btn";
+  const canAfford = Object.entries(totals).every(
+    ([currencyId, total]) => getMyBalance(currencyId) >= total
+  );
+  checkoutBtn.textContent = "Checkout";
+  checkoutBtn.disabled = !canAfford;
+  checkoutBtn.classList.toggle("cannot-afford", !canAfford);
+  checkoutBtn.addEventListener("click", () => {
+    if (!isConnected()) {
+      showNotification("Not connected.", "error");
+      return;
+    }
+    checkoutBtn.disabled = true; // Re-rendered on 'checkout_complete' or failure
+    checkoutBtn.textContent = "Buying...";
+    requestCheckout(uiState.shopCart);
+  });
+  footer.appendChild(checkoutBtn);
+  cartDiv.appendChild(footer);
+}
+
+/**
+ * Why a limited shop item can't be bought right now ("Sold Out", "Soon", "Ended"), or null.
+ * Unknown stock (not yet received) doesn't block; the server has the final say.
+ */
+function getLimitedShopBlock(itemId) {
+  const definition = SHARED_CONFIG?.FURNITURE_DEFINITIONS?.find(
+    (d) => d.id === itemId
+  );
+  if (!definition?.limited) return null;
+  const { saleStart, saleEnd } = definition.limited;
+  const now = Date.now();
+  if (saleStart && now < new Date(saleStart).getTime()) return "Soon";
+  if (saleEnd && now > new Date(saleEnd).getTime()) return "Ended";
+  if (gameState.shopStock[itemId]?.remaining <= 0) return "Sold Out";
+  return null;
+}
+
+/** Updates the enabled state of shop buy buttons (currency, limited stock), the stock labels and the cart. */
 export function updateShopButtonStates() {
   if (!uiState.shopItemsDiv) return;
+  updateShopCart();
+  uiState.shopItemsDiv
+    .querySelectorAll(".shop-item-stock")
+    .forEach((stockSpan) => {
+      const stock = gameState.shopStock[stockSpan.dataset.itemId];
+      stockSpan.textContent = stock
+        ? `${stock.remaining} / ${stock.supply} left`
+        : "Limited";
+      stockSpan.classList.toggle("sold-out", stock?.remaining <= 0);
+    });
   uiState.shopItemsDiv.querySelectorAll("button.buy-btn").forEach((button) => {
     const price = parseInt(button.dataset.price, 10);
     if (!isNaN(price)) {
-      const canAfford = (gameState.myCurrency || 0) >= price;
-      button.disabled = !canAfford;
+      const canAfford = getMyBalance(button.dataset.currencyId) >= price;
+      const blocked = getLimitedShopBlock(button.dataset.itemId);
+      button.disabled = !canAfford || !!blocked;
       button.classList.toggle("cannot-afford", !canAfford);
-      // Reset text if it was "Buying..."
-      if (button.textContent === "Buying...") {
-        button.textContent = "Buy";
-      }
+      // Reset text if it was "Buying..." or a stale limited-stock label
+      button.textContent = blocked || "Buy";
     } else {
       button.disabled = true; // Disable if price is invalid
     }
@@ -1021,6 +1502,416 @@ export function hideProfilePanel() {
   }
 }
 
+// --- Furniture Info Panel UI ---
+
+/** Describes one item history entry for the admin section of the info panel. */
+function describeItemHistoryEntry(entry) {
+  const who = entry.username || "Unknown";
+  const qty = entry.quantity > 1 ? ` (x${entry.quantity})` : "";
+  const where =
+    entry.roomId != null ? ` in ${entry.roomId} (${entry.x}, ${entry.y})` : "";
+  switch (entry.action) {
+    case "buy":
+      return `${who} bought it${qty}`;
+    case "trade":
+      return `${who} got it from ${entry.otherUsername || "Unknown"}${qty}`;
+    case "market":
+      return `${who} bought it from ${
+        entry.otherUsername || "Unknown"
+      } on the market`;
+    case "place":
+      return `${who} placed it${where}`;
+    case "pickup":
+      return `${who} picked it up${where}`;
+    default:
+      return `${who}: ${entry.action}`;
+  }
+}
+
+/**
+ * Shows the inspect panel for a server 'furni_info' response.
+ * @param {object} info - { id, name, ownerName, placedAt, state, serial?, supply?, history? (admins only) }.
+ */
+export function showFurniInfoPanel(info) {
+  if (!uiState.furniInfoPanel || !uiState.furniInfoContent || !info?.id)
+    return;
+  const content = uiState.furniInfoContent;
+  content.innerHTML = "";
+  const addLine = (label, value) => {
+    const p = document.createElement("p");
+    p.textContent = `${label}: ${value}`;
+    content.appendChild(p);
+  };
+
+  const header = document.createElement("h4");
+  header.textContent = info.name || info.definitionId || "Unknown Item";
+  content.appendChild(header);
+  addLine("Owner", info.ownerName || "Nobody");
+  if (info.serial != null) {
+    addLine("Edition", formatSerial(info.serial, info.supply));
+  }
+  addLine(
+    "Placed",
+    info.placedAt ? new Date(info.placedAt).toLocaleString() : "Unknown"
+  );
+  if (info.state != null) {
+    const def = gameState.furniture[info.id]?.definition;
+    const stateDef = def
+      ? getFurnitureStates(def).find((s) => s.id === info.state)
+      : null;
+    addLine("State", stateDef?.label || info.state);
+  }
+
+  if (Array.isArray(info.history)) {
+    const title = document.createElement("h5");
+    title.textContent = "History";
+    content.appendChild(title);
+    if (info.history.length === 0) {
+      const none = document.createElement("p");
+      none.innerHTML = "<i>No history recorded.</i>";
+      content.appendChild(none);
+    } else {
+      const list = document.createElement("ul");
+      info.history.forEach((entry) => {
+        const li = document.createElement("li");
+        li.textContent = `${new Date(
+          entry.at
+        ).toLocaleString()} - ${describeItemHistoryEntry(entry)}`;
+        list.appendChild(li);
+      });
+      content.appendChild(list);
+    }
+  }
+
+  uiState.furniInfoPanel.dataset.targetId = String(info.id);
+  uiState.furniInfoPanel.style.display = "block";
+}
+
+/** Hides the furniture info panel. */
+export function hideFurniInfoPanel() {
+  if (uiState.furniInfoPanel) {
+    uiState.furniInfoPanel.style.display = "none";
+    uiState.furniInfoPanel.dataset.targetId = "";
+    if (uiState.furniInfoContent) uiState.furniInfoContent.innerHTML = "";
+  }
+}
+
+// --- Wallet History Panel ---
+
+/** Opens the wallet history panel (or closes it if already open) and asks for the entries. */
+export function toggleWalletPanel() {
+  if (!uiState.walletPanel || !uiState.walletContent) return;
+  if (uiState.walletPanel.style.display === "block") {
+    hideWalletPanel();
+    return;
+  }
+  uiState.walletContent.innerHTML = "<p><i>Counting coins...</i></p>";
+  uiState.walletPanel.style.display = "block";
+  requestWalletHistory();
+}
+
+/** @returns {boolean} True while the wallet history panel is showing. */
+export function isWalletPanelOpen() {
+  return uiState.walletPanel?.style.display === "block";
+}
+
+/**
+ * Fills the wallet panel from a server 'wallet_history' response.
+ * @param {object[]} entries - { amount, balance, source, description, at }, newest first.
+ */
+export function showWalletHistory(entries) {
+  if (!isWalletPanelOpen() || !uiState.walletContent) return;
+  const content = uiState.walletContent;
+  content.innerHTML = "";
+  if (!Array.isArray(entries) || entries.length === 0) {
+    content.innerHTML = "<p><i>No coins have come or gone yet.</i></p>";
+    return;
+  }
+  const list = document.createElement("ul");
+  entries.forEach((entry) => {
+    const li = document.createElement("li");
+    const info = document.createElement("span");
+    info.textContent = entry.description || entry.source;
+    const when = document.createElement("span");
+    when.className = "wallet-when";
+    when.textContent = new Date(entry.at).toLocaleString();
+    info.appendChild(when);
+    const amount = document.createElement("span");
+    amount.className = `wallet-amount ${
+      entry.amount > 0 ? "wallet-credit" : "wallet-debit"
+    }`;
+    amount.textContent = `${entry.amount > 0 ? "+" : ""}${formatCurrency(
+      entry.amount,
+      entry.currencyId
+    )} (${entry.balance})`;
+    amount.title = `Balance after: ${formatCurrency(
+      entry.balance,
+      entry.currencyId
+    )}`;
+    li.append(info, amount);
+    list.appendChild(li);
+  });
+  content.appendChild(list);
+}
+
+/** Hides the wallet history panel. */
+export function hideWalletPanel() {
+  if (uiState.walletPanel) {
+    uiState.walletPanel.style.display = "none";
+    if (uiState.walletContent) uiState.walletContent.innerHTML = "";
+  }
+}
+
+// --- Marketplace Panel UI ---
+
+/** @returns {boolean} True while the market panel is showing. */
+export function isMarketPanelOpen() {
+  return uiState.activePanelId === "market";
+}
+
+/** Re-requests the market listings with the current search (the server settles our sales first). */
+export function refreshMarket() {
+  if (!isConnected()) return;
+  requestMarketListings(uiState.marketSearch?.value.trim() || "");
+}
+
+/** Wires up the market search box and the sell form. */
+function initMarketControls() {
+  if (uiState.marketSearch) {
+    // Debounced so we don't query on every keystroke
+    uiState.marketSearch.addEventListener(
+      "input",
+      debounce(refreshMarket, 300)
+    );
+  }
+  if (uiState.marketSellCurrency) {
+    (SHARED_CONFIG.CURRENCIES || []).forEach((currency) => {
+      const option = document.createElement("option");
+      option.value = currency.id;
+      option.textContent = currency.short;
+      uiState.marketSellCurrency.appendChild(option);
+    });
+    uiState.marketSellCurrency.addEventListener("change", updateMarketFeeNote);
+  }
+  uiState.marketSellPrice?.addEventListener("input", updateMarketFeeNote);
+  uiState.marketSellBtn?.addEventListener("click", handleMarketSellClick);
+}
+
+/** Shows what the seller gets for the price in the sell form, after the market fee. */
+function updateMarketFeeNote() {
+  if (!uiState.marketFeeNote) return;
+  const price = parseInt(uiState.marketSellPrice?.value, 10);
+  const feePercent = gameState.market?.feePercent ?? 0;
+  if (!Number.isInteger(price) || price < 1) {
+    uiState.marketFeeNote.textContent = "";
+    return;
+  }
+  const currencyId = uiState.marketSellCurrency?.value || null;
+  const fee = Math.floor((price * feePercent) / 100); // Same rounding as the server
+  uiState.marketFeeNote.textContent = `You get ${formatCurrency(
+    price - fee,
+    currencyId
+  )} after the ${feePercent}% market fee.`;
+}
+
+/** Fills the sell form's item list with one entry per inventory stack, keeping the selection. */
+function populateMarketSellItems() {
+  const select = uiState.marketSellItem;
+  if (!select) return;
+  const stacks = groupInventoryStacks(gameState.inventory || []);
+  const selectedKey = select.selectedOptions[0]?.dataset.stackKey;
+  select.innerHTML = "";
+  if (stacks.length === 0) {
+    const option = document.createElement("option");
+    option.value = "";
+    option.textContent = "Inventory empty";
+    select.appendChild(option);
+    select.disabled = true;
+    return;
+  }
+  select.disabled = false;
+  stacks.forEach((stack) => {
+    const option = document.createElement("option");
+    option.value = stack.items[0].id;
+    option.dataset.stackKey = stack.key;
+    option.textContent =
+      stack.serial != null
+        ? `${escapeHtml(stack.definition.name)} ${formatSerial(
+            stack.serial,
+            stack.definition.limited?.supply
+          )}`
+        : `${escapeHtml(stack.definition.name)} (x${stack.items.length})${
+            stack.colorOverride ? " (Recolored)" : ""
+          }`;
+    option.selected = stack.key === selectedKey;
+    select.appendChild(option);
+  });
+}
+
+function handleMarketSellClick() {
+  if (!isConnected()) {
+    showNotification("Not connected.", "error");
+    return;
+  }
+  const itemId = uiState.marketSellItem?.value;
+  const item = (gameState.inventory || []).find((i) => i.id === itemId);
+  if (!item) {
+    showNotification("Pick an item to sell.", "warning");
+    return;
+  }
+  const price = parseInt(uiState.marketSellPrice?.value, 10);
+  if (!Number.isInteger(price) || price < 1) {
+    showNotification("Enter a whole-number price.", "warning");
+    return;
+  }
+  const currencyId =
+    uiState.marketSellCurrency?.value || SHARED_CONFIG.PRIMARY_CURRENCY_ID;
+  const def = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
+    (d) => d.id === item.definitionId
+  );
+  if (
+    !confirm(
+      `List ${def?.name || item.definitionId} for ${formatCurrency(
+        price,
+        currencyId
+      )}? It stays with the market until it sells, expires or you cancel.`
+    )
+  )
+    return;
+  requestMarketListItem(item.id, price, currencyId);
+}
+
+/**
+ * Builds one row of the market panel.
+ * @param {object} listing - { id, item, price, currencyId, sellerName, isMine, status, buyerName, expiresAt }.
+ */
+function createMarketListingElement(listing) {
+  const def = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
+    (d) => d.id === listing.item.definitionId
+  );
+  const name = def?.name || listing.item.definitionId;
+  const expired = new Date(listing.expiresAt) <= new Date();
+
+  const itemDiv = document.createElement("div");
+  itemDiv.className = "shop-item market-item";
+
+  const infoDiv = document.createElement("div");
+  infoDiv.className = "shop-item-info";
+  const previewSpan = document.createElement("span");
+  previewSpan.className = "item-preview";
+  previewSpan.style.backgroundColor = def
+    ? getItemPreviewColor(def, listing.item.colorOverride)
+    : "#8B4513";
+  infoDiv.appendChild(previewSpan);
+  const nameSpan = document.createElement("span");
+  nameSpan.className = "shop-item-name";
+  nameSpan.textContent = escapeHtml(
+    listing.item.serial != null
+      ? `${name} ${formatSerial(listing.item.serial, def?.limited?.supply)}`
+      : name
+  );
+  const metaSpan = document.createElement("span");
+  metaSpan.className = "shop-item-contents";
+  if (listing.status === "sold") {
+    metaSpan.textContent = `Sold to ${escapeHtml(listing.buyerName || "?")}`;
+  } else if (expired) {
+    metaSpan.textContent = "Expired";
+  } else {
+    metaSpan.textContent = listing.isMine
+      ? `Until ${new Date(listing.expiresAt).toLocaleString()}`
+      : `from ${escapeHtml(listing.sellerName || "?")}`;
+  }
+  nameSpan.appendChild(metaSpan);
+  infoDiv.appendChild(nameSpan);
+  itemDiv.appendChild(infoDiv);
+
+  const priceSpan = document.createElement("span");
+  priceSpan.className = "shop-item-price";
+  priceSpan.textContent = formatCurrency(listing.price, listing.currencyId);
+  if (listing.isMine && listing.fee > 0) {
+    priceSpan.title = `Market fee: ${formatCurrency(
+      listing.fee,
+      listing.currencyId
+    )}`;
+  }
+  itemDiv.appendChild(priceSpan);
+
+  if (listing.status === "sold") return itemDiv; // Paid out on the next refresh
+
+  const button = document.createElement("button");
+  if (listing.isMine) {
+    button.className = "market-cancel-btn";
+    button.textContent = expired ? "Take back" : "Cancel";
+    button.addEventListener("click", () => {
+      if (!isConnected()) return;
+      button.disabled = true;
+      requestMarketCancel(listing.id);
+    });
+  } else {
+    button.className = "buy-btn";
+    button.textContent = "Buy";
+    button.disabled = getMyBalance(listing.currencyId) < listing.price;
+    button.addEventListener("click", () => {
+      if (!isConnected()) {
+        showNotification("Not connected.", "error");
+        return;
+      }
+      if (
+        !confirm(
+          `Buy ${name} from ${listing.sellerName || "?"} for ${formatCurrency(
+            listing.price,
+            listing.currencyId
+          )}?`
+        )
+      )
+        return;
+      button.disabled = true;
+      button.textContent = "Buying...";
+      requestMarketBuy(listing.id);
+    });
+  }
+  itemDiv.appendChild(button);
+  return itemDiv;
+}
+
+/** Fills the market panel from gameState.market: the player's own listings, then everything for sale. */
+export function populateMarketPanel() {
+  populateMarketSellItems();
+  updateMarketFeeNote();
+  const listingsDiv = uiState.marketListingsDiv;
+  if (!listingsDiv) return;
+  const market = gameState.market;
+  if (!market) {
+    listingsDiv.innerHTML = "<p><i>Loading listings...</i></p>";
+    return;
+  }
+  listingsDiv.innerHTML = "";
+  const addHeading = (text) => {
+    const heading = document.createElement("h5");
+    heading.textContent = text;
+    listingsDiv.appendChild(heading);
+  };
+  if (market.mine.length > 0) {
+    addHeading("Your listings");
+    market.mine.forEach((listing) =>
+      listingsDiv.appendChild(createMarketListingElement(listing))
+    );
+  }
+  addHeading("For sale");
+  const forSale = market.listings.filter((listing) => !listing.isMine);
+  if (forSale.length === 0) {
+    const empty = document.createElement("p");
+    empty.innerHTML = uiState.marketSearch?.value.trim()
+      ? "<i>No matching items for sale.</i>"
+      : "<i>Nothing for sale right now.</i>";
+    listingsDiv.appendChild(empty);
+    return;
+  }
+  forSale.forEach((listing) =>
+    listingsDiv.appendChild(createMarketListingElement(listing))
+  );
+}
+
 // --- Recolor Panel UI ---
 
 /** Displays the recolor panel, escaping item name. */
@@ -1047,16 +1938,40 @@ export function showRecolorPanel(furniId) {
     furni.definition?.name || "Unknown"
   )}`; // Escape name
 
-  // Populate color swatches
+  // Populate color swatches: one row per tintable layer for layered sprites,
+  // otherwise a single row for the whole item (from the item's palette)
   uiState.recolorSwatchesDiv.innerHTML = ""; // Clear previous swatches
-  SHARED_CONFIG.VALID_RECOLOR_HEX.forEach((hex) => {
-    const swatch = document.createElement("div");
-    swatch.className = "recolor-swatch";
-    swatch.style.backgroundColor = hex; // Hex colors are generally safe
-    swatch.title = hex;
-    swatch.dataset.colorHex = hex;
-    swatch.addEventListener("click", () => handleRecolorSwatchClick(hex));
-    uiState.recolorSwatchesDiv.appendChild(swatch);
+  const tintableLayers = getFurnitureLayers(furni.definition).filter(
+    (l) => l.tint !== false
+  );
+  const rows =
+    tintableLayers.length > 0 ? tintableLayers.map((l) => l.id) : [null];
+  rows.forEach((layerId) => {
+    if (layerId) {
+      const label = document.createElement("p");
+      label.className = "recolor-part-label";
+      label.textContent = layerId.charAt(0).toUpperCase() + layerId.slice(1);
+      uiState.recolorSwatchesDiv.appendChild(label);
+    }
+    const current = layerId
+      ? furni.getLayerColor({ id: layerId })
+      : furni.getLayerColor(null);
+    getRecolorPalette(
+      furni.definition,
+      layerId,
+      SHARED_CONFIG.VALID_RECOLOR_HEX
+    ).forEach((hex) => {
+      const swatch = document.createElement("div");
+      swatch.className = "recolor-swatch";
+      if (current?.toUpperCase() === hex) swatch.classList.add("selected");
+      swatch.style.backgroundColor = hex; // Hex colors are generally safe
+      swatch.title = hex;
+      swatch.dataset.colorHex = hex;
+      swatch.addEventListener("click", () =>
+        handleRecolorSwatchClick(hex, layerId)
+      );
+      uiState.recolorSwatchesDiv.appendChild(swatch);
+    });
   });
 
   uiState.recolorPanel.style.display = "block"; // Show panel
@@ -1068,9 +1983,18 @@ export function hideRecolorPanel() {
   uiState.activeRecolorFurniId = null; // Clear active ID
 }
 
-/** Handles clicking a color swatch in the recolor panel. */
-function handleRecolorSwatchClick(hexColor) {
+/**
+ * Handles clicking a color swatch in the recolor panel. Layer swatches keep the
+ * panel open so several parts can be colored in a row.
+ */
+function handleRecolorSwatchClick(hexColor, layerId = null) {
   if (uiState.activeRecolorFurniId && isConnected()) {
+    if (layerId) {
+      requestRecolorFurni(uiState.activeRecolorFurniId, {
+        [layerId]: hexColor,
+      });
+      return;
+    }
     requestRecolorFurni(uiState.activeRecolorFurniId, hexColor);
     hideRecolorPanel(); // Close panel after selection
   } else {
@@ -1080,6 +2004,116 @@ function handleRecolorSwatchClick(hexColor) {
   }
 }
 
+// --- Wired Panel UI ---
+
+/**
+ * Opens (or refreshes) the wired panel for a server 'wired_config' response.
+ * While it's open, clicking furniture in edit mode links/unlinks it.
+ */
+export function showWiredPanel(config) {
+  const furniId = String(config.furniId);
+  const furni = gameState.furniture[furniId];
+  const type = SHARED_CONFIG?.WIRED_TYPES?.[config.wiredType];
+  if (!uiState.wiredPanel || !furni || !type) {
+    hideWiredPanel();
+    return;
+  }
+  uiState.wiredEditor = {
+    furniId,
+    wiredType: config.wiredType,
+    links: (config.links || []).map(String),
+    settings: { ...(config.settings || {}) },
+  };
+  if (uiState.wiredTitleP)
+    uiState.wiredTitleP.textContent = `${type.kind.toUpperCase()}: ${
+      type.name
+    }`;
+
+  // One input per setting described in SHARED_CONFIG.WIRED_TYPES
+  if (uiState.wiredSettingsDiv) {
+    uiState.wiredSettingsDiv.innerHTML = "";
+    type.settings.forEach((field) => {
+      const label = document.createElement("label");
+      label.textContent = field.label;
+      let input;
+      if (field.type === "select") {
+        input = document.createElement("select");
+        field.options.forEach((option) => {
+          const opt = document.createElement("option");
+          opt.value = option;
+          opt.textContent = option;
+          input.appendChild(opt);
+        });
+      } else {
+        input = document.createElement("input");
+        input.type = field.type === "number" ? "number" : "text";
+        if (field.min != null) input.min = field.min;
+        if (field.max != null) input.max = field.max;
+        if (field.maxLength) input.maxLength = field.maxLength;
+      }
+      input.value =
+        uiState.wiredEditor.settings[field.key] ?? field.default ?? "";
+      input.dataset.key = field.key;
+      label.appendChild(input);
+      uiState.wiredSettingsDiv.appendChild(label);
+    });
+  }
+  renderWiredLinks();
+  uiState.wiredPanel.style.display = "block";
+}
+
+/** Hides the wired panel and stops link picking. */
+export function hideWiredPanel() {
+  if (uiState.wiredPanel) uiState.wiredPanel.style.display = "none";
+  uiState.wiredEditor = null;
+}
+
+/** Lists the linked items in the wired panel. */
+function renderWiredLinks() {
+  const editor = uiState.wiredEditor;
+  const container = uiState.wiredLinksDiv;
+  if (!editor || !container) return;
+  container.innerHTML = "";
+  if (!SHARED_CONFIG.WIRED_TYPES[editor.wiredType]?.links) return;
+
+  const hint = document.createElement("div");
+  hint.textContent = `Linked items (${editor.links.length}) - click furniture to link/unlink:`;
+  container.appendChild(hint);
+  const list = document.createElement("ul");
+  editor.links.forEach((id) => {
+    const li = document.createElement("li");
+    li.textContent = gameState.furniture[id]?.definition?.name || "(gone)";
+    list.appendChild(li);
+  });
+  container.appendChild(list);
+}
+
+/** Links or unlinks a furniture item in the open wired panel. */
+function toggleWiredLink(furniId) {
+  const editor = uiState.wiredEditor;
+  if (!editor || !SHARED_CONFIG.WIRED_TYPES[editor.wiredType]?.links) return;
+  const id = String(furniId);
+  if (id === editor.furniId) return;
+  if (editor.links.includes(id)) {
+    editor.links = editor.links.filter((linkId) => linkId !== id);
+  } else {
+    editor.links.push(id);
+  }
+  renderWiredLinks();
+  playSound("select");
+}
+
+/** Sends the wired panel's links and settings to the server. */
+export function saveWiredPanel() {
+  const editor = uiState.wiredEditor;
+  if (!editor || !isConnected()) return;
+  const settings = {};
+  uiState.wiredSettingsDiv
+    ?.querySelectorAll("[data-key]")
+    .forEach((input) => (settings[input.dataset.key] = input.value));
+  requestUpdateWired(editor.furniId, editor.links, settings);
+}
+
 // --- Admin UI Functions ---
 
 /** Shows or hides admin UI elements based on player status. */
@@ -1099,6 +2133,67 @@ export function updateAdminUI() {
   if (!isAdmin && uiState.activePanelId === "admin") {
     togglePanel("admin", false);
   }
+  updateRoomInfoUI(); // Admin status affects room owner tools too
+}
+
+// --- Room Ownership & Rights ---
+
+/** Checks if the local player owns the current room. Public rooms have no owner. */
+export function isRoomOwner() {
+  const ownerId = gameState.roomInfo?.ownerId;
+  return (
+    !!ownerId && !!gameState.myUserId && String(ownerId) === gameState.myUserId
+  );
+}
+
+/** Checks if the local player may manage the current room's layout and settings (owner or admin). */
+export function canManageRoom() {
+  const player = gameState.myAvatarId
+    ? gameState.avatars[gameState.myAvatarId]
+    : null;
+  return !!player?.isAdmin || isRoomOwner();
+}
+
+/**
+ * Checks if the local player may build in the current room. Mirrors the server:
+ * public rooms are open to everyone, owned rooms need owner/rights (or admin).
+ */
+export function hasRoomRights() {
+  const info = gameState.roomInfo;
+  if (canManageRoom() || !info?.ownerId) return true;
+  return (info.rights || []).includes(gameState.myUserId);
+}
+
+/** Checks if the local player may pick up/rotate/recolor a furniture item. Mirrors server canManageFurni. */
+function canManageFurni(furni) {
+  const player = gameState.myAvatarId
+    ? gameState.avatars[gameState.myAvatarId]
+    : null;
+  if (player?.isAdmin) return true;
+  if (furni.ownerId) return String(furni.ownerId) === gameState.myUserId;
+  return hasRoomRights();
+}
+
+/** Updates the room name header and owner tool visibility from gameState.roomInfo. */
+export function updateRoomInfoUI() {
+  const info = gameState.roomInfo;
+  const displayName = info?.name || gameState.currentRoomId || "";
+  if (uiState.roomNameDisplay && gameState.currentRoomId) {
+    const ownerSuffix = info?.ownerName
+      ? ` (${escapeHtml(info.ownerName)}'s room)`
+      : "";
+    uiState.roomNameDisplay.textContent = `Room: ${escapeHtml(
+      displayName
+    )}${ownerSuffix}`;
+    uiState.roomNameDisplay.title = info?.description || "";
+  }
+  if (uiState.roomOwnerSection) {
+    uiState.roomOwnerSection.style.display = canManageRoom() ? "block" : "none";
+  }
+  if (uiState.roomSettingsBtn) {
+    // Public rooms have nothing to configure besides layout
+    uiState.roomSettingsBtn.disabled = !info?.ownerId && !canManageRoom();
+  }
 }
 
 /** Populates the admin room list, escaping room IDs. */
@@ -1164,58 +2259,507 @@ function handleCreateRoomClick() {
     return;
   }
 
-  const colsStr = prompt(`Enter columns (5-50):`, "15");
-  const rowsStr = prompt(`Enter rows (5-50):`, "18");
-  const cols = parseInt(colsStr, 10);
-  const rows = parseInt(rowsStr, 10);
+  const colsStr = prompt(`Enter columns (5-50):`, "15");
+  const rowsStr = prompt(`Enter rows (5-50):`, "18");
+  const cols = parseInt(colsStr, 10);
+  const rows = parseInt(rowsStr, 10);
+
+  if (
+    isNaN(cols) ||
+    isNaN(rows) ||
+    cols < 5 ||
+    cols > 50 ||
+    rows < 5 ||
+    rows > 50
+  ) {
+    alert("Invalid dimensions. Must be between 5 and 50.");
+    return;
+  }
+
+  requestCreateRoom(sanitizedId, cols, rows); // Send request to server
+}
+
+/** Handles the admin "Delete Room" button (defaults to the current room). */
+function handleDeleteRoomClick() {
+  const roomId = prompt(
+    "Room ID to delete (players are moved out, furniture returned to owners):",
+    gameState.currentRoomId || ""
+  );
+  if (!roomId || !roomId.trim()) return;
+  const confirmed = confirm(
+    `Delete room '${roomId.trim()}'? It can be restored later, but without furniture.`
+  );
+  if (!confirmed) return;
+  requestDeleteRoom(roomId.trim());
+}
+
+/**
+ * Lets an admin pick an archived room to restore.
+ * @param {Array<{roomId: string, name: string}>} archived - From the server, newest first.
+ */
+export function promptRestoreArchivedRoom(archived) {
+  if (archived.length === 0) {
+    showNotification("No archived rooms.", "info");
+    return;
+  }
+  const listing = archived
+    .slice(0, 15)
+    .map((a) => `${a.roomId} (${a.name})`)
+    .join("\n");
+  const roomId = prompt(
+    `Archived rooms:\n${listing}\n\nRoom ID to restore:`,
+    archived[0].roomId
+  );
+  if (!roomId || !roomId.trim()) return;
+  requestRestoreRoom(roomId.trim());
+}
+
+/** Handles the admin "Export Room" button (defaults to the current room). */
+function handleExportRoomClick() {
+  const roomId = prompt("Room ID to export:", gameState.currentRoomId || "");
+  if (!roomId || !roomId.trim()) return;
+  requestExportRoom(roomId.trim());
+}
+
+/** Reads the chosen bundle file and asks the server to import it. */
+function handleImportRoomFile(event) {
+  const file = event.target.files?.[0];
+  event.target.value = ""; // Allow picking the same file again
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    let bundle;
+    try {
+      bundle = JSON.parse(reader.result);
+    } catch (e) {
+      showNotification("That file is not valid JSON.", "error");
+      return;
+    }
+    const roomId = prompt(
+      "Import as room ID (leave as-is to keep the original):",
+      bundle?.room?.roomId || ""
+    );
+    if (roomId === null) return;
+    requestImportRoom(bundle, roomId.trim());
+  };
+  reader.onerror = () => showNotification("Could not read file.", "error");
+  reader.readAsText(file);
+}
+
+/**
+ * Saves an exported room bundle as a .json download.
+ * @param {string} roomId - Exported room (used for the file name).
+ * @param {object} bundle - Bundle from the server.
+ */
+export function downloadRoomBundle(roomId, bundle) {
+  const blob = new Blob([JSON.stringify(bundle, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${roomId}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+  showNotification(`Exported room '${escapeHtml(roomId)}'.`, "success");
+}
+
+/**
+ * Prompts for a new room's name and derives a unique-ish room ID from it.
+ * @param {string} [defaultName=""] - Prefilled name.
+ * @returns {{name: string, roomId: string} | null} Null if cancelled or empty.
+ */
+function promptNewRoomName(defaultName = "") {
+  const roomName = prompt("Name your new room:", defaultName);
+  if (!roomName || !roomName.trim()) {
+    if (roomName !== null) alert("Room name cannot be empty.");
+    return null;
+  }
+  // Derive a unique-ish ID from the name (server has the final say)
+  const baseId = roomName
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_]/g, "_")
+    .replace(/_+/g, "_")
+    .substring(0, 24);
+  const roomId = `${baseId || "room"}_${Math.random()
+    .toString(36)
+    .substring(2, 6)}`;
+  return { name: roomName.trim().substring(0, 40), roomId };
+}
+
+/** Handles the rooms panel "Create My Room" button, creating a room owned by the player. */
+function handleCreateMyRoomClick() {
+  if (!isConnected()) {
+    showNotification("Not connected.", "error");
+    return;
+  }
+
+  const newRoom = promptNewRoomName();
+  if (!newRoom) return;
+
+  // Templates bring their own size
+  if (uiState.selectedRoomTemplateId) {
+    requestCreateRoom(newRoom.roomId, null, null, {
+      name: newRoom.name,
+      owned: true,
+      templateId: uiState.selectedRoomTemplateId,
+    });
+    return;
+  }
+
+  const colsStr = prompt(`Enter columns (5-50):`, "10");
+  if (colsStr === null) return;
+  const rowsStr = prompt(`Enter rows (5-50):`, "10");
+  if (rowsStr === null) return;
+  const cols = parseInt(colsStr, 10);
+  const rows = parseInt(rowsStr, 10);
+  if (
+    isNaN(cols) ||
+    isNaN(rows) ||
+    cols < 5 ||
+    cols > 50 ||
+    rows < 5 ||
+    rows > 50
+  ) {
+    alert("Invalid dimensions. Must be between 5 and 50.");
+    return;
+  }
+
+  requestCreateRoom(newRoom.roomId, cols, rows, {
+    name: newRoom.name,
+    owned: true,
+  });
+}
+
+/** Handles the owner's "Copy Room" button: a new room with this room's layout (admins may copy furniture too). */
+function handleCloneRoomClick() {
+  const info = gameState.roomInfo;
+  if (!info || !canManageRoom() || !isConnected()) {
+    showNotification("Only the room owner can copy this room.", "error");
+    return;
+  }
+  const newRoom = promptNewRoomName(`${info.name || info.id} copy`);
+  if (!newRoom) return;
+  const player = gameState.myAvatarId
+    ? gameState.avatars[gameState.myAvatarId]
+    : null;
+  const cloneFurniture =
+    !!player?.isAdmin && confirm("Also copy this room's furniture?");
+  requestCreateRoom(newRoom.roomId, null, null, {
+    name: newRoom.name,
+    owned: true,
+    cloneFromRoomId: info.id,
+    cloneFurniture,
+  });
+}
+
+/**
+ * Draws a small top-down preview of a room layout.
+ * @param {{layout?: Array, heightmap?: Array}} template - Template (no layout = blank room).
+ * @returns {HTMLCanvasElement}
+ */
+function createRoomTemplatePreview(template) {
+  const size = 48;
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext("2d");
+  const layout =
+    template.layout ||
+    Array.from({ length: 8 }, (_, y) =>
+      Array.from({ length: 8 }, (_, x) =>
+        y === 0 || y === 7 || x === 0 || x === 7 ? 1 : 0
+      )
+    );
+  const rows = layout.length;
+  const cols = layout[0]?.length || 0;
+  const cell = Math.max(1, Math.floor(size / Math.max(rows, cols, 1)));
+  const offsetX = Math.floor((size - cols * cell) / 2);
+  const offsetY = Math.floor((size - rows * cell) / 2);
+  const colors = { 0: "#c8c8c8", 1: "#6e6e6e", 2: "#9fb89f", S: "#c9a86a" };
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      const color = colors[layout[y][x]];
+      if (!color) continue; // Holes stay background
+      ctx.fillStyle = color;
+      ctx.fillRect(offsetX + x * cell, offsetY + y * cell, cell, cell);
+      // Raised tiles get lighter
+      const height = template.heightmap?.[y]?.[x] || 0;
+      if (height > 0) {
+        ctx.fillStyle = `rgba(255, 255, 255, ${Math.min(0.6, height * 0.15)})`;
+        ctx.fillRect(offsetX + x * cell, offsetY + y * cell, cell, cell);
+      }
+    }
+  }
+  return canvas;
+}
+
+/** Fills the rooms panel template picker: "Blank" plus SHARED_CONFIG.ROOM_TEMPLATES. */
+function initRoomTemplateList() {
+  const container = uiState.roomTemplateList;
+  if (!container) return;
+  container.innerHTML = "";
+  const templates = [
+    { id: null, name: "Blank", description: "Empty room, choose the size" },
+    ...(SHARED_CONFIG.ROOM_TEMPLATES || []),
+  ];
+  templates.forEach((template) => {
+    const option = document.createElement("div");
+    option.className = "room-template-option";
+    option.classList.toggle(
+      "active",
+      template.id === uiState.selectedRoomTemplateId
+    );
+    option.title = template.description || template.name;
+    option.appendChild(createRoomTemplatePreview(template));
+    const label = document.createElement("span");
+    label.textContent = template.name;
+    option.appendChild(label);
+    option.addEventListener("click", () => {
+      uiState.selectedRoomTemplateId = template.id;
+      container
+        .querySelectorAll(".room-template-option")
+        .forEach((el) => el.classList.toggle("active", el === option));
+    });
+    container.appendChild(option);
+  });
+}
+
+/** Handles the "Room Settings" button, prompting the owner for new settings. */
+function handleRoomSettingsClick() {
+  const info = gameState.roomInfo;
+  if (!info || !canManageRoom() || !isConnected()) {
+    showNotification("Only the room owner can change settings.", "error");
+    return;
+  }
+
+  const name = prompt("Room name:", info.name || info.id);
+  if (name === null) return;
+  const description = prompt("Room description:", info.description || "");
+  if (description === null) return;
+  const maxUsersStr = prompt("Max users:", String(info.maxUsers || 25));
+  if (maxUsersStr === null) return;
+  const lockMode = prompt(
+    "Lock mode (open, doorbell, password):",
+    info.lockMode || "open"
+  );
+  if (lockMode === null) return;
+  const categories = SHARED_CONFIG.ROOM_CATEGORIES || [];
+  const category = prompt(
+    `Category (${categories.join(", ")}):`,
+    info.category || "general"
+  );
+  if (category === null) return;
+  const tagsStr = prompt(
+    "Search tags (comma separated):",
+    (info.tags || []).join(", ")
+  );
+  if (tagsStr === null) return;
+
+  const maxUsers = parseInt(maxUsersStr, 10);
+  if (isNaN(maxUsers) || maxUsers < 1) {
+    alert("Max users must be a positive number.");
+    return;
+  }
+  const normalizedLock = lockMode.trim().toLowerCase();
+  if (!["open", "doorbell", "password"].includes(normalizedLock)) {
+    alert("Lock mode must be open, doorbell or password.");
+    return;
+  }
+  const normalizedCategory = category.trim().toLowerCase();
+  if (!categories.includes(normalizedCategory)) {
+    alert(`Category must be one of: ${categories.join(", ")}.`);
+    return;
+  }
+
+  const settings = {
+    name: name.trim(),
+    description: description.trim(),
+    maxUsers,
+    lockMode: normalizedLock,
+    category: normalizedCategory,
+    tags: tagsStr
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean),
+  };
+  if (normalizedLock === "password") {
+    const password = prompt(
+      info.hasPassword
+        ? "Room password (leave blank to keep current):"
+        : "Room password:"
+    );
+    if (password === null) return;
+    if (password) settings.password = password;
+  }
 
-  if (
-    isNaN(cols) ||
-    isNaN(rows) ||
-    cols < 5 ||
-    cols > 50 ||
-    rows < 5 ||
-    rows > 50
-  ) {
-    alert("Invalid dimensions. Must be between 5 and 50.");
-    return;
+  requestUpdateRoomSettings(settings);
+}
+
+// --- Room Navigator ---
+
+/** Wires up the navigator tabs, search box, category filter and pager in the rooms panel. */
+function initNavigatorControls() {
+  if (uiState.navigatorTabs) {
+    uiState.navigatorTabs.addEventListener("click", (event) => {
+      const view = event.target.closest("button")?.dataset.view;
+      if (!view || view === uiState.navigator.view) return;
+      uiState.navigator.view = view;
+      uiState.navigator.page = 0;
+      refreshNavigator();
+    });
+  }
+  if (uiState.navigatorSearch) {
+    // Debounced so we don't query on every keystroke
+    uiState.navigatorSearch.addEventListener(
+      "input",
+      debounce(() => {
+        uiState.navigator.search = uiState.navigatorSearch.value.trim();
+        uiState.navigator.page = 0;
+        refreshNavigator();
+      }, 300)
+    );
+  }
+  if (uiState.navigatorCategory) {
+    (SHARED_CONFIG.ROOM_CATEGORIES || []).forEach((category) => {
+      const option = document.createElement("option");
+      option.value = category;
+      option.textContent =
+        category.charAt(0).toUpperCase() + category.slice(1);
+      uiState.navigatorCategory.appendChild(option);
+    });
+    uiState.navigatorCategory.addEventListener("change", () => {
+      uiState.navigator.category = uiState.navigatorCategory.value;
+      uiState.navigator.page = 0;
+      refreshNavigator();
+    });
+  }
+  if (uiState.navigatorPrevBtn) {
+    uiState.navigatorPrevBtn.addEventListener("click", () => {
+      if (uiState.navigator.page <= 0) return;
+      uiState.navigator.page--;
+      refreshNavigator();
+    });
   }
+  if (uiState.navigatorNextBtn) {
+    uiState.navigatorNextBtn.addEventListener("click", () => {
+      if (uiState.navigator.page >= uiState.navigator.totalPages - 1) return;
+      uiState.navigator.page++;
+      refreshNavigator();
+    });
+  }
+}
 
-  requestCreateRoom(sanitizedId, cols, rows); // Send request to server
+/** Requests the current navigator page (view, category, search, page) from the server. */
+export function refreshNavigator() {
+  if (!isConnected()) return;
+  const { view, category, search, page } = uiState.navigator;
+  requestPublicRooms({ view, category, search, page });
 }
 
-// --- Room List Population ---
+/** Syncs tab highlight, filters and pager with the navigator state. */
+function updateNavigatorControls() {
+  const nav = uiState.navigator;
+  uiState.navigatorTabs?.querySelectorAll("button").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.view === nav.view);
+  });
+  if (uiState.navigatorCategory) uiState.navigatorCategory.value = nav.category;
+  if (uiState.navigatorPageInfo)
+    uiState.navigatorPageInfo.textContent = `${nav.page + 1} / ${
+      nav.totalPages
+    }`;
+  if (uiState.navigatorPrevBtn)
+    uiState.navigatorPrevBtn.disabled = nav.page <= 0;
+  if (uiState.navigatorNextBtn)
+    uiState.navigatorNextBtn.disabled = nav.page >= nav.totalPages - 1;
+}
 
-/** Populates the rooms panel UI, escaping room IDs. */
-export function populateRoomsPanel(roomData) {
+/**
+ * Populates the rooms panel with one navigator page, escaping room names.
+ * @param {object} result - { view, category, search, page, totalPages, total, rooms[] } from the server.
+ */
+export function populateRoomsPanel(result) {
   if (!uiState.roomsListContent) return;
 
+  // Server clamps/normalizes the query; mirror it (keep the search box text as typed)
+  const nav = uiState.navigator;
+  if (result.view) nav.view = result.view;
+  nav.category = result.category || "";
+  nav.page = result.page || 0;
+  nav.totalPages = result.totalPages || 1;
+  updateNavigatorControls();
+
   uiState.roomsListContent.innerHTML = ""; // Clear list
 
-  if (!Array.isArray(roomData) || roomData.length === 0) {
-    uiState.roomsListContent.innerHTML =
-      "<p><i>No public rooms available.</i></p>";
+  const roomData = result.rooms || [];
+  if (roomData.length === 0) {
+    const emptyMessages = {
+      mine: "You don't own any rooms yet.",
+      favorites: "No favorite rooms yet. Click ☆ to add one.",
+      recent: "No recently visited rooms.",
+    };
+    const message =
+      nav.search || nav.category
+        ? "No rooms match your search."
+        : emptyMessages[nav.view] || "No public rooms available.";
+    uiState.roomsListContent.innerHTML = `<p><i>${escapeHtml(
+      message
+    )}</i></p>`;
     return;
   }
 
-  // Sort rooms by ID
-  roomData.sort((a, b) => (a.id || "").localeCompare(b.id || ""));
-
+  // Rooms arrive sorted by the server (name, player count or visit order)
   roomData.forEach((roomInfo) => {
     const roomDiv = document.createElement("div");
     roomDiv.className = "room-list-item";
     roomDiv.dataset.roomId = roomInfo.id;
+    if (roomInfo.description) roomDiv.title = roomInfo.description; // Plain text
+
+    const favBtn = document.createElement("button");
+    favBtn.className = "room-fav-btn";
+    favBtn.classList.toggle("active", !!roomInfo.isFavorite);
+    favBtn.textContent = roomInfo.isFavorite ? "★" : "☆";
+    favBtn.title = roomInfo.isFavorite
+      ? "Remove from favorites"
+      : "Add to favorites";
+    favBtn.addEventListener("click", (e) => {
+      e.stopPropagation(); // Don't join the room
+      requestToggleFavoriteRoom(roomInfo.id, !roomInfo.isFavorite);
+    });
+    roomDiv.appendChild(favBtn);
 
     const nameSpan = document.createElement("span");
     nameSpan.className = "room-name";
-    nameSpan.textContent = escapeHtml(roomInfo.id); // Escape room ID
+    nameSpan.textContent = escapeHtml(roomInfo.name || roomInfo.id); // Escape room name
+    if (roomInfo.lockMode && roomInfo.lockMode !== "open") {
+      const lockSpan = document.createElement("span");
+      lockSpan.className = "room-lock-icon";
+      lockSpan.textContent = roomInfo.lockMode === "password" ? "🔑" : "🔔";
+      lockSpan.title = `Locked (${roomInfo.lockMode})`;
+      nameSpan.appendChild(lockSpan);
+    }
+    const metaParts = [];
+    if (roomInfo.ownerName) metaParts.push(`by ${roomInfo.ownerName}`);
+    if (roomInfo.category && roomInfo.category !== "general")
+      metaParts.push(roomInfo.category);
+    if (metaParts.length > 0) {
+      const metaSpan = document.createElement("span");
+      metaSpan.className = "room-meta";
+      metaSpan.textContent = escapeHtml(metaParts.join(" · "));
+      nameSpan.appendChild(metaSpan);
+    }
     roomDiv.appendChild(nameSpan);
 
     const countSpan = document.createElement("span");
     countSpan.className = "room-player-count";
-    countSpan.textContent = `(${roomInfo.playerCount} ${
-      roomInfo.playerCount === 1 ? "User" : "Users"
-    })`; // Not user input
+    countSpan.textContent = roomInfo.maxUsers
+      ? `(${roomInfo.playerCount}/${roomInfo.maxUsers})`
+      : `(${roomInfo.playerCount} ${
+          roomInfo.playerCount === 1 ? "User" : "Users"
+        })`; // Not user input
     roomDiv.appendChild(countSpan);
 
     // Highlight and disable click for current room
@@ -1248,11 +2792,14 @@ export function setEditState(newState) {
 
   // Reset specific sub-state properties when leaving a state
   if (
-    oldState === CLIENT_CONFIG.EDIT_STATE_PLACING &&
-    newState !== CLIENT_CONFIG.EDIT_STATE_PLACING
+    (oldState === CLIENT_CONFIG.EDIT_STATE_PLACING ||
+      oldState === CLIENT_CONFIG.EDIT_STATE_MOVING_FURNI) &&
+    newState !== oldState
   ) {
+    uiState.editMode.movingFurniId = null;
     uiState.editMode.placementRotation = 0;
     uiState.editMode.placementValid = false;
+    uiState.editMode.wallPlacement = null;
     // Optionally clear selected inventory item visual state if leaving placing mode this way
     // setSelectedInventoryItem(null); // Causes issues if clicking floor furniture
   }
@@ -1271,14 +2818,24 @@ export function setEditState(newState) {
   hideContextMenu(); // Hide context menu on state change
 }
 
-/** Sets the currently selected inventory item for placement. */
-export function setSelectedInventoryItem(definitionId) {
+/**
+ * Sets the currently selected inventory item for placement.
+ * @param {string|null} definitionId - Item definition, or null to deselect.
+ * @param {string|null} [stackKey=null] - Inventory stack to place from (any instance of the definition if null).
+ */
+export function setSelectedInventoryItem(definitionId, stackKey = null) {
   // Allow deselecting by passing null
   const newSelection = definitionId ? String(definitionId) : null;
-  if (uiState.editMode.selectedInventoryItemId === newSelection) return; // No change
+  const newStackKey = newSelection ? stackKey : null;
+  if (
+    uiState.editMode.selectedInventoryItemId === newSelection &&
+    uiState.editMode.selectedInventoryStackKey === newStackKey
+  )
+    return; // No change
 
   console.log(`Setting selected inventory item: ${newSelection}`);
   uiState.editMode.selectedInventoryItemId = newSelection;
+  uiState.editMode.selectedInventoryStackKey = newStackKey;
   uiState.editMode.placementRotation = 0; // Reset rotation on new selection
 
   if (newSelection) {
@@ -1342,6 +2899,71 @@ export function setSelectedFurniture(furnitureId) {
   hideContextMenu(); // Hide context menu
 }
 
+/** Starts dragging a placed furniture item; the placement ghost follows the mouse. */
+export function startFurniMove(furnitureId) {
+  const furni = gameState.furniture[String(furnitureId)];
+  if (!furni || !furni.definition || !CLIENT_CONFIG) return;
+  if (!canManageFurni(furni) || isFurnitureOccupied(furni.id)) return;
+
+  uiState.editMode.movingFurniId = String(furni.id);
+  uiState.editMode.placementRotation = furni.rotation ?? 0;
+  setEditState(CLIENT_CONFIG.EDIT_STATE_MOVING_FURNI);
+}
+
+/**
+ * Drops the dragged furniture on the given tile (if valid and changed) and
+ * re-selects it. The server recomputes Z and broadcasts the new position.
+ */
+export function finishFurniMove(gridPos) {
+  if (uiState.editMode.state !== CLIENT_CONFIG?.EDIT_STATE_MOVING_FURNI) return;
+  const furniId = uiState.editMode.movingFurniId;
+  const furni = furniId ? gameState.furniture[furniId] : null;
+  const rotation = uiState.editMode.placementRotation;
+  const wallPlacement = uiState.editMode.wallPlacement;
+
+  if (furni && gridPos && uiState.editMode.placementValid) {
+    const unchanged = furni.isWallItem
+      ? Math.round(furni.x) === gridPos.x &&
+        Math.round(furni.y) === gridPos.y &&
+        furni.wallSide === wallPlacement?.wallSide &&
+        furni.wallOffset === wallPlacement?.wallOffset
+      : Math.round(furni.x) === gridPos.x &&
+        Math.round(furni.y) === gridPos.y &&
+        furni.rotation === rotation;
+    if (!unchanged) {
+      requestMoveFurni(furniId, gridPos.x, gridPos.y, rotation, wallPlacement);
+      // Sound plays with the server's furni_updated
+    }
+  } else if (furni) {
+    showNotification("Cannot move item there.", "error");
+    playSound("error");
+  }
+
+  setEditState(CLIENT_CONFIG.EDIT_STATE_NAVIGATE);
+  if (furni) setSelectedFurniture(furniId); // Keep it selected after the drop
+}
+
+/** Returns the definition shown as the placement ghost (inventory item or dragged furniture). */
+export function getPlacementDefinition() {
+  if (!uiState.isEditMode || !SHARED_CONFIG?.FURNITURE_DEFINITIONS) return null;
+  if (uiState.editMode.state === CLIENT_CONFIG?.EDIT_STATE_MOVING_FURNI) {
+    return (
+      gameState.furniture[uiState.editMode.movingFurniId]?.definition || null
+    );
+  }
+  if (
+    uiState.editMode.state === CLIENT_CONFIG?.EDIT_STATE_PLACING &&
+    uiState.editMode.selectedInventoryItemId
+  ) {
+    return (
+      SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
+        (d) => d.id === uiState.editMode.selectedInventoryItemId
+      ) || null
+    );
+  }
+  return null;
+}
+
 /** Toggles the main edit mode on/off. */
 export function toggleEditMode() {
   if (!CLIENT_CONFIG || !uiState.toggleEditBottomBtn) return;
@@ -1351,12 +2973,15 @@ export function toggleEditMode() {
 
   uiState.toggleEditBottomBtn.classList.toggle("active", uiState.isEditMode);
 
+  uiState.layoutEditor.rectStart = null; // Rectangles never survive a mode toggle
+
   if (!uiState.isEditMode) {
     // Cleanup when turning Edit Mode OFF
     setSelectedFurniture(null);
     setSelectedInventoryItem(null);
     setEditState(CLIENT_CONFIG.EDIT_STATE_NAVIGATE); // Ensure back to navigate state
     hideRecolorPanel();
+    hideWiredPanel(); // Link picking only works in edit mode
     hideContextMenu();
   } else {
     // When turning Edit Mode ON, start in navigate state
@@ -1371,6 +2996,127 @@ export function toggleEditMode() {
 
 // --- Input Click Handlers ---
 
+/** Layout paint radio values: tile types 0/1/2, 'X' (hole), 'S' (stairs), or 'H' (height). */
+function parseLayoutPaintType(value) {
+  return value === "X" || value === "S" || value === "H"
+    ? value
+    : parseInt(value, 10);
+}
+
+/** Builds the paint payload ({ type } or { height }) for the selected paint type. */
+function getLayoutPaint() {
+  if (selectedLayoutPaintType !== "H") return { type: selectedLayoutPaintType };
+  const maxHeight = SHARED_CONFIG.MAX_TILE_HEIGHT ?? 8;
+  const height = parseInt(uiState.layoutPaintHeight?.value, 10);
+  if (!Number.isInteger(height) || height < 0 || height > maxHeight) {
+    showNotification(`Height must be 0-${maxHeight}.`, "warning");
+    return null;
+  }
+  return { height };
+}
+
+/** Client-side pre-check for painting a single tile (server re-validates every batch). */
+function canPaintLayoutTile(x, y, paint) {
+  const avatarOnTile = Object.values({
+    ...gameState.avatars,
+    ...gameState.npcs,
+  }).find((a) => Math.round(a.x) === x && Math.round(a.y) === y);
+  if (paint.height !== undefined) {
+    // Floor height can't change under anyone or anything
+    if (avatarOnTile) {
+      showNotification(
+        `Cannot modify under ${escapeHtml(avatarOnTile.name)}.`,
+        "warning"
+      );
+      return false;
+    }
+    const furnitureOnTile = Object.values(gameState.furniture).find(
+      (f) =>
+        f instanceof ClientFurniture &&
+        f.getOccupiedTiles().some((t) => t.x === x && t.y === y)
+    );
+    if (furnitureOnTile) {
+      showNotification(
+        `Cannot modify under '${escapeHtml(furnitureOnTile.definition?.name)}'.`,
+        "warning"
+      );
+      return false;
+    }
+    return true;
+  }
+  // Check if tile is blocked before allowing modification (except for flooring)
+  if (paint.type === 1 || paint.type === "X") {
+    // Wall or Hole
+    const furnitureOnTile = roomHasNonFlatFurnitureAt(x, y); // Use helper
+    if (avatarOnTile) {
+      showNotification(
+        `Cannot modify under ${escapeHtml(avatarOnTile.name)}.`,
+        "warning"
+      );
+      return false;
+    }
+    if (furnitureOnTile) {
+      showNotification(
+        `Cannot modify under '${escapeHtml(furnitureOnTile.name)}'.`,
+        "warning"
+      );
+      return false;
+    }
+  }
+  // Wall items need both their floor tile and the wall behind them intact
+  if (
+    paint.type === 1 ||
+    paint.type === "X" ||
+    getTileLayoutType(x, y) === 1
+  ) {
+    const wallItem = getClientWallItemsTouching(x, y)[0];
+    if (wallItem) {
+      showNotification(
+        `Cannot modify, '${escapeHtml(wallItem.definition?.name)}' hangs here.`,
+        "warning"
+      );
+      return false;
+    }
+  }
+  return true;
+}
+
+/** Enables/disables the layout editor's undo & redo buttons. */
+export function updateLayoutEditorUI() {
+  if (uiState.layoutUndoBtn)
+    uiState.layoutUndoBtn.disabled = !uiState.layoutEditor.canUndo;
+  if (uiState.layoutRedoBtn)
+    uiState.layoutRedoBtn.disabled = !uiState.layoutEditor.canRedo;
+}
+
+/** Prompts for new room dimensions and sends a resize request. */
+function handleLayoutResizeClick() {
+  if (!canManageRoom() || !gameState.currentRoomId) return;
+  const minSize = 5;
+  const maxSize = 50;
+  const input = prompt(
+    `New room size as "cols x rows" (${minSize}-${maxSize}). Tiles are kept from the top-left corner:`,
+    `${gameState.roomCols}x${gameState.roomRows}`
+  );
+  if (!input) return;
+  const match = input.trim().match(/^(\d+)\s*[x, ]\s*(\d+)$/i);
+  const cols = match ? parseInt(match[1], 10) : NaN;
+  const rows = match ? parseInt(match[2], 10) : NaN;
+  if (
+    isNaN(cols) ||
+    isNaN(rows) ||
+    cols < minSize ||
+    cols > maxSize ||
+    rows < minSize ||
+    rows > maxSize
+  ) {
+    alert(`Invalid size. Use e.g. "20x15", each side ${minSize}-${maxSize}.`);
+    return;
+  }
+  if (cols === gameState.roomCols && rows === gameState.roomRows) return;
+  requestResizeRoom(cols, rows);
+}
+
 /** Handles LEFT clicks on the canvas when in Edit Mode. */
 export function handleEditModeClick(gridPos, screenPos) {
   if (
@@ -1381,15 +3127,21 @@ export function handleEditModeClick(gridPos, screenPos) {
   )
     return;
 
-  const player = gameState.myAvatarId
-    ? gameState.avatars[gameState.myAvatarId]
-    : null;
+  // --- Wired Link Picking (while the wired panel is open) ---
+  if (uiState.wiredEditor) {
+    const clickedFurniture = screenPos
+      ? getTopmostFurnitureAtScreen(screenPos.x, screenPos.y)
+      : null;
+    if (clickedFurniture) toggleWiredLink(clickedFurniture.id);
+    return;
+  }
+
   const canLayoutEdit =
     uiState.isEditMode &&
-    player?.isAdmin &&
+    canManageRoom() &&
     uiState.editMode.state === CLIENT_CONFIG.EDIT_STATE_NAVIGATE;
 
-  // --- Admin Layout Painting ---
+  // --- Layout Painting (Room Owner / Admin) ---
   if (canLayoutEdit) {
     if (
       gridPos &&
@@ -1398,38 +3150,40 @@ export function handleEditModeClick(gridPos, screenPos) {
       gridPos.y >= 0 &&
       gridPos.y < gameState.roomRows
     ) {
-      // Check if tile is blocked before allowing modification (except for flooring)
-      if (selectedLayoutPaintType === 1 || selectedLayoutPaintType === "X") {
-        // Wall or Hole
-        const avatarOnTile = Object.values({
-          ...gameState.avatars,
-          ...gameState.npcs,
-        }).find(
-          (a) => Math.round(a.x) === gridPos.x && Math.round(a.y) === gridPos.y
-        );
-        const furnitureOnTile = roomHasNonFlatFurnitureAt(gridPos.x, gridPos.y); // Use helper
-        if (avatarOnTile) {
-          showNotification(
-            `Cannot modify under ${escapeHtml(avatarOnTile.name)}.`,
-            "warning"
-          );
-          return;
-        }
-        if (furnitureOnTile) {
-          showNotification(
-            `Cannot modify under '${escapeHtml(furnitureOnTile.name)}'.`,
-            "warning"
-          );
+      const paint = getLayoutPaint();
+      if (!paint) return;
+      const editor = uiState.layoutEditor;
+      if (editor.tool === "rect") {
+        // First click picks a corner, second click paints the rectangle
+        if (!editor.rectStart) {
+          editor.rectStart = { x: gridPos.x, y: gridPos.y };
+          showNotification("Click the opposite corner to paint.", "info");
+          updateHighlights();
           return;
         }
+        requestApplyLayoutEdits([
+          {
+            op: "rect",
+            x1: editor.rectStart.x,
+            y1: editor.rectStart.y,
+            x2: gridPos.x,
+            y2: gridPos.y,
+            ...paint,
+          },
+        ]);
+        editor.rectStart = null;
+        updateHighlights();
+      } else if (editor.tool === "fill") {
+        requestApplyLayoutEdits([
+          { op: "fill", x: gridPos.x, y: gridPos.y, ...paint },
+        ]);
+      } else {
+        if (!canPaintLayoutTile(gridPos.x, gridPos.y, paint)) return;
+        // Proceed with modification request
+        requestApplyLayoutEdits([
+          { op: "tile", x: gridPos.x, y: gridPos.y, ...paint },
+        ]);
       }
-      // Proceed with modification request
-      requestModifyLayout(
-        gameState.currentRoomId,
-        gridPos.x,
-        gridPos.y,
-        selectedLayoutPaintType
-      );
       playSound("place"); // Use place sound for painting too?
     } else {
       showNotification(`Cannot modify layout outside bounds.`, "warning");
@@ -1445,16 +3199,15 @@ export function handleEditModeClick(gridPos, screenPos) {
         uiState.editMode.placementValid &&
         uiState.editMode.selectedInventoryItemId
       ) {
-        // Check client-side inventory count before sending request (minor optimization)
-        if (
-          (gameState.inventory[uiState.editMode.selectedInventoryItemId] || 0) >
-          0
-        ) {
+        // Pick the instance to place from the selected stack (client-side check only)
+        const item = getSelectedInventoryInstance();
+        if (item) {
           requestPlaceFurni(
-            uiState.editMode.selectedInventoryItemId,
+            item.id,
             gridPos.x,
             gridPos.y,
-            uiState.editMode.placementRotation
+            uiState.editMode.placementRotation,
+            uiState.editMode.wallPlacement
           );
           // Don't play sound here, wait for server confirmation (furni_added)
         } else {
@@ -1545,11 +3298,15 @@ export function handleNavigateModeClick(gridPos, screenPos) {
         doorDef?.targetX,
         doorDef?.targetY
       );
+    } else if (clickedFurniture.definition?.isTeleporter) {
+      if (clickedFurniture.teleportLinked)
+        requestEnterTeleporter(clickedFurniture.id);
+      else showNotification("This teleporter isn't linked.", "info");
     } else if (clickedFurniture.definition?.canUse) {
       requestUseFurni(clickedFurniture.id);
       // Play sound on server confirmation? Or optimistically here? Let's wait for server.
     } else if (clickedFurniture.definition?.canSit) {
-      requestSit(clickedFurniture.id);
+      requestSit(clickedFurniture.id, gridPos); // Clicked tile picks the seat on sofas
     } else {
       // Clicked non-interactive furniture, try walking to tile instead (fall through)
       if (gridPos && isClientWalkable(gridPos.x, gridPos.y)) {
@@ -1620,6 +3377,7 @@ export function showContextMenu(screenX, screenY, target) {
     } else {
       li.textContent = item.label || "Action"; // Escape handled by textContent
       li.dataset.action = item.action || "none";
+      if (item.state != null) li.dataset.state = item.state;
       if (item.disabled) li.classList.add("disabled");
     }
     menuUl.appendChild(li);
@@ -1679,6 +3437,22 @@ function getContextMenuActions(target) {
         });
         // Could add self-profile or appearance actions here
       }
+      if (
+        target.id !== gameState.myAvatarId &&
+        gameState.roomInfo?.ownerId &&
+        canManageRoom()
+      ) {
+        // Room owner actions on others (rights are tracked by user ID; server resolves by name)
+        actions.push({ separator: true });
+        actions.push({
+          label: `Give Rights to ${escapeHtml(avatar.name)}`,
+          action: "rights_give",
+        });
+        actions.push({
+          label: `Remove Rights`,
+          action: "rights_remove",
+        });
+      }
       if (player?.isAdmin && target.id !== gameState.myAvatarId) {
         // Admin actions on others
         actions.push({ separator: true });
@@ -1711,19 +3485,13 @@ function getContextMenuActions(target) {
       const furni = gameState.furniture[target.id];
       if (!furni || !furni.definition) return [];
       const def = furni.definition;
-      const clientInfo = gameState.myUserId
-        ? { userId: gameState.myUserId }
-        : null; // Get client's persistent ID
-      const isOwner =
-        clientInfo?.userId &&
-        furni.ownerId &&
-        String(furni.ownerId) === clientInfo.userId;
+      const canManage = canManageFurni(furni); // Item owner, room rights or admin
       const occupied = isFurnitureOccupied(target.id); // Check if an avatar is sitting
 
       if (isEditing) {
         // Actions in Edit Mode
-        if (isOwner || player?.isAdmin) {
-          // Owner or Admin
+        if (canManage) {
+          // Owner, Rights Holder or Admin
           actions.push({
             label: `Pickup ${escapeHtml(def.name)}`,
             action: "pickup",
@@ -1744,6 +3512,16 @@ function getContextMenuActions(target) {
             disabled: true,
           });
         }
+        if (def.wired && canManageRoom())
+          actions.push({ label: "Configure Wired", action: "wired_config" });
+        // Only the owner links teleporters; the partner may be in another room
+        const player = gameState.avatars[gameState.myAvatarId];
+        if (
+          def.isTeleporter &&
+          (player?.isAdmin ||
+            (furni.ownerId && String(furni.ownerId) === gameState.myUserId))
+        )
+          actions.push({ label: "Link Teleporter", action: "link_teleporter" });
         // Allow 'Use' even in edit mode? Maybe not to avoid confusion.
         // if (def.canUse) actions.push({ label: `Use ${escapeHtml(def.name)}`, action: 'use' });
       } else {
@@ -1753,21 +3531,41 @@ function getContextMenuActions(target) {
             label: `Enter ${escapeHtml(def.targetRoomId)}`,
             action: "door",
           });
+        else if (def.isTeleporter)
+          actions.push({
+            label: furni.teleportLinked ? "Teleport" : "Teleport (Not Linked)",
+            action: "teleport",
+            disabled: !furni.teleportLinked,
+          });
         else if (def.canSit)
           actions.push({
             label: occupied ? "Sit (Occupied)" : "Sit Here",
             action: "sit",
             disabled: occupied,
           });
-        else if (def.canUse)
+        else if (def.canUse) {
           actions.push({ label: `Use ${escapeHtml(def.name)}`, action: "use" });
-        else
+          // Items with several states (dimmers, gates...) can jump to one directly
+          const states = getFurnitureStates(def);
+          if (states.length > 2 && def.stateMode !== "random") {
+            states.forEach((s) =>
+              actions.push({
+                label: `Set: ${s.label || s.id}`,
+                action: "use_state",
+                state: s.id,
+                disabled: s.id === furni.state,
+              })
+            );
+          }
+        } else
           actions.push({
             label: escapeHtml(def.name),
             action: "none",
             disabled: true,
           }); // Just show name if no action
       }
+      actions.push({ separator: true });
+      actions.push({ label: "Info", action: "furni_info" });
       break;
 
     case "tile":
@@ -1789,7 +3587,7 @@ function getContextMenuActions(target) {
         });
       } else if (
         isEditing &&
-        player?.isAdmin &&
+        canManageRoom() &&
         uiState.editMode.state === CLIENT_CONFIG.EDIT_STATE_NAVIGATE
       ) {
         actions.push({
@@ -1867,6 +3665,17 @@ function handleContextMenuClick(event) {
       )
         requestTradeInitiate(targetInfo.id);
       break;
+    case "rights_give":
+    case "rights_remove":
+      if (targetInfo.type === "avatar" && targetInfo.id) {
+        const rightsTarget = gameState.avatars[targetInfo.id];
+        if (rightsTarget)
+          requestModifyRoomRights(
+            rightsTarget.name,
+            action === "rights_give"
+          );
+      }
+      break;
     case "admin_kick": // Assuming server handles permission check again
       if (targetInfo.type === "avatar" && targetInfo.id) {
         const avatarToKick = gameState.avatars[targetInfo.id];
@@ -1885,9 +3694,16 @@ function handleContextMenuClick(event) {
       if (targetInfo.type === "furniture" && targetInfo.id)
         requestUseFurni(targetInfo.id);
       break;
+    case "use_state":
+      if (targetInfo.type === "furniture" && targetInfo.id)
+        requestUseFurni(targetInfo.id, targetLi.dataset.state);
+      break;
     case "sit":
       if (targetInfo.type === "furniture" && targetInfo.id)
-        requestSit(targetInfo.id);
+        requestSit(
+          targetInfo.id,
+          targetInfo.x != null ? { x: targetInfo.x, y: targetInfo.y } : null
+        );
       break;
     case "door":
       if (targetInfo.type === "furniture" && targetInfo.id) {
@@ -1928,6 +3744,32 @@ function handleContextMenuClick(event) {
       }
       break;
 
+    case "teleport":
+      if (targetInfo.type === "furniture" && targetInfo.id)
+        requestEnterTeleporter(targetInfo.id);
+      break;
+    case "link_teleporter":
+      if (
+        targetInfo.type === "furniture" &&
+        targetInfo.id &&
+        uiState.isEditMode
+      )
+        requestLinkTeleporter(targetInfo.id);
+      break;
+    case "furni_info":
+      if (targetInfo.type === "furniture" && targetInfo.id)
+        requestFurniInfo(targetInfo.id);
+      break;
+    case "wired_config":
+      if (
+        targetInfo.type === "furniture" &&
+        targetInfo.id &&
+        uiState.isEditMode &&
+        canManageRoom()
+      )
+        requestWiredConfig(targetInfo.id);
+      break;
+
     // Tile Actions
     case "place_item_here":
       if (
@@ -1954,7 +3796,7 @@ function handleContextMenuClick(event) {
       if (
         targetInfo.type === "tile" &&
         uiState.isEditMode &&
-        gameState.avatars[gameState.myAvatarId]?.isAdmin &&
+        canManageRoom() &&
         uiState.editMode.state === CLIENT_CONFIG.EDIT_STATE_NAVIGATE &&
         targetInfo.x != null &&
         targetInfo.y != null
@@ -1993,7 +3835,8 @@ export function updateHighlights() {
     gameState.highlightedTile = null;
     if (
       uiState.isEditMode &&
-      uiState.editMode.state === CLIENT_CONFIG.EDIT_STATE_PLACING
+      (uiState.editMode.state === CLIENT_CONFIG.EDIT_STATE_PLACING ||
+        uiState.editMode.state === CLIENT_CONFIG.EDIT_STATE_MOVING_FURNI)
     ) {
       uiState.editMode.placementValid = false; // Invalidate placement if outside bounds
     }
@@ -2004,33 +3847,30 @@ export function updateHighlights() {
 
   // --- Edit Mode Highlighting ---
   if (uiState.isEditMode) {
-    // Placing Item State
+    // Placing Item / Moving Furniture State
     if (
-      uiState.editMode.state === CLIENT_CONFIG.EDIT_STATE_PLACING &&
-      uiState.editMode.selectedInventoryItemId
+      (uiState.editMode.state === CLIENT_CONFIG.EDIT_STATE_PLACING &&
+        uiState.editMode.selectedInventoryItemId) ||
+      uiState.editMode.state === CLIENT_CONFIG.EDIT_STATE_MOVING_FURNI
     ) {
-      const definition = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
-        (d) => d.id === uiState.editMode.selectedInventoryItemId
-      );
+      const definition = getPlacementDefinition();
       if (definition) {
         uiState.editMode.placementValid = isClientPlacementValid(
           definition,
           gridPos.x,
-          gridPos.y
+          gridPos.y,
+          uiState.editMode.movingFurniId
         );
+        uiState.editMode.wallPlacement = definition.wallMountable
+          ? getClientWallPlacement(gridPos.x, gridPos.y)
+          : null;
         const color = uiState.editMode.placementValid
           ? CLIENT_CONFIG.FURNI_PLACE_HIGHLIGHT_COLOR
           : CLIENT_CONFIG.TILE_EDIT_HIGHLIGHT_COLOR;
         // Highlight all occupied tiles for the ghost
-        const tempFurniProto = {
-          x: gridPos.x,
-          y: gridPos.y,
-          definition: definition,
-          getOccupiedTiles: ClientFurniture.prototype.getOccupiedTiles,
-        };
-        tempFurniProto
-          .getOccupiedTiles()
-          .forEach((tp) => setTileHighlight(tp.x, tp.y, color));
+        getPlacementTiles(definition, gridPos.x, gridPos.y).forEach((tp) =>
+          setTileHighlight(tp.x, tp.y, color)
+        );
       } else {
         uiState.editMode.placementValid = false; // Cannot place if definition missing
         setTileHighlight(
@@ -2043,14 +3883,27 @@ export function updateHighlights() {
     // Navigate/Selected Furniture State
     else {
       const hoveredF = getTopmostFurnitureAtScreen(screenPos.x, screenPos.y);
-      const player = gameState.myAvatarId
-        ? gameState.avatars[gameState.myAvatarId]
-        : null;
       const canLayoutEdit =
-        player?.isAdmin &&
+        canManageRoom() &&
         uiState.editMode.state === CLIENT_CONFIG.EDIT_STATE_NAVIGATE;
 
-      if (canLayoutEdit) {
+      const rectStart = uiState.layoutEditor.rectStart;
+      if (canLayoutEdit && rectStart) {
+        // Preview the rectangle between the first corner and the cursor
+        for (
+          let y = Math.min(rectStart.y, gridPos.y);
+          y <= Math.max(rectStart.y, gridPos.y);
+          y++
+        ) {
+          for (
+            let x = Math.min(rectStart.x, gridPos.x);
+            x <= Math.max(rectStart.x, gridPos.x);
+            x++
+          ) {
+            setTileHighlight(x, y, CLIENT_CONFIG.TILE_EDIT_HIGHLIGHT_COLOR);
+          }
+        }
+      } else if (canLayoutEdit) {
         // Highlight single tile for layout painting
         setTileHighlight(
           gridPos.x,
@@ -2095,6 +3948,7 @@ export function updateHighlights() {
     } else if (
       hoveredF &&
       (hoveredF.isDoor ||
+        hoveredF.definition?.isTeleporter ||
         hoveredF.definition?.canUse ||
         hoveredF.definition?.canSit)
     ) {
@@ -2130,8 +3984,16 @@ export function updateHighlights() {
   }
 }
 
-/** Checks if placement is valid client-side (visual feedback only). */
-export function isClientPlacementValid(definition, gridX, gridY) {
+/**
+ * Checks if placement is valid client-side (visual feedback only).
+ * excludeId is the furniture being moved, which doesn't count towards the stacks.
+ */
+export function isClientPlacementValid(
+  definition,
+  gridX,
+  gridY,
+  excludeId = null
+) {
   if (
     !definition ||
     !SHARED_CONFIG ||
@@ -2139,15 +4001,17 @@ export function isClientPlacementValid(definition, gridX, gridY) {
     !gameState.furniture
   )
     return false;
+  if (!hasRoomRights()) return false; // No building in other players' rooms
 
-  // Check bounds and layout type for all occupied tiles
-  const tempFurniProto = {
-    x: gridX,
-    y: gridY,
-    definition: definition,
-    getOccupiedTiles: ClientFurniture.prototype.getOccupiedTiles,
-  };
-  const occupiedTiles = tempFurniProto.getOccupiedTiles();
+  // Wall items only need a floor tile with a wall along one of its back edges
+  if (definition.wallMountable) {
+    const tileType = getTileLayoutType(gridX, gridY);
+    if (tileType !== 0 && tileType !== 2 && tileType !== "S") return false;
+    return getClientWallPlacement(gridX, gridY) !== null;
+  }
+
+  // Check bounds and layout type for all occupied tiles (rotated footprint)
+  const occupiedTiles = getPlacementTiles(definition, gridX, gridY);
   for (const tile of occupiedTiles) {
     const gx = tile.x;
     const gy = tile.y;
@@ -2160,8 +4024,9 @@ export function isClientPlacementValid(definition, gridX, gridY) {
       const stackOnThisTile = Object.values(gameState.furniture).filter(
         (f) =>
           f instanceof ClientFurniture &&
-          Math.round(f.visualX) === gx &&
-          Math.round(f.visualY) === gy
+          !f.isWallItem &&
+          f.id !== excludeId &&
+          f.getOccupiedTiles().some((t) => t.x === gx && t.y === gy)
       );
       const topItemOnThisTile = stackOnThisTile.sort(
         (a, b) => (b.visualZ ?? 0) - (a.visualZ ?? 0)
@@ -2176,15 +4041,18 @@ export function isClientPlacementValid(definition, gridX, gridY) {
         isClientOccupiedBySolid(gx, gy)
       ) {
         const solidBlocker = stackOnThisTile.find(
-          (f) => !f.definition?.isWalkable && !f.definition?.isFlat
+          (f) => !f.isWalkable && !f.definition?.isFlat
         );
         if (solidBlocker) return false; // Blocked by existing solid item
       }
     }
   }
 
-  // Check stack height limit
-  const estimatedBaseZ = getClientStackHeightAt(gridX, gridY);
+  // Check stack height limit (the item rests on the tallest tile of its footprint)
+  const estimatedBaseZ = getClientFootprintStackHeight(
+    occupiedTiles,
+    excludeId
+  );
   const itemBaseZ = estimatedBaseZ + (definition.zOffset || 0);
   const itemStackHeight =
     definition.stackHeight ?? (definition.isFlat ? 0 : 1.0);
@@ -2192,7 +4060,11 @@ export function isClientPlacementValid(definition, gridX, gridY) {
     itemStackHeight * (SHARED_CONFIG.DEFAULT_STACK_HEIGHT ?? 0.5);
   const itemTopZ = itemBaseZ + (definition.isFlat ? 0 : itemStackContrib);
   const epsilon = 0.001;
-  if (itemTopZ >= (SHARED_CONFIG.MAX_STACK_Z || 5.0) - epsilon) return false; // Exceeds max height
+  const floorZ = Math.min(
+    ...occupiedTiles.map((t) => getClientFloorZ(t.x, t.y))
+  ); // Limit is measured from the floor
+  if (itemTopZ - floorZ >= (SHARED_CONFIG.MAX_STACK_Z || 5.0) - epsilon)
+    return false; // Exceeds max height
 
   return true; // Placement appears valid client-side
 }
@@ -2216,7 +4088,7 @@ function clearAllHighlights() {
 // --- Helper & Calculation Functions ---
 
 /** Calculates stack height at coordinates client-side based on visual Z. */
-export function getClientStackHeightAt(gridX, gridY) {
+export function getClientStackHeightAt(gridX, gridY, excludeId = null) {
   if (!SHARED_CONFIG || !gameState.currentRoomId || !gameState.furniture)
     return 0.0;
 
@@ -2225,11 +4097,12 @@ export function getClientStackHeightAt(gridX, gridY) {
   const stack = Object.values(gameState.furniture).filter(
     (f) =>
       f instanceof ClientFurniture &&
-      Math.round(f.visualX) === gx &&
-      Math.round(f.visualY) === gy
+      !f.isWallItem &&
+      f.id !== excludeId &&
+      f.getOccupiedTiles().some((t) => t.x === gx && t.y === gy)
   );
 
-  let highestStackableTopZ = 0.0;
+  let highestStackableTopZ = getClientFloorZ(gx, gy); // Stacks start on the floor
   stack.forEach((furni) => {
     if (!furni.definition) return;
     const itemStackHeight =
@@ -2246,6 +4119,26 @@ export function getClientStackHeightAt(gridX, gridY) {
   return Math.max(0, highestStackableTopZ); // Ensure non-negative
 }
 
+/** Highest stack under a set of footprint tiles; multi-tile items rest on the tallest. */
+export function getClientFootprintStackHeight(tiles, excludeId = null) {
+  return Math.max(
+    0,
+    ...tiles.map((t) => getClientStackHeightAt(t.x, t.y, excludeId))
+  );
+}
+
+/** Tiles an item would cover if placed at (gridX, gridY) with the current placement rotation. */
+export function getPlacementTiles(definition, gridX, gridY) {
+  if (!definition || definition.wallMountable) return [{ x: gridX, y: gridY }];
+  return getFootprintTiles(
+    gridX,
+    gridY,
+    definition.width,
+    definition.height,
+    uiState.editMode.placementRotation
+  );
+}
+
 /** Checks if coordinates are within the current room's bounds. */
 export function isValidClientTile(x, y) {
   return (
@@ -2267,6 +4160,59 @@ export function getTileLayoutType(x, y) {
   return row[x] ?? 0; // Return type or default 0 (floor)
 }
 
+/** Checks if the 'left' (towards x-1) or 'right' (towards y-1) edge of a tile borders a wall. */
+export function isClientWallEdge(x, y, side) {
+  let nx = x;
+  let ny = y;
+  if (side === "left") nx -= 1;
+  else if (side === "right") ny -= 1;
+  else return false;
+  if (nx < 0 || ny < 0) return true; // Edge of the map counts as a wall
+  return getTileLayoutType(nx, ny) === 1;
+}
+
+/**
+ * Works out where a wall item would hang on tile (x, y): which wall edge, and how far
+ * along it, based on the mouse position. In corners the placement rotation (R key)
+ * picks the side. Returns null if the tile has no wall behind it.
+ */
+export function getClientWallPlacement(gridX, gridY) {
+  const sides = ["left", "right"].filter((side) =>
+    isClientWallEdge(gridX, gridY, side)
+  );
+  if (sides.length === 0) return null;
+  let wallSide = sides[0];
+  if (sides.length > 1) {
+    const rotation = uiState.editMode.placementRotation;
+    wallSide = rotation === 2 || rotation === 6 ? "right" : "left";
+  }
+  // Slide along the edge with the mouse: Y for the left wall, X for the right wall
+  const mouse = inputState?.currentMouseWorldPos || { x: gridX, y: gridY };
+  const rawOffset = wallSide === "left" ? mouse.y - gridY : mouse.x - gridX;
+  const maxOffset = SHARED_CONFIG?.WALL_ITEM_MAX_OFFSET ?? 0.4;
+  const wallOffset = Math.max(-maxOffset, Math.min(maxOffset, rawOffset));
+  return { wallSide, wallOffset: Math.round(wallOffset * 100) / 100 };
+}
+
+/** Finds wall items hosted on a tile or hanging on it as their wall. */
+function getClientWallItemsTouching(gridX, gridY) {
+  if (!gameState.furniture) return [];
+  return Object.values(gameState.furniture).filter((f) => {
+    if (!(f instanceof ClientFurniture) || !f.isWallItem) return false;
+    const fx = Math.round(f.x);
+    const fy = Math.round(f.y);
+    if (fx === gridX && fy === gridY) return true;
+    if (f.wallSide === "left") return fx - 1 === gridX && fy === gridY;
+    return fx === gridX && fy - 1 === gridY;
+  });
+}
+
+/** Gets the Z of a tile's floor surface from the room heightmap. */
+export function getClientFloorZ(x, y) {
+  const level = gameState.roomHeightmap?.[y]?.[x] ?? 0;
+  return level * (SHARED_CONFIG?.TILE_HEIGHT_Z ?? 0.5);
+}
+
 /** Checks if a tile is walkable based on layout and client-side furniture state. */
 export function isClientWalkable(x, y) {
   const gx = Math.round(x);
@@ -2274,8 +4220,8 @@ export function isClientWalkable(x, y) {
   if (!isValidClientTile(gx, gy)) return false; // Check bounds
 
   const layoutType = getTileLayoutType(gx, gy);
-  // Allow walking on floor (0) and alternate floor (2)
-  if (layoutType !== 0 && layoutType !== 2) return false;
+  // Allow walking on floor (0), alternate floor (2) and stairs ('S')
+  if (layoutType !== 0 && layoutType !== 2 && layoutType !== "S") return false;
 
   // Check if occupied by solid furniture or NPC (if NPCs block)
   return !isClientOccupiedBySolid(gx, gy);
@@ -2289,8 +4235,8 @@ export function isClientOccupiedBySolid(gridX, gridY) {
   const solidFurni = Object.values(gameState.furniture).some((f) => {
     if (!(f instanceof ClientFurniture) || !f.definition) return false;
     const def = f.definition;
-    // Solid means not walkable AND not flat
-    const isSolid = !def.isWalkable && !def.isFlat;
+    // Solid means not walkable (in its current state) AND not flat
+    const isSolid = !f.isWalkable && !def.isFlat;
     if (!isSolid) return false;
     // Check if this solid furniture occupies the target tile
     return f.getOccupiedTiles().some((t) => t.x === gridX && t.y === gridY);
@@ -2460,11 +4406,25 @@ export function getTopmostFurnitureAtScreen(screenX, screenY) {
     if (!(f instanceof ClientFurniture) || !f.definition) return false;
 
     // Use furniture's visual position and dimensions for hit testing
-    const screenPos = getScreenPos(f.visualX, f.visualY);
+    const worldPos = f.isWallItem
+      ? getWallItemWorldPos(f.visualX, f.visualY, f.wallSide, f.wallOffset)
+      : getFootprintCenter(
+          f.visualX,
+          f.visualY,
+          f.definition.width,
+          f.definition.height,
+          f.rotation
+        );
+    const screenPos = getScreenPos(worldPos.x, worldPos.y);
     const zoom = camera.zoom;
+    // A w x h footprint spans (w + h) / 2 tiles across the screen, whatever the rotation
+    const footprintSpan =
+      ((f.definition.width || 1) + (f.definition.height || 1)) / 2;
     const baseDrawWidth =
-      SHARED_CONFIG.TILE_WIDTH_HALF * (f.definition.width || 1) * zoom * 1.1; // Use draw width
-    const visualHeightFactor = f.definition.isFlat
+      SHARED_CONFIG.TILE_WIDTH_HALF * footprintSpan * zoom * 1.1; // Use draw width
+    const visualHeightFactor = f.isWallItem
+      ? 1.0
+      : f.definition.isFlat
       ? 0.1
       : f.definition.stackHeight != null
       ? f.definition.stackHeight * 1.5
@@ -2513,13 +4473,15 @@ export function getTopmostFurnitureAtScreen(screenX, screenY) {
  * @param {number | null} [duration=null] - Auto-dismiss duration in ms. Uses config default if null. Ignored if actions are present unless autoDeclineTimeout is set.
  * @param {string} [type='info'] - Notification type ('info', 'success', 'warning', 'error'). Affects styling.
  * @param {number | null} [autoDeclineTimeout=null] - If actions are present, automatically triggers the LAST action after this duration (ms).
+ * @param {string | null} [notificationKey=null] - Optional key so the notification can be closed later via dismissNotification().
  */
 export function showNotificationWithActions(
   message,
   actions = [],
   duration = null,
   type = "info",
-  autoDeclineTimeout = null
+  autoDeclineTimeout = null,
+  notificationKey = null
 ) {
   if (!uiState.notificationContainer || !CLIENT_CONFIG || !message) return;
 
@@ -2530,6 +4492,8 @@ export function showNotificationWithActions(
   // Create notification element
   const notificationElement = document.createElement("div");
   notificationElement.className = `toast-notification ${type}`; // Base class + type class
+  if (notificationKey)
+    notificationElement.dataset.notificationKey = notificationKey;
 
   // Set message content safely
   const messageP = document.createElement("p");
@@ -2635,6 +4599,26 @@ export function showNotificationWithActions(
 export function showNotification(message, type = "info", duration = null) {
   showNotificationWithActions(message, [], duration, type, null);
 }
+
+/**
+ * Removes any notification shown with the given key (e.g. once another player answered it).
+ * @param {string} notificationKey - The key passed to showNotificationWithActions.
+ */
+export function dismissNotification(notificationKey) {
+  if (!uiState.notificationContainer || !notificationKey) return;
+  uiState.notificationContainer
+    .querySelectorAll(".toast-notification")
+    .forEach((el) => {
+      if (el.dataset.notificationKey !== notificationKey) return;
+      if (el.dataset.removalTimeoutId)
+        clearTimeout(parseInt(el.dataset.removalTimeoutId));
+      if (el.dataset.finalTimeoutId)
+        clearTimeout(parseInt(el.dataset.finalTimeoutId));
+      if (el.dataset.autoTimeoutId)
+        clearTimeout(parseInt(el.dataset.autoTimeoutId));
+      el.remove();
+    });
+}
 // --- End Notification System ---
 
 // --- Trade UI Functions ---
@@ -2644,17 +4628,7 @@ const debouncedUpdateOffer = debounce(() => {
   if (!uiState.isTrading || !uiState.tradeSession.tradeId || !isConnected())
     return;
 
-  const items = {};
-  const selfItemsGrid =
-    uiState.selfTradeOfferDiv?.querySelector(".trade-items-grid");
-  // Collect items currently in the offer grid
-  selfItemsGrid?.querySelectorAll(".trade-item").forEach((itemEl) => {
-    const itemId = itemEl.dataset.itemId;
-    const quantity = parseInt(itemEl.dataset.quantity || "1", 10); // Assuming each element represents 1 item
-    if (itemId && quantity > 0) {
-      items[itemId] = (items[itemId] || 0) + quantity;
-    }
-  });
+  const items = getSelfOfferedItems();
 
   // Get and validate currency
   let currency = parseInt(uiState.selfTradeCurrencyInput?.value || "0", 10);
@@ -2670,10 +4644,28 @@ const debouncedUpdateOffer = debounce(() => {
   // Update local state immediately for responsiveness (server will validate)
   uiState.tradeSession.myOffer = { items, currency };
 
-  // Send update to server
-  updateTradeOffer(uiState.tradeSession.tradeId, items, currency);
+  // Send update to server (instance IDs only)
+  updateTradeOffer(
+    uiState.tradeSession.tradeId,
+    items.map((item) => item.id),
+    currency
+  );
 }, 500); // Debounce updates sent every 500ms
 
+/** Returns the item instances currently in the self offer grid. */
+function getSelfOfferedItems() {
+  const selfItemsGrid =
+    uiState.selfTradeOfferDiv?.querySelector(".trade-items-grid");
+  const items = [];
+  selfItemsGrid?.querySelectorAll(".trade-item").forEach((itemEl) => {
+    const item = (gameState.inventory || []).find(
+      (i) => i.id === itemEl.dataset.instanceId
+    );
+    if (item) items.push(item);
+  });
+  return items;
+}
+
 /** Handles changes to the self offer (items added/removed or currency changed). */
 function handleSelfOfferChange() {
   // If already confirmed, unconfirm self when offer changes
@@ -2713,67 +4705,48 @@ export function populateTradeInventory() {
   }
 
   uiState.tradeInventoryAreaDiv.innerHTML = ""; // Clear existing
-  const inventory = gameState.inventory || {};
-  const offeredItems = uiState.tradeSession?.myOffer?.items || {}; // Get currently offered items
-  let hasItemsToShow = false;
-
-  // Determine available items (total owned - currently offered)
-  const availableInventory = {};
-  for (const itemId in inventory) {
-    const totalOwned = inventory[itemId] || 0;
-    const currentlyOffered = offeredItems[itemId] || 0;
-    const available = totalOwned - currentlyOffered;
-    if (available > 0) {
-      availableInventory[itemId] = available;
-      hasItemsToShow = true;
-    }
-  }
+  // Available = owned instances not already in the offer grid
+  const offeredIds = new Set(getSelfOfferedItems().map((item) => item.id));
+  const stacks = groupInventoryStacks(
+    (gameState.inventory || []).filter((item) => !offeredIds.has(item.id))
+  );
 
-  if (!hasItemsToShow) {
+  if (stacks.length === 0) {
     uiState.tradeInventoryAreaDiv.innerHTML =
       "<p><i>No items available to add.</i></p>";
     return;
   }
 
-  // Sort available items by name
-  const sortedItemIds = Object.keys(availableInventory).sort((a, b) => {
-    const defA = SHARED_CONFIG.FURNITURE_DEFINITIONS.find((d) => d.id === a);
-    const defB = SHARED_CONFIG.FURNITURE_DEFINITIONS.find((d) => d.id === b);
-    return (defA?.name || a).localeCompare(defB?.name || b);
-  });
-
-  // Create elements for available items
-  sortedItemIds.forEach((itemId) => {
-    const quantityAvailable = availableInventory[itemId];
-    const def = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
-      (d) => d.id === itemId
-    );
-    if (!def) return;
-
+  // Create elements for available stacks
+  stacks.forEach((stack) => {
     // Use helper to create the item element (styled for inventory list)
-    const itemDiv = createTradeItemElement(def, quantityAvailable, true);
-    itemDiv.addEventListener("click", () => addTradeItemToOffer(itemId)); // Add click listener
+    const itemDiv = createTradeItemElement(
+      stack.definition,
+      stack.items.length,
+      true,
+      stack.colorOverride,
+      stack.serial
+    );
+    itemDiv.addEventListener("click", () => addTradeItemToOffer(stack.key)); // Add click listener
     uiState.tradeInventoryAreaDiv.appendChild(itemDiv);
   });
 }
 
-/** Adds an item from the inventory list to the self offer grid. */
-function addTradeItemToOffer(itemId) {
+/** Adds one item of an inventory stack to the self offer grid. */
+function addTradeItemToOffer(stackKey) {
   if (!uiState.isTrading || !uiState.selfTradeOfferDiv) return;
 
-  const def = SHARED_CONFIG.FURNITURE_DEFINITIONS.find((d) => d.id === itemId);
-  if (!def) return;
-
   // Re-check availability just before adding
-  const totalOwned = gameState.inventory[itemId] || 0;
-  const offeredItemsGrid =
-    uiState.selfTradeOfferDiv.querySelector(".trade-items-grid");
-  let currentlyOfferedCount = 0;
-  offeredItemsGrid
-    ?.querySelectorAll(`.trade-item[data-item-id="${itemId}"]`)
-    .forEach(() => currentlyOfferedCount++);
-
-  if (totalOwned - currentlyOfferedCount <= 0) {
+  const offeredIds = new Set(getSelfOfferedItems().map((item) => item.id));
+  const item = (gameState.inventory || []).find(
+    (i) => getInventoryStackKey(i) === stackKey && !offeredIds.has(i.id)
+  );
+  const def = item
+    ? SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
+        (d) => d.id === item.definitionId
+      )
+    : null;
+  if (!item || !def) {
     showNotification("No more available to add.", "warning");
     populateTradeInventory(); // Refresh inventory display in case of race condition
     return;
@@ -2783,8 +4756,14 @@ function addTradeItemToOffer(itemId) {
   const selfItemsGrid =
     uiState.selfTradeOfferDiv.querySelector(".trade-items-grid");
   if (!selfItemsGrid) return;
-  const itemEl = createTradeItemElement(def, 1, false); // Create element for offer grid (qty 1)
-  itemEl.dataset.quantity = "1"; // Explicitly set quantity for offer grid item
+  const itemEl = createTradeItemElement(
+    def,
+    1,
+    false,
+    item.colorOverride,
+    item.serial
+  ); // Create element for offer grid (qty 1)
+  itemEl.dataset.instanceId = item.id;
   itemEl.addEventListener("click", () => removeTradeItemFromOffer(itemEl)); // Add removal listener
   selfItemsGrid.appendChild(itemEl);
 
@@ -2797,8 +4776,7 @@ function addTradeItemToOffer(itemId) {
 /** Removes an item element from the self offer grid. */
 function removeTradeItemFromOffer(itemElement) {
   if (!uiState.isTrading || !itemElement || !itemElement.parentNode) return;
-  const itemId = itemElement.dataset.itemId;
-  if (!itemId) return;
+  if (!itemElement.dataset.instanceId) return;
 
   itemElement.remove(); // Remove from visual grid
 
@@ -2809,18 +4787,31 @@ function removeTradeItemFromOffer(itemElement) {
 }
 
 /** Creates a DOM element representing a trade item (for grid or inventory list). */
-function createTradeItemElement(definition, quantity, isInventoryList) {
+function createTradeItemElement(
+  definition,
+  quantity,
+  isInventoryList,
+  colorOverride = null,
+  serial = null
+) {
   const itemDiv = document.createElement("div");
   itemDiv.className = "trade-item";
   itemDiv.dataset.itemId = definition.id;
   itemDiv.title = `${escapeHtml(definition.name)} (${definition.width}x${
     definition.height
-  })`; // Escape title
+  })${
+    serial != null
+      ? ` ${formatSerial(serial, definition.limited?.supply)}`
+      : ""
+  }`; // Escape title
 
   // Preview
   const previewSpan = document.createElement("span");
   previewSpan.className = "trade-item-preview";
-  previewSpan.style.backgroundColor = definition.color || "#8B4513";
+  previewSpan.style.backgroundColor = getItemPreviewColor(
+    definition,
+    colorOverride
+  );
   itemDiv.appendChild(previewSpan);
 
   if (isInventoryList) {
@@ -2854,34 +4845,33 @@ export function updateTradePanelOffers(isMyOffer, offer) {
     ? uiState.selfTradeCurrencyInput
     : uiState.partnerTradeCurrencyInput;
 
-  if (!sideDiv || !currencyInput || !offer || !offer.items) return;
+  if (!sideDiv || !currencyInput || !Array.isArray(offer?.items)) return;
 
   const itemsGrid = sideDiv.querySelector(".trade-items-grid");
   if (!itemsGrid) return;
 
   itemsGrid.innerHTML = ""; // Clear previous items
 
-  // Add items to the grid
-  for (const itemId in offer.items) {
-    const quantity = offer.items[itemId];
+  // Add items to the grid, one element per item instance
+  offer.items.forEach((item) => {
     const def = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
-      (d) => d.id === itemId
+      (d) => d.id === item.definitionId
     );
-    if (def && quantity > 0) {
-      // Create one element per item in the offer
-      for (let i = 0; i < quantity; i++) {
-        const itemEl = createTradeItemElement(def, 1, false); // Create grid item element
-        if (isMyOffer) {
-          // Add listener only for self offer items to allow removal
-          itemEl.dataset.quantity = "1"; // Ensure quantity is set for removal logic
-          itemEl.addEventListener("click", () =>
-            removeTradeItemFromOffer(itemEl)
-          );
-        }
-        itemsGrid.appendChild(itemEl);
-      }
+    if (!def) return;
+    const itemEl = createTradeItemElement(
+      def,
+      1,
+      false,
+      item.colorOverride,
+      item.serial
+    ); // Create grid item element
+    itemEl.dataset.instanceId = item.id;
+    if (isMyOffer) {
+      // Add listener only for self offer items to allow removal
+      itemEl.addEventListener("click", () => removeTradeItemFromOffer(itemEl));
     }
-  }
+    itemsGrid.appendChild(itemEl);
+  });
 
   // Update currency display
   currencyInput.value = offer.currency || 0;
@@ -2955,8 +4945,8 @@ export function showTradePanel(tradeId, partnerId, partnerName) {
     tradeId: tradeId,
     partnerId: partnerId,
     partnerName: partnerName,
-    myOffer: { items: {}, currency: 0 },
-    partnerOffer: { items: {}, currency: 0 },
+    myOffer: { items: [], currency: 0 },
+    partnerOffer: { items: [], currency: 0 },
     myConfirmed: false,
     partnerConfirmed: false,
   };
@@ -2968,8 +4958,8 @@ export function showTradePanel(tradeId, partnerId, partnerName) {
     uiState.tradePartnerNameDisplaySpan.textContent = escapeHtml(partnerName);
 
   // Clear offer areas and reset confirmation status visuals
-  updateTradePanelOffers(true, { items: {}, currency: 0 }); // Clear self offer
-  updateTradePanelOffers(false, { items: {}, currency: 0 }); // Clear partner offer
+  updateTradePanelOffers(true, { items: [], currency: 0 }); // Clear self offer
+  updateTradePanelOffers(false, { items: [], currency: 0 }); // Clear partner offer
   updateTradeConfirmationStatus(false, false); // Reset confirmations
 
   // Populate available inventory for trading
@@ -2995,8 +4985,8 @@ export function hideTradePanel() {
     tradeId: null,
     partnerId: null,
     partnerName: null,
-    myOffer: { items: {}, currency: 0 },
-    partnerOffer: { items: {}, currency: 0 },
+    myOffer: { items: [], currency: 0 },
+    partnerOffer: { items: [], currency: 0 },
     myConfirmed: false,
     partnerConfirmed: false,
   };
@@ -3064,3 +5054,43 @@ export function handleTradeRequest(tradeId, requesterName) {
   playSound("info"); // Play notification sound
 }
 // --- End Trade UI Functions ---
+
+// --- Room Entry UI Functions ---
+
+/** Shows an Accept/Deny prompt to room owners/rights holders when someone rings the doorbell. */
+export function handleDoorbellRing(requestId, visitorName) {
+  const message = `${escapeHtml(visitorName)} is ringing the doorbell.`;
+  const actions = [
+    {
+      label: "Let in",
+      action: () => respondToDoorbell(requestId, true),
+      type: "success",
+    },
+    {
+      label: "Deny",
+      action: () => respondToDoorbell(requestId, false),
+      type: "error",
+    },
+  ];
+
+  // No auto-decline here: the server times the request out for everyone who was rung
+  showNotificationWithActions(
+    message,
+    actions,
+    null,
+    "info",
+    null,
+    `doorbell_${requestId}`
+  );
+  playSound("info");
+}
+
+/** Asks the visitor for a password-locked room's password and sends it to the server. */
+export function promptRoomPassword(roomId, roomName) {
+  const password = prompt(
+    `'${roomName || roomId}' is password protected. Enter password:`
+  );
+  if (password === null || password === "") return; // Cancelled
+  requestRoomPasswordEntry(roomId, password);
+}
+// --- End Room Entry UI Functions ---
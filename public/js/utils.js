@@ -44,6 +44,16 @@ export function snapToGrid(worldX, worldY) {
   return { x: Math.round(worldX), y: Math.round(worldY) };
 }
 
+/**
+ * Returns the world position of a wall item's mount point: the middle of the given
+ * edge of tile (x, y), slid along that edge by offset tiles.
+ * 'left' is the edge towards (x-1, y), 'right' the edge towards (x, y-1).
+ */
+export function getWallItemWorldPos(x, y, side, offset = 0) {
+  if (side === "right") return { x: x + offset, y: y - 0.5 };
+  return { x: x - 0.5, y: y + offset };
+}
+
 /** Converts world coordinates to final screen position including camera pan and zoom. */
 export function getScreenPos(worldX, worldY) {
   if (!camera) {
@@ -80,6 +90,75 @@ export function shadeColor(color, percent) {
   }
 }
 
+/**
+ * Lists the tiles covered by a furniture footprint (mirrors the server's getFootprintTiles).
+ * Width runs along X at rotation 0; quarter turns (2-3, 6-7) swap width and height.
+ * The anchor tile (x, y) sits at the footprint's center, rounded towards the back corner.
+ */
+export function getFootprintTiles(x, y, width = 1, height = 1, rotation = 0) {
+  const swap = rotation % 4 >= 2;
+  const w = Math.max(1, (swap ? height : width) || 1);
+  const h = Math.max(1, (swap ? width : height) || 1);
+  const startX = Math.round(x) - Math.floor((w - 1) / 2);
+  const startY = Math.round(y) - Math.floor((h - 1) / 2);
+  const tiles = [];
+  for (let dx = 0; dx < w; dx++) {
+    for (let dy = 0; dy < h; dy++) {
+      tiles.push({ x: startX + dx, y: startY + dy });
+    }
+  }
+  return tiles;
+}
+
+/** Returns the world position of a footprint's center, where multi-tile sprites are anchored. */
+export function getFootprintCenter(x, y, width = 1, height = 1, rotation = 0) {
+  const swap = rotation % 4 >= 2;
+  const w = Math.max(1, (swap ? height : width) || 1);
+  const h = Math.max(1, (swap ? width : height) || 1);
+  return {
+    x: x - Math.floor((w - 1) / 2) + (w - 1) / 2,
+    y: y - Math.floor((h - 1) / 2) + (h - 1) / 2,
+  };
+}
+
+/**
+ * Lists the states a furniture definition can be in (mirrors the server's getFurnitureStates).
+ * Older `isToggle` definitions get "off"/"on".
+ */
+export function getFurnitureStates(definition) {
+  if (Array.isArray(definition?.states) && definition.states.length > 0) {
+    return definition.states.filter((s) => typeof s?.id === "string");
+  }
+  return definition?.isToggle ? [{ id: "off" }, { id: "on" }] : [];
+}
+
+/** Named sprite layers of a furniture definition (mirrors the server's getFurnitureLayers). */
+export function getFurnitureLayers(definition) {
+  const layers = definition?.sprite?.layers;
+  return Array.isArray(layers)
+    ? layers.filter((l) => typeof l?.id === "string")
+    : [];
+}
+
+/**
+ * Colors an item or one of its layers may take: layer palette, then definition
+ * palette, then the fallback (mirrors the server's getRecolorPalette).
+ */
+export function getRecolorPalette(definition, layerId = null, fallback = []) {
+  const layer = layerId
+    ? getFurnitureLayers(definition).find((l) => l.id === layerId)
+    : null;
+  const palette = layer?.palette || definition?.palette || fallback;
+  return palette.map((hex) => String(hex).toUpperCase());
+}
+
+/** Formats an amount for display, e.g. "25 Coins" (mirrors the server's formatCurrency). */
+export function formatCurrency(amount, currencyId = null) {
+  const id = currencyId || SHARED_CONFIG?.PRIMARY_CURRENCY_ID;
+  const currency = SHARED_CONFIG?.CURRENCIES?.find((c) => c.id === id);
+  return `${amount} ${currency?.short || id || "Coins"}`;
+}
+
 /** Rotates a direction (0-7) by a given amount. */
 export function rotateDirection(currentDir, amount) {
   return (currentDir + amount + 8) % 8;
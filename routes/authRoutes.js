@@ -4,6 +4,7 @@ const express = require("express");
 const bcrypt = require("bcrypt"); // bcrypt is used implicitly via user model methods
 const jwt = require("jsonwebtoken");
 const User = require("../models/user"); // Adjust path if your model is elsewhere
+const { recordCurrencyChange } = require("../lib/currency_ledger");
 require("dotenv").config(); // Ensure JWT_SECRET is loaded from .env
 
 const router = express.Router();
@@ -66,6 +67,15 @@ router.post("/register", async (req, res) => {
     await newUser.save(); // This might throw a ValidationError if schema constraints fail
 
     console.log(`User registered: ${newUser.username}`);
+    // Starting coins are the first entry in the user's currency ledger
+    recordCurrencyChange({
+      userId: newUser._id,
+      username: newUser.username,
+      amount: newUser.currency,
+      balance: newUser.currency,
+      source: "signup",
+      description: "Starting coins",
+    });
     // Send clear success message
     res
       .status(201)
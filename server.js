@@ -24,6 +24,8 @@ const {
   ServerNPC,
 } = require("./lib/game_objects"); // Needed for instanceof checks, ServerAvatar for explicit use
 const connectDB = require("./lib/db");
+const { runMigrations } = require("./lib/migrations");
+const { loadShopCatalog } = require("./lib/shop_catalog");
 const authRoutes = require("./routes/authRoutes");
 const User = require("./models/user");
 const Furniture = require("./models/furniture"); // Load Furniture model
@@ -82,9 +84,6 @@ async function findUserByIdFromDB(userId) {
     if (!user) {
       return null;
     }
-    if (user.inventory instanceof Map) {
-      user.inventory = Object.fromEntries(user.inventory);
-    }
     return user;
   } catch (error) {
     console.error(`DB Helper Error finding user ${userId}:`, error);
@@ -162,14 +161,17 @@ async function shutdown() {
     const userId = avatarIdToUserIdMap[avatar.id];
     if (userId) {
       try {
+        // Balances and reward counters are written as they change (not here)
         const playerState = {
-          currency: avatar.currency,
-          inventory: Object.fromEntries(avatar.inventory || new Map()),
+          inventory: avatar.getInventorySaveData(),
           bodyColor: avatar.bodyColor,
+          layerColors: avatar.layerColors,
           lastRoomId: avatar.roomId,
           lastX: Math.round(avatar.x),
           lastY: Math.round(avatar.y),
           lastZ: avatar.z,
+          favoriteRooms: avatar.favoriteRooms,
+          recentRooms: avatar.recentRooms,
         };
         // Use the helper function
         savePromises.push(updateUserInDB(userId, playerState));
@@ -243,8 +245,10 @@ async function shutdown() {
 // --- ASYNC STARTUP FUNCTION ---
 async function startServer() {
   try {
-    // 1. Connect to Database
+    // 1. Connect to Database, bring old documents up to date, load the shop
     await connectDB();
+    await runMigrations();
+    await loadShopCatalog();
 
     // --- Load NPC Definitions ---
     try {
@@ -572,6 +576,13 @@ async function startServer() {
           );
         }
       });
+
+      // Online-time rewards run on real time, not the capped delta
+      try {
+        SocketHandlers.tickActivityRewards(deltaTimeMs);
+      } catch (rewardError) {
+        console.error("Error paying activity rewards:", rewardError);
+      }
     } // --- End gameTick ---
 
     // 9. Start Server Listening and Game Loop
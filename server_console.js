@@ -1,9 +1,34 @@
 "use strict";
 
 const readline = require("readline");
+const fs = require("fs");
+const path = require("path");
 const { SHARED_CONFIG, SERVER_CONFIG } = require("./lib/config"); // For avatar states, item defs etc.
 
 const User = require("./models/user");
+const { exportRoomBundle, importRoomBundle } = require("./lib/room_bundle");
+const {
+  archiveRoom,
+  restoreArchivedRoom,
+  listArchivedRooms,
+} = require("./lib/room_archive");
+const {
+  getShopCatalogDTO,
+  saveShopOffer,
+  exportShopCatalog,
+  importShopCatalog,
+} = require("./lib/shop_catalog");
+const {
+  applyCurrencyChange,
+  auditUserLedger,
+  checkLedgerBalances,
+} = require("./lib/currency_ledger");
+const {
+  getCurrency,
+  getUserBalance,
+  formatCurrency,
+} = require("./lib/currencies");
+const { getMarketStats } = require("./lib/marketplace");
 
 // --- Globals passed from server.js ---
 let rooms; // Map<roomId, ServerRoom>
@@ -141,7 +166,7 @@ async function handleConsoleInput(input) {
           "  give <user> <item> <qty>     - Give item (searches all rooms)."
         );
         console.log(
-          "  givegold <user> <amount>     - Give gold (searches all rooms)."
+          "  givegold <user> <amount> [currency] - Give gold or another currency (searches all rooms)."
         );
         console.log(
           "  save <room_id|all>           - Save specific room state (DB) or all rooms."
@@ -149,6 +174,45 @@ async function handleConsoleInput(input) {
         console.log(
           "  load <room_id|all>           - Load specific room state (DB) or all rooms (Warning: Disruptive)."
         );
+        console.log(
+          "  exportroom <room_id> [file]  - Export a room to a JSON bundle (default exports/<room_id>.json)."
+        );
+        console.log(
+          "  importroom <file> [room_id] [owner] - Import a room bundle (optionally as a new ID/owner)."
+        );
+        console.log(
+          "  deleteroom <room_id>         - Archive a room, returning its furniture to owners."
+        );
+        console.log(
+          "  restoreroom <room_id>        - Restore an archived room (without furniture)."
+        );
+        console.log(
+          "  listarchived                 - List archived rooms that can be restored."
+        );
+        console.log(
+          "  shop                         - List shop pages and offers with current prices."
+        );
+        console.log(
+          "  setprice <offer_id> <price> [currency] - Change an offer's regular price (and currency)."
+        );
+        console.log(
+          "  setsale <offer_id> <price|off> [start] [end] - Put an offer on sale (ISO dates, empty = open)."
+        );
+        console.log(
+          "  exportshop [file]            - Export the shop catalog to JSON (default exports/shop.json)."
+        );
+        console.log(
+          "  importshop <file>            - Replace the shop catalog with a JSON export."
+        );
+        console.log(
+          "  auditwallet <username> [count] - Show a user's currency ledger and check its sum."
+        );
+        console.log(
+          "  checkledger                  - Check every user's ledger sums against their balances."
+        );
+        console.log(
+          "  market                       - Show marketplace listings, unpaid sales and collected fees."
+        );
         console.log(
           "  setadmin <username>            - Grant admin privileges to a user."
         );
@@ -297,11 +361,15 @@ async function handleConsoleInput(input) {
               const socket = clients[targetAvatarTp.socketId]?.socket;
               if (socket && typeof handleChangeRoom === "function") {
                 // Pass target coords directly to room change handler
-                handleChangeRoom(socket, {
-                  targetRoomId: destRoomId,
-                  targetX: targetX,
-                  targetY: targetY,
-                });
+                handleChangeRoom(
+                  socket,
+                  {
+                    targetRoomId: destRoomId,
+                    targetX: targetX,
+                    targetY: targetY,
+                  },
+                  { force: true } // Console teleport ignores room locks
+                );
                 console.log(` -> Teleport requested via room change handler.`);
               } else {
                 console.error(
@@ -323,10 +391,10 @@ async function handleConsoleInput(input) {
       case "givegold":
         const isGold = command.includes("gold");
         const usage = isGold
-          ? "Usage: givegold <username> <amount>"
+          ? "Usage: givegold <username> <amount> [currency]"
           : "Usage: give <username> <item_definition_id> [quantity=1]";
         const numParamsRequired = isGold ? 2 : 2; // User + value/item
-        const numParamsOptional = isGold ? 0 : 1; // Quantity for items
+        const numParamsOptional = 1; // Quantity for items, currency for gold
 
         if (
           params.length < numParamsRequired ||
@@ -366,25 +434,55 @@ async function handleConsoleInput(input) {
             `Error: Invalid quantity '${params[2]}'. Must be a positive number.`
           );
         } else if (isGold) {
-          // Give Gold
+          // Give Gold (or another currency)
           const amountGold = parseInt(valueGive, 10);
+          const currencyGive = getCurrency(
+            params[2] || SHARED_CONFIG.PRIMARY_CURRENCY_ID
+          );
           if (isNaN(amountGold) || amountGold <= 0) {
             console.log(
               `Error: Invalid gold amount '${valueGive}'. Must be a positive number.`
             );
-          } else if (targetAvatarGive.addCurrency(amountGold)) {
+          } else if (!currencyGive) {
+            const validCurrencies = SHARED_CONFIG.CURRENCIES.map((c) => c.id);
+            console.log(
+              `Error: Unknown currency '${params[2]}'. Valid: ${validCurrencies.join(", ")}`
+            );
+          } else {
+            // Written with its ledger entry first, then mirrored on the avatar
+            let balanceGive = null;
+            try {
+              balanceGive = await applyCurrencyChange({
+                userId: clients[targetAvatarGive.socketId]?.userId,
+                username: targetAvatarGive.name,
+                currencyId: currencyGive.id,
+                amount: amountGold,
+                source: "admin",
+                reference: "console",
+                description: "Gift from an admin",
+              });
+            } catch (dbError) {
+              console.error(`Database error giving currency:`, dbError);
+              break;
+            }
+            if (balanceGive === null) {
+              console.log(
+                `Error: User '${targetAvatarGive.name}' not found in database.`
+              );
+              break;
+            }
+            targetAvatarGive.changeBalance(currencyGive.id, amountGold);
+            const amountText = formatCurrency(amountGold, currencyGive.id);
             console.log(
-              `Success: Gave ${amountGold} Gold to ${targetAvatarGive.name}.`
+              `Success: Gave ${amountText} to ${targetAvatarGive.name}.`
             );
             const sock = clients[targetAvatarGive.socketId]?.socket;
             if (sock) {
-              sock.emit("currency_update", {
-                currency: targetAvatarGive.currency,
-              });
+              sock.emit("currency_update", targetAvatarGive.getCurrencyDTO());
               sock.emit("chat_message", {
                 avatarId: null,
                 avatarName: "Server",
-                text: `You received ${amountGold} Gold!`,
+                text: `You received ${amountText}!`,
                 className: "server-msg",
               });
               console.log(` -> Notified client ${targetAvatarGive.socketId}.`);
@@ -393,7 +491,7 @@ async function handleConsoleInput(input) {
                 ` -> Warning: Could not find socket for ${targetAvatarGive.name} to notify.`
               );
             }
-          } else console.log(`Error adding gold (internal error?).`);
+          }
         } else {
           // Give Item
           const itemIdGive = valueGive; // Item ID is param[1]
@@ -575,6 +673,321 @@ async function handleConsoleInput(input) {
         }
         break;
 
+      // --- ROOM BUNDLES (move rooms between servers) ---
+      case "exportroom": {
+        const exportRoomId = params[0];
+        if (!exportRoomId) {
+          console.log("Usage: exportroom <room_id> [file]");
+          break;
+        }
+        const liveRoom = rooms.get(exportRoomId);
+        if (liveRoom) await liveRoom.saveStateToDB(); // Include unsaved live changes
+        try {
+          const { bundle, warnings } = await exportRoomBundle(exportRoomId);
+          warnings.forEach((w) => console.warn(` -> ${w}`));
+          const exportPath = path.resolve(
+            params[1] || path.join("exports", `${exportRoomId}.json`)
+          );
+          fs.mkdirSync(path.dirname(exportPath), { recursive: true });
+          fs.writeFileSync(exportPath, JSON.stringify(bundle, null, 2));
+          console.log(
+            `Exported room '${exportRoomId}' (${bundle.furniture.length} furniture) to ${exportPath}`
+          );
+        } catch (exportError) {
+          console.error(`Export failed: ${exportError.message}`);
+        }
+        break;
+      }
+
+      case "importroom": {
+        const importFile = params[0];
+        if (!importFile) {
+          console.log("Usage: importroom <file> [room_id] [owner]");
+          break;
+        }
+        try {
+          const bundle = JSON.parse(
+            fs.readFileSync(path.resolve(importFile), "utf8")
+          );
+          const result = await importRoomBundle(bundle, rooms, {
+            roomId: params[1],
+            owner: params[2],
+          });
+          result.warnings.forEach((w) => console.warn(` -> ${w}`));
+          console.log(
+            `Imported room '${result.room.id}' with ${result.furnitureCount} furniture.`
+          );
+        } catch (importError) {
+          console.error(`Import failed: ${importError.message}`);
+        }
+        break;
+      }
+
+      // --- ROOM DELETION / ARCHIVE ---
+      case "deleteroom": {
+        const deleteRoomId = params[0];
+        if (!deleteRoomId) {
+          console.log("Usage: deleteroom <room_id>");
+          break;
+        }
+        try {
+          const result = await archiveRoom(deleteRoomId, {
+            rooms,
+            clients,
+            changeRoom: handleChangeRoom,
+            io,
+            archivedBy: "console",
+          });
+          console.log(
+            `Room '${deleteRoomId}' archived. Moved ${result.movedPlayers} players, returned ${result.returnedItems} items, discarded ${result.discardedItems}.`
+          );
+        } catch (archiveError) {
+          console.error(`Delete failed: ${archiveError.message}`);
+        }
+        break;
+      }
+
+      case "restoreroom": {
+        const restoreRoomId = params[0];
+        if (!restoreRoomId) {
+          console.log("Usage: restoreroom <room_id>");
+          break;
+        }
+        try {
+          await restoreArchivedRoom(restoreRoomId, rooms);
+          console.log(`Room '${restoreRoomId}' restored.`);
+        } catch (restoreError) {
+          console.error(`Restore failed: ${restoreError.message}`);
+        }
+        break;
+      }
+
+      case "listarchived": {
+        const archived = await listArchivedRooms();
+        if (archived.length === 0) {
+          console.log("No archived rooms.");
+          break;
+        }
+        console.log("Archived rooms:");
+        archived.forEach((a) =>
+          console.log(
+            `  ${a.roomId} ("${a.name}") - archived ${new Date(
+              a.archivedAt
+            ).toLocaleString()} by ${a.archivedBy || "unknown"}`
+          )
+        );
+        break;
+      }
+
+      // --- SHOP CATALOG ---
+      case "shop": {
+        const catalog = getShopCatalogDTO();
+        const printPage = (page, indent) => {
+          console.log(`${indent}[${page.pageId}] ${page.name}`);
+          catalog.offers
+            .filter((o) => o.pageId === page.pageId)
+            .forEach((o) =>
+              console.log(
+                `${indent}  ${o.offerId}: ${formatCurrency(
+                  o.price,
+                  o.currencyId
+                )}${o.onSale ? ` (sale, normally ${o.basePrice})` : ""}${
+                  o.featured ? " *featured*" : ""
+                }`
+              )
+            );
+        };
+        catalog.pages
+          .filter((p) => !p.parentId)
+          .forEach((category) => {
+            printPage(category, "  ");
+            catalog.pages
+              .filter((p) => p.parentId === category.pageId)
+              .forEach((page) => printPage(page, "    "));
+          });
+        break;
+      }
+
+      case "setprice":
+      case "setsale": {
+        const offerId = params[0];
+        const value = params[1];
+        if (!offerId || value === undefined) {
+          console.log(
+            command === "setprice"
+              ? "Usage: setprice <offer_id> <price> [currency]"
+              : "Usage: setsale <offer_id> <price|off> [start] [end]"
+          );
+          break;
+        }
+        let changes;
+        if (command === "setprice") {
+          changes = { offerId, price: parseInt(value, 10) };
+          if (params[2]) changes.currencyId = params[2];
+        } else if (value === "off") {
+          changes = { offerId, salePrice: null };
+        } else {
+          changes = {
+            offerId,
+            salePrice: parseInt(value, 10),
+            saleStart: params[2] || null,
+            saleEnd: params[3] || null,
+          };
+        }
+        try {
+          const offer = await saveShopOffer(changes);
+          io.emit("shop_catalog", getShopCatalogDTO());
+          console.log(
+            `Offer '${offer.offerId}': ${formatCurrency(
+              offer.price,
+              offer.currencyId
+            )}${
+              offer.salePrice !== null
+                ? `, sale ${formatCurrency(offer.salePrice, offer.currencyId)} (${
+                    offer.saleStart?.toISOString() || "now"
+                  } - ${offer.saleEnd?.toISOString() || "open"})`
+                : ""
+            }.`
+          );
+        } catch (shopError) {
+          console.error(`Shop update failed: ${shopError.message}`);
+        }
+        break;
+      }
+
+      case "exportshop": {
+        const exportPath = path.resolve(
+          params[0] || path.join("exports", "shop.json")
+        );
+        fs.mkdirSync(path.dirname(exportPath), { recursive: true });
+        const catalog = exportShopCatalog();
+        fs.writeFileSync(exportPath, JSON.stringify(catalog, null, 2));
+        console.log(
+          `Exported ${catalog.pages.length} shop pages and ${catalog.offers.length} offers to ${exportPath}`
+        );
+        break;
+      }
+
+      case "importshop": {
+        if (!params[0]) {
+          console.log("Usage: importshop <file>");
+          break;
+        }
+        try {
+          const catalog = JSON.parse(
+            fs.readFileSync(path.resolve(params[0]), "utf8")
+          );
+          const result = await importShopCatalog(catalog);
+          io.emit("shop_catalog", getShopCatalogDTO());
+          console.log(
+            `Imported ${result.pages} shop pages and ${result.offers} offers.`
+          );
+        } catch (importError) {
+          console.error(`Shop import failed: ${importError.message}`);
+        }
+        break;
+      }
+
+      // --- CURRENCY LEDGER ---
+      case "auditwallet": {
+        if (!params[0]) {
+          console.log("Usage: auditwallet <username> [count]");
+          break;
+        }
+        const count = parseInt(params[1], 10);
+        try {
+          const user = await User.findOne(
+            { username: params[0].toLowerCase() },
+            { username: 1, currency: 1, balances: 1 }
+          ).lean();
+          if (!user) {
+            console.log(`Error: User '${params[0]}' not found in database.`);
+            break;
+          }
+          const audit = await auditUserLedger(
+            user._id,
+            count > 0 ? count : undefined
+          );
+          console.log(
+            `--- Wallet of ${user.username}: ${audit.count} ledger entries ---`
+          );
+          audit.entries
+            .slice()
+            .reverse()
+            .forEach((e) =>
+              console.log(
+                `  ${new Date(e.at).toISOString()} ${
+                  e.amount > 0 ? "+" : ""
+                }${formatCurrency(e.amount, e.currencyId)} => ${e.balance} [${
+                  e.source
+                }${e.reference ? `: ${e.reference}` : ""}] ${e.description}`
+              )
+            );
+          SHARED_CONFIG.CURRENCIES.forEach(({ id, name }) => {
+            const balance = getUserBalance(user, id);
+            const ledger = audit.totals[id] || 0;
+            console.log(
+              `  ${name}: ${balance}${
+                ledger !== balance ? ` - MISMATCH: ledger sums to ${ledger}` : ""
+              }`
+            );
+          });
+        } catch (dbError) {
+          console.error(`Database error auditing '${params[0]}':`, dbError);
+        }
+        break;
+      }
+
+      case "checkledger": {
+        try {
+          const { checked, mismatches } = await checkLedgerBalances();
+          mismatches.forEach((m) =>
+            console.log(
+              `  MISMATCH ${m.username} (${m.currencyId}): ledger ${m.ledger}, balance ${m.balance}`
+            )
+          );
+          console.log(
+            `Checked ${checked} users: ${
+              mismatches.length === 0
+                ? "all ledgers match."
+                : `${mismatches.length} mismatches.`
+            }`
+          );
+        } catch (dbError) {
+          console.error("Database error checking the ledger:", dbError);
+        }
+        break;
+      }
+
+      case "market": {
+        try {
+          const stats = await getMarketStats();
+          const formatTotals = (totals) =>
+            Object.entries(totals)
+              .filter(([, amount]) => amount)
+              .map(([currencyId, amount]) => formatCurrency(amount, currencyId))
+              .join(", ") || "none";
+          console.log("--- Marketplace ---");
+          console.log(`  Active listings: ${stats.active}`);
+          console.log(
+            `  Expired, not yet returned: ${stats.expiredUnsettled}`
+          );
+          console.log(
+            `  Sold, not yet paid out: ${stats.soldUnsettled} (${formatTotals(
+              stats.pendingProceeds
+            )})`
+          );
+          console.log(
+            `  Fees collected (${SERVER_CONFIG.MARKET_FEE_PERCENT}%): ${formatTotals(
+              stats.fees
+            )}`
+          );
+        } catch (dbError) {
+          console.error("Database error loading marketplace stats:", dbError);
+        }
+        break;
+      }
+
       case "setadmin":
         if (params.length === 1) {
           const usernameToAdmin = params[0].toLowerCase();
@@ -7,12 +7,65 @@ const {
   ServerFurniture,
   ServerNPC,
 } = require("./lib/game_objects"); // Import ServerNPC
-const { rotateDirection, escapeHtml } = require("./lib/utils");
+const {
+  rotateDirection,
+  getFootprintTiles,
+  getFurnitureStates,
+  escapeHtml,
+} = require("./lib/utils");
 const Furniture = require("./models/furniture"); // Database model
 const User = require("./models/user"); // Import User model
 const { findAvatarGlobally } = require("./server_console"); // Import console helper
 const RoomState = require("./models/roomState");
 const ServerRoom = require("./lib/room");
+const { exportRoomBundle, importRoomBundle } = require("./lib/room_bundle");
+const { normalizeWiredConfig, relinkCopiedWired } = require("./lib/wired");
+const { recordItemHistory, getItemHistory } = require("./lib/item_history");
+const {
+  appendLedgerEntries,
+  applyCurrencyChange,
+  getWalletHistory,
+} = require("./lib/currency_ledger");
+const {
+  getCurrency,
+  getBalanceField,
+  getUserBalance,
+  formatCurrency,
+} = require("./lib/currencies");
+const {
+  createListing,
+  cancelListing,
+  buyListing,
+  settleMarketAccount,
+  getMarketListings,
+} = require("./lib/marketplace");
+const {
+  loadRewardState,
+  payLoginRewards,
+  payOnlineRewards,
+} = require("./lib/activity_rewards");
+const {
+  getShopOffer,
+  getOfferPrice,
+  getShopDefinitionIds,
+  getShopCatalogDTO,
+  saveShopPage,
+  deleteShopPage,
+  saveShopOffer,
+  deleteShopOffer,
+} = require("./lib/shop_catalog");
+const {
+  isLimited,
+  getSaleWindowError,
+  claimSerial,
+  releaseSerial,
+  getLimitedStock,
+} = require("./lib/limited_editions");
+const {
+  archiveRoom,
+  restoreArchivedRoom,
+  listArchivedRooms,
+} = require("./lib/room_archive");
 const mongoose = require("mongoose"); // Needed for transactions / ObjectId
 
 // --- Globals passed from server.js ---
@@ -47,7 +100,7 @@ function getParticipantInfo(socketId) {
     userId: clientInfo.userId,
     avatarId: avatar.id,
     name: avatar.name,
-    offer: { items: {}, currency: 0 }, // Initial empty offer
+    offer: { items: [], currency: 0 }, // Initial empty offer (items: instance DTOs)
     confirmed: false,
   };
 }
@@ -106,6 +159,42 @@ function endTradeSession(tradeId, reason, notifySocketId = null) {
 }
 // --- End Trade State Management ---
 
+// --- Room Entry (Doorbell) State ---
+const pendingEntries = new Map(); // requestId -> { requestId, socketId, roomId, visitorName, entryTarget, timer }
+
+/** Generates a unique ID for a doorbell request. */
+function generateEntryRequestId() {
+  return `bell_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+}
+
+/**
+ * Finds the pending doorbell request for a visitor, if any.
+ * @param {string} socketId - The visitor's socket ID.
+ * @returns {object | null} The pending entry or null.
+ */
+function findPendingEntryBySocketId(socketId) {
+  for (const entry of pendingEntries.values()) {
+    if (entry.socketId === socketId) return entry;
+  }
+  return null;
+}
+
+/**
+ * Removes a pending doorbell request and tells the room to close its prompt.
+ * Does not notify the visitor; callers decide what the visitor sees.
+ * @param {string} requestId - The doorbell request ID.
+ * @returns {object | null} The removed entry, or null if it was already gone.
+ */
+function clearPendingEntry(requestId) {
+  const entry = pendingEntries.get(requestId);
+  if (!entry) return null;
+  clearTimeout(entry.timer);
+  pendingEntries.delete(requestId);
+  io.to(entry.roomId).emit("doorbell_closed", { requestId });
+  return entry;
+}
+// --- End Room Entry State ---
+
 /**
  * Initialize handlers with dependencies.
  * @param {Map<string, import('./lib/room')>} roomsMap - The map of active room instances.
@@ -205,26 +294,228 @@ function getAvatarAndRoom(socketId) {
   return { avatar, room, socket: clientInfo.socket };
 }
 
-// --- Handler for Room List Request ---
-function handleRequestPublicRooms(socket) {
-  const roomListData = [];
-  const sortedRoomIds = Array.from(rooms.keys()).sort();
+/**
+ * Reads /setcolor arguments into a layer color map: '#RRGGBB' (body),
+ * '<part> #RRGGBB', or any number of '<part>=#RRGGBB'.
+ * @param {string[]} args - Command arguments.
+ * @returns {object | null} Map of layer ID -> color, or null on bad syntax.
+ */
+function parseSetColorArgs(args) {
+  if (args.length === 1 && !args[0].includes("=")) return { body: args[0] };
+  if (args.length === 2 && !args.some((a) => a.includes("="))) {
+    return { [args[0].toLowerCase()]: args[1] };
+  }
+  if (args.length === 0 || !args.every((a) => a.includes("="))) return null;
+  const colors = {};
+  for (const arg of args) {
+    const [layerId, hex] = arg.split("=");
+    colors[layerId.toLowerCase()] = hex;
+  }
+  return colors;
+}
 
-  sortedRoomIds.forEach((roomId) => {
-    const room = rooms.get(roomId);
-    if (room) {
-      // Use the getUserList method which filters for players only
-      roomListData.push({
-        id: roomId,
-        playerCount: room.getUserList().length,
-      });
-    }
-  });
+// --- Room Permission Helpers ---
+/**
+ * Checks if a socket may place furniture in a room.
+ * Public (unowned) rooms stay open to everyone; owned rooms require owner or rights.
+ * @param {import('socket.io').Socket} socket - The requesting socket.
+ * @param {ServerRoom} room - The room being built in.
+ * @returns {boolean}
+ */
+function canBuildInRoom(socket, room) {
+  if (socket.isAdmin) return true;
+  if (!room.ownerId) return true;
+  return room.hasRights(clients[socket.id]?.userId);
+}
+
+/**
+ * Checks if a socket may pick up, rotate or recolor a furniture item.
+ * Owned items: only their owner. Unowned items: anyone in public rooms, rights holders in owned rooms.
+ * @param {import('socket.io').Socket} socket - The requesting socket.
+ * @param {ServerRoom} room - The room containing the item.
+ * @param {ServerFurniture} furni - The item being managed.
+ * @returns {boolean}
+ */
+function canManageFurni(socket, room, furni) {
+  if (socket.isAdmin) return true;
+  const userId = clients[socket.id]?.userId;
+  if (furni.ownerId !== null) return String(furni.ownerId) === userId;
+  return canBuildInRoom(socket, room);
+}
+
+/**
+ * Checks if a socket may change a room's layout, settings or rights (owner or admin).
+ * @param {import('socket.io').Socket} socket - The requesting socket.
+ * @param {ServerRoom} room - The room being managed.
+ * @returns {boolean}
+ */
+function canManageRoom(socket, room) {
+  return socket.isAdmin || room.isOwner(clients[socket.id]?.userId);
+}
+
+/**
+ * Checks whether a socket can walk into a room right now, ignoring lock/capacity for
+ * admins, the owner and rights holders.
+ * @param {import('socket.io').Socket} socket - The entering socket.
+ * @param {ServerRoom} room - The target room.
+ * @param {boolean} [ignoreLock=false] - True once the visitor was let in (doorbell/password).
+ * @returns {{allowed: boolean, reason?: string, lockMode?: string}} lockMode is set when only the lock blocks entry.
+ */
+function checkRoomAccess(socket, room, ignoreLock = false) {
+  if (room.isArchiving) {
+    return { allowed: false, reason: "That room is being closed." };
+  }
+  if (socket.isAdmin || room.hasRights(clients[socket.id]?.userId)) {
+    return { allowed: true };
+  }
+  if (room.isFull()) {
+    return { allowed: false, reason: "That room is full." };
+  }
+  if (!ignoreLock && room.lockMode !== "open") {
+    return {
+      allowed: false,
+      reason: "That room is locked.",
+      lockMode: room.lockMode,
+    };
+  }
+  return { allowed: true };
+}
+
+// --- Handler for Room List Request (Navigator) ---
+const NAVIGATOR_VIEWS = ["all", "popular", "mine", "favorites", "recent"];
+
+/**
+ * Sends one page of the room navigator.
+ * @param {import('socket.io').Socket} socket - The requesting socket.
+ * @param {object} [data] - Query: { view, category, search, page }.
+ *   view: 'all' (by name), 'popular' (by player count), 'mine', 'favorites' or 'recent'.
+ */
+function handleRequestPublicRooms(socket, data) {
+  const query = data && typeof data === "object" ? data : {};
+  const view = NAVIGATOR_VIEWS.includes(query.view) ? query.view : "all";
+  const category = SHARED_CONFIG.ROOM_CATEGORIES.includes(query.category)
+    ? query.category
+    : null;
+  const search =
+    typeof query.search === "string"
+      ? query.search.trim().toLowerCase().substring(0, 40)
+      : "";
+  const userId = clients[socket.id]?.userId;
+  const { avatar } = getAvatarAndRoom(socket.id);
+  const favoriteRooms =
+    avatar instanceof ServerAvatar ? avatar.favoriteRooms : [];
+
+  // --- Pick candidate rooms for the view ---
+  let candidates;
+  if (view === "favorites" || view === "recent") {
+    const ids =
+      view === "favorites"
+        ? favoriteRooms
+        : avatar instanceof ServerAvatar
+        ? avatar.recentRooms
+        : [];
+    candidates = ids.map((id) => rooms.get(id)).filter(Boolean); // Skip deleted
+  } else {
+    candidates = Array.from(rooms.values()).filter(Boolean);
+    if (view === "mine")
+      candidates = candidates.filter((room) => room.isOwner(userId));
+  }
+
+  // --- Filter ---
+  const matching = candidates.filter(
+    (room) =>
+      (!category || room.category === category) && room.matchesSearch(search)
+  );
+
+  // --- Sort (recent keeps visit order) ---
+  const listings = matching.map((room) => ({
+    ...room.getListingDTO(),
+    isFavorite: favoriteRooms.includes(room.id),
+  }));
+  if (view === "popular") {
+    listings.sort(
+      (a, b) =>
+        b.playerCount - a.playerCount ||
+        (a.name || a.id).localeCompare(b.name || b.id)
+    );
+  } else if (view !== "recent") {
+    listings.sort((a, b) => (a.name || a.id).localeCompare(b.name || b.id));
+  }
+
+  // --- Page ---
+  const pageSize = SERVER_CONFIG.NAVIGATOR_PAGE_SIZE;
+  const totalPages = Math.max(1, Math.ceil(listings.length / pageSize));
+  const page = Math.min(
+    Math.max(0, parseInt(query.page, 10) || 0),
+    totalPages - 1
+  );
 
   console.log(
-    `Socket ${socket.id} requested room list. Sending ${roomListData.length} rooms.`
+    `Socket ${socket.id} requested navigator (${view}, page ${page}). ${listings.length} rooms match.`
   );
-  socket.emit("public_rooms_update", roomListData);
+  socket.emit("public_rooms_update", {
+    view,
+    category,
+    search,
+    page,
+    totalPages,
+    total: listings.length,
+    rooms: listings.slice(page * pageSize, (page + 1) * pageSize),
+  });
+}
+
+/** Adds or removes a room from the player's navigator favorites. (ASYNC) */
+async function handleRequestToggleFavoriteRoom(socket, data) {
+  const { avatar } = getAvatarAndRoom(socket.id);
+  const userId = clients[socket.id]?.userId;
+  if (
+    !avatar ||
+    !(avatar instanceof ServerAvatar) ||
+    !userId ||
+    !data ||
+    typeof data.roomId !== "string"
+  ) {
+    socket.emit("action_failed", {
+      action: "favorite_room",
+      reason: "Invalid request.",
+    });
+    return;
+  }
+  const favorite = data.favorite !== false;
+  const isFavorite = avatar.favoriteRooms.includes(data.roomId);
+  if (favorite === isFavorite) return; // No change
+
+  if (favorite) {
+    if (!rooms.has(data.roomId)) {
+      socket.emit("action_failed", {
+        action: "favorite_room",
+        reason: `Room '${escapeHtml(data.roomId)}' does not exist.`,
+      });
+      return;
+    }
+    if (avatar.favoriteRooms.length >= SERVER_CONFIG.MAX_FAVORITE_ROOMS) {
+      socket.emit("action_failed", {
+        action: "favorite_room",
+        reason: `You can only have ${SERVER_CONFIG.MAX_FAVORITE_ROOMS} favorite rooms.`,
+      });
+      return;
+    }
+  }
+
+  const newFavorites = favorite
+    ? [...avatar.favoriteRooms, data.roomId]
+    : avatar.favoriteRooms.filter((id) => id !== data.roomId);
+  try {
+    await updateUser(userId, { favoriteRooms: newFavorites });
+    avatar.favoriteRooms = newFavorites;
+    socket.emit("favorite_rooms_update", { favoriteRooms: newFavorites });
+  } catch (error) {
+    console.error(`Error updating favorite rooms for user ${userId}:`, error);
+    socket.emit("action_failed", {
+      action: "favorite_room",
+      reason: "Server error saving favorites.",
+    });
+  }
 }
 
 // --- Connection Handler (ASYNC due to DB read) ---
@@ -280,6 +571,21 @@ async function handleConnection(socket) {
     }
   }
 
+  // Don't drop players back into a room they can no longer enter (locked/full)
+  if (room.id !== SERVER_CONFIG.DEFAULT_ROOM_ID) {
+    const access = checkRoomAccess(socket, room);
+    const defaultRoom = rooms.get(SERVER_CONFIG.DEFAULT_ROOM_ID);
+    if (!access.allowed && defaultRoom) {
+      console.log(
+        ` -> Cannot re-enter '${room.id}' (${access.reason}). Spawning in default room.`
+      );
+      room = defaultRoom;
+      spawnRoomId = room.id;
+      userData.lastX = null; // Saved coords belong to the other room
+      userData.lastY = null;
+    }
+  }
+
   // Use ServerRoom's findSpawnPoint, preferring saved coords
   const spawnPoint = room.findSpawnPoint(userData.lastX, userData.lastY);
   console.log(
@@ -306,10 +612,20 @@ async function handleConnection(socket) {
   );
   newAvatar.isAdmin = socket.isAdmin;
   newAvatar.currency = userData.currency ?? SHARED_CONFIG.DEFAULT_CURRENCY;
-  newAvatar.inventory = new Map(Object.entries(userData.inventory || {}));
+  newAvatar.loadBalances(userData.balances);
+  loadRewardState(newAvatar);
+  newAvatar.loadInventory(userData.inventory);
   newAvatar.bodyColor = userData.bodyColor || "#6CA0DC";
+  newAvatar.layerColors = { ...(userData.layerColors || {}) };
   newAvatar.z = userData.lastZ ?? SHARED_CONFIG.AVATAR_DEFAULT_Z;
+  newAvatar.favoriteRooms = Array.isArray(userData.favoriteRooms)
+    ? [...userData.favoriteRooms]
+    : [];
+  newAvatar.recentRooms = Array.isArray(userData.recentRooms)
+    ? [...userData.recentRooms]
+    : [];
   newAvatar.roomId = room.id;
+  newAvatar.recordRoomVisit(room.id);
 
   clients[socket.id].avatarId = newAvatar.id; // Store runtime ID
 
@@ -326,7 +642,11 @@ async function handleConnection(socket) {
   socket.emit("room_state", room.getStateDTO()); // Includes players and NPCs
   socket.emit("your_avatar_id", String(newAvatar.id));
   socket.emit("inventory_update", newAvatar.getInventoryDTO());
-  socket.emit("currency_update", { currency: newAvatar.currency });
+  socket.emit("currency_update", newAvatar.getCurrencyDTO());
+  payLoginRewards(newAvatar, String(userData._id)).then((payouts) =>
+    notifyActivityRewards(socket, newAvatar, payouts)
+  ); // Async
+  settleMarketForPlayer(socket); // Async, pays sales made while offline
 
   // Broadcast the new avatar's arrival to others in the room
   socket.to(room.id).emit("avatar_added", newAvatar.toDTO());
@@ -346,6 +666,9 @@ async function handleConnection(socket) {
   socket.on("request_rotate_furni", (data) =>
     handleRequestRotateFurni(socket, data)
   ); // Async
+  socket.on("request_move_furni", (data) =>
+    handleRequestMoveFurni(socket, data)
+  ); // Async
   socket.on("request_pickup_furni", (data) =>
     handleRequestPickupFurni(socket, data)
   ); // Async
@@ -353,20 +676,115 @@ async function handleConnection(socket) {
   socket.on("request_stand", () => handleRequestStand(socket));
   socket.on("request_user_list", () => handleRequestUserList(socket));
   socket.on("request_profile", (data) => handleRequestProfile(socket, data));
+  socket.on("request_furni_info", (data) =>
+    handleRequestFurniInfo(socket, data)
+  ); // Async
   socket.on("request_use_furni", (data) => handleRequestUseFurni(socket, data)); // Async
   socket.on("request_recolor_furni", (data) =>
     handleRequestRecolorFurni(socket, data)
   ); // Async
-  socket.on("request_buy_item", (data) => handleRequestBuyItem(socket, data));
+  socket.on("request_buy_item", (data) => handleRequestBuyItem(socket, data)); // Async
+  socket.on("request_checkout", (data) => handleRequestCheckout(socket, data)); // Async
+  socket.on("request_shop_stock", () => handleRequestShopStock(socket)); // Async
+  socket.on("request_shop_catalog", () => handleRequestShopCatalog(socket));
+  socket.on("request_wallet_history", () => handleRequestWalletHistory(socket)); // Async
+  socket.on("request_market_listings", (data) =>
+    handleRequestMarketListings(socket, data)
+  ); // Async
+  socket.on("request_market_list_item", (data) =>
+    handleRequestMarketListItem(socket, data)
+  ); // Async
+  socket.on("request_market_buy", (data) =>
+    handleRequestMarketBuy(socket, data)
+  ); // Async
+  socket.on("request_market_cancel", (data) =>
+    handleRequestMarketCancel(socket, data)
+  ); // Async
+  socket.on("request_save_shop_page", (data) =>
+    handleShopCatalogEdit(socket, "save_shop_page", async () => {
+      const page = await saveShopPage(data);
+      return `saved page '${page.pageId}'.`;
+    })
+  ); // Async
+  socket.on("request_delete_shop_page", (data) =>
+    handleShopCatalogEdit(socket, "delete_shop_page", async () => {
+      await deleteShopPage(String(data?.pageId));
+      return `deleted page '${data.pageId}'.`;
+    })
+  ); // Async
+  socket.on("request_save_shop_offer", (data) =>
+    handleShopCatalogEdit(socket, "save_shop_offer", async () => {
+      const offer = await saveShopOffer(data);
+      return `saved offer '${offer.offerId}'.`;
+    })
+  ); // Async
+  socket.on("request_delete_shop_offer", (data) =>
+    handleShopCatalogEdit(socket, "delete_shop_offer", async () => {
+      await deleteShopOffer(String(data?.offerId));
+      return `deleted offer '${data.offerId}'.`;
+    })
+  ); // Async
   socket.on("request_change_room", (data) => handleChangeRoom(socket, data));
+  socket.on("request_room_password", (data) =>
+    handleRoomPasswordEntry(socket, data)
+  ); // Async
+  socket.on("doorbell_response", (data) =>
+    handleDoorbellResponse(socket, data)
+  );
   socket.on("request_create_room", (data) =>
     handleRequestCreateRoom(socket, data)
   ); // Async
-  socket.on("request_modify_layout", (data) =>
-    handleRequestModifyLayout(socket, data)
+  socket.on("request_apply_layout_edits", (data) =>
+    handleRequestApplyLayoutEdits(socket, data)
+  ); // Async
+  socket.on("request_resize_room", (data) =>
+    handleRequestResizeRoom(socket, data)
+  ); // Async
+  socket.on("request_layout_undo", () => handleRequestLayoutUndo(socket)); // Async
+  socket.on("request_layout_redo", () => handleRequestLayoutRedo(socket)); // Async
+  socket.on("request_update_room_settings", (data) =>
+    handleRequestUpdateRoomSettings(socket, data)
+  ); // Async
+  socket.on("request_apply_decoration", (data) =>
+    handleRequestApplyDecoration(socket, data)
+  ); // Async
+  socket.on("request_wired_config", (data) =>
+    handleRequestWiredConfig(socket, data)
+  );
+  socket.on("request_update_wired", (data) =>
+    handleRequestUpdateWired(socket, data)
+  ); // Async
+  socket.on("request_link_teleporter", (data) =>
+    handleRequestLinkTeleporter(socket, data)
+  ); // Async
+  socket.on("request_enter_teleporter", (data) =>
+    handleRequestEnterTeleporter(socket, data)
+  );
+  socket.on("request_modify_room_rights", (data) =>
+    handleRequestModifyRoomRights(socket, data)
   ); // Async
   socket.on("request_all_room_ids", () => handleRequestAllRoomIds(socket));
-  socket.on("request_public_rooms", () => handleRequestPublicRooms(socket));
+  socket.on("request_export_room", (data) =>
+    handleRequestExportRoom(socket, data)
+  ); // Async
+  socket.on("request_import_room", (data) =>
+    handleRequestImportRoom(socket, data)
+  ); // Async
+  socket.on("request_delete_room", (data) =>
+    handleRequestDeleteRoom(socket, data)
+  ); // Async
+  socket.on("request_archived_rooms", () =>
+    handleRequestArchivedRooms(socket)
+  ); // Async
+  socket.on("request_restore_room", (data) =>
+    handleRequestRestoreRoom(socket, data)
+  ); // Async
+  socket.on("request_public_rooms", (data) =>
+    handleRequestPublicRooms(socket, data)
+  );
+  socket.on("request_toggle_favorite_room", (data) =>
+    handleRequestToggleFavoriteRoom(socket, data)
+  ); // Async
   socket.on("request_interact", (data) => handleRequestInteract(socket, data));
   // Trade Listeners
   socket.on("request_trade_initiate", (data) =>
@@ -542,17 +960,21 @@ function handleSendChat(socket, message) {
         break;
       // Appearance
       case "setcolor":
-        if (rawArgs.length === 1) {
-          if (avatar.setBodyColor(rawArgs[0])) updateNeeded = true;
-          else
+        const colorMap = parseSetColorArgs(rawArgs);
+        if (colorMap) {
+          const colorResult = avatar.setLayerColors(colorMap);
+          if (colorResult.changed) updateNeeded = true;
+          else if (colorResult.reason)
             socket.emit("action_failed", {
               action: "setcolor",
-              reason: "Invalid color (#RRGGBB).",
+              reason: colorResult.reason,
             });
         } else {
           socket.emit("action_failed", {
             action: "setcolor",
-            reason: "Usage: /setcolor #RRGGBB",
+            reason: `Usage: /setcolor #RRGGBB, /setcolor <part> #RRGGBB or /setcolor <part>=#RRGGBB ... Parts: ${Object.keys(
+              SHARED_CONFIG.AVATAR_LAYERS
+            ).join(", ")}`,
           });
           broadcastUpdate = false;
         }
@@ -706,11 +1128,15 @@ function handleSendChat(socket, message) {
             );
             const targetSocket = clients[targetAvatarTp.socketId]?.socket;
             if (targetSocket && typeof handleChangeRoom === "function") {
-              handleChangeRoom(targetSocket, {
-                targetRoomId: destRoomIdTp,
-                targetX: targetXTp,
-                targetY: targetYTp,
-              });
+              handleChangeRoom(
+                targetSocket,
+                {
+                  targetRoomId: destRoomIdTp,
+                  targetX: targetXTp,
+                  targetY: targetYTp,
+                },
+                { force: true } // Admin teleport ignores room locks
+              );
               socket.emit("chat_message", {
                 avatarName: "Server",
                 text: `Teleported ${escapeHtml(targetAvatarTp.name)}.`,
@@ -791,9 +1217,12 @@ function handleSendChat(socket, message) {
           });
         break;
       case "givegold":
-        if (rawArgs.length === 2) {
+        if (rawArgs.length === 2 || rawArgs.length === 3) {
           const targetNameGold = rawArgs[0];
           const amountGold = parseInt(rawArgs[1], 10);
+          const currencyGold = getCurrency(
+            rawArgs[2] || SHARED_CONFIG.PRIMARY_CURRENCY_ID
+          );
           const { avatar: targetAvatarGold } =
             findAvatarGlobally(targetNameGold);
 
@@ -807,37 +1236,25 @@ function handleSendChat(socket, message) {
               action: "givegold",
               reason: `Invalid amount.`,
             });
-          else if (targetAvatarGold.addCurrency(amountGold)) {
-            console.log(
-              `ADMIN ACTION: ${avatar.name} gave ${amountGold} Gold to ${targetAvatarGold.name}.`
-            );
-            socket.emit("chat_message", {
-              avatarName: "Server",
-              text: `Gave ${amountGold} Gold to ${escapeHtml(
-                targetAvatarGold.name
-              )}.`,
-              className: "info-msg",
-            });
-            const targetSock = clients[targetAvatarGold.socketId]?.socket;
-            if (targetSock) {
-              targetSock.emit("currency_update", {
-                currency: targetAvatarGold.currency,
-              });
-              targetSock.emit("chat_message", {
-                avatarName: "Server",
-                text: `Admin gave you ${amountGold} Gold!`,
-                className: "server-msg",
-              });
-            }
-          } else
+          else if (!currencyGold)
             socket.emit("action_failed", {
               action: "givegold",
-              reason: `Failed to give (internal?).`,
+              reason: `Unknown currency. Valid: ${SHARED_CONFIG.CURRENCIES.map(
+                (c) => c.id
+              ).join(", ")}`,
             });
+          else
+            giveCurrencyFromAdmin(
+              socket,
+              avatar,
+              targetAvatarGold,
+              currencyGold.id,
+              amountGold
+            ); // Async
         } else
           socket.emit("action_failed", {
             action: "givegold",
-            reason: "Usage: /givegold <user> <amount>",
+            reason: "Usage: /givegold <user> <amount> [currency]",
           });
         break;
       // Default unknown command
@@ -864,7 +1281,143 @@ function handleSendChat(socket, message) {
       isAdmin: avatar.isAdmin,
       className: avatar.isAdmin ? "admin-msg" : "",
     });
+    room.queueWiredEvent({
+      type: "chat_keyword",
+      avatar,
+      text: trimmedMessage,
+    });
+  }
+}
+
+/**
+ * Validates where a wall-mountable item would hang.
+ * @param {ServerRoom} room - The room being built in.
+ * @param {number} gridX - Host tile X (the floor tile in front of the wall).
+ * @param {number} gridY - Host tile Y.
+ * @param {object} data - Client payload with wallSide ('left' | 'right') and wallOffset.
+ * @returns {{valid: boolean, reason?: string, wallSide?: string, wallOffset?: number}}
+ */
+function getWallPlacement(room, gridX, gridY, data) {
+  const wallSide = data.wallSide;
+  if (wallSide !== "left" && wallSide !== "right") {
+    return { valid: false, reason: "Invalid wall side." };
+  }
+  if (!room.isWallEdge(gridX, gridY, wallSide)) {
+    return { valid: false, reason: "This item must be placed on a wall." };
+  }
+  const maxOffset = SHARED_CONFIG.WALL_ITEM_MAX_OFFSET ?? 0.4;
+  const rawOffset = Number(data.wallOffset) || 0;
+  const wallOffset = Math.max(-maxOffset, Math.min(maxOffset, rawOffset));
+  return {
+    valid: true,
+    wallSide,
+    wallOffset: Math.round(wallOffset * 100) / 100,
+  };
+}
+
+/** Extra height a furniture state adds (e.g. a lamp that's switched on). */
+function getStateZOffset(definition, stateId) {
+  const stateDef = getFurnitureStates(definition).find((s) => s.id === stateId);
+  return stateDef?.zOffset || 0;
+}
+
+/**
+ * Runs the placement checks shared by placing, moving and rotating furniture: wall
+ * edges, tile validity, stacking, solid blockers and the stack height limit. Floor
+ * items are checked on every tile of their rotated footprint and rest on its tallest
+ * stack.
+ * @param {ServerRoom} room - The room being built in.
+ * @param {object} definition - Furniture definition of the item.
+ * @param {object} data - Client payload with x, y, rotation (and wallSide/wallOffset);
+ *   `state` picks the state whose zOffset applies (defaults to the definition's).
+ * @param {string|null} [excludeId=null] - Item being moved; ignored in the stacks.
+ * @returns {{valid: boolean, reason?: string, gridX?: number, gridY?: number, rotation?: number, placeZ?: number, wallPlacement?: object|null}}
+ */
+function validateFurniPlacement(room, definition, data, excludeId = null) {
+  const gridX = Math.round(data.x);
+  const gridY = Math.round(data.y);
+  const isWallItem = definition.wallMountable || false;
+  const rotation = isWallItem ? 0 : data.rotation % 8 || 0;
+  let wallPlacement = null;
+  if (isWallItem) {
+    wallPlacement = getWallPlacement(room, gridX, gridY, data);
+    if (!wallPlacement.valid) {
+      return { valid: false, reason: wallPlacement.reason };
+    }
+  }
+  // Wall items only use their host tile; rotation picks nothing for them
+  const occupiedTiles = isWallItem
+    ? [{ x: gridX, y: gridY }]
+    : getFootprintTiles(
+        gridX,
+        gridY,
+        definition.width || 1,
+        definition.height || 1,
+        rotation
+      );
+  for (const tile of occupiedTiles) {
+    if (!room.isValidTile(tile.x, tile.y)) {
+      return {
+        valid: false,
+        reason: `Cannot place on invalid tile (${tile.x},${tile.y}).`,
+      };
+    }
+  }
+  const placeZ = isWallItem
+    ? room.getFloorZ(gridX, gridY) +
+      (definition.wallHeight ?? SHARED_CONFIG.WALL_ITEM_DEFAULT_Z)
+    : room.getFootprintStackHeight(occupiedTiles, excludeId) +
+      (definition.zOffset || 0) +
+      getStateZOffset(definition, data.state ?? definition.defaultState);
+  const itemStackHeight =
+    definition.stackHeight ?? (definition.isFlat ? 0 : 1.0);
+  const itemStackContrib =
+    itemStackHeight * (SHARED_CONFIG.DEFAULT_STACK_HEIGHT ?? 0.5);
+  const itemTopZ = placeZ + (definition.isFlat ? 0 : itemStackContrib);
+  const epsilon = 0.001;
+
+  // Stack limit is measured from each tile's floor, so raised tiles can stack too
+  const lowestFloorZ = Math.min(
+    ...occupiedTiles.map((tile) => room.getFloorZ(tile.x, tile.y))
+  );
+  if (itemTopZ - lowestFloorZ >= SHARED_CONFIG.MAX_STACK_Z - epsilon) {
+    return { valid: false, reason: "Stack height limit reached." };
+  }
+  const excludeIdString = excludeId ? String(excludeId) : null;
+  const getStack = (x, y) =>
+    room
+      .getFurnitureStackAt(x, y)
+      .filter((f) => String(f.id) !== excludeIdString);
+  for (const tile of occupiedTiles) {
+    const baseStackTile = getStack(tile.x, tile.y);
+    const topItemOnThisTile = baseStackTile.sort((a, b) => b.z - a.z)[0];
+    if (
+      !definition.isFlat &&
+      topItemOnThisTile &&
+      !topItemOnThisTile.stackable
+    ) {
+      return {
+        valid: false,
+        reason: `Cannot stack on '${escapeHtml(topItemOnThisTile.name)}'.`,
+      };
+    }
+    // Wall items hang above the floor, so solid furniture doesn't block them
+    if (
+      !isWallItem &&
+      room.isTileOccupiedBySolid(tile.x, tile.y, excludeId)
+    ) {
+      const solidBlocker = baseStackTile.find(
+        (f) => !f.isWalkable && !f.isFlat && !f.stackable
+      );
+      if (solidBlocker) {
+        return {
+          valid: false,
+          reason: `Tile blocked by solid '${escapeHtml(solidBlocker.name)}'.`,
+        };
+      }
+    }
   }
+  return { valid: true, gridX, gridY, rotation, placeZ, wallPlacement };
 }
 
 // --- Place Furniture Handler (ASYNC with improved Rollback Logic) ---
@@ -875,7 +1428,7 @@ async function handleRequestPlaceFurni(socket, data) {
     !(avatar instanceof ServerAvatar) ||
     !room ||
     !data ||
-    !data.definitionId ||
+    data.itemId == null ||
     data.x == null ||
     data.y == null
   ) {
@@ -885,8 +1438,23 @@ async function handleRequestPlaceFurni(socket, data) {
     });
     return;
   }
+  if (avatar.isCheckingOut) {
+    socket.emit("action_failed", {
+      action: "place",
+      reason: "A purchase, trade or market change is still in progress.",
+    });
+    return;
+  }
+  const item = avatar.getItemInstance(data.itemId);
+  if (!item) {
+    socket.emit("action_failed", {
+      action: "place",
+      reason: "You do not have that item.",
+    });
+    return;
+  }
   const definition = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
-    (d) => d.id === data.definitionId
+    (d) => d.id === item.definitionId
   );
   if (!definition) {
     socket.emit("action_failed", {
@@ -895,106 +1463,53 @@ async function handleRequestPlaceFurni(socket, data) {
     });
     return;
   }
+  if (definition.decoration) {
+    socket.emit("action_failed", {
+      action: "place",
+      reason: "Decorations are applied to the room from your inventory.",
+    });
+    return;
+  }
 
-  // --- Validation Phase ---
-  const gridX = Math.round(data.x);
-  const gridY = Math.round(data.y);
-  const rotation = data.rotation % 8 || 0;
-  const placeZ =
-    room.getStackHeightAt(gridX, gridY) + (definition.zOffset || 0);
-  const itemStackHeight =
-    definition.stackHeight ?? (definition.isFlat ? 0 : 1.0);
-  const itemStackContrib =
-    itemStackHeight * (SHARED_CONFIG.DEFAULT_STACK_HEIGHT ?? 0.5);
-  const itemTopZ = placeZ + (definition.isFlat ? 0 : itemStackContrib);
-  const epsilon = 0.001;
-
-  if (!avatar.hasItem(data.definitionId, 1)) {
+  if (!canBuildInRoom(socket, room)) {
     socket.emit("action_failed", {
       action: "place",
-      reason: "You do not have that item.",
+      reason: "You don't have rights in this room.",
     });
     return;
   }
-  if (itemTopZ >= SHARED_CONFIG.MAX_STACK_Z - epsilon) {
+
+  // --- Validation Phase ---
+  const placement = validateFurniPlacement(room, definition, {
+    ...data,
+    state: definition.defaultState, // New items always start in their default state
+  });
+  if (!placement.valid) {
     socket.emit("action_failed", {
       action: "place",
-      reason: `Stack height limit reached.`,
+      reason: placement.reason,
     });
     return;
   }
-  const tempFurniProto = {
-    x: gridX,
-    y: gridY,
-    width: definition.width || 1,
-    height: definition.height || 1,
-    definition: definition,
-  };
-  const occupiedTiles =
-    ServerFurniture.prototype.getOccupiedTiles.call(tempFurniProto);
-  for (const tile of occupiedTiles) {
-    if (!room.isValidTile(tile.x, tile.y)) {
-      socket.emit("action_failed", {
-        action: "place",
-        reason: `Cannot place on invalid tile (${tile.x},${tile.y}).`,
-      });
-      return;
-    }
-    const baseStackTile = room.getFurnitureStackAt(tile.x, tile.y);
-    const topItemOnThisTile = baseStackTile.sort((a, b) => b.z - a.z)[0];
-    if (
-      !definition.isFlat &&
-      topItemOnThisTile &&
-      !topItemOnThisTile.stackable
-    ) {
-      socket.emit("action_failed", {
-        action: "place",
-        reason: `Cannot stack on '${escapeHtml(topItemOnThisTile.name)}'.`,
-      });
-      return;
-    }
-    if (room.isTileOccupiedBySolid(tile.x, tile.y)) {
-      const solidBlocker = baseStackTile.find(
-        (f) => !f.isWalkable && !f.isFlat && !f.stackable
-      );
-      if (solidBlocker) {
-        socket.emit("action_failed", {
-          action: "place",
-          reason: `Tile blocked by solid '${escapeHtml(solidBlocker.name)}'.`,
-        });
-        return;
-      }
-    }
-  }
-  // Check base tile stackability separately (if not flat)
-  if (!definition.isFlat) {
-    const baseStack = room.getFurnitureStackAt(gridX, gridY);
-    const topItemOnBase = baseStack.sort((a, b) => b.z - a.z)[0];
-    if (topItemOnBase && !topItemOnBase.stackable) {
-      socket.emit("action_failed", {
-        action: "place",
-        reason: `Cannot stack on '${escapeHtml(topItemOnBase.name)}'.`,
-      });
-      return;
-    }
-  }
-  // --- End Validation ---
-
-  // --- Transaction Phase (Inventory -> DB -> Memory) ---
-  let savedDocumentId = null;
-  try {
-    // 1. Remove from inventory FIRST
-    if (!avatar.removeItem(data.definitionId, 1)) {
-      throw new Error("Inventory removal failed (item likely gone)."); // Treat as error to prevent DB write
+  const { gridX, gridY, rotation, placeZ, wallPlacement } = placement;
+  // --- End Validation ---
+
+  // --- Transaction Phase (Inventory -> DB -> Memory) ---
+  let savedDocumentId = null;
+  try {
+    // 1. Remove from inventory FIRST
+    if (!avatar.removeItemInstance(item.id)) {
+      throw new Error("Inventory removal failed (item likely gone)."); // Treat as error to prevent DB write
     }
     console.log(
-      `[Inv Remove OK] User ${avatar.name}: Removed 1x ${data.definitionId}`
+      `[Inv Remove OK] User ${avatar.name}: Removed ${item.definitionId} (ID: ${item.id})`
     );
     socket.emit("inventory_update", avatar.getInventoryDTO()); // Optimistic inventory update
 
     try {
-      // 2. Create in Database
+      // 2. Create in Database (the item keeps its ID and color while placed)
       const newFurniData = {
+        _id: item.id,
         roomId: room.id,
         definitionId: definition.id,
         x: gridX,
@@ -1003,7 +1518,10 @@ async function handleRequestPlaceFurni(socket, data) {
         rotation: rotation,
         ownerId: clients[socket.id]?.userId || null,
         state: definition.defaultState,
-        colorOverride: null,
+        colorOverride: item.colorOverride ?? null,
+        wallSide: wallPlacement?.wallSide ?? null,
+        wallOffset: wallPlacement?.wallOffset ?? 0,
+        serial: item.serial ?? null,
       };
       const savedDocument = await Furniture.create(newFurniData);
       if (!savedDocument || !savedDocument._id)
@@ -1023,7 +1541,12 @@ async function handleRequestPlaceFurni(socket, data) {
         savedDocumentId.toString(),
         savedDocument.ownerId,
         savedDocument.state,
-        savedDocument.colorOverride
+        savedDocument.colorOverride,
+        {
+          wallSide: savedDocument.wallSide,
+          wallOffset: savedDocument.wallOffset,
+          serial: savedDocument.serial,
+        }
       );
       room.addFurniture(newFurniInstance);
       console.log(
@@ -1033,21 +1556,31 @@ async function handleRequestPlaceFurni(socket, data) {
       console.log(
         `[Place Success] Broadcasted furni_added for ${newFurniInstance.id}`
       );
+      recordItemHistory({
+        itemId: savedDocumentId,
+        definitionId: definition.id,
+        action: "place",
+        userId: clients[socket.id]?.userId || null,
+        username: avatar.name,
+        roomId: room.id,
+        x: gridX,
+        y: gridY,
+      });
     } catch (dbOrMemError) {
       // DB Create or Memory Add FAILED, need to refund inventory
       console.error(
-        `DB/Mem Error after inventory removal for ${data.definitionId}:`,
+        `DB/Mem Error after inventory removal for ${item.definitionId}:`,
         dbOrMemError
       );
       // Rollback Inventory
-      if (avatar.addItem(data.definitionId, 1)) {
+      if (avatar.addItemInstance(item)) {
         console.log(
-          `[COMPENSATION] Refunded 1x ${data.definitionId} to ${avatar.name}.`
+          `[COMPENSATION] Refunded ${item.definitionId} (ID: ${item.id}) to ${avatar.name}.`
         );
         socket.emit("inventory_update", avatar.getInventoryDTO()); // Send corrected inventory
       } else {
         console.error(
-          `CRITICAL ERROR: Failed to refund item ${data.definitionId} after place failure! User ${avatar.name} lost item.`
+          `CRITICAL ERROR: Failed to refund item ${item.id} after place failure! User ${avatar.name} lost item.`
         );
         // Might need manual intervention or logging for support
       }
@@ -1074,7 +1607,7 @@ async function handleRequestPlaceFurni(socket, data) {
   } catch (inventoryError) {
     // Inventory Remove FAILED (step 1)
     console.error(
-      `Inventory Error placing ${data.definitionId} for ${avatar.name}:`,
+      `Inventory Error placing ${item.definitionId} for ${avatar.name}:`,
       inventoryError.message
     );
     socket.emit("action_failed", {
@@ -1106,42 +1639,94 @@ async function handleRequestRotateFurni(socket, data) {
     });
     return;
   }
-  const clientInfo = clients[socket.id];
-  if (
-    !socket.isAdmin &&
-    furni.ownerId !== null &&
-    String(furni.ownerId) !== clientInfo?.userId
-  ) {
+  if (!canManageFurni(socket, room, furni)) {
     socket.emit("action_failed", {
       action: "rotate",
       reason: "You don't own this.",
     });
     return;
   }
+  if (furni.isWallItem) {
+    socket.emit("action_failed", {
+      action: "rotate",
+      reason: "Wall items can't be rotated.",
+    });
+    return;
+  }
   const oldRotation = furni.rotation;
   const newRotation = rotateDirection(furni.rotation, 2); // Rotate 90 degrees clockwise
   if (oldRotation === newRotation) return; // No change needed
 
+  // A non-square footprint swaps its width and height: the new tiles must be free
+  const update = { rotation: newRotation };
+  if (furni.width !== furni.height) {
+    if (room.isFurnitureOccupied(furniId)) {
+      socket.emit("action_failed", {
+        action: "rotate",
+        reason: "Someone is using it.",
+      });
+      return;
+    }
+    const furniTiles = furni.getOccupiedTiles();
+    const itemOnTop = room.furniture.find(
+      (f) =>
+        String(f.id) !== furniId &&
+        !f.isWallItem &&
+        f.z > furni.z &&
+        f
+          .getOccupiedTiles()
+          .some((t) => furniTiles.some((ft) => ft.x === t.x && ft.y === t.y))
+    );
+    if (itemOnTop) {
+      socket.emit("action_failed", {
+        action: "rotate",
+        reason: `Cannot rotate, '${escapeHtml(itemOnTop.name)}' is on top.`,
+      });
+      return;
+    }
+    const definition = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
+      (d) => d.id === furni.definitionId
+    );
+    const placement = definition
+      ? validateFurniPlacement(
+          room,
+          definition,
+          {
+            x: furni.x,
+            y: furni.y,
+            rotation: newRotation,
+            state: furni.state,
+          },
+          furniId
+        )
+      : { valid: false, reason: "Invalid item definition." };
+    if (!placement.valid) {
+      socket.emit("action_failed", {
+        action: "rotate",
+        reason: placement.reason,
+      });
+      return;
+    }
+    update.z = placement.placeZ; // May now rest on a taller stack
+  }
+
   try {
     // 1. Update DB
     const updatedDoc = await Furniture.findByIdAndUpdate(
       furniId,
-      { $set: { rotation: newRotation } },
+      { $set: update },
       { new: false }
     ); // Find original to confirm existence
     if (!updatedDoc) throw new Error("Doc not found during update.");
 
     // 2. Update Memory
-    furni.rotation = newRotation;
+    Object.assign(furni, update);
 
     // 3. Broadcast Update & Update Seated Avatar Direction
     console.log(
       `[${room.id}] ${avatar.name} rotated ${furni.name} (ID:${furni.id}) to ${furni.rotation}`
     );
-    io.to(room.id).emit("furni_updated", {
-      id: furni.id,
-      rotation: furni.rotation,
-    });
+    io.to(room.id).emit("furni_updated", { id: furni.id, ...update });
 
     Object.values(room.avatars).forEach((obj) => {
       if (
@@ -1168,6 +1753,142 @@ async function handleRequestRotateFurni(socket, data) {
   }
 }
 
+// --- Move Furniture Handler (ASYNC) ---
+// Moves a placed item to a new tile/rotation in one DB update, keeping its ID, state
+// and color. Items with something resting on them can't be moved (like pickup), so
+// the old stack is left as-is and only the moved item's Z is recomputed.
+async function handleRequestMoveFurni(socket, data) {
+  const { avatar, room } = getAvatarAndRoom(socket.id);
+  if (
+    !avatar ||
+    !(avatar instanceof ServerAvatar) ||
+    !room ||
+    !data ||
+    data.furniId == null ||
+    data.x == null ||
+    data.y == null
+  ) {
+    socket.emit("action_failed", {
+      action: "move",
+      reason: "Invalid request data.",
+    });
+    return;
+  }
+  const furniId = String(data.furniId);
+  const furni = room.getFurnitureById(furniId);
+  if (!furni) {
+    socket.emit("action_failed", { action: "move", reason: "Item not found." });
+    return;
+  }
+  if (!canManageFurni(socket, room, furni)) {
+    socket.emit("action_failed", {
+      action: "move",
+      reason: "You don't own this.",
+    });
+    return;
+  }
+  if (room.isFurnitureOccupied(furniId)) {
+    socket.emit("action_failed", {
+      action: "move",
+      reason: "Someone is using it.",
+    });
+    return;
+  }
+  const definition = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
+    (d) => d.id === furni.definitionId
+  );
+  if (!definition) {
+    socket.emit("action_failed", {
+      action: "move",
+      reason: "Invalid item definition.",
+    });
+    return;
+  }
+  if (!furni.isWallItem) {
+    const furniTiles = furni.getOccupiedTiles();
+    const itemOnTop = room.furniture
+      .filter((f) => {
+        if (String(f.id) === furniId || f.isWallItem || f.z <= furni.z)
+          return false;
+        return f
+          .getOccupiedTiles()
+          .some((t) => furniTiles.some((ft) => ft.x === t.x && ft.y === t.y));
+      })
+      .sort((a, b) => a.z - b.z)[0];
+    if (itemOnTop) {
+      socket.emit("action_failed", {
+        action: "move",
+        reason: `Cannot move, '${escapeHtml(itemOnTop.name)}' is on top.`,
+      });
+      return;
+    }
+  }
+
+  const placement = validateFurniPlacement(
+    room,
+    definition,
+    {
+      ...data,
+      rotation: data.rotation ?? furni.rotation,
+      state: furni.state,
+    },
+    furniId
+  );
+  if (!placement.valid) {
+    socket.emit("action_failed", { action: "move", reason: placement.reason });
+    return;
+  }
+  const { gridX, gridY, rotation, placeZ, wallPlacement } = placement;
+  const update = {
+    x: gridX,
+    y: gridY,
+    z: placeZ,
+    rotation,
+    wallSide: wallPlacement?.wallSide ?? null,
+    wallOffset: wallPlacement?.wallOffset ?? 0,
+  };
+  if (
+    furni.x === update.x &&
+    furni.y === update.y &&
+    furni.z === update.z &&
+    furni.rotation === update.rotation &&
+    furni.wallSide === update.wallSide &&
+    furni.wallOffset === update.wallOffset
+  )
+    return; // No change needed
+
+  try {
+    // 1. Update DB
+    const updatedDoc = await Furniture.findByIdAndUpdate(
+      furniId,
+      { $set: update },
+      { new: false }
+    );
+    if (!updatedDoc) throw new Error("Doc not found during update.");
+
+    // 2. Update Memory (the item may have been picked up while the DB write ran)
+    if (room.getFurnitureById(furniId) !== furni) return;
+    Object.assign(furni, update);
+
+    // 3. Broadcast Update
+    console.log(
+      `[${room.id}] ${avatar.name} moved ${furni.name} (ID:${furni.id}) to (${gridX},${gridY}) R:${rotation}`
+    );
+    const dto = { id: furni.id, ...update };
+    if (!furni.isWallItem) {
+      delete dto.wallSide;
+      delete dto.wallOffset;
+    }
+    io.to(room.id).emit("furni_updated", dto);
+  } catch (dbError) {
+    console.error(`DB Error moving furniture ${furniId}:`, dbError);
+    socket.emit("action_failed", {
+      action: "move",
+      reason: "Server error moving item.",
+    });
+  }
+}
+
 // --- Pickup Furniture Handler (ASYNC with improved Rollback Logic) ---
 async function handleRequestPickupFurni(socket, data) {
   const { avatar, room } = getAvatarAndRoom(socket.id);
@@ -1191,11 +1912,7 @@ async function handleRequestPickupFurni(socket, data) {
 
   // --- Validation ---
   const clientInfo = clients[socket.id];
-  if (
-    !socket.isAdmin &&
-    furniInstance.ownerId !== null &&
-    String(furniInstance.ownerId) !== clientInfo?.userId
-  ) {
+  if (!canManageFurni(socket, room, furniInstance)) {
     socket.emit("action_failed", {
       action: "pickup",
       reason: "You don't own this.",
@@ -1203,7 +1920,9 @@ async function handleRequestPickupFurni(socket, data) {
     return;
   }
   const furniTiles = furniInstance.getOccupiedTiles();
+  // Nothing can rest on a wall item
   const itemsOnTop = room.furniture.filter((f) => {
+    if (furniInstance.isWallItem) return false;
     if (String(f.id) === furniId || f.isFlat || f.z <= furniInstance.z)
       return false;
     const fTiles = f.getOccupiedTiles();
@@ -1231,6 +1950,13 @@ async function handleRequestPickupFurni(socket, data) {
   // Store data needed for potential rollback
   const furniDataForRecreation = furniInstance.toDBSaveObject(); // Use existing method
   const definitionIdToRefund = furniInstance.definitionId;
+  // Back into the inventory as the same item (same ID, color and serial)
+  const itemToRefund = {
+    id: furniId,
+    definitionId: definitionIdToRefund,
+    colorOverride: furniInstance.colorOverride,
+    serial: furniInstance.serial,
+  };
 
   try {
     // --- Pickup Transaction (DB Delete -> Memory Remove -> Inventory Add) ---
@@ -1254,6 +1980,19 @@ async function handleRequestPickupFurni(socket, data) {
     }
     console.log(`[DB Delete OK] Room ${room.id}: Deleted furniture ${furniId}`);
 
+    // Picking up either teleporter breaks the link
+    if (furniInstance.teleportLinkId) {
+      furniDataForRecreation.teleportLinkId = null;
+      try {
+        await clearTeleportLinks([furniInstance.teleportLinkId]);
+      } catch (linkError) {
+        console.error(
+          `Failed to unlink teleporter partner of ${furniId}:`,
+          linkError
+        );
+      }
+    }
+
     // 2. Remove from Memory
     const removedInstance = room.removeFurnitureInstance(furniId);
     if (!removedInstance) {
@@ -1270,12 +2009,22 @@ async function handleRequestPickupFurni(socket, data) {
     io.to(room.id).emit("furni_removed", { id: furniId });
 
     // 3. Add to Player Inventory
-    if (avatar.addItem(definitionIdToRefund, 1)) {
+    if (avatar.addItemInstance(itemToRefund)) {
       console.log(
-        `[Inv Add OK] User ${avatar.name}: Added 1x ${definitionIdToRefund}`
+        `[Inv Add OK] User ${avatar.name}: Added ${definitionIdToRefund} (ID: ${furniId})`
       );
       socket.emit("inventory_update", avatar.getInventoryDTO());
       console.log(`[Pickup Success] Completed pickup for ${furniId}`);
+      recordItemHistory({
+        itemId: furniId,
+        definitionId: definitionIdToRefund,
+        action: "pickup",
+        userId: clientInfo?.userId || null,
+        username: avatar.name,
+        roomId: room.id,
+        x: furniInstance.x,
+        y: furniInstance.y,
+      });
     } else {
       // Inventory Add FAILED - Rollback Needed!
       console.error(
@@ -1284,27 +2033,35 @@ async function handleRequestPickupFurni(socket, data) {
       try {
         // Ensure ownerId is correct for re-creation
         furniDataForRecreation.ownerId = clientInfo?.userId || null;
-        // Add _id back for potential recreation with same ID, though create usually generates new
-        // Using create is safer than trying to force an ID with insert.
-        const recreatedDoc = await Furniture.create(furniDataForRecreation);
-        console.log(
-          `[COMPENSATION] Re-created DB document for ${furniId} (New ID: ${recreatedDoc._id}).`
-        );
+        // Same _id, so the item keeps its identity (item history, wired links)
+        const recreatedDoc = await Furniture.create({
+          ...furniDataForRecreation,
+          _id: furniId,
+        });
+        console.log(`[COMPENSATION] Re-created DB document for ${furniId}.`);
 
-        // Add back to memory with NEW ID
         const recreatedInstance = new ServerFurniture(
           recreatedDoc.definitionId,
           recreatedDoc.x,
           recreatedDoc.y,
           recreatedDoc.z,
           recreatedDoc.rotation,
-          recreatedDoc._id.toString(), // Use NEW ID
+          recreatedDoc._id.toString(),
           recreatedDoc.ownerId,
           recreatedDoc.state,
-          recreatedDoc.colorOverride
+          recreatedDoc.colorOverride,
+          {
+            wallSide: recreatedDoc.wallSide,
+            wallOffset: recreatedDoc.wallOffset,
+            wired: {
+              links: recreatedDoc.wiredLinks,
+              settings: recreatedDoc.wiredSettings,
+            },
+            serial: recreatedDoc.serial,
+          }
         );
         room.addFurniture(recreatedInstance);
-        io.to(room.id).emit("furni_added", recreatedInstance.toDTO()); // Broadcast NEW item
+        io.to(room.id).emit("furni_added", recreatedInstance.toDTO());
         console.log(
           `[COMPENSATION] Re-added instance ${recreatedInstance.id} to memory.`
         );
@@ -1354,12 +2111,23 @@ function handleRequestSit(socket, data) {
     socket.emit("action_failed", { action: "sit", reason: "Cannot sit here." });
     return;
   }
-  if (room.isFurnitureOccupied(furniId)) {
+  // Multi-tile seats (sofas) have a spot per tile; prefer the one the player clicked
+  const preferredSeat =
+    Number.isInteger(data.seatX) && Number.isInteger(data.seatY)
+      ? { x: data.seatX, y: data.seatY }
+      : null;
+  const seat = room.findFreeSeat(
+    furni,
+    Math.round(avatar.x),
+    Math.round(avatar.y),
+    preferredSeat
+  );
+  if (!seat) {
     socket.emit("action_failed", { action: "sit", reason: "Seat occupied." });
     return;
   }
 
-  const interactionSpot = furni.getInteractionTile();
+  const interactionSpot = furni.getInteractionTile(seat);
 
   // Check if the INTERACTION SPOT itself is walkable (not necessarily the furniture spot)
   if (!room.isWalkable(interactionSpot.x, interactionSpot.y)) {
@@ -1395,11 +2163,16 @@ function handleRequestSit(socket, data) {
 
   const currentX = Math.round(avatar.x);
   const currentY = Math.round(avatar.y);
-  const sitAction = { type: "sit", targetId: furniId }; // targetId is the furni DB ID
+  const sitAction = {
+    type: "sit",
+    targetId: furniId, // targetId is the furni DB ID
+    seatX: seat.x,
+    seatY: seat.y,
+  };
 
   if (currentX === interactionSpot.x && currentY === interactionSpot.y) {
     // Already at interaction spot, sit immediately
-    if (avatar.executeSit(furni, room)) {
+    if (avatar.executeSit(furni, room, seat)) {
       io.to(room.id).emit("avatar_update", avatar.toDTO());
     } else {
       socket.emit("action_failed", { action: "sit", reason: "Failed to sit." });
@@ -1492,6 +2265,60 @@ function handleRequestProfile(socket, data) {
   }
 }
 
+// --- Furniture Info Handler (ASYNC) ---
+async function handleRequestFurniInfo(socket, data) {
+  const { avatar, room } = getAvatarAndRoom(socket.id);
+  if (
+    !avatar ||
+    !(avatar instanceof ServerAvatar) ||
+    !room ||
+    !data ||
+    data.furniId == null
+  )
+    return;
+  const furni = room.getFurnitureById(String(data.furniId));
+  if (!furni) {
+    socket.emit("action_failed", {
+      action: "furni_info",
+      reason: "Item not found.",
+    });
+    return;
+  }
+
+  try {
+    const [doc, owner] = await Promise.all([
+      Furniture.findById(furni.id, "createdAt").lean(),
+      furni.ownerId ? User.findById(furni.ownerId, "username").lean() : null,
+    ]);
+    const info = {
+      id: furni.id,
+      definitionId: furni.definitionId,
+      name: furni.name,
+      ownerName: owner?.username || null,
+      placedAt: doc?.createdAt || null,
+      state: furni.state ?? null,
+    };
+    if (furni.serial !== null) {
+      const definition = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
+        (d) => d.id === furni.definitionId
+      );
+      info.serial = furni.serial;
+      info.supply = definition?.limited?.supply ?? null;
+    }
+    // Ownership trail is for moderation only
+    if (socket.isAdmin) {
+      info.history = await getItemHistory(furni.id);
+    }
+    socket.emit("furni_info", info);
+  } catch (error) {
+    console.error(`Error loading info for furniture ${furni.id}:`, error);
+    socket.emit("action_failed", {
+      action: "furni_info",
+      reason: "Server error loading item info.",
+    });
+  }
+}
+
 // --- Use Furniture Handler (ASYNC) ---
 async function handleRequestUseFurni(socket, data) {
   const { avatar, room } = getAvatarAndRoom(socket.id);
@@ -1516,6 +2343,21 @@ async function handleRequestUseFurni(socket, data) {
     socket.emit("action_failed", { action: "use", reason: "Cannot use this." });
     return;
   }
+  // Optional: jump straight to a state instead of cycling
+  const targetState = data.state != null ? String(data.state) : null;
+  if (targetState !== null) {
+    if (furni.stateMode === "random") {
+      socket.emit("action_failed", {
+        action: "use",
+        reason: "This item can't be set to a state.",
+      });
+      return;
+    }
+    if (!furni.getStateDefinition(targetState)) {
+      socket.emit("action_failed", { action: "use", reason: "Unknown state." });
+      return;
+    }
+  }
 
   // TODO: Add distance check? Player needs to be adjacent?
   // const interactionSpot = furni.getInteractionTile();
@@ -1526,7 +2368,14 @@ async function handleRequestUseFurni(socket, data) {
   //    return;
   // }
 
-  const useResult = furni.use(avatar, room); // Call the furniture's use method
+  const oldState = furni.state;
+  const oldZ = furni.z;
+  const useResult = furni.use(avatar, room, targetState); // Call the furniture's use method
+  if (useResult.reason) {
+    socket.emit("action_failed", { action: "use", reason: useResult.reason });
+    return;
+  }
+  room.queueWiredEvent({ type: "item_used", avatar, furniId });
 
   if (useResult.changed && useResult.updatePayload) {
     try {
@@ -1548,15 +2397,32 @@ async function handleRequestUseFurni(socket, data) {
         id: furni.id,
         ...useResult.updatePayload,
       });
+
+      // Seated avatars follow the new seat height
+      Object.values(room.avatars).forEach((obj) => {
+        if (
+          obj instanceof ServerAvatar &&
+          String(obj.sittingOnFurniId) === furniId
+        ) {
+          const seatZ = furni.z + furni.sitHeightOffset;
+          if (Math.abs(obj.z - seatZ) > 0.001) {
+            obj.z = seatZ;
+            io.to(room.id).emit("avatar_update", {
+              id: String(obj.id),
+              z: obj.z,
+            });
+          }
+        }
+      });
     } catch (dbError) {
       console.error(`DB Error using furniture ${furniId}:`, dbError);
       socket.emit("action_failed", {
         action: "use",
         reason: "Server error using item.",
       });
-      // Rollback memory state?
-      // furni.state = oldState; // Need to store old state before calling furni.use
-      // furni.z = oldZ;
+      furni.state = oldState; // Roll back memory to match the DB
+      furni.applyStateProperties();
+      furni.z = oldZ;
     }
   } else {
     // No change occurred, maybe send specific feedback?
@@ -1573,7 +2439,7 @@ async function handleRequestRecolorFurni(socket, data) {
     !room ||
     !data ||
     data.furniId == null ||
-    data.colorHex === undefined
+    (data.colorHex === undefined && data.colors === undefined)
   ) {
     socket.emit("action_failed", {
       action: "recolor",
@@ -1581,6 +2447,13 @@ async function handleRequestRecolorFurni(socket, data) {
     });
     return;
   }
+  if (avatar.isCheckingOut) {
+    socket.emit("action_failed", {
+      action: "recolor",
+      reason: "A purchase, trade or market change is still in progress.",
+    });
+    return;
+  }
 
   const furniId = String(data.furniId);
   const furni = room.getFurnitureById(furniId);
@@ -1593,12 +2466,7 @@ async function handleRequestRecolorFurni(socket, data) {
     return;
   }
 
-  const clientInfo = clients[socket.id];
-  if (
-    !socket.isAdmin &&
-    furni.ownerId !== null &&
-    String(furni.ownerId) !== clientInfo?.userId
-  ) {
+  if (!canManageFurni(socket, room, furni)) {
     socket.emit("action_failed", {
       action: "recolor",
       reason: "You don't own this.",
@@ -1613,32 +2481,23 @@ async function handleRequestRecolorFurni(socket, data) {
     return;
   }
 
-  const targetColor = data.colorHex;
-  const upperTargetColor =
-    typeof targetColor === "string" && targetColor !== ""
-      ? targetColor.toUpperCase()
+  // A layer color map recolors single parts; a hex string (or "") the whole item
+  const targetColors =
+    data.colors !== undefined
+      ? data.colors
+      : typeof data.colorHex === "string"
+      ? data.colorHex
       : null;
-
-  // Validate color
-  if (
-    upperTargetColor !== null &&
-    !SHARED_CONFIG.VALID_RECOLOR_HEX.includes(upperTargetColor)
-  ) {
+  const originalColor = furni.colorOverride;
+  const recolorResult = furni.setColorOverride(targetColors); // Validates against the item's palette, updates memory
+  if (recolorResult.reason) {
     socket.emit("action_failed", {
       action: "recolor",
-      reason: `Invalid color: ${escapeHtml(targetColor)}`,
+      reason: escapeHtml(recolorResult.reason),
     });
     return;
   }
 
-  // Check if color is actually changing
-  if (furni.colorOverride === upperTargetColor) {
-    // socket.emit("action_failed", { action: "recolor", reason: "Color is already set to that." });
-    return; // No need to update if color is the same
-  }
-
-  const recolorResult = furni.setColorOverride(upperTargetColor); // Update memory first
-
   if (recolorResult.changed && recolorResult.updatePayload) {
     try {
       // Update DB
@@ -1651,7 +2510,9 @@ async function handleRequestRecolorFurni(socket, data) {
         throw new Error("Doc not found during 'recolor' update.");
 
       // Broadcast update
-      const displayColor = furni.colorOverride || "default";
+      const displayColor = furni.colorOverride
+        ? JSON.stringify(furni.colorOverride)
+        : "default";
       console.log(
         `[${room.id}] ${avatar.name} recolored ${furni.name} (ID:${furni.id}) to ${displayColor}`
       );
@@ -1665,92 +2526,724 @@ async function handleRequestRecolorFurni(socket, data) {
         action: "recolor",
         reason: "Server error recoloring.",
       });
-      // Rollback memory state?
-      // furni.setColorOverride(originalColor); // Need to store original color
+      furni.colorOverride = originalColor; // Roll back memory to match the DB
     }
   }
   // No need for 'else' - if no change needed, we already returned.
 }
 
-// --- Buy Item Handler ---
+// --- Shop Purchase Handlers ---
 function handleRequestBuyItem(socket, data) {
+  return processShopPurchase(
+    socket,
+    [{ offerId: data?.offerId, quantity: 1 }],
+    "buy"
+  );
+}
+
+function handleRequestCheckout(socket, data) {
+  return processShopPurchase(socket, data?.lines, "checkout");
+}
+
+/**
+ * Buys one or more shop offers ("cart lines") for a player. Prices, limited-edition
+ * serials and the new item instances are worked out first; the charge and the new
+ * items are then written as deltas in one DB transaction and only applied in memory
+ * once it commits, so a crash mid-purchase can't charge without delivering (or
+ * deliver without charging), and nothing written meanwhile is overwritten.
+ * @param {import('socket.io').Socket} socket - The buyer's socket.
+ * @param {Array<{offerId: string, quantity?: number}>} requestedLines - Offers to buy.
+ * @param {string} action - Action name for 'action_failed' ('buy' or 'checkout').
+ */
+async function processShopPurchase(socket, requestedLines, action) {
+  const fail = (reason) => socket.emit("action_failed", { action, reason });
   const { avatar } = getAvatarAndRoom(socket.id);
-  if (!avatar || !(avatar instanceof ServerAvatar) || !data || !data.itemId) {
-    socket.emit("action_failed", { action: "buy", reason: "Invalid request." });
+  const userId = clients[socket.id]?.userId;
+  if (
+    !avatar ||
+    !(avatar instanceof ServerAvatar) ||
+    !userId ||
+    !Array.isArray(requestedLines) ||
+    requestedLines.length === 0
+  ) {
+    fail("Invalid request.");
     return;
   }
-
-  const itemId = data.itemId;
-  const shopEntry = SHARED_CONFIG.SHOP_CATALOG.find(
-    (entry) => entry.itemId === itemId
-  );
-  if (!shopEntry) {
-    socket.emit("action_failed", {
-      action: "buy",
-      reason: "Item not for sale.",
-    });
+  if (avatar.isCheckingOut) {
+    fail("A purchase or trade is already in progress.");
     return;
   }
-
-  const definition = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
-    (def) => def.id === itemId
-  );
-  if (!definition) {
-    console.error(`Shop Error: Item ${itemId} in catalog but not defs!`);
-    socket.emit("action_failed", {
-      action: "buy",
-      reason: "Shop configuration error.",
-    });
+  if (requestedLines.length > SERVER_CONFIG.MAX_CHECKOUT_LINES) {
+    fail(
+      `You can buy at most ${SERVER_CONFIG.MAX_CHECKOUT_LINES} offers at once.`
+    );
     return;
   }
 
-  const price = shopEntry.price;
-  if (avatar.currency < price) {
-    socket.emit("action_failed", {
-      action: "buy",
-      reason: `Insufficient gold (Need ${price} Coins).`,
-    });
+  // --- Validate the cart against the live catalog ---
+  const quantities = new Map(); // offerId -> quantity (repeated offers are merged)
+  for (const line of requestedLines) {
+    const quantity = line?.quantity ?? 1;
+    if (!line?.offerId || !Number.isInteger(quantity) || quantity < 1) {
+      fail("Invalid request.");
+      return;
+    }
+    const offerId = String(line.offerId);
+    quantities.set(offerId, (quantities.get(offerId) || 0) + quantity);
+  }
+  const lines = [];
+  const totals = new Map(); // currencyId -> amount owed
+  let itemCount = 0;
+  for (const [offerId, quantity] of quantities) {
+    const offer = getShopOffer(offerId);
+    if (!offer) {
+      fail("Item not for sale.");
+      return;
+    }
+    const contents = offer.items.map((item) => ({
+      ...item,
+      definition: SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
+        (def) => def.id === item.definitionId
+      ),
+    }));
+    if (contents.some((item) => !item.definition)) {
+      console.error(`Shop Error: Offer ${offer.offerId} has unknown items!`);
+      fail("Shop configuration error.");
+      return;
+    }
+    // Limited editions are always sold alone (see normalizeShopOffer)
+    const limitedDef =
+      contents.length === 1 && isLimited(contents[0].definition)
+        ? contents[0].definition
+        : null;
+    if (limitedDef) {
+      const saleError = getSaleWindowError(limitedDef);
+      if (saleError) {
+        fail(saleError);
+        return;
+      }
+    }
+    const { price } = getOfferPrice(offer); // Live price, including any running sale
+    totals.set(
+      offer.currencyId,
+      (totals.get(offer.currencyId) || 0) + price * quantity
+    );
+    itemCount += quantity * contents.reduce((sum, i) => sum + i.quantity, 0);
+    lines.push({ offer, contents, quantity, limitedDef, serials: [] });
+  }
+  if (itemCount > SERVER_CONFIG.MAX_CHECKOUT_ITEMS) {
+    fail(
+      `You can buy at most ${SERVER_CONFIG.MAX_CHECKOUT_ITEMS} items at once.`
+    );
     return;
   }
-
-  // --- Transaction: Remove Currency -> Add Item ---
-  if (avatar.removeCurrency(price)) {
-    if (avatar.addItem(itemId, 1)) {
-      // Success Case
-      console.log(
-        `${avatar.name} bought ${definition.name} for ${price} coins.`
-      );
-      socket.emit("currency_update", { currency: avatar.currency });
-      socket.emit("inventory_update", avatar.getInventoryDTO());
+  // Reason the player can't pay every currency in the cart, or null
+  const getShortfall = () => {
+    for (const [currencyId, total] of totals) {
+      if (avatar.getBalance(currencyId) < total) {
+        const { name } = getCurrency(currencyId);
+        return `Insufficient ${name} (Need ${formatCurrency(total, currencyId)}).`;
+      }
+    }
+    return null;
+  };
+  const shortfall = getShortfall();
+  if (shortfall) {
+    fail(shortfall);
+    return;
+  }
+
+  avatar.isCheckingOut = true;
+  const claimedSerials = []; // { definitionId, serial }, given back unless committed
+  let committed = false;
+  try {
+    // 1. Limited editions: claim serials before anything is charged
+    for (const line of lines.filter((l) => l.limitedDef)) {
+      for (let n = 0; n < line.quantity; n++) {
+        const serial = await claimSerial(line.limitedDef);
+        if (serial === null) {
+          fail(`${escapeHtml(line.limitedDef.name)} is sold out.`);
+          emitShopStock(io, line.limitedDef.id);
+          return;
+        }
+        claimedSerials.push({ definitionId: line.limitedDef.id, serial });
+        line.serials.push(serial);
+      }
+    }
+    // The player may have left or spent their coins while we waited on the DB
+    if (!clients[socket.id]) return;
+    const lateShortfall = getShortfall();
+    if (lateShortfall) {
+      fail(lateShortfall);
+      return;
+    }
+
+    // 2. New item instances (IDs made here so the DB and memory agree)
+    const boughtItems = [];
+    lines.forEach((line) => {
+      for (let n = 0; n < line.quantity; n++) {
+        line.contents.forEach((item) => {
+          for (let i = 0; i < item.quantity; i++) {
+            boughtItems.push({
+              id: new mongoose.Types.ObjectId().toString(),
+              definitionId: item.definitionId,
+              colorOverride: null,
+              serial: line.limitedDef ? line.serials[n] : null,
+            });
+          }
+        });
+      }
+    });
+
+    const describeLine = (line) => {
+      const { definition } = line.contents[0];
+      if (line.limitedDef) {
+        return `${definition.name} ${line.serials
+          .map((serial) => `#${serial}`)
+          .join(", ")} / ${line.limitedDef.limited.supply}`;
+      }
+      if (line.offer.name) return `${line.quantity}x ${line.offer.name}`;
+      return line.contents
+        .map(
+          (item) => `${line.quantity * item.quantity}x ${item.definition.name}`
+        )
+        .join(", ");
+    };
+    const summary = lines.map(describeLine).join(", ");
+    const priceText = [...totals]
+      .map(([currencyId, total]) => formatCurrency(total, currencyId))
+      .join(" + ");
+
+    // 3. Charge each currency and add the items as deltas; the filter refuses
+    // to take a balance below zero
+    const filter = { _id: userId };
+    const $inc = {};
+    totals.forEach((total, currencyId) => {
+      const field = getBalanceField(currencyId);
+      filter[field] = { $gte: total };
+      $inc[field] = -total;
+    });
+    const $push = {
+      inventory: {
+        $each: boughtItems.map((item) => ({
+          _id: item.id,
+          definitionId: item.definitionId,
+          colorOverride: item.colorOverride,
+          serial: item.serial,
+        })),
+      },
+    };
+    let updated = null;
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+      updated = await User.findOneAndUpdate(
+        filter,
+        { $inc, $push },
+        { new: true, projection: { currency: 1, balances: 1 }, session }
+      ).lean();
+      if (updated) {
+        // One ledger entry per currency paid with, at the balance just written
+        const ledgerEntries = [...totals].map(([currencyId, total]) => {
+          const paidLines = lines.filter(
+            (line) => line.offer.currencyId === currencyId
+          );
+          return {
+            userId,
+            username: avatar.name,
+            currencyId,
+            amount: -total,
+            balance: getUserBalance(updated, currencyId),
+            source: "shop",
+            reference: paidLines.map((line) => line.offer.offerId).join(","),
+            description: `Bought ${paidLines.map(describeLine).join(", ")}`,
+          };
+        });
+        await appendLedgerEntries(ledgerEntries, session);
+        await session.commitTransaction();
+      } else {
+        await session.abortTransaction();
+      }
+    } catch (txError) {
+      await session.abortTransaction();
+      throw txError;
+    } finally {
+      await session.endSession();
+    }
+    if (!updated) {
+      fail("Insufficient funds; you were not charged.");
+      return;
+    }
+    committed = true;
+
+    // 4. Mirror the committed purchase in memory
+    totals.forEach((total, currencyId) =>
+      avatar.changeBalance(currencyId, -total)
+    );
+    boughtItems.forEach((item) => avatar.addItemInstance(item));
+
+    console.log(`${avatar.name} bought ${summary} for ${priceText}.`);
+    socket.emit("currency_update", avatar.getCurrencyDTO());
+    socket.emit("inventory_update", avatar.getInventoryDTO());
+    socket.emit("chat_message", {
+      avatarName: "Server",
+      text: `You bought ${escapeHtml(summary)}!`,
+      className: "info-msg",
+    });
+    if (action === "checkout") {
+      socket.emit("checkout_complete", {
+        totals: Object.fromEntries(totals),
+        itemCount,
+      });
+    }
+    recordItemHistory(
+      boughtItems.map((item) => ({
+        itemId: item.id,
+        definitionId: item.definitionId,
+        action: "buy",
+        userId,
+        username: avatar.name,
+      }))
+    );
+    lines
+      .filter((line) => line.limitedDef)
+      .forEach((line) => emitShopStock(io, line.limitedDef.id));
+  } catch (error) {
+    console.error(`Shop purchase failed for ${avatar.name}:`, error);
+    fail("Purchase failed; you were not charged.");
+  } finally {
+    avatar.isCheckingOut = false;
+    if (!committed) {
+      // Newest first, so each one is still the counter's latest serial
+      for (const { definitionId, serial } of claimedSerials.reverse()) {
+        await releaseSerial(definitionId, serial).catch(() => {});
+      }
+    }
+  }
+}
+
+/**
+ * Sends limited-edition stock counts to one socket or everyone.
+ * @param {import('socket.io').Server | import('socket.io').Socket} target - io to broadcast, or a socket.
+ * @param {string} [definitionId] - Only this item (default: all limited shop items).
+ */
+async function emitShopStock(target, definitionId = null) {
+  try {
+    const stock = await getLimitedStock(
+      definitionId ? [definitionId] : getShopDefinitionIds()
+    );
+    if (Object.keys(stock).length > 0) target.emit("shop_stock", stock);
+  } catch (dbError) {
+    console.error("DB Error loading shop stock:", dbError);
+  }
+}
+
+function handleRequestShopStock(socket) {
+  if (!clients[socket.id]) return;
+  emitShopStock(socket);
+}
+
+function handleRequestShopCatalog(socket) {
+  if (!clients[socket.id]) return;
+  socket.emit("shop_catalog", getShopCatalogDTO());
+}
+
+// --- Admin Currency Gifts (ASYNC) ---
+/**
+ * Handles /givegold once its arguments are checked: the gift and its ledger
+ * entry are written first, then mirrored on the target's avatar.
+ * @param {import('socket.io').Socket} socket - The admin's socket.
+ * @param {ServerAvatar} admin
+ * @param {ServerAvatar} target - An online player.
+ * @param {string} currencyId
+ * @param {number} amount - Positive whole amount.
+ */
+async function giveCurrencyFromAdmin(
+  socket,
+  admin,
+  target,
+  currencyId,
+  amount
+) {
+  const fail = (reason) =>
+    socket.emit("action_failed", { action: "givegold", reason });
+  const userId = clients[target.socketId]?.userId;
+  if (!userId) {
+    fail(`Player '${escapeHtml(target.name)}' not found.`);
+    return;
+  }
+  let balance;
+  try {
+    balance = await applyCurrencyChange({
+      userId,
+      username: target.name,
+      currencyId,
+      amount,
+      source: "admin",
+      reference: admin.name,
+      description: "Gift from an admin",
+    });
+  } catch (dbError) {
+    console.error(`DB Error giving currency to ${target.name}:`, dbError);
+    fail("Server error giving currency.");
+    return;
+  }
+  if (balance === null) {
+    fail(`Player '${escapeHtml(target.name)}' not found in the database.`);
+    return;
+  }
+  target.changeBalance(currencyId, amount);
+  const amountText = formatCurrency(amount, currencyId);
+  console.log(
+    `ADMIN ACTION: ${admin.name} gave ${amountText} to ${target.name}.`
+  );
+  socket.emit("chat_message", {
+    avatarName: "Server",
+    text: `Gave ${amountText} to ${escapeHtml(target.name)}.`,
+    className: "info-msg",
+  });
+  const targetSock = clients[target.socketId]?.socket;
+  if (targetSock) {
+    targetSock.emit("currency_update", target.getCurrencyDTO());
+    targetSock.emit("chat_message", {
+      avatarName: "Server",
+      text: `Admin gave you ${amountText}!`,
+      className: "server-msg",
+    });
+  }
+}
+
+// --- Activity Rewards ---
+/**
+ * Tells a player about rewards just paid to them (see lib/activity_rewards.js).
+ * @param {import('socket.io').Socket} socket
+ * @param {ServerAvatar} avatar
+ * @param {object[]} payouts - { currencyId, amount, label } per reward paid.
+ */
+function notifyActivityRewards(socket, avatar, payouts) {
+  if (!socket || payouts.length === 0) return;
+  socket.emit("currency_update", avatar.getCurrencyDTO());
+  payouts.forEach((payout) => {
+    socket.emit("chat_message", {
+      avatarName: "Server",
+      text: `${escapeHtml(payout.label)}: you earned ${formatCurrency(
+        payout.amount,
+        payout.currencyId
+      )}!`,
+      className: "info-msg",
+    });
+  });
+}
+
+/**
+ * Pays online-time rewards to every connected player. Called from the game tick.
+ * @param {number} deltaMs - Time since the previous tick.
+ */
+function tickActivityRewards(deltaMs) {
+  Object.values(clients).forEach((clientInfo) => {
+    if (!clientInfo?.userId || clientInfo.avatarId == null) return;
+    const { avatar } = getAvatarAndRoom(clientInfo.socket.id);
+    if (!(avatar instanceof ServerAvatar)) return;
+    payOnlineRewards(avatar, String(clientInfo.userId), deltaMs).then(
+      (payouts) => notifyActivityRewards(clientInfo.socket, avatar, payouts)
+    ); // Async
+  });
+}
+
+// --- Wallet History Handler (ASYNC) ---
+async function handleRequestWalletHistory(socket) {
+  const userId = clients[socket.id]?.userId;
+  if (!userId) return;
+  try {
+    const entries = await getWalletHistory(userId);
+    socket.emit("wallet_history", { entries });
+  } catch (dbError) {
+    console.error(`DB Error loading wallet history for ${userId}:`, dbError);
+    socket.emit("action_failed", {
+      action: "wallet_history",
+      reason: "Server error loading wallet history.",
+    });
+  }
+}
+
+// --- Marketplace Handlers (ASYNC) ---
+/** The player as lib/marketplace.js identifies them. */
+function getMarketAccount(avatar, userId) {
+  return { userId, name: avatar.name };
+}
+
+/** Display name of a listed item, e.g. "Wooden Chair #12" for limited editions. */
+function describeMarketItem(item) {
+  const definition = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
+    (def) => def.id === item.definitionId
+  );
+  const name = definition?.name || item.definitionId;
+  return item.serial != null ? `${name} #${item.serial}` : name;
+}
+
+/**
+ * Runs one marketplace change for a player. The avatar is busy while it runs
+ * (see ServerAvatar.isCheckingOut), so memory is only changed by the change's
+ * own result once its transaction has committed.
+ * @param {import('socket.io').Socket} socket
+ * @param {string} action - Action name for 'action_failed'.
+ * @param {Function} change - async (avatar, userId); errors are shown to the player.
+ */
+async function runMarketAction(socket, action, change) {
+  const fail = (reason) => socket.emit("action_failed", { action, reason });
+  const { avatar } = getAvatarAndRoom(socket.id);
+  const userId = clients[socket.id]?.userId;
+  if (!avatar || !(avatar instanceof ServerAvatar) || !userId) {
+    fail("Invalid request.");
+    return;
+  }
+  if (avatar.isCheckingOut) {
+    fail("Another purchase or market change is still in progress.");
+    return;
+  }
+  avatar.isCheckingOut = true;
+  try {
+    await change(avatar, String(userId));
+  } catch (error) {
+    console.error(`Market ${action} failed for ${avatar.name}:`, error.message);
+    fail(error.message || "Marketplace error; nothing was changed.");
+  } finally {
+    avatar.isCheckingOut = false;
+  }
+}
+
+/** Sends the market panel contents to one player. */
+async function emitMarketListings(socket, userId, search = "") {
+  try {
+    socket.emit("market_listings", await getMarketListings(userId, search));
+  } catch (dbError) {
+    console.error("DB Error loading market listings:", dbError);
+    socket.emit("action_failed", {
+      action: "market_listings",
+      reason: "Server error loading the market.",
+    });
+  }
+}
+
+/**
+ * Pays an online player for their sold listings and gives back expired items.
+ * Skipped while the player is busy; it runs again on their next login or when
+ * they open the market.
+ * @param {import('socket.io').Socket} socket - The seller's socket.
+ */
+async function settleMarketForPlayer(socket) {
+  const { avatar } = getAvatarAndRoom(socket.id);
+  const userId = clients[socket.id]?.userId;
+  if (!(avatar instanceof ServerAvatar) || !userId || avatar.isCheckingOut) {
+    return;
+  }
+  avatar.isCheckingOut = true;
+  try {
+    const result = await settleMarketAccount(
+      getMarketAccount(avatar, String(userId))
+    );
+    if (!result) return;
+    Object.entries(result.proceeds).forEach(([currencyId, amount]) =>
+      avatar.changeBalance(currencyId, amount)
+    );
+    result.returnedItems.forEach((item) => avatar.addItemInstance(item));
+    socket.emit("currency_update", avatar.getCurrencyDTO());
+    socket.emit("inventory_update", avatar.getInventoryDTO());
+    result.sold.forEach((listing) => {
       socket.emit("chat_message", {
         avatarName: "Server",
-        text: `You bought 1x ${escapeHtml(definition.name)}!`,
+        text: `Market: ${escapeHtml(
+          listing.buyerName || "Someone"
+        )} bought your ${escapeHtml(
+          describeMarketItem(listing.item)
+        )}. You got ${formatCurrency(
+          listing.price - listing.fee,
+          listing.currencyId
+        )} after the fee.`,
         className: "info-msg",
       });
-    } else {
-      // Failed inventory add, REFUND currency
-      console.error(
-        `Buy Error: Failed add item ${itemId} AFTER taking currency. Refunding.`
-      );
-      avatar.addCurrency(price); // Add currency back
-      socket.emit("action_failed", {
-        action: "buy",
-        reason: "Inventory error (refunded).",
+    });
+    if (result.expired.length > 0) {
+      socket.emit("chat_message", {
+        avatarName: "Server",
+        text: `Market: ${result.expired.length} unsold item(s) expired and went back to your inventory.`,
+        className: "info-msg",
       });
-      socket.emit("currency_update", { currency: avatar.currency }); // Send updated (refunded) currency
     }
-  } else {
-    // Failed currency removal (should be rare if check passed, but handle defensively)
-    console.error(`Buy Error: Failed remove currency ${price}.`);
+    console.log(
+      `Market: settled ${result.sold.length} sale(s) and ${result.expired.length} expired listing(s) for ${avatar.name}.`
+    );
+  } catch (error) {
+    console.error(
+      `Market settlement failed for ${avatar.name}:`,
+      error.message
+    );
+  } finally {
+    avatar.isCheckingOut = false;
+  }
+}
+
+async function handleRequestMarketListings(socket, data) {
+  const userId = clients[socket.id]?.userId;
+  if (!userId) return;
+  await settleMarketForPlayer(socket);
+  const search = typeof data?.search === "string" ? data.search : "";
+  await emitMarketListings(socket, String(userId), search.slice(0, 50));
+}
+
+async function handleRequestMarketListItem(socket, data) {
+  await runMarketAction(socket, "market_list_item", async (avatar, userId) => {
+    const itemId = data?.itemId != null ? String(data.itemId) : null;
+    const item = itemId ? avatar.getItemInstance(itemId) : null;
+    if (!item) throw new Error("You don't have that item.");
+    const trade = findTradeBySocketId(socket.id);
+    const tradeSide = trade?.p1.socketId === socket.id ? trade?.p1 : trade?.p2;
+    if (tradeSide?.offer.items.some((offered) => offered.id === item.id)) {
+      throw new Error("Remove that item from your trade offer first.");
+    }
+    const currencyId = data.currencyId || SHARED_CONFIG.PRIMARY_CURRENCY_ID;
+    // Out of memory before the await, so nothing else can place or spend it
+    if (!avatar.removeItemInstance(item.id)) {
+      throw new Error("You don't have that item.");
+    }
+    let listing;
+    try {
+      listing = await createListing(
+        getMarketAccount(avatar, userId),
+        item,
+        Number(data.price),
+        currencyId
+      );
+    } catch (error) {
+      avatar.addItemInstance(item);
+      throw error;
+    }
+    console.log(
+      `Market: ${avatar.name} listed ${describeMarketItem(
+        item
+      )} for ${formatCurrency(listing.price, listing.currencyId)}.`
+    );
+    socket.emit("inventory_update", avatar.getInventoryDTO());
+    socket.emit("chat_message", {
+      avatarName: "Server",
+      text: `Market: listed ${escapeHtml(
+        describeMarketItem(item)
+      )} for ${formatCurrency(listing.price, listing.currencyId)}.`,
+      className: "info-msg",
+    });
+    emitMarketListings(socket, userId);
+    socket.broadcast.emit("market_changed");
+  });
+}
+
+async function handleRequestMarketBuy(socket, data) {
+  await runMarketAction(socket, "market_buy", async (avatar, userId) => {
+    const listingId = data?.listingId != null ? String(data.listingId) : "";
+    const { listing, item, sellerId } = await buyListing(
+      getMarketAccount(avatar, userId),
+      listingId
+    );
+    avatar.changeBalance(listing.currencyId, -listing.price);
+    avatar.addItemInstance(item);
+    const itemName = describeMarketItem(item);
+    const priceText = formatCurrency(listing.price, listing.currencyId);
+    console.log(
+      `Market: ${avatar.name} bought ${itemName} from ${listing.sellerName} for ${priceText}.`
+    );
+    socket.emit("currency_update", avatar.getCurrencyDTO());
+    socket.emit("inventory_update", avatar.getInventoryDTO());
+    socket.emit("chat_message", {
+      avatarName: "Server",
+      text: `Market: you bought ${escapeHtml(itemName)} for ${priceText}!`,
+      className: "info-msg",
+    });
+    emitMarketListings(socket, userId);
+    socket.broadcast.emit("market_changed");
+    recordItemHistory({
+      itemId: item.id,
+      definitionId: item.definitionId,
+      action: "market",
+      userId,
+      username: avatar.name,
+      otherUserId: sellerId,
+      otherUsername: listing.sellerName,
+    });
+
+    // Pay the seller now if they are online (otherwise on their next login)
+    const seller = Object.values(clients).find(
+      (client) =>
+        client?.socket &&
+        client.avatarId != null &&
+        String(client.userId) === sellerId
+    );
+    if (seller) settleMarketForPlayer(seller.socket); // Async
+  });
+}
+
+async function handleRequestMarketCancel(socket, data) {
+  await runMarketAction(socket, "market_cancel", async (avatar, userId) => {
+    const listingId = data?.listingId != null ? String(data.listingId) : "";
+    const { item } = await cancelListing(
+      getMarketAccount(avatar, userId),
+      listingId
+    );
+    avatar.addItemInstance(item);
+    console.log(
+      `Market: ${avatar.name} cancelled listing ${listingId} (${describeMarketItem(item)}).`
+    );
+    socket.emit("inventory_update", avatar.getInventoryDTO());
+    socket.emit("chat_message", {
+      avatarName: "Server",
+      text: `Market: ${escapeHtml(
+        describeMarketItem(item)
+      )} is back in your inventory.`,
+      className: "info-msg",
+    });
+    emitMarketListings(socket, userId);
+    socket.broadcast.emit("market_changed");
+  });
+}
+
+// --- Admin: Shop Catalog Editing (ASYNC) ---
+/**
+ * Runs one admin edit of the shop catalog and pushes the new catalog to everyone.
+ * @param {import('socket.io').Socket} socket - The admin's socket.
+ * @param {string} action - Action name for 'action_failed'.
+ * @param {Function} edit - Async edit; returns a short description of the change.
+ */
+async function handleShopCatalogEdit(socket, action, edit) {
+  if (!socket.isAdmin) {
+    socket.emit("action_failed", { action, reason: "Permission denied." });
+    return;
+  }
+  try {
+    const summary = await edit();
+    console.log(`Admin ${socket.id} shop edit: ${summary}`);
+    socket.emit("chat_message", {
+      avatarName: "Server",
+      text: `Shop: ${escapeHtml(summary)}`,
+      className: "info-msg",
+    });
+    io.emit("shop_catalog", getShopCatalogDTO());
+  } catch (error) {
+    console.error(`Error in shop edit '${action}':`, error.message);
     socket.emit("action_failed", {
-      action: "buy",
-      reason: "Currency transaction error.",
+      action,
+      reason: error.message || "Server error updating shop.",
     });
   }
 }
 
 // --- Room Change Handler ---
-function handleChangeRoom(socket, data) {
+/**
+ * Moves a player's avatar into another room.
+ * @param {import('socket.io').Socket} socket - The moving player's socket.
+ * @param {{targetRoomId: string, targetX?: number, targetY?: number}} data - Client request payload.
+ * @param {{force?: boolean, entryGranted?: boolean}} [options={}] - Server-side only flags.
+ *   'force' skips all access checks (admin teleports), 'entryGranted' skips the lock
+ *   after a doorbell answer or correct password. Never read these from client data.
+ */
+function handleChangeRoom(socket, data, options = {}) {
   const { avatar: currentAvatar, room: currentRoom } = getAvatarAndRoom(
     socket.id
   );
@@ -1768,16 +3261,6 @@ function handleChangeRoom(socket, data) {
     return;
   }
 
-  // --- Cancel Active Trade ---
-  const ongoingTrade = findTradeBySocketId(socket.id);
-  if (ongoingTrade) {
-    console.log(
-      `Player ${socket.id} (${currentAvatar.name}) changing room during trade ${ongoingTrade.tradeId}. Cancelling.`
-    );
-    endTradeSession(ongoingTrade.tradeId, "Player left the room.");
-  }
-  // --- End Trade Cancellation ---
-
   const targetRoomId = data.targetRoomId;
   const targetRoom = rooms.get(targetRoomId);
 
@@ -1789,6 +3272,37 @@ function handleChangeRoom(socket, data) {
     return;
   }
 
+  // --- Access Check (lock mode / capacity) ---
+  if (!options.force && targetRoom.id !== currentRoom.id) {
+    const access = checkRoomAccess(socket, targetRoom, !!options.entryGranted);
+    if (!access.allowed) {
+      if (access.lockMode) {
+        // Locked room: start the entry handshake, visitor stays where they are
+        startRoomEntryRequest(socket, currentAvatar, targetRoom, data);
+      } else {
+        socket.emit("action_failed", {
+          action: "change_room",
+          reason: access.reason,
+        });
+      }
+      return;
+    }
+  }
+
+  // --- Cancel Pending Doorbell ---
+  const pendingEntry = findPendingEntryBySocketId(socket.id);
+  if (pendingEntry) clearPendingEntry(pendingEntry.requestId);
+
+  // --- Cancel Active Trade ---
+  const ongoingTrade = findTradeBySocketId(socket.id);
+  if (ongoingTrade) {
+    console.log(
+      `Player ${socket.id} (${currentAvatar.name}) changing room during trade ${ongoingTrade.tradeId}. Cancelling.`
+    );
+    endTradeSession(ongoingTrade.tradeId, "Player left the room.");
+  }
+  // --- End Trade Cancellation ---
+
   // --- Handle Room Change Logic ---
   const targetX = data.targetX ?? -1; // Use preferred coords or -1 for default spawn
   const targetY = data.targetY ?? -1;
@@ -1817,6 +3331,7 @@ function handleChangeRoom(socket, data) {
 
   // 3. Prepare avatar for new room
   currentAvatar.prepareForRoomChange(targetRoomId, spawnPoint.x, spawnPoint.y);
+  currentAvatar.recordRoomVisit(targetRoomId); // Navigator "recent" view
 
   // 4. Add to new room state
   targetRoom.addAvatar(currentAvatar); // Add avatar instance to new room
@@ -1830,7 +3345,7 @@ function handleChangeRoom(socket, data) {
   // These might be redundant if room_state includes them, but can ensure sync
   socket.emit("your_avatar_id", String(currentAvatar.id));
   socket.emit("inventory_update", currentAvatar.getInventoryDTO());
-  socket.emit("currency_update", { currency: currentAvatar.currency });
+  socket.emit("currency_update", currentAvatar.getCurrencyDTO());
 
   // 7. Broadcast arrival to new room
   socket.to(targetRoomId).emit("avatar_added", currentAvatar.toDTO());
@@ -1845,226 +3360,1502 @@ function handleChangeRoom(socket, data) {
   );
 }
 
-// --- Admin: Create Room Handler (ASYNC) ---
-async function handleRequestCreateRoom(socket, data) {
-  const { avatar } = getAvatarAndRoom(socket.id);
-  if (!avatar || !(avatar instanceof ServerAvatar) || !socket.isAdmin) {
+// --- Locked Room Entry (Doorbell / Password) ---
+/**
+ * Starts the entry handshake for a locked room. Password rooms prompt the visitor;
+ * doorbell rooms ring everyone inside with rights. The visitor stays in their current room.
+ * @param {import('socket.io').Socket} socket - The visitor's socket.
+ * @param {ServerAvatar} visitor - The visitor's avatar.
+ * @param {ServerRoom} targetRoom - The locked room.
+ * @param {object} entryTarget - The original change-room payload, replayed on success.
+ */
+function startRoomEntryRequest(socket, visitor, targetRoom, entryTarget) {
+  if (targetRoom.lockMode === "password") {
+    socket.emit("room_entry_prompt", {
+      roomId: targetRoom.id,
+      roomName: targetRoom.name,
+      mode: "password",
+    });
+    return;
+  }
+
+  // --- Doorbell ---
+  const existing = findPendingEntryBySocketId(socket.id);
+  if (existing) {
+    if (existing.roomId === targetRoom.id) {
+      socket.emit("action_failed", {
+        action: "change_room",
+        reason: "You're already waiting at that door.",
+      });
+      return;
+    }
+    clearPendingEntry(existing.requestId); // Ringing somewhere else now
+  }
+
+  // Anyone inside who could let the visitor in
+  const answerers = Object.values(targetRoom.avatars).filter(
+    (a) =>
+      a instanceof ServerAvatar &&
+      clients[a.socketId] &&
+      (clients[a.socketId].socket.isAdmin ||
+        targetRoom.hasRights(clients[a.socketId].userId))
+  );
+  if (answerers.length === 0) {
+    socket.emit("action_failed", {
+      action: "change_room",
+      reason: "No one is home to answer the doorbell.",
+    });
+    return;
+  }
+
+  const requestId = generateEntryRequestId();
+  const timeout = SERVER_CONFIG.DOORBELL_TIMEOUT_MS;
+  const entry = {
+    requestId,
+    socketId: socket.id,
+    roomId: targetRoom.id,
+    visitorName: visitor.name,
+    entryTarget: {
+      targetRoomId: targetRoom.id,
+      targetX: entryTarget.targetX,
+      targetY: entryTarget.targetY,
+    },
+    timer: setTimeout(
+      () => resolveEntryRequest(requestId, false, "No one answered the door."),
+      timeout
+    ),
+  };
+  pendingEntries.set(requestId, entry);
+
+  console.log(
+    `${visitor.name} rang the doorbell of room ${targetRoom.id} (${requestId}).`
+  );
+  answerers.forEach((a) => {
+    clients[a.socketId].socket.emit("doorbell_ring", {
+      requestId,
+      roomId: targetRoom.id,
+      visitorName: visitor.name,
+      timeout,
+    });
+  });
+  socket.emit("room_entry_pending", {
+    roomId: targetRoom.id,
+    roomName: targetRoom.name,
+    timeout,
+  });
+}
+
+/**
+ * Finishes a doorbell request: lets the visitor in or tells them why not.
+ * @param {string} requestId - The doorbell request ID.
+ * @param {boolean} accepted - Whether the visitor was let in.
+ * @param {string} [reason] - Message shown to the visitor when denied.
+ */
+function resolveEntryRequest(requestId, accepted, reason) {
+  const entry = clearPendingEntry(requestId);
+  if (!entry) return; // Already answered, timed out or cancelled
+
+  const visitorSocket = clients[entry.socketId]?.socket;
+  if (!visitorSocket) return; // Visitor left meanwhile
+
+  if (accepted) {
+    console.log(`Doorbell ${requestId}: ${entry.visitorName} let in.`);
+    handleChangeRoom(visitorSocket, entry.entryTarget, { entryGranted: true });
+  } else {
+    console.log(`Doorbell ${requestId}: ${entry.visitorName} not let in.`);
+    visitorSocket.emit("room_entry_denied", {
+      roomId: entry.roomId,
+      reason: reason || "Nobody let you in.",
+    });
+  }
+}
+
+/** Handles an accept/deny answer from someone inside the room. */
+function handleDoorbellResponse(socket, data) {
+  const { avatar, room } = getAvatarAndRoom(socket.id);
+  if (!avatar || !(avatar instanceof ServerAvatar) || !room || !data) return;
+  const entry = pendingEntries.get(data.requestId);
+  if (!entry) return; // Someone else already answered
+  if (
+    entry.roomId !== room.id ||
+    !(socket.isAdmin || room.hasRights(clients[socket.id]?.userId))
+  ) {
+    socket.emit("action_failed", {
+      action: "doorbell",
+      reason: "You can't answer this door.",
+    });
+    return;
+  }
+  const accepted = data.accepted === true;
+  resolveEntryRequest(
+    entry.requestId,
+    accepted,
+    accepted ? null : `${escapeHtml(avatar.name)} didn't let you in.`
+  );
+}
+
+/** Handles a password attempt for a password-locked room. (ASYNC) */
+async function handleRoomPasswordEntry(socket, data) {
+  const { avatar } = getAvatarAndRoom(socket.id);
+  if (
+    !avatar ||
+    !(avatar instanceof ServerAvatar) ||
+    !data ||
+    typeof data.roomId !== "string" ||
+    typeof data.password !== "string"
+  ) {
+    socket.emit("action_failed", {
+      action: "change_room",
+      reason: "Invalid request.",
+    });
+    return;
+  }
+  const targetRoom = rooms.get(data.roomId);
+  if (!targetRoom || targetRoom.lockMode !== "password") {
+    socket.emit("action_failed", {
+      action: "change_room",
+      reason: "That room doesn't take a password.",
+    });
+    return;
+  }
+
+  // Simple per-socket throttle against guessing
+  const now = Date.now();
+  if (
+    socket.lastRoomPasswordAttempt &&
+    now - socket.lastRoomPasswordAttempt <
+      SERVER_CONFIG.ROOM_PASSWORD_ATTEMPT_COOLDOWN_MS
+  ) {
+    socket.emit("room_entry_denied", {
+      roomId: targetRoom.id,
+      reason: "Slow down before trying again.",
+    });
+    return;
+  }
+  socket.lastRoomPasswordAttempt = now;
+
+  const matches = await targetRoom.verifyPassword(data.password);
+  if (!matches) {
+    console.log(
+      `${avatar.name} entered a wrong password for room ${targetRoom.id}.`
+    );
+    socket.emit("room_entry_denied", {
+      roomId: targetRoom.id,
+      reason: "Wrong password.",
+    });
+    return;
+  }
+  handleChangeRoom(
+    socket,
+    { targetRoomId: targetRoom.id },
+    { entryGranted: true }
+  );
+}
+
+/**
+ * Picks the starting layout for a new room from the create request: a named template
+ * (`templateId`), a copy of a room the requester manages (`cloneFromRoomId`, with
+ * `cloneFurniture` for admins), or a plain bordered rectangle of `cols` x `rows`.
+ * @param {import('socket.io').Socket} socket - The requesting socket.
+ * @param {object} data - The create_room payload.
+ * @returns {{valid: boolean, reason?: string, layout?: Array, heightmap?: Array|null, sourceRoom?: ServerRoom, cloneFurniture?: boolean, label?: string}}
+ */
+function resolveNewRoomLayout(socket, data) {
+  const copyGrid = (grid) =>
+    Array.isArray(grid) ? grid.map((row) => [...row]) : null;
+
+  if (data.templateId) {
+    const template = (SHARED_CONFIG.ROOM_TEMPLATES || []).find(
+      (t) => t.id === data.templateId
+    );
+    if (!template) {
+      return { valid: false, reason: "Unknown room template." };
+    }
+    return {
+      valid: true,
+      layout: copyGrid(template.layout),
+      heightmap: copyGrid(template.heightmap),
+      label: `template ${template.id}`,
+    };
+  }
+
+  if (data.cloneFromRoomId) {
+    const sourceRoom = rooms.get(data.cloneFromRoomId);
+    if (!sourceRoom) {
+      return { valid: false, reason: "Room to copy not found." };
+    }
+    if (!canManageRoom(socket, sourceRoom)) {
+      return { valid: false, reason: "You can only copy rooms you own." };
+    }
+    // Copied furniture is newly created, so only admins may duplicate items
+    if (data.cloneFurniture === true && !socket.isAdmin) {
+      return {
+        valid: false,
+        reason: "Only admins can copy a room's furniture.",
+      };
+    }
+    const snapshot = sourceRoom.getLayoutSnapshot();
+    return {
+      valid: true,
+      layout: snapshot.layout,
+      heightmap: snapshot.heightmap,
+      sourceRoom,
+      cloneFurniture: data.cloneFurniture === true,
+      label: `copy of ${sourceRoom.id}`,
+    };
+  }
+
+  const cols = parseInt(data.cols, 10) || SERVER_CONFIG.DEFAULT_ROOM_COLS;
+  const rows = parseInt(data.rows, 10) || SERVER_CONFIG.DEFAULT_ROOM_ROWS;
+  if (
+    cols < SERVER_CONFIG.MIN_ROOM_SIZE ||
+    cols > SERVER_CONFIG.MAX_ROOM_SIZE ||
+    rows < SERVER_CONFIG.MIN_ROOM_SIZE ||
+    rows > SERVER_CONFIG.MAX_ROOM_SIZE
+  ) {
+    return {
+      valid: false,
+      reason: `Dimensions must be ${SERVER_CONFIG.MIN_ROOM_SIZE}-${SERVER_CONFIG.MAX_ROOM_SIZE}.`,
+    };
+  }
+  const layout = Array.from(
+    { length: rows },
+    (_, y) =>
+      Array.from({ length: cols }, (_, x) =>
+        y === 0 || y === rows - 1 || x === 0 || x === cols - 1 ? 1 : 0
+      ) // Basic bordered layout
+  );
+  return { valid: true, layout, heightmap: null, label: "blank" };
+}
+
+// --- Create Room Handler (ASYNC) ---
+// Admins create public rooms by default; players create rooms they own.
+async function handleRequestCreateRoom(socket, data) {
+  const { avatar } = getAvatarAndRoom(socket.id);
+  if (!avatar || !(avatar instanceof ServerAvatar)) {
     socket.emit("action_failed", {
       action: "create_room",
       reason: "Permission denied.",
     });
     return;
   }
-  if (!data || typeof data.roomId !== "string" || !data.roomId.trim()) {
+  if (!data || typeof data.roomId !== "string" || !data.roomId.trim()) {
+    socket.emit("action_failed", {
+      action: "create_room",
+      reason: "Invalid room ID.",
+    });
+    return;
+  }
+  const newRoomId = data.roomId.trim().toLowerCase().replace(/\s+/g, "_");
+  if (!/^[a-z0-9_-]{3,32}$/.test(newRoomId)) {
+    socket.emit("action_failed", {
+      action: "create_room",
+      reason: "Room ID must be 3-32 letters, numbers, '_' or '-'.",
+    });
+    return;
+  }
+  // Starting layout: a template, a copy of another room, or a bordered rectangle
+  const source = resolveNewRoomLayout(socket, data);
+  if (!source.valid) {
+    socket.emit("action_failed", {
+      action: "create_room",
+      reason: source.reason,
+    });
+    return;
+  }
+  const requestedCols = source.layout[0].length;
+  const requestedRows = source.layout.length;
+
+  // Player rooms (and admin rooms flagged 'owned') get the creator as owner
+  const userId = clients[socket.id]?.userId || null;
+  const isOwnedRoom = !socket.isAdmin || data.owned === true;
+  const roomName =
+    typeof data.name === "string" && data.name.trim()
+      ? data.name.trim().substring(0, 40)
+      : newRoomId;
+
+  console.log(
+    `${socket.isAdmin ? "Admin" : "Player"} ${
+      avatar.name
+    } requested creation of room: ${newRoomId} (${requestedCols}x${requestedRows}, from: ${
+      source.label
+    }, owned: ${isOwnedRoom})`
+  );
+
+  if (rooms.has(newRoomId)) {
+    socket.emit("action_failed", {
+      action: "create_room",
+      reason: `Room '${newRoomId}' already exists in memory.`,
+    });
+    return;
+  }
+
+  try {
+    // Check DB first
+    const existingRoom = await RoomState.findOne({ roomId: newRoomId }).lean();
+    if (existingRoom) {
+      socket.emit("action_failed", {
+        action: "create_room",
+        reason: `Room '${newRoomId}' already exists in DB.`,
+      });
+      return;
+    }
+
+    // Enforce per-player room limit (admins are exempt)
+    if (isOwnedRoom && !socket.isAdmin) {
+      const ownedCount = await RoomState.countDocuments({ ownerId: userId });
+      if (ownedCount >= SERVER_CONFIG.MAX_ROOMS_PER_USER) {
+        socket.emit("action_failed", {
+          action: "create_room",
+          reason: `You can own at most ${SERVER_CONFIG.MAX_ROOMS_PER_USER} rooms.`,
+        });
+        return;
+      }
+    }
+
+    // Save new layout to DB
+    const newLayout = source.layout;
+    const newRoomState = new RoomState({
+      roomId: newRoomId,
+      layout: newLayout,
+      heightmap: source.heightmap || undefined,
+      ownerId: isOwnedRoom ? userId : null,
+      ownerName: isOwnedRoom ? avatar.name : null,
+      name: roomName,
+      maxUsers: SERVER_CONFIG.DEFAULT_ROOM_MAX_USERS,
+    });
+    await newRoomState.save();
+    console.log(` -> Saved new room state for '${newRoomId}' to DB.`);
+
+    // Copy the source room's furniture as new documents owned by the creator
+    let clonedDocs = [];
+    const cloneWarnings = [];
+    if (source.cloneFurniture) {
+      // Limited editions are one of a kind; only their owner's room keeps them
+      const copyable = source.sourceRoom.furniture.filter(
+        (f) => f.serial === null
+      );
+      const limitedCount = source.sourceRoom.furniture.length - copyable.length;
+      if (limitedCount > 0) {
+        cloneWarnings.push(
+          `${limitedCount} limited-edition item(s) were not copied.`
+        );
+      }
+      const sourceFurniture = copyable.slice(
+        0,
+        SERVER_CONFIG.MAX_CLONED_FURNITURE
+      );
+      if (copyable.length > sourceFurniture.length) {
+        cloneWarnings.push(
+          `Only ${sourceFurniture.length} furniture items are copied per room; ${
+            copyable.length - sourceFurniture.length
+          } were left out.`
+        );
+      }
+      const furniData = sourceFurniture.map((f) => ({
+        ...f.toDBSaveObject(),
+        roomId: newRoomId,
+        ownerId: userId,
+        wiredLinks: [], // Re-pointed at the copies below
+        teleportLinkId: null, // Copies start unlinked
+      }));
+      try {
+        clonedDocs = await Furniture.insertMany(furniData);
+        const sourceIndex = new Map(
+          sourceFurniture.map((f, i) => [String(f.id), i])
+        );
+        await relinkCopiedWired(
+          clonedDocs,
+          sourceFurniture.map((f) =>
+            f.wiredType
+              ? f.wiredLinks
+                  .map((id) => sourceIndex.get(id))
+                  .filter((i) => i !== undefined)
+              : null
+          )
+        );
+      } catch (cloneError) {
+        // Don't leave a half-cloned room behind
+        await Furniture.deleteMany({ roomId: newRoomId });
+        await RoomState.deleteOne({ roomId: newRoomId });
+        throw cloneError;
+      }
+      console.log(
+        ` -> Cloned ${clonedDocs.length} furniture items from '${source.sourceRoom.id}'.`
+      );
+    }
+
+    // Create instance and add to memory
+    const newRoomInstance = new ServerRoom(newRoomId);
+    newRoomInstance.applyMetadata(newRoomState.toObject());
+    newRoomInstance.applyLayout(newLayout, source.heightmap); // Sets dimensions, heights, pathfinder
+    clonedDocs.forEach((doc) => {
+      newRoomInstance.addFurniture(
+        new ServerFurniture(
+          doc.definitionId,
+          doc.x,
+          doc.y,
+          doc.z,
+          doc.rotation,
+          doc._id.toString(),
+          doc.ownerId,
+          doc.state,
+          doc.colorOverride,
+          {
+            wallSide: doc.wallSide,
+            wallOffset: doc.wallOffset,
+            wired: { links: doc.wiredLinks, settings: doc.wiredSettings },
+          }
+        )
+      );
+    });
+    // No need to load from DB as we just created it
+    rooms.set(newRoomId, newRoomInstance);
+    console.log(` -> Added new room '${newRoomId}' to memory.`);
+
+    socket.emit("chat_message", {
+      avatarName: "Server",
+      text: `Room '${escapeHtml(roomName)}' created! Use /join ${newRoomId} to visit.`,
+      className: "info-msg",
+    });
+    cloneWarnings.forEach((warning) =>
+      socket.emit("chat_message", {
+        avatarName: "Server",
+        text: escapeHtml(warning),
+        className: "info-msg",
+      })
+    );
+    if (socket.isAdmin) {
+      // Optionally broadcast update to admin room list
+      const allRoomIds = Array.from(rooms.keys()).sort();
+      io.to(socket.id).emit("all_room_ids_update", allRoomIds); // Update requesting admin's list
+    } else {
+      handleRequestPublicRooms(socket, { view: "mine" }); // Show their rooms
+    }
+  } catch (error) {
+    console.error(`Error creating room '${newRoomId}':`, error);
+    socket.emit("action_failed", {
+      action: "create_room",
+      reason: "Server error creating room.",
+    });
+  }
+}
+
+// --- Layout Editor (ASYNC, room owner or admin) ---
+// Every layout change (single tiles, rectangles, flood fills, resizes, undo/redo) goes
+// through commitLayoutChange: validated as a whole, saved in one DB write and sent to
+// the room as a single 'layout_update'.
+
+/**
+ * Applies one paint value to a tile of the working copy.
+ * @param {{layout: Array, heightmap: Array}} working - Snapshot being edited.
+ * @param {number} x - Tile X.
+ * @param {number} y - Tile Y.
+ * @param {{type?: number|string, height?: number}} paint - What to paint.
+ */
+function paintLayoutTile(working, x, y, paint) {
+  if (paint.type !== undefined) working.layout[y][x] = paint.type;
+  if (paint.height !== undefined) working.heightmap[y][x] = paint.height;
+}
+
+/**
+ * Expands a batch of paint operations against a copy of the room's layout.
+ * Ops: { op: 'tile', x, y } | { op: 'rect', x1, y1, x2, y2 } | { op: 'fill', x, y },
+ * each with a `type` and/or `height` to paint.
+ * @param {ServerRoom} room - The room being edited.
+ * @param {Array<object>} edits - Operations from the client, applied in order.
+ * @returns {{valid: boolean, reason?: string, layout?: Array, heightmap?: Array}}
+ */
+function expandLayoutEdits(room, edits) {
+  const working = room.getLayoutSnapshot();
+  const maxHeight = SHARED_CONFIG.MAX_TILE_HEIGHT ?? 8;
+  const inBounds = (x, y) =>
+    Number.isInteger(x) &&
+    Number.isInteger(y) &&
+    x >= 0 &&
+    y >= 0 &&
+    x < room.cols &&
+    y < room.rows;
+
+  for (const edit of edits) {
+    if (!edit || typeof edit !== "object") {
+      return { valid: false, reason: "Invalid edit." };
+    }
+    const paint = {};
+    if (edit.type !== undefined) {
+      if (!SERVER_CONFIG.LAYOUT_TILE_TYPES.includes(edit.type)) {
+        return { valid: false, reason: `Invalid tile type: ${edit.type}.` };
+      }
+      paint.type = edit.type;
+    }
+    if (edit.height !== undefined) {
+      const height = Number(edit.height);
+      if (!Number.isInteger(height) || height < 0 || height > maxHeight) {
+        return { valid: false, reason: `Height must be 0-${maxHeight}.` };
+      }
+      paint.height = height;
+    }
+    if (paint.type === undefined && paint.height === undefined) {
+      return { valid: false, reason: "Nothing to paint." };
+    }
+
+    if (edit.op === "tile") {
+      if (!inBounds(edit.x, edit.y)) {
+        return { valid: false, reason: "Coordinates out of bounds." };
+      }
+      paintLayoutTile(working, edit.x, edit.y, paint);
+    } else if (edit.op === "rect") {
+      if (!inBounds(edit.x1, edit.y1) || !inBounds(edit.x2, edit.y2)) {
+        return { valid: false, reason: "Coordinates out of bounds." };
+      }
+      for (
+        let y = Math.min(edit.y1, edit.y2);
+        y <= Math.max(edit.y1, edit.y2);
+        y++
+      ) {
+        for (
+          let x = Math.min(edit.x1, edit.x2);
+          x <= Math.max(edit.x1, edit.x2);
+          x++
+        ) {
+          paintLayoutTile(working, x, y, paint);
+        }
+      }
+    } else if (edit.op === "fill") {
+      if (!inBounds(edit.x, edit.y)) {
+        return { valid: false, reason: "Coordinates out of bounds." };
+      }
+      // Flood fill the 4-connected area sharing the start tile's type and height
+      const startType = working.layout[edit.y][edit.x];
+      const startHeight = working.heightmap[edit.y][edit.x];
+      const visited = new Set();
+      const queue = [{ x: edit.x, y: edit.y }];
+      while (queue.length > 0) {
+        const { x, y } = queue.pop();
+        const key = `${x},${y}`;
+        if (visited.has(key) || !inBounds(x, y)) continue;
+        if (
+          working.layout[y][x] !== startType ||
+          working.heightmap[y][x] !== startHeight
+        )
+          continue;
+        visited.add(key);
+        queue.push(
+          { x: x + 1, y },
+          { x: x - 1, y },
+          { x, y: y + 1 },
+          { x, y: y - 1 }
+        );
+      }
+      visited.forEach((key) => {
+        const [x, y] = key.split(",").map(Number);
+        paintLayoutTile(working, x, y, paint);
+      });
+    } else {
+      return { valid: false, reason: `Unknown edit operation: ${edit.op}.` };
+    }
+  }
+  return { valid: true, ...working };
+}
+
+/**
+ * Validates, applies, persists and broadcasts a new layout for a room. Edits
+ * that change nothing are skipped (no DB write, no undo step), and only one
+ * change per room is saved at a time, so a failed save can roll back to the
+ * layout it replaced.
+ * @param {import('socket.io').Socket} socket - The editing socket (gets failures).
+ * @param {ServerRoom} room - The room being edited.
+ * @param {ServerAvatar} avatar - The editor (for logging).
+ * @param {{layout: Array, heightmap: Array}} next - The complete new layout state.
+ * @param {'edit' | 'undo' | 'redo'} [mode='edit'] - How the undo/redo stacks are updated.
+ * @returns {Promise<boolean>} True if the change was applied.
+ */
+async function commitLayoutChange(socket, room, avatar, next, mode = "edit") {
+  if (mode === "edit" && room.matchesLayout(next)) return false;
+  if (room.isSavingLayout) {
+    socket.emit("action_failed", {
+      action: "modify_layout",
+      reason: "Another layout change is still being saved; try again.",
+    });
+    return false;
+  }
+  const check = room.validateLayoutChange(next.layout, next.heightmap);
+  if (!check.valid) {
+    socket.emit("action_failed", {
+      action: "modify_layout",
+      reason: escapeHtml(check.reason),
+    });
+    return false;
+  }
+
+  const previous = room.getLayoutSnapshot();
+  room.isSavingLayout = true;
+  try {
+    // Update Memory First
+    room.applyLayout(next.layout, next.heightmap);
+
+    // Update DB (one write for the whole batch)
+    const updatedRoomState = await RoomState.findOneAndUpdate(
+      { roomId: room.id },
+      { $set: { layout: room.layout, heightmap: room.heightmap } },
+      { new: false }
+    );
+    if (!updatedRoomState) {
+      throw new Error(`Room ${room.id} not found in DB during layout update!`);
+    }
+  } catch (error) {
+    console.error(`Error saving layout for room '${room.id}':`, error);
+    room.applyLayout(previous.layout, previous.heightmap); // Rollback memory
+    socket.emit("action_failed", {
+      action: "modify_layout",
+      reason: "Server error saving layout.",
+    });
+    return false;
+  } finally {
+    room.isSavingLayout = false;
+  }
+
+  // Update history only once the change is saved
+  if (mode === "undo") {
+    room.layoutHistory.undo.pop();
+    room.layoutHistory.redo.push(previous);
+  } else if (mode === "redo") {
+    room.layoutHistory.redo.pop();
+    room.layoutHistory.undo.push(previous);
+  } else {
+    room.pushLayoutHistory(previous);
+  }
+  const verb = { edit: "edited", undo: "undid", redo: "redid" }[mode];
+  console.log(
+    `${avatar.name} ${verb} layout changes in ${room.id} (${room.cols}x${room.rows}).`
+  );
+
+  // Avatars left outside a shrunk room (or on a now-invalid tile) move to a spawn point
+  const movedAvatars = [];
+  Object.values(room.avatars).forEach((a) => {
+    if (!(a instanceof ServerAvatar) || room.isValidTile(a.x, a.y)) return;
+    const spawn = room.findSpawnPoint();
+    a.x = spawn.x;
+    a.y = spawn.y;
+    a.z = room.getFloorZ(spawn.x, spawn.y) + SHARED_CONFIG.AVATAR_DEFAULT_Z;
+    a.path = [];
+    if (a.state === SHARED_CONFIG.AVATAR_STATE_WALKING) {
+      a.state = SHARED_CONFIG.AVATAR_STATE_IDLE;
+    }
+    movedAvatars.push(a);
+  });
+
+  io.to(room.id).emit("layout_update", {
+    layout: room.layout,
+    heightmap: room.heightmap,
+    cols: room.cols,
+    rows: room.rows,
+    ...room.getLayoutHistoryDTO(),
+  });
+  movedAvatars.forEach((a) => io.to(room.id).emit("avatar_update", a.toDTO()));
+  return true;
+}
+
+/**
+ * Looks up the editor's avatar and room, checking they may edit the layout.
+ * @returns {{avatar: ServerAvatar, room: ServerRoom} | null}
+ */
+function getLayoutEditContext(socket) {
+  const { avatar, room } = getAvatarAndRoom(socket.id);
+  if (
+    !avatar ||
+    !(avatar instanceof ServerAvatar) ||
+    !room ||
+    !canManageRoom(socket, room)
+  ) {
+    socket.emit("action_failed", {
+      action: "modify_layout",
+      reason: "Permission denied.",
+    });
+    return null;
+  }
+  return { avatar, room };
+}
+
+async function handleRequestApplyLayoutEdits(socket, data) {
+  const context = getLayoutEditContext(socket);
+  if (!context) return;
+  const { avatar, room } = context;
+  const maxOps = SERVER_CONFIG.MAX_LAYOUT_EDIT_OPS ?? 100;
+  if (
+    !data ||
+    !Array.isArray(data.edits) ||
+    data.edits.length === 0 ||
+    data.edits.length > maxOps
+  ) {
+    socket.emit("action_failed", {
+      action: "modify_layout",
+      reason: `Send 1-${maxOps} edits at a time.`,
+    });
+    return;
+  }
+
+  const expanded = expandLayoutEdits(room, data.edits);
+  if (!expanded.valid) {
+    socket.emit("action_failed", {
+      action: "modify_layout",
+      reason: escapeHtml(expanded.reason),
+    });
+    return;
+  }
+  await commitLayoutChange(socket, room, avatar, expanded);
+}
+
+async function handleRequestResizeRoom(socket, data) {
+  const context = getLayoutEditContext(socket);
+  if (!context) return;
+  const { avatar, room } = context;
+  const cols = parseInt(data?.cols, 10);
+  const rows = parseInt(data?.rows, 10);
+  const minSize = SERVER_CONFIG.MIN_ROOM_SIZE;
+  const maxSize = SERVER_CONFIG.MAX_ROOM_SIZE;
+  if (
+    !Number.isInteger(cols) ||
+    !Number.isInteger(rows) ||
+    cols < minSize ||
+    cols > maxSize ||
+    rows < minSize ||
+    rows > maxSize
+  ) {
+    socket.emit("action_failed", {
+      action: "modify_layout",
+      reason: `Dimensions must be ${minSize}-${maxSize}.`,
+    });
+    return;
+  }
+  if (cols === room.cols && rows === room.rows) return; // No change needed
+
+  // Keep existing tiles anchored at the top-left corner; new space is plain floor
+  const next = {
+    layout: Array.from({ length: rows }, (_, y) =>
+      Array.from({ length: cols }, (_, x) => room.layout[y]?.[x] ?? 0)
+    ),
+    heightmap: Array.from({ length: rows }, (_, y) =>
+      Array.from({ length: cols }, (_, x) => room.heightmap[y]?.[x] ?? 0)
+    ),
+  };
+  await commitLayoutChange(socket, room, avatar, next);
+}
+
+async function handleRequestLayoutUndo(socket) {
+  const context = getLayoutEditContext(socket);
+  if (!context) return;
+  const { avatar, room } = context;
+  const snapshot = room.layoutHistory.undo[room.layoutHistory.undo.length - 1];
+  if (!snapshot) {
+    socket.emit("action_failed", {
+      action: "modify_layout",
+      reason: "Nothing to undo.",
+    });
+    return;
+  }
+  await commitLayoutChange(socket, room, avatar, snapshot, "undo");
+}
+
+async function handleRequestLayoutRedo(socket) {
+  const context = getLayoutEditContext(socket);
+  if (!context) return;
+  const { avatar, room } = context;
+  const snapshot = room.layoutHistory.redo[room.layoutHistory.redo.length - 1];
+  if (!snapshot) {
+    socket.emit("action_failed", {
+      action: "modify_layout",
+      reason: "Nothing to redo.",
+    });
+    return;
+  }
+  await commitLayoutChange(socket, room, avatar, snapshot, "redo");
+}
+
+// --- Room Settings Handler (ASYNC, room owner or admin) ---
+async function handleRequestUpdateRoomSettings(socket, data) {
+  const { avatar, room } = getAvatarAndRoom(socket.id);
+  if (!avatar || !(avatar instanceof ServerAvatar) || !room || !data) {
+    socket.emit("action_failed", {
+      action: "room_settings",
+      reason: "Invalid request.",
+    });
+    return;
+  }
+  if (!canManageRoom(socket, room)) {
+    socket.emit("action_failed", {
+      action: "room_settings",
+      reason: "Only the room owner can change settings.",
+    });
+    return;
+  }
+
+  // Build the update from provided fields only
+  const updates = {};
+  if (data.name !== undefined) {
+    const name = typeof data.name === "string" ? data.name.trim() : "";
+    if (!name || name.length > 40) {
+      socket.emit("action_failed", {
+        action: "room_settings",
+        reason: "Room name must be 1-40 characters.",
+      });
+      return;
+    }
+    updates.name = name;
+  }
+  if (data.description !== undefined) {
+    if (typeof data.description !== "string") {
+      socket.emit("action_failed", {
+        action: "room_settings",
+        reason: "Invalid description.",
+      });
+      return;
+    }
+    updates.description = data.description.trim().substring(0, 200);
+  }
+  if (data.maxUsers !== undefined) {
+    const maxUsers = parseInt(data.maxUsers, 10);
+    if (
+      isNaN(maxUsers) ||
+      maxUsers < 1 ||
+      maxUsers > SERVER_CONFIG.MAX_ROOM_USERS_LIMIT
+    ) {
+      socket.emit("action_failed", {
+        action: "room_settings",
+        reason: `Max users must be 1-${SERVER_CONFIG.MAX_ROOM_USERS_LIMIT}.`,
+      });
+      return;
+    }
+    updates.maxUsers = maxUsers;
+  }
+  if (data.lockMode !== undefined) {
+    if (!SERVER_CONFIG.ROOM_LOCK_MODES.includes(data.lockMode)) {
+      socket.emit("action_failed", {
+        action: "room_settings",
+        reason: `Invalid lock mode: ${escapeHtml(String(data.lockMode))}.`,
+      });
+      return;
+    }
+    updates.lockMode = data.lockMode;
+  }
+  if (data.category !== undefined) {
+    if (!SHARED_CONFIG.ROOM_CATEGORIES.includes(data.category)) {
+      socket.emit("action_failed", {
+        action: "room_settings",
+        reason: `Invalid category: ${escapeHtml(String(data.category))}.`,
+      });
+      return;
+    }
+    updates.category = data.category;
+  }
+  if (data.tags !== undefined) {
+    if (!Array.isArray(data.tags)) {
+      socket.emit("action_failed", {
+        action: "room_settings",
+        reason: "Invalid tags.",
+      });
+      return;
+    }
+    // Normalize: lowercase single words, no duplicates
+    const tags = [
+      ...new Set(
+        data.tags
+          .filter((tag) => typeof tag === "string")
+          .map((tag) =>
+            tag
+              .trim()
+              .toLowerCase()
+              .replace(/[^a-z0-9_-]/g, "")
+              .substring(0, 20)
+          )
+          .filter(Boolean)
+      ),
+    ];
+    if (tags.length > SERVER_CONFIG.MAX_ROOM_TAGS) {
+      socket.emit("action_failed", {
+        action: "room_settings",
+        reason: `A room can have at most ${SERVER_CONFIG.MAX_ROOM_TAGS} tags.`,
+      });
+      return;
+    }
+    updates.tags = tags;
+  }
+  let newPassword = null;
+  if (data.password !== undefined && data.password !== "") {
+    if (
+      typeof data.password !== "string" ||
+      data.password.length < 3 ||
+      data.password.length > 64
+    ) {
+      socket.emit("action_failed", {
+        action: "room_settings",
+        reason: "Room password must be 3-64 characters.",
+      });
+      return;
+    }
+    newPassword = data.password;
+  }
+  if (
+    (updates.lockMode ?? room.lockMode) === "password" &&
+    !newPassword &&
+    !room.passwordHash
+  ) {
+    socket.emit("action_failed", {
+      action: "room_settings",
+      reason: "Set a password to use password lock mode.",
+    });
+    return;
+  }
+  if (Object.keys(updates).length === 0 && !newPassword) return; // Nothing to change
+
+  try {
+    const logUpdates = { ...updates }; // Logged without the hash
+    if (newPassword) {
+      updates.passwordHash = await ServerRoom.hashPassword(newPassword);
+      logUpdates.password = "(changed)";
+    }
+    // Update DB first, then memory
+    const updatedDoc = await RoomState.findOneAndUpdate(
+      { roomId: room.id },
+      { $set: updates },
+      { new: false }
+    );
+    if (!updatedDoc) throw new Error(`Room ${room.id} not found in DB.`);
+    room.applyMetadata(updates);
+
+    console.log(
+      `${avatar.name} updated settings for room ${room.id}:`,
+      JSON.stringify(logUpdates)
+    );
+    io.to(room.id).emit("room_info_update", room.getInfoDTO());
+    socket.emit("chat_message", {
+      avatarName: "Server",
+      text: "Room settings saved.",
+      className: "info-msg",
+    });
+  } catch (error) {
+    console.error(`Error updating settings for room '${room.id}':`, error);
+    socket.emit("action_failed", {
+      action: "room_settings",
+      reason: "Server error saving room settings.",
+    });
+  }
+}
+
+// --- Room Decoration Handler (ASYNC, room owner or admin) ---
+// Uses up one decoration item from the inventory to set a wallpaper/floor/landscape.
+async function handleRequestApplyDecoration(socket, data) {
+  const { avatar, room } = getAvatarAndRoom(socket.id);
+  if (!avatar || !(avatar instanceof ServerAvatar) || !room || !data) {
+    socket.emit("action_failed", {
+      action: "decorate",
+      reason: "Invalid request.",
+    });
+    return;
+  }
+  if (avatar.isCheckingOut) {
+    socket.emit("action_failed", {
+      action: "decorate",
+      reason: "A purchase, trade or market change is still in progress.",
+    });
+    return;
+  }
+  if (!canManageRoom(socket, room)) {
+    socket.emit("action_failed", {
+      action: "decorate",
+      reason: "Only the room owner can decorate.",
+    });
+    return;
+  }
+  const definition = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
+    (d) => d.id === data.itemId
+  );
+  const slot = definition?.decoration?.slot;
+  const styleId = definition?.decoration?.styleId;
+  const style = SHARED_CONFIG.ROOM_DECORATIONS[slot]?.find(
+    (s) => s.id === styleId
+  );
+  if (!style) {
+    socket.emit("action_failed", {
+      action: "decorate",
+      reason: "That item is not a room decoration.",
+    });
+    return;
+  }
+  if (!avatar.hasItem(definition.id, 1)) {
+    socket.emit("action_failed", {
+      action: "decorate",
+      reason: `You don't have any ${escapeHtml(definition.name)}.`,
+    });
+    return;
+  }
+  if (room.decoration[slot] === styleId) {
+    socket.emit("action_failed", {
+      action: "decorate",
+      reason: `This room already uses ${escapeHtml(style.name)}.`,
+    });
+    return;
+  }
+
+  // Take the item first so it can't be spent twice while the DB write is pending
+  const [usedItem] = avatar.removeItem(definition.id, 1);
+  try {
+    const updatedDoc = await RoomState.findOneAndUpdate(
+      { roomId: room.id },
+      { $set: { [`decoration.${slot}`]: styleId } },
+      { new: false }
+    );
+    if (!updatedDoc) throw new Error(`Room ${room.id} not found in DB.`);
+    room.decoration[slot] = styleId;
+
+    console.log(
+      `${avatar.name} applied ${slot} '${styleId}' to room ${room.id}.`
+    );
+    io.to(room.id).emit("room_info_update", room.getInfoDTO());
+    socket.emit("inventory_update", avatar.getInventoryDTO());
+    socket.emit("chat_message", {
+      avatarName: "Server",
+      text: `Applied ${escapeHtml(style.name)} to the room.`,
+      className: "info-msg",
+    });
+  } catch (error) {
+    avatar.addItemInstance(usedItem); // Refund
+    console.error(`Error decorating room '${room.id}':`, error);
+    socket.emit("action_failed", {
+      action: "decorate",
+      reason: "Server error applying decoration (item refunded).",
+    });
+  }
+}
+
+// --- Wired Configuration Handlers (room owner or admin) ---
+
+/**
+ * Looks up a wired item for the configuration panel, checking the socket may configure it.
+ * Emits action_failed and returns null if not.
+ */
+function getConfigurableWired(socket, data) {
+  const { avatar, room } = getAvatarAndRoom(socket.id);
+  if (
+    !avatar ||
+    !(avatar instanceof ServerAvatar) ||
+    !room ||
+    !data ||
+    data.furniId == null
+  ) {
+    socket.emit("action_failed", {
+      action: "wired",
+      reason: "Invalid request.",
+    });
+    return null;
+  }
+  if (!canManageRoom(socket, room)) {
+    socket.emit("action_failed", {
+      action: "wired",
+      reason: "Only the room owner can configure wired.",
+    });
+    return null;
+  }
+  const furni = room.getFurnitureById(String(data.furniId));
+  if (!furni || !furni.wiredType) {
+    socket.emit("action_failed", {
+      action: "wired",
+      reason: "That item has no wired logic.",
+    });
+    return null;
+  }
+  return { avatar, room, furni };
+}
+
+function handleRequestWiredConfig(socket, data) {
+  const target = getConfigurableWired(socket, data);
+  if (!target) return;
+  const { furni } = target;
+  socket.emit("wired_config", {
+    furniId: furni.id,
+    wiredType: furni.wiredType,
+    links: furni.wiredLinks,
+    settings: furni.wiredSettings,
+  });
+}
+
+async function handleRequestUpdateWired(socket, data) {
+  const target = getConfigurableWired(socket, data);
+  if (!target) return;
+  const { avatar, room, furni } = target;
+  const config = normalizeWiredConfig(furni, room, data);
+  if (!config.valid) {
+    socket.emit("action_failed", { action: "wired", reason: config.reason });
+    return;
+  }
+
+  try {
+    const updatedDoc = await Furniture.findByIdAndUpdate(
+      furni.id,
+      { $set: { wiredLinks: config.links, wiredSettings: config.settings } },
+      { new: false }
+    );
+    if (!updatedDoc) throw new Error("Doc not found during wired update.");
+    furni.wiredLinks = config.links;
+    furni.wiredSettings = config.settings;
+    room.wiredTimers.delete(furni.id); // Restart timers with the new interval
+
+    console.log(
+      `[${room.id}] ${avatar.name} configured wired ${furni.name} (ID:${furni.id}): ${config.links.length} link(s).`
+    );
+    socket.emit("wired_config", {
+      furniId: furni.id,
+      wiredType: furni.wiredType,
+      links: furni.wiredLinks,
+      settings: furni.wiredSettings,
+      saved: true,
+    });
+  } catch (dbError) {
+    console.error(`DB Error configuring wired ${furni.id}:`, dbError);
+    socket.emit("action_failed", {
+      action: "wired",
+      reason: "Server error saving wired settings.",
+    });
+  }
+}
+
+// --- Teleporter Handlers ---
+/**
+ * Finds a furniture instance in any loaded room (teleporter partners may be elsewhere).
+ * @param {string} furniId - Furniture DB ID.
+ * @returns {{room: ServerRoom, furni: ServerFurniture} | null}
+ */
+function findFurnitureInRooms(furniId) {
+  for (const room of rooms.values()) {
+    const furni = room?.getFurnitureById(furniId);
+    if (furni) return { room, furni };
+  }
+  return null;
+}
+
+/**
+ * Checks if a socket may link a teleporter: only its owner (or an admin).
+ * @param {import('socket.io').Socket} socket - The requesting socket.
+ * @param {ServerFurniture} furni - The teleporter.
+ * @returns {boolean}
+ */
+function ownsTeleporter(socket, furni) {
+  if (socket.isAdmin) return true;
+  const userId = clients[socket.id]?.userId;
+  return !!furni.ownerId && String(furni.ownerId) === userId;
+}
+
+/**
+ * Shows a teleporter's 'active' state to its room for the length of a jump.
+ * Display only; the stored state is untouched.
+ * @param {ServerRoom} room - Room containing the teleporter.
+ * @param {ServerFurniture} furni - The teleporter.
+ */
+function flashTeleporter(room, furni) {
+  if (!furni.getStateDefinition("active")) return;
+  io.to(room.id).emit("furni_updated", { id: furni.id, state: "active" });
+  setTimeout(() => {
+    io.to(room.id).emit("furni_updated", { id: furni.id, state: furni.state });
+  }, SERVER_CONFIG.TELEPORT_DELAY_MS);
+}
+
+/**
+ * Unlinks teleporters in the DB and in memory, and tells their rooms.
+ * @param {string[]} furniIds - Teleporter DB IDs to unlink.
+ */
+async function clearTeleportLinks(furniIds) {
+  const ids = furniIds.filter(Boolean);
+  if (ids.length === 0) return;
+  await Furniture.updateMany(
+    { _id: { $in: ids } },
+    { $set: { teleportLinkId: null } }
+  );
+  ids.forEach((id) => {
+    const found = findFurnitureInRooms(id);
+    if (!found) return;
+    found.furni.teleportLinkId = null;
+    io.to(found.room.id).emit("furni_updated", { id, teleportLinked: false });
+  });
+}
+
+/**
+ * Flashes the teleporter under an avatar, then moves them to its partner via
+ * handleChangeRoom. Cancelled if they walk off or the link breaks meanwhile.
+ * @param {import('socket.io').Socket} socket - The jumping player's socket.
+ * @param {ServerAvatar} avatar - The jumping avatar.
+ * @param {ServerRoom} room - Room containing the teleporter.
+ * @param {ServerFurniture} furni - The teleporter being stood on.
+ */
+function startTeleport(socket, avatar, room, furni) {
+  flashTeleporter(room, furni);
+  setTimeout(() => {
+    const current = getAvatarAndRoom(socket.id);
+    if (
+      current.avatar !== avatar ||
+      current.room !== room ||
+      !room.getFurnitureById(furni.id) ||
+      Math.round(avatar.x) !== furni.x ||
+      Math.round(avatar.y) !== furni.y
+    ) {
+      return;
+    }
+    const partner = furni.teleportLinkId
+      ? findFurnitureInRooms(furni.teleportLinkId)
+      : null;
+    if (!partner) {
+      socket.emit("action_failed", {
+        action: "teleport",
+        reason: "This teleporter isn't linked.",
+      });
+      return;
+    }
+    handleChangeRoom(socket, {
+      targetRoomId: partner.room.id,
+      targetX: partner.furni.x,
+      targetY: partner.furni.y,
+    });
+    if (getAvatarAndRoom(socket.id).room === partner.room) {
+      flashTeleporter(partner.room, partner.furni);
+    }
+  }, SERVER_CONFIG.TELEPORT_DELAY_MS);
+}
+
+function handleRequestEnterTeleporter(socket, data) {
+  const { avatar, room } = getAvatarAndRoom(socket.id);
+  if (
+    !avatar ||
+    !(avatar instanceof ServerAvatar) ||
+    !room ||
+    !data ||
+    data.furniId == null
+  )
+    return;
+  const furni = room.getFurnitureById(String(data.furniId));
+  if (!furni || !furni.isTeleporter) {
+    socket.emit("action_failed", {
+      action: "teleport",
+      reason: "Not a teleporter.",
+    });
+    return;
+  }
+  if (!furni.teleportLinkId || !findFurnitureInRooms(furni.teleportLinkId)) {
     socket.emit("action_failed", {
-      action: "create_room",
-      reason: "Invalid room ID.",
+      action: "teleport",
+      reason: "This teleporter isn't linked.",
     });
     return;
   }
-  const newRoomId = data.roomId.trim().toLowerCase().replace(/\s+/g, "_");
-  const requestedCols =
-    parseInt(data.cols, 10) || SERVER_CONFIG.DEFAULT_ROOM_COLS;
-  const requestedRows =
-    parseInt(data.rows, 10) || SERVER_CONFIG.DEFAULT_ROOM_ROWS;
 
+  const teleportAction = {
+    type: "teleport",
+    targetId: furni.id,
+    onArrive: (arrivingAvatar, pad) =>
+      startTeleport(socket, arrivingAvatar, room, pad),
+  };
+  if (avatar.moveTo(furni.x, furni.y, room, teleportAction, handleChangeRoom)) {
+    io.to(room.id).emit("avatar_update", avatar.toDTO());
+  } else {
+    socket.emit("action_failed", {
+      action: "teleport",
+      reason: "Cannot reach the teleporter.",
+    });
+  }
+}
+
+async function handleRequestLinkTeleporter(socket, data) {
+  const { avatar, room } = getAvatarAndRoom(socket.id);
   if (
-    requestedCols < 5 ||
-    requestedCols > 50 ||
-    requestedRows < 5 ||
-    requestedRows > 50
-  ) {
+    !avatar ||
+    !(avatar instanceof ServerAvatar) ||
+    !room ||
+    !data ||
+    data.furniId == null
+  )
+    return;
+  const clientInfo = clients[socket.id];
+  const furni = room.getFurnitureById(String(data.furniId));
+  if (!furni || !furni.isTeleporter) {
     socket.emit("action_failed", {
-      action: "create_room",
-      reason: "Dimensions must be 5-50.",
+      action: "link_teleporter",
+      reason: "Not a teleporter.",
     });
     return;
   }
-
-  console.log(
-    `Admin ${avatar.name} requested creation of room: ${newRoomId} (${requestedCols}x${requestedRows})`
-  );
-
-  if (rooms.has(newRoomId)) {
+  if (!ownsTeleporter(socket, furni)) {
     socket.emit("action_failed", {
-      action: "create_room",
-      reason: `Room '${newRoomId}' already exists in memory.`,
+      action: "link_teleporter",
+      reason: "You don't own this.",
     });
     return;
   }
 
-  try {
-    // Check DB first
-    const existingRoom = await RoomState.findOne({ roomId: newRoomId }).lean();
-    if (existingRoom) {
-      socket.emit("action_failed", {
-        action: "create_room",
-        reason: `Room '${newRoomId}' already exists in DB.`,
-      });
-      return;
-    }
-
-    // Create new layout and save to DB
-    const newLayout = Array.from(
-      { length: requestedRows },
-      (_, y) =>
-        Array.from({ length: requestedCols }, (_, x) =>
-          y === 0 ||
-          y === requestedRows - 1 ||
-          x === 0 ||
-          x === requestedCols - 1
-            ? 1
-            : 0
-        ) // Basic bordered layout
-    );
-    const newRoomState = new RoomState({
-      roomId: newRoomId,
-      layout: newLayout,
+  // First pick is remembered until a second teleporter is chosen, in any room
+  const pendingId = clientInfo.pendingTeleportLinkId;
+  const pending =
+    pendingId && pendingId !== furni.id
+      ? findFurnitureInRooms(pendingId)
+      : null;
+  if (!pending || !ownsTeleporter(socket, pending.furni)) {
+    clientInfo.pendingTeleportLinkId = furni.id;
+    socket.emit("chat_message", {
+      avatarName: "Server",
+      text: "Teleporter selected. Link a second teleporter (in any room) to connect them.",
+      className: "info-msg",
     });
-    await newRoomState.save();
-    console.log(` -> Saved new room state for '${newRoomId}' to DB.`);
+    return;
+  }
+  clientInfo.pendingTeleportLinkId = null;
 
-    // Create instance and add to memory
-    const newRoomInstance = new ServerRoom(newRoomId);
-    newRoomInstance.layout = newLayout; // Set layout directly
-    newRoomInstance.cols = requestedCols;
-    newRoomInstance.rows = requestedRows;
-    newRoomInstance.pathfinder = new (require("./lib/pathfinder"))(
-      newRoomInstance
-    ); // Initialize pathfinder
-    // No need to load from DB as we just created it
-    rooms.set(newRoomId, newRoomInstance);
-    console.log(` -> Added new room '${newRoomId}' to memory.`);
+  const partner = pending.furni;
+  // Either side may have been linked elsewhere; those old partners lose their link
+  const oldPartnerIds = [furni.teleportLinkId, partner.teleportLinkId].filter(
+    (id) => id && id !== furni.id && id !== partner.id
+  );
+  try {
+    await clearTeleportLinks(oldPartnerIds);
+    await Furniture.bulkWrite([
+      {
+        updateOne: {
+          filter: { _id: furni.id },
+          update: { $set: { teleportLinkId: partner.id } },
+        },
+      },
+      {
+        updateOne: {
+          filter: { _id: partner.id },
+          update: { $set: { teleportLinkId: furni.id } },
+        },
+      },
+    ]);
+    furni.teleportLinkId = partner.id;
+    partner.teleportLinkId = furni.id;
+    io.to(room.id).emit("furni_updated", {
+      id: furni.id,
+      teleportLinked: true,
+    });
+    io.to(pending.room.id).emit("furni_updated", {
+      id: partner.id,
+      teleportLinked: true,
+    });
 
+    console.log(
+      `${avatar.name} linked teleporters ${partner.id} (${pending.room.id}) <-> ${furni.id} (${room.id}).`
+    );
     socket.emit("chat_message", {
       avatarName: "Server",
-      text: `Room '${newRoomId}' created!`,
+      text: `Teleporter linked to '${escapeHtml(pending.room.name)}'.`,
       className: "info-msg",
     });
-    // Optionally broadcast update to admin room list
-    const allRoomIds = Array.from(rooms.keys()).sort();
-    io.to(socket.id).emit("all_room_ids_update", allRoomIds); // Update requesting admin's list
-  } catch (error) {
-    console.error(`Error creating room '${newRoomId}':`, error);
+  } catch (dbError) {
+    console.error(
+      `DB Error linking teleporters ${furni.id} and ${partner.id}:`,
+      dbError
+    );
     socket.emit("action_failed", {
-      action: "create_room",
-      reason: "Server error creating room.",
+      action: "link_teleporter",
+      reason: "Server error linking teleporters.",
     });
   }
 }
 
-// --- Admin: Modify Layout Handler (ASYNC) ---
-async function handleRequestModifyLayout(socket, data) {
+// --- Room Rights Handler (ASYNC, room owner or admin) ---
+async function handleRequestModifyRoomRights(socket, data) {
   const { avatar, room } = getAvatarAndRoom(socket.id);
   if (
     !avatar ||
     !(avatar instanceof ServerAvatar) ||
     !room ||
-    !socket.isAdmin
+    !data ||
+    typeof data.username !== "string" ||
+    !data.username.trim()
   ) {
     socket.emit("action_failed", {
-      action: "modify_layout",
-      reason: "Permission denied.",
-    });
-    return;
-  }
-  if (!data || data.x == null || data.y == null || data.type == null) {
-    socket.emit("action_failed", {
-      action: "modify_layout",
-      reason: "Invalid request data.",
+      action: "room_rights",
+      reason: "Invalid request.",
     });
     return;
   }
-  const { x, y, type } = data;
-  const validTypes = [0, 1, 2, "X"]; // Valid layout tile types
-
-  // Validate coordinates and type
-  if (x < 0 || x >= room.cols || y < 0 || y >= room.rows) {
+  if (!room.ownerId) {
     socket.emit("action_failed", {
-      action: "modify_layout",
-      reason: "Coordinates out of bounds.",
+      action: "room_rights",
+      reason: "Public rooms don't use rights.",
     });
     return;
   }
-  if (!validTypes.includes(type)) {
+  if (!canManageRoom(socket, room)) {
     socket.emit("action_failed", {
-      action: "modify_layout",
-      reason: `Invalid tile type: ${type}.`,
+      action: "room_rights",
+      reason: "Only the room owner can change rights.",
     });
     return;
   }
 
-  // Prevent modifying under players or non-flat furniture if setting to solid/hole
-  if (type === 1 || type === "X") {
-    // Only check if setting to wall or hole
-    const avatarOnTile = Object.values(room.avatars).find(
-      (a) => Math.round(a.x) === x && Math.round(a.y) === y
-    );
-    if (avatarOnTile) {
+  const grant = data.grant !== false;
+  const targetName = data.username.trim();
+
+  try {
+    // Resolve the persistent user ID (online players first, then DB)
+    let targetUserId = null;
+    let targetDisplayName = targetName;
+    const { avatar: onlineTarget } = findAvatarGlobally(targetName);
+    if (onlineTarget instanceof ServerAvatar && clients[onlineTarget.socketId]) {
+      targetUserId = clients[onlineTarget.socketId].userId;
+      targetDisplayName = onlineTarget.name;
+    } else {
+      // Usernames are stored lowercase (see routes/authRoutes.js)
+      const targetUser = await User.findOne({
+        username: targetName.toLowerCase(),
+      })
+        .select("_id username")
+        .lean();
+      if (targetUser) {
+        targetUserId = String(targetUser._id);
+        targetDisplayName = targetUser.username;
+      }
+    }
+    if (!targetUserId) {
       socket.emit("action_failed", {
-        action: "modify_layout",
-        reason: `Cannot modify under ${escapeHtml(avatarOnTile.name)}.`,
+        action: "room_rights",
+        reason: `Player '${escapeHtml(targetName)}' not found.`,
       });
       return;
     }
-    const furnitureOnTile = room
-      .getFurnitureStackAt(x, y)
-      .find((f) => !f.isFlat); // Find any non-flat furni
-    if (furnitureOnTile) {
+    if (room.isOwner(targetUserId)) {
       socket.emit("action_failed", {
-        action: "modify_layout",
-        reason: `Cannot modify under '${escapeHtml(furnitureOnTile.name)}'.`,
+        action: "room_rights",
+        reason: "The owner always has rights.",
       });
       return;
     }
-  }
+    if (grant === room.rights.includes(String(targetUserId))) return; // No change
 
-  let oldType;
-  try {
-    oldType = room.layout[y]?.[x]; // Get current type
-    if (oldType === undefined) throw new Error("Layout array access error.");
-    if (oldType === type) return; // No change needed
+    const dbUpdate = grant
+      ? { $addToSet: { rights: targetUserId } }
+      : { $pull: { rights: targetUserId } };
+    const updatedDoc = await RoomState.findOneAndUpdate(
+      { roomId: room.id },
+      dbUpdate,
+      { new: true }
+    ).lean();
+    if (!updatedDoc) throw new Error(`Room ${room.id} not found in DB.`);
+    room.applyMetadata({ rights: updatedDoc.rights });
 
-    // Update Memory First
-    room.layout[y][x] = type;
-    // Reinitialize pathfinder after layout change
-    room.pathfinder = new (require("./lib/pathfinder"))(room);
     console.log(
-      `Admin ${avatar.name} modified layout in ${room.id} at (${x},${y}) from ${oldType} to ${type}.`
-    );
-
-    // Update DB
-    const updatedRoomState = await RoomState.findOneAndUpdate(
-      { roomId: room.id },
-      { $set: { layout: room.layout } }, // Save the entire layout
-      { new: false } // Don't return new doc
+      `${avatar.name} ${grant ? "granted" : "revoked"} rights for ${targetDisplayName} in room ${room.id}.`
     );
-    if (!updatedRoomState) {
-      throw new Error(`Room ${room.id} not found in DB during layout update!`);
-    }
-    console.log(` -> Saved updated layout for '${room.id}' to DB.`);
-
-    // Broadcast Update
-    io.to(room.id).emit("layout_tile_update", { x, y, type });
+    io.to(room.id).emit("room_info_update", room.getInfoDTO());
+    socket.emit("chat_message", {
+      avatarName: "Server",
+      text: `${grant ? "Gave" : "Removed"} room rights ${
+        grant ? "to" : "from"
+      } ${escapeHtml(targetDisplayName)}.`,
+      className: "info-msg",
+    });
   } catch (error) {
-    console.error(
-      `Error modifying layout for room '${room.id}' at (${x},${y}):`,
-      error
-    );
-    // Rollback Memory if possible
-    if (oldType !== undefined) {
-      try {
-        room.layout[y][x] = oldType;
-        // Reinitialize pathfinder again after rollback
-        room.pathfinder = new (require("./lib/pathfinder"))(room);
-        console.log(` -> Rolled back memory change for layout.`);
-      } catch (rollbackError) {
-        console.error(` -> Memory rollback failed:`, rollbackError);
-      }
-    }
+    console.error(`Error modifying rights for room '${room.id}':`, error);
     socket.emit("action_failed", {
-      action: "modify_layout",
-      reason: "Server error saving layout.",
+      action: "room_rights",
+      reason: "Server error updating rights.",
     });
   }
 }
@@ -2085,6 +4876,196 @@ function handleRequestAllRoomIds(socket) {
   socket.emit("all_room_ids_update", roomIds);
 }
 
+// --- Admin: Room Export / Import (ASYNC) ---
+async function handleRequestExportRoom(socket, data) {
+  if (!socket.isAdmin) {
+    socket.emit("action_failed", {
+      action: "export_room",
+      reason: "Permission denied.",
+    });
+    return;
+  }
+  const roomId = typeof data?.roomId === "string" ? data.roomId : null;
+  const room = roomId ? rooms.get(roomId) : null;
+  if (!room) {
+    socket.emit("action_failed", {
+      action: "export_room",
+      reason: "Room not found.",
+    });
+    return;
+  }
+  try {
+    // Flush live furniture/layout so the bundle matches what players see
+    await room.saveStateToDB();
+    const { bundle, warnings } = await exportRoomBundle(roomId);
+    console.log(
+      `Admin ${socket.id} exported room '${roomId}' (${bundle.furniture.length} furniture).`
+    );
+    socket.emit("room_export_result", { roomId, bundle });
+    warnings.forEach((warning) =>
+      socket.emit("chat_message", {
+        avatarName: "Server",
+        text: escapeHtml(warning),
+        className: "info-msg",
+      })
+    );
+  } catch (error) {
+    console.error(`Error exporting room '${roomId}':`, error);
+    socket.emit("action_failed", {
+      action: "export_room",
+      reason: "Server error exporting room.",
+    });
+  }
+}
+
+async function handleRequestImportRoom(socket, data) {
+  if (!socket.isAdmin) {
+    socket.emit("action_failed", {
+      action: "import_room",
+      reason: "Permission denied.",
+    });
+    return;
+  }
+  if (!data || !data.bundle || typeof data.bundle !== "object") {
+    socket.emit("action_failed", {
+      action: "import_room",
+      reason: "No bundle received.",
+    });
+    return;
+  }
+  try {
+    const result = await importRoomBundle(data.bundle, rooms, {
+      roomId: typeof data.roomId === "string" ? data.roomId : undefined,
+      owner: typeof data.owner === "string" ? data.owner : undefined,
+    });
+    console.log(
+      `Admin ${socket.id} imported room '${result.room.id}' (${result.furnitureCount} furniture).`
+    );
+    socket.emit("chat_message", {
+      avatarName: "Server",
+      text: `Imported room '${escapeHtml(result.room.id)}' with ${
+        result.furnitureCount
+      } furniture. Use /join ${escapeHtml(result.room.id)} to visit.`,
+      className: "info-msg",
+    });
+    result.warnings.forEach((warning) =>
+      socket.emit("chat_message", {
+        avatarName: "Server",
+        text: escapeHtml(warning),
+        className: "info-msg",
+      })
+    );
+    socket.emit("all_room_ids_update", Array.from(rooms.keys()).sort());
+  } catch (error) {
+    console.error("Error importing room bundle:", error.message);
+    socket.emit("action_failed", {
+      action: "import_room",
+      reason: error.message || "Server error importing room.",
+    });
+  }
+}
+
+// --- Admin: Room Deletion / Archive (ASYNC) ---
+async function handleRequestDeleteRoom(socket, data) {
+  const { avatar } = getAvatarAndRoom(socket.id);
+  if (!socket.isAdmin || !avatar) {
+    socket.emit("action_failed", {
+      action: "delete_room",
+      reason: "Permission denied.",
+    });
+    return;
+  }
+  const roomId = typeof data?.roomId === "string" ? data.roomId : null;
+  if (!roomId) {
+    socket.emit("action_failed", {
+      action: "delete_room",
+      reason: "Invalid room ID.",
+    });
+    return;
+  }
+  try {
+    const result = await archiveRoom(roomId, {
+      rooms,
+      clients,
+      changeRoom: handleChangeRoom,
+      io,
+      archivedBy: avatar.name,
+    });
+    console.log(
+      `Admin ${avatar.name} archived room '${roomId}': moved ${result.movedPlayers} players, returned ${result.returnedItems} items, discarded ${result.discardedItems}.`
+    );
+    socket.emit("chat_message", {
+      avatarName: "Server",
+      text: `Room '${escapeHtml(roomId)}' deleted (archived). ${
+        result.returnedItems
+      } furniture returned to owners.`,
+      className: "info-msg",
+    });
+    socket.emit("all_room_ids_update", Array.from(rooms.keys()).sort());
+  } catch (error) {
+    console.error(`Error archiving room '${roomId}':`, error.message);
+    socket.emit("action_failed", {
+      action: "delete_room",
+      reason: error.message || "Server error deleting room.",
+    });
+  }
+}
+
+async function handleRequestArchivedRooms(socket) {
+  if (!socket.isAdmin) {
+    socket.emit("action_failed", {
+      action: "list_archived_rooms",
+      reason: "Permission denied.",
+    });
+    return;
+  }
+  try {
+    socket.emit("archived_rooms_update", await listArchivedRooms());
+  } catch (error) {
+    console.error("Error listing archived rooms:", error);
+    socket.emit("action_failed", {
+      action: "list_archived_rooms",
+      reason: "Server error listing archived rooms.",
+    });
+  }
+}
+
+async function handleRequestRestoreRoom(socket, data) {
+  if (!socket.isAdmin) {
+    socket.emit("action_failed", {
+      action: "restore_room",
+      reason: "Permission denied.",
+    });
+    return;
+  }
+  const roomId = typeof data?.roomId === "string" ? data.roomId : null;
+  if (!roomId) {
+    socket.emit("action_failed", {
+      action: "restore_room",
+      reason: "Invalid room ID.",
+    });
+    return;
+  }
+  try {
+    await restoreArchivedRoom(roomId, rooms);
+    console.log(`Admin ${socket.id} restored archived room '${roomId}'.`);
+    socket.emit("chat_message", {
+      avatarName: "Server",
+      text: `Room '${escapeHtml(roomId)}' restored. Use /join ${escapeHtml(
+        roomId
+      )} to visit.`,
+      className: "info-msg",
+    });
+    socket.emit("all_room_ids_update", Array.from(rooms.keys()).sort());
+  } catch (error) {
+    console.error(`Error restoring room '${roomId}':`, error.message);
+    socket.emit("action_failed", {
+      action: "restore_room",
+      reason: error.message || "Server error restoring room.",
+    });
+  }
+}
+
 // --- NPC Interaction Handler ---
 function handleRequestInteract(socket, data) {
   const { avatar: playerAvatar, room } = getAvatarAndRoom(socket.id);
@@ -2332,7 +5313,7 @@ function handleTradeUpdateOffer(socket, data) {
     !trade ||
     !data ||
     data.tradeId !== trade.tradeId ||
-    !data.items ||
+    !Array.isArray(data.items) ||
     data.currency == null
   ) {
     console.warn(`Invalid trade_update_offer from ${socket.id}`);
@@ -2348,28 +5329,21 @@ function handleTradeUpdateOffer(socket, data) {
   }
 
   // --- Server-Side Validation of Offer ---
-  const newItems = data.items;
+  // Clients offer item instance IDs; the partner is sent the full instances
+  const newItems = [];
   const newCurrency = Math.max(0, parseInt(data.currency, 10) || 0);
   let validationError = null;
 
   if (newCurrency > playerAvatar.currency) {
     validationError = "Insufficient coins.";
   } else {
-    for (const itemId in newItems) {
-      const offeredQty = parseInt(newItems[itemId], 10);
-      if (isNaN(offeredQty) || offeredQty <= 0) {
-        delete newItems[itemId]; // Clean up invalid entries
-        continue;
-      }
-      if (!playerAvatar.hasItem(itemId, offeredQty)) {
-        const def = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
-          (d) => d.id === itemId
-        );
-        validationError = `Insufficient quantity of ${escapeHtml(
-          def?.name || itemId
-        )}.`;
+    for (const instanceId of new Set(data.items.map(String))) {
+      const item = playerAvatar.getItemInstance(instanceId);
+      if (!item) {
+        validationError = "You no longer have one of the offered items.";
         break;
       }
+      newItems.push({ ...item });
     }
   }
 
@@ -2481,37 +5455,32 @@ async function handleTradeConfirmOffer(socket, data) {
     let errorReason = null;
     if (!p1Avatar || !p2Avatar)
       errorReason = "One or both players disconnected.";
+    else if (p1Avatar.isCheckingOut || p2Avatar.isCheckingOut)
+      // Their purchase is still being written over the same inventory
+      errorReason = "A purchase is still in progress.";
     else if (p1Avatar.currency < trade.p1.offer.currency)
       errorReason = `${escapeHtml(p1Avatar.name)} has insufficient coins.`;
     else if (p2Avatar.currency < trade.p2.offer.currency)
       errorReason = `${escapeHtml(p2Avatar.name)} has insufficient coins.`;
     else {
-      // Validate P1 items
-      for (const itemId in trade.p1.offer.items) {
-        if (!p1Avatar.hasItem(itemId, trade.p1.offer.items[itemId])) {
+      // Every offered instance must still be in its owner's inventory
+      for (const [side, sideAvatar] of [
+        [trade.p1, p1Avatar],
+        [trade.p2, p2Avatar],
+      ]) {
+        const missing = side.offer.items.find(
+          (item) => !sideAvatar.getItemInstance(item.id)
+        );
+        if (missing) {
           const def = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
-            (d) => d.id === itemId
+            (d) => d.id === missing.definitionId
           );
           errorReason = `${escapeHtml(
-            p1Avatar.name
-          )} no longer has sufficient ${escapeHtml(def?.name || itemId)}.`;
+            sideAvatar.name
+          )} no longer has ${escapeHtml(def?.name || missing.definitionId)}.`;
           break;
         }
       }
-      // Validate P2 items
-      if (!errorReason) {
-        for (const itemId in trade.p2.offer.items) {
-          if (!p2Avatar.hasItem(itemId, trade.p2.offer.items[itemId])) {
-            const def = SHARED_CONFIG.FURNITURE_DEFINITIONS.find(
-              (d) => d.id === itemId
-            );
-            errorReason = `${escapeHtml(
-              p2Avatar.name
-            )} no longer has sufficient ${escapeHtml(def?.name || itemId)}.`;
-            break;
-          }
-        }
-      }
     }
 
     if (errorReason) {
@@ -2524,6 +5493,9 @@ async function handleTradeConfirmOffer(socket, data) {
     // --- End Final Validation ---
 
     // --- Perform Exchange using Mongoose Transaction ---
+    // Both inventories are written whole, so no purchase may run meanwhile
+    p1Avatar.isCheckingOut = true;
+    p2Avatar.isCheckingOut = true;
     const session = await mongoose.startSession();
     session.startTransaction();
     console.log(`Trade ${trade.tradeId}: Started DB transaction.`);
@@ -2535,62 +5507,72 @@ async function handleTradeConfirmOffer(socket, data) {
       const p2CurrencyChange =
         trade.p1.offer.currency - trade.p2.offer.currency;
 
-      const p1InvUpdates = {};
-      const p2InvUpdates = {};
-      for (const itemId in trade.p1.offer.items)
-        p1InvUpdates[`inventory.${itemId}`] = -trade.p1.offer.items[itemId];
-      for (const itemId in trade.p2.offer.items)
-        p1InvUpdates[`inventory.${itemId}`] =
-          (p1InvUpdates[`inventory.${itemId}`] || 0) +
-          trade.p2.offer.items[itemId];
-      for (const itemId in trade.p2.offer.items)
-        p2InvUpdates[`inventory.${itemId}`] = -trade.p2.offer.items[itemId];
-      for (const itemId in trade.p1.offer.items)
-        p2InvUpdates[`inventory.${itemId}`] =
-          (p2InvUpdates[`inventory.${itemId}`] || 0) +
-          trade.p1.offer.items[itemId];
-
-      const p1Ops = { $inc: { currency: p1CurrencyChange, ...p1InvUpdates } };
-      const p2Ops = { $inc: { currency: p2CurrencyChange, ...p2InvUpdates } };
-
-      // Execute updates within the session
-      await User.findByIdAndUpdate(trade.p1.userId, p1Ops, { session });
+      // Both inventories are saved whole: the items swap owners but keep their IDs
+      const p1Items = trade.p1.offer.items;
+      const p2Items = trade.p2.offer.items;
+      const inventoryAfterTrade = (avatar, given, received) => {
+        const givenIds = new Set(given.map((item) => item.id));
+        return [
+          ...avatar
+            .getInventorySaveData()
+            .filter((entry) => !givenIds.has(entry._id)),
+          ...received.map((item) => ({
+            _id: item.id,
+            definitionId: item.definitionId,
+            colorOverride: item.colorOverride ?? null,
+            serial: item.serial ?? null,
+          })),
+        ];
+      };
+
+      const p1Ops = {
+        $inc: { currency: p1CurrencyChange },
+        $set: { inventory: inventoryAfterTrade(p1Avatar, p1Items, p2Items) },
+      };
+      const p2Ops = {
+        $inc: { currency: p2CurrencyChange },
+        $set: { inventory: inventoryAfterTrade(p2Avatar, p2Items, p1Items) },
+      };
+
+      // Execute updates within the session; the ledger uses the new balances
+      const updateOptions = {
+        new: true,
+        projection: { currency: 1 },
+        session,
+      };
+      const p1Updated = await User.findByIdAndUpdate(
+        trade.p1.userId,
+        p1Ops,
+        updateOptions
+      ).lean();
       console.log(
         `Trade ${trade.tradeId}: Updated P1 (${trade.p1.userId}) within transaction.`
       );
-      await User.findByIdAndUpdate(trade.p2.userId, p2Ops, { session });
+      const p2Updated = await User.findByIdAndUpdate(
+        trade.p2.userId,
+        p2Ops,
+        updateOptions
+      ).lean();
       console.log(
         `Trade ${trade.tradeId}: Updated P2 (${trade.p2.userId}) within transaction.`
       );
-
-      // Prune zero/negative items after increments (still within transaction)
-      const finalP1 = await User.findById(trade.p1.userId).session(session);
-      const finalP2 = await User.findById(trade.p2.userId).session(session);
-      const p1Unsets = {};
-      const p2Unsets = {};
-      if (finalP1?.inventory)
-        finalP1.inventory.forEach((v, k) => {
-          if (v <= 0) p1Unsets[`inventory.${k}`] = "";
-        });
-      if (finalP2?.inventory)
-        finalP2.inventory.forEach((v, k) => {
-          if (v <= 0) p2Unsets[`inventory.${k}`] = "";
-        });
-
-      if (Object.keys(p1Unsets).length > 0)
-        await User.findByIdAndUpdate(
-          trade.p1.userId,
-          { $unset: p1Unsets },
-          { session }
-        );
-      if (Object.keys(p2Unsets).length > 0)
-        await User.findByIdAndUpdate(
-          trade.p2.userId,
-          { $unset: p2Unsets },
-          { session }
-        );
-      console.log(
-        `Trade ${trade.tradeId}: Pruned zero items within transaction (if any).`
+      if (!p1Updated || !p2Updated) {
+        throw new Error("A trading user was not found in the database.");
+      }
+      await appendLedgerEntries(
+        [
+          [trade.p1, trade.p2, p1Avatar, p1CurrencyChange, p1Updated],
+          [trade.p2, trade.p1, p2Avatar, p2CurrencyChange, p2Updated],
+        ].map(([side, other, sideAvatar, change, updated]) => ({
+          userId: side.userId,
+          username: sideAvatar.name,
+          amount: change,
+          balance: updated.currency,
+          source: "trade",
+          reference: trade.tradeId,
+          description: `Trade with ${other.name}`,
+        })),
+        session
       );
 
       // If all DB operations succeed, commit the transaction
@@ -2600,15 +5582,29 @@ async function handleTradeConfirmOffer(socket, data) {
       // --- Update In-Memory State AFTER successful DB commit ---
       p1Avatar.currency += p1CurrencyChange;
       p2Avatar.currency += p2CurrencyChange;
-      for (const itemId in trade.p1.offer.items) {
-        p1Avatar.removeItem(itemId, trade.p1.offer.items[itemId]);
-        p2Avatar.addItem(itemId, trade.p1.offer.items[itemId]);
-      }
-      for (const itemId in trade.p2.offer.items) {
-        p2Avatar.removeItem(itemId, trade.p2.offer.items[itemId]);
-        p1Avatar.addItem(itemId, trade.p2.offer.items[itemId]);
-      }
+      p1Items.forEach((item) => {
+        p1Avatar.removeItemInstance(item.id);
+        p2Avatar.addItemInstance(item);
+      });
+      p2Items.forEach((item) => {
+        p2Avatar.removeItemInstance(item.id);
+        p1Avatar.addItemInstance(item);
+      });
       console.log(`Trade ${trade.tradeId}: Updated in-memory avatar states.`);
+      const tradeHistory = (from, to) =>
+        from.offer.items.map((item) => ({
+          itemId: item.id,
+          definitionId: item.definitionId,
+          action: "trade",
+          userId: to.userId,
+          username: to.name,
+          otherUserId: from.userId,
+          otherUsername: from.name,
+        }));
+      recordItemHistory([
+        ...tradeHistory(trade.p1, trade.p2),
+        ...tradeHistory(trade.p2, trade.p1),
+      ]);
 
       // --- Notify Clients of Success ---
       const completeMsg = {
@@ -2617,12 +5613,12 @@ async function handleTradeConfirmOffer(socket, data) {
       };
       if (p1Socket) {
         p1Socket.emit("trade_complete", completeMsg);
-        p1Socket.emit("currency_update", { currency: p1Avatar.currency });
+        p1Socket.emit("currency_update", p1Avatar.getCurrencyDTO());
         p1Socket.emit("inventory_update", p1Avatar.getInventoryDTO());
       }
       if (p2Socket) {
         p2Socket.emit("trade_complete", completeMsg);
-        p2Socket.emit("currency_update", { currency: p2Avatar.currency });
+        p2Socket.emit("currency_update", p2Avatar.getCurrencyDTO());
         p2Socket.emit("inventory_update", p2Avatar.getInventoryDTO());
       }
 
@@ -2642,6 +5638,8 @@ async function handleTradeConfirmOffer(socket, data) {
     } finally {
       // End the session regardless of success or failure
       await session.endSession();
+      p1Avatar.isCheckingOut = false;
+      p2Avatar.isCheckingOut = false;
       console.log(`Trade ${trade.tradeId}: DB session ended.`);
     }
   } // End if (both confirmed)
@@ -2672,6 +5670,10 @@ async function handleDisconnect(socket, reason) {
   }
   // --- End Trade Cancellation ---
 
+  // --- Cancel Pending Doorbell ---
+  const pendingEntry = findPendingEntryBySocketId(socket.id);
+  if (pendingEntry) clearPendingEntry(pendingEntry.requestId);
+
   console.log(`Client disconnected: ${socket.id}. Reason: ${reason}`);
   const clientInfo = clients[socket.id];
   let avatar = null,
@@ -2704,15 +5706,23 @@ async function handleDisconnect(socket, reason) {
   // --- Save Player Data ---
   if (userIdToSave && avatar && typeof updateUser === "function") {
     try {
+      // Balances and reward counters are written as they change (not here)
       const playerState = {
-        currency: avatar.currency,
-        inventory: Object.fromEntries(avatar.inventory || new Map()),
+        inventory: avatar.getInventorySaveData(),
         bodyColor: avatar.bodyColor,
+        layerColors: avatar.layerColors,
         lastRoomId: avatar.roomId,
         lastX: Math.round(avatar.x),
         lastY: Math.round(avatar.y),
         lastZ: avatar.z,
+        favoriteRooms: avatar.favoriteRooms,
+        recentRooms: avatar.recentRooms,
       };
+      if (avatar.isCheckingOut) {
+        // A purchase or market change in flight writes the inventory itself;
+        // saving the old copy could undo it (e.g. put a listed item back)
+        delete playerState.inventory;
+      }
       console.log(`Saving data for user ${userIdToSave} (${avatar.name})...`);
       await updateUser(userIdToSave, playerState);
       console.log(` -> Data saved successfully for user ${userIdToSave}.`);
@@ -2767,4 +5777,5 @@ module.exports = {
   initializeHandlers,
   handleConnection, // Async
   handleChangeRoom,
+  tickActivityRewards,
 };